@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * Approve Visual Baselines Script
+ * 
+ * Promotes the screenshots of failed or missing visual comparisons
+ * (screenshots/visual/actual) to baselines in visual-baselines/.
+ *
+ * Usage:
+ *   npm run visual:approve                      approve every pending screenshot
+ *   npm run visual:approve -- chat-panel-welcome approve selected baselines only
+ */
+
+const { screenshotManager } = require('../src/utils/screenshot-manager');
+
+const names = process.argv.slice(2);
+const approved = screenshotManager.approveBaselines(names);
+
+if (approved.length === 0) {
+    console.log(names.length > 0
+        ? `No pending screenshots found for: ${names.join(', ')}`
+        : 'No pending screenshots to approve');
+    process.exitCode = names.length > 0 ? 1 : 0;
+} else {
+    console.log(`Approved ${approved.length} baseline(s)`);
+}
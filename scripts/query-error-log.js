@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * Query Error Log Script
+ *
+ * Filters the JSON lines of logs/error.log and its rotated archives and
+ * prints the matching entries followed by the grouped error summary
+ * (error types, severities and the most recent errors).
+ *
+ * Usage:
+ *   npm run logs:query                                   all entries and the summary
+ *   npm run logs:query -- --since 24h --severity High,Critical
+ *   npm run logs:query -- --from 2026-10-01 --to 2026-10-02 --type TimeoutError
+ *   npm run logs:query -- --context "send greeting" --summary
+ *   npm run logs:query -- --code BOT_RESPONSE_TIMEOUT --json
+ *   npm run logs:query -- --rotate                       rotate logs/error.log now
+ */
+
+const path = require('path');
+const { errorHandler } = require('../src/utils/error-handler');
+
+const USAGE = `Usage: npm run logs:query -- [options]
+
+Options:
+  --since <time>      Entries at or after an ISO time or a duration ago (30m, 24h, 7d)
+  --from, --to <time> Entries within an ISO time range (--to also accepts a duration ago)
+  --context <text>    Context contains the text (case-insensitive)
+  --type <list>       Error categories, comma-separated
+  --severity <list>   Severities, comma-separated
+  --code <list>       Typed error codes, comma-separated
+  --current           Skip rotated archives
+  --file <path>       Log file to read instead of logs/error.log
+  --limit <n>         Print only the last n matching entries
+  --summary           Print the summary only
+  --json              Print entries and summary as JSON
+  --rotate            Rotate the log instead of querying it`;
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const VALUE_OPTIONS = ['since', 'from', 'to', 'context', 'type', 'severity', 'code', 'file', 'limit'];
+const FLAG_OPTIONS = ['current', 'summary', 'json', 'rotate', 'help'];
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (FLAG_OPTIONS.includes(name)) {
+            options[name] = true;
+        } else if (VALUE_OPTIONS.includes(name) && argv[i + 1] !== undefined) {
+            options[name] = argv[++i];
+        } else {
+            throw new Error(`Unknown or incomplete option "${argv[i]}". Run with --help for usage`);
+        }
+    }
+    return options;
+}
+
+function parseTime(value) {
+    const duration = /^(\d+)([smhd])$/.exec(value);
+    if (duration) {
+        return new Date(Date.now() - Number(duration[1]) * DURATION_UNITS[duration[2]]);
+    }
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+        throw new Error(`Invalid time "${value}". Use an ISO date or a duration such as 30m, 24h or 7d`);
+    }
+    return time;
+}
+
+function list(value) {
+    return value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function printGroup(title, counts) {
+    console.log(`\n${title}:`);
+    const rows = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    if (rows.length === 0) {
+        console.log('  (none)');
+    }
+    rows.forEach(([name, count]) => console.log(`  ${String(count).padStart(5)}  ${name}`));
+}
+
+function printSummary(summary) {
+    console.log(`\nTotal errors: ${summary.totalErrors}`);
+    printGroup('By type', summary.errorTypes);
+    printGroup('By severity', summary.severities);
+    if (summary.recentErrors.length > 0) {
+        console.log('\nMost recent:');
+        summary.recentErrors.forEach(entry => {
+            console.log(`  ${entry.timestamp}  ${entry.severity}  ${entry.type}  ${entry.context}`);
+        });
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const logPath = options.file ? path.resolve(options.file) : errorHandler.logPath;
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.rotate) {
+        const archivePath = errorHandler.logRotator.rotate(logPath);
+        console.log(archivePath ? `Rotated to ${archivePath}` : `Nothing to rotate in ${logPath}`);
+        return;
+    }
+
+    const result = errorHandler.queryLog({
+        logPath,
+        since: options.since || options.from ? parseTime(options.since || options.from) : undefined,
+        until: options.to ? parseTime(options.to) : undefined,
+        context: options.context,
+        type: list(options.type),
+        severity: list(options.severity),
+        code: list(options.code),
+        archives: !options.current
+    });
+    const entries = options.limit ? result.entries.slice(-Number(options.limit)) : result.entries;
+
+    if (options.json) {
+        console.log(JSON.stringify({ files: result.files, skipped: result.skipped, entries, summary: result.summary }, null, 2));
+        return;
+    }
+
+    console.log(`Read ${result.files.length} file(s): ${result.files.map(file => path.basename(file)).join(', ') || '(none)'}`);
+    if (result.skipped > 0) {
+        console.log(`Skipped ${result.skipped} unparsable line(s)`);
+    }
+    if (!options.summary) {
+        console.log('');
+        entries.forEach(entry => {
+            const code = entry.code ? ` ${entry.code}` : '';
+            console.log(`${entry.timestamp} [${entry.severity}] ${entry.type}${code} ${entry.context}: ${entry.message}`);
+        });
+    }
+    printSummary(result.summary);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+}
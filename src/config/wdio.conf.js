@@ -1,5 +1,20 @@
 const { config } = require('@wdio/cli');
+const allureReporter = require('@wdio/allure-reporter').default;
+const fs = require('fs');
 const path = require('path');
+const { MockChatbotServer } = require('../mock/mock-chatbot-server');
+const { profileManager } = require('../utils/profile-manager');
+const { transcriptRecorder } = require('../utils/transcript-recorder');
+const { trafficRecorder } = require('../utils/traffic-recorder');
+const { latencyMetrics } = require('../utils/latency-metrics');
+const { screenshotManager } = require('../utils/screenshot-manager');
+const { accessibilityAuditor } = require('../utils/accessibility-auditor');
+const { sessionRecovery } = require('../utils/session-recovery');
+const SessionManager = require('../utils/session-manager');
+const { consentHandlers } = require('../pages/consent-handlers');
+
+// Mock chatbot server instance (started in onPrepare when enabled)
+let mockChatbotServer = null;
 
 exports.config = {
     // ====================
@@ -17,13 +32,17 @@ exports.config = {
     // ==================
     // Specify Test Files
     // ==================
+    // Live-site specs only: tests/unit runs with mocha, tests/mock with wdio.mock.conf.js
+    // and the generated suites in tests/suites are picked with --spec (see package.json)
     specs: [
-        '../tests/**/*.js',
-        '../tests/**/*.ts'
+        '../tests/*.js',
+        '../tests/*.ts'
     ],
     exclude: [
         '../tests/**/node_modules/**',
-        '../tests/**/temp/**'
+        '../tests/**/temp/**',
+        // Only run by wdio.load.conf.js
+        '../tests/load-conversations.test.js'
     ],
 
     // ============
@@ -65,7 +84,9 @@ exports.config = {
     // ===================
     logLevel: 'info',
     bail: 1, // Stop on first failure to prevent infinite loops
-    baseUrl: 'https://your-chatbot-website.com',
+    baseUrl: process.env.MOCK_CHATBOT === 'true'
+        ? `http://127.0.0.1:${process.env.MOCK_CHATBOT_PORT || '4010'}`
+        : profileManager.getEnvironment().baseUrl || 'https://your-chatbot-website.com',
     waitforTimeout: 15000,
     connectionRetryTimeout: 30000, // Reduced from 120000 to prevent long hangs
     connectionRetryCount: 1, // Reduced from 3 to prevent multiple retries
@@ -76,10 +97,22 @@ exports.config = {
         retries: 0 // No retries to prevent infinite loops
     },
 
+    // ===================
+    // Mock Chatbot Server
+    // ===================
+    // Set MOCK_CHATBOT=true (or use wdio.mock.conf.js) to run against the
+    // bundled local chat widget instead of the live site
+    mockChatbot: {
+        enabled: process.env.MOCK_CHATBOT === 'true',
+        port: parseInt(process.env.MOCK_CHATBOT_PORT || '4010', 10),
+        rulesFile: process.env.MOCK_CHATBOT_RULES || undefined,
+        layout: process.env.MOCK_CHATBOT_LAYOUT || undefined
+    },
+
     // =====
     // Hooks
     // =====
-    onPrepare: function (config, capabilities) {
+    onPrepare: async function (config, capabilities) {
         console.log('Starting Virgin Media WebdriverIO test session...');
         
         // Create directories if they don't exist
@@ -95,6 +128,15 @@ exports.config = {
             }
         });
         
+        // Latency samples from a previous run must not end up in this report
+        latencyMetrics.clearSaved();
+        
+        if (config.mockChatbot && config.mockChatbot.enabled) {
+            mockChatbotServer = new MockChatbotServer(config.mockChatbot);
+            const mockUrl = await mockChatbotServer.start();
+            console.log(`Mock chatbot server started: ${mockUrl}`);
+        }
+        
         console.log('Test session ready');
     },
 
@@ -118,13 +160,18 @@ exports.config = {
     beforeTest: function (test, context) {
         console.log(`Starting test: ${test.title}`);
         
+        // Start a fresh conversation transcript for this test
+        transcriptRecorder.startTest(test.parent, test.title);
+        trafficRecorder.startTest(test.parent, test.title);
+        latencyMetrics.startTest(test.parent, test.title);
+        accessibilityAuditor.startTest(test.parent, test.title);
+        sessionRecovery.startTest(test.parent, test.title);
+        
         // Validate browser session before each test
         try {
             browser.getTitle();
         } catch (error) {
-            if (error.message.includes('invalid session id') || 
-                error.message.includes('no such session') ||
-                error.message.includes('chrome not reachable')) {
+            if (SessionManager.isSessionError(error)) {
                 console.log('Browser session is invalid. Stopping test execution.');
                 throw new Error('Invalid browser session detected. Please restart the test.');
             }
@@ -135,6 +182,8 @@ exports.config = {
             browser.execute('window.localStorage.clear();');
             browser.execute('window.sessionStorage.clear();');
             browser.deleteAllCookies();
+            // Cookies are gone, so the consent banner has to be answered again
+            consentHandlers.reset();
         } catch (error) {
             console.log(`Could not clear browser storage: ${error.message}`);
         }
@@ -163,9 +212,7 @@ exports.config = {
                 await browser.getTitle();
                 sessionValid = true;
             } catch (error) {
-                if (error.message.includes('invalid session id') || 
-                    error.message.includes('no such session') ||
-                    error.message.includes('chrome not reachable')) {
+                if (SessionManager.isSessionError(error)) {
                     console.log('Browser session is invalid, skipping screenshot and logs');
                     sessionValid = false;
                 }
@@ -203,19 +250,111 @@ exports.config = {
         } else {
             console.log(`Test passed: ${test.title} (${duration}ms)`);
         }
+        
+        // Save the conversation transcript next to the Allure results
+        if (transcriptRecorder.enabled && transcriptRecorder.hasContent()) {
+            try {
+                if (error) {
+                    transcriptRecorder.recordError(error);
+                }
+                const transcriptPaths = transcriptRecorder.export();
+                allureReporter.addAttachment('Conversation transcript', fs.readFileSync(transcriptPaths.html, 'utf8'), 'text/html');
+                allureReporter.addAttachment('Conversation transcript (JSON)', fs.readFileSync(transcriptPaths.json, 'utf8'), 'application/json');
+            } catch (transcriptError) {
+                console.log(`Failed to save transcript: ${transcriptError.message}`);
+            }
+        }
+        
+        // Save the captured chat backend traffic
+        if (trafficRecorder.enabled && trafficRecorder.hasContent()) {
+            try {
+                await trafficRecorder.flush();
+                const trafficPath = trafficRecorder.export();
+                allureReporter.addAttachment('Chat backend traffic', fs.readFileSync(trafficPath, 'utf8'), 'application/json');
+            } catch (trafficError) {
+                console.log(`Failed to save traffic: ${trafficError.message}`);
+            }
+        }
+        
+        // Attach the accessibility audits run in this test
+        if (accessibilityAuditor.hasContent()) {
+            try {
+                const auditPath = accessibilityAuditor.export();
+                allureReporter.addAttachment('Accessibility audit', fs.readFileSync(auditPath, 'utf8'), 'application/json');
+            } catch (auditError) {
+                console.log(`Failed to attach accessibility audit: ${auditError.message}`);
+            }
+        }
+        
+        // Attach baseline, actual and diff images of failed visual comparisons
+        screenshotManager.getVisualResults()
+            .filter(visualResult => !visualResult.passed)
+            .forEach(visualResult => {
+                try {
+                    [['baseline', visualResult.baselinePath], ['actual', visualResult.actualPath], ['diff', visualResult.diffPath]]
+                        .filter(([, imagePath]) => imagePath && fs.existsSync(imagePath))
+                        .forEach(([kind, imagePath]) => {
+                            allureReporter.addAttachment(`Visual ${kind}: ${visualResult.name}`, fs.readFileSync(imagePath), 'image/png');
+                        });
+                } catch (visualError) {
+                    console.log(`Failed to attach visual diff: ${visualError.message}`);
+                }
+            });
+        screenshotManager.clearVisualResults();
+        
+        // Report recovered browser sessions as a warning instead of a silent pass
+        if (sessionRecovery.hasContent()) {
+            const warning = sessionRecovery.getWarning();
+            console.warn(`⚠️ ${warning}`);
+            try {
+                allureReporter.addStep(`Session recovery: ${warning}`, {
+                    content: JSON.stringify({ budget: sessionRecovery.getBudget(), recoveries: sessionRecovery.getTestEvents() }, null, 2),
+                    name: 'Session recovery',
+                    type: 'application/json'
+                }, 'broken');
+            } catch (recoveryError) {
+                console.log(`Failed to report session recovery: ${recoveryError.message}`);
+            }
+        }
+        
+        // Attach the per-turn latency percentiles of this test
+        const latencySamples = latencyMetrics.getTestSamples();
+        if (latencySamples.length > 0) {
+            try {
+                const latencyReport = { ...latencyMetrics.aggregate(latencySamples), samples: latencySamples };
+                allureReporter.addAttachment('Turn latency', JSON.stringify(latencyReport, null, 2), 'application/json');
+            } catch (latencyError) {
+                console.log(`Failed to attach latency metrics: ${latencyError.message}`);
+            }
+        }
     },
 
     after: function (result, capabilities, specs) {
         console.log('Cleaning up test environment...');
+        
+        // Hand this worker's latency samples to the launcher
+        latencyMetrics.saveSamples();
     },
 
     afterSession: function (config, capabilities, specs) {
         console.log('Test session completed');
     },
 
-    onComplete: function (exitCode, config, capabilities, results) {
+    onComplete: async function (exitCode, config, capabilities, results) {
         console.log('All tests completed!');
         
+        if (mockChatbotServer) {
+            await mockChatbotServer.stop();
+            mockChatbotServer = null;
+        }
+        
+        // Merge the workers' latency samples into one run report
+        try {
+            latencyMetrics.writeReport();
+        } catch (error) {
+            console.log(`Failed to write latency report: ${error.message}`);
+        }
+        
         // Generate Allure report
         const allure = require('allure-commandline');
         if (allure) {
@@ -0,0 +1,75 @@
+/**
+ * WebdriverIO configuration for concurrent conversation load runs.
+ * Extends the main configuration with one capability (one worker and one
+ * browser) per virtual user; see src/utils/load-harness.js for settings.
+ * Runs against the bundled mock chatbot unless LOAD_TARGET=live.
+ */
+
+// Per-test transcripts are not useful for long load runs
+process.env.TRANSCRIPTS = process.env.TRANSCRIPTS || 'false';
+
+const { config: baseConfig } = require('./wdio.conf.js');
+const { loadHarness } = require('../utils/load-harness');
+
+const settings = loadHarness.getSettings();
+const useMock = process.env.LOAD_TARGET !== 'live';
+const mockPort = parseInt(process.env.MOCK_CHATBOT_PORT || '4010', 10);
+
+// Every browser needs its own DevTools port, so drop the fixed one
+const [baseCapability] = baseConfig.capabilities;
+const chromeOptions = baseCapability['goog:chromeOptions'];
+const userCapability = {
+    ...baseCapability,
+    maxInstances: 1,
+    'goog:chromeOptions': {
+        ...chromeOptions,
+        args: chromeOptions.args.filter(arg => !arg.startsWith('--remote-debugging-port'))
+    }
+};
+
+exports.config = {
+    ...baseConfig,
+
+    specs: [
+        '../tests/load-conversations.test.js'
+    ],
+    exclude: [],
+
+    maxInstances: settings.users,
+    capabilities: Array.from({ length: settings.users }, () => ({ ...userCapability })),
+
+    bail: 0,
+    mochaOpts: {
+        ...baseConfig.mochaOpts,
+        // Whole load profile plus time for the last conversation to finish
+        timeout: loadHarness.getDuration(settings) + 120000
+    },
+
+    baseUrl: useMock ? `http://127.0.0.1:${mockPort}` : baseConfig.baseUrl,
+
+    mockChatbot: {
+        ...baseConfig.mockChatbot,
+        enabled: useMock,
+        port: mockPort
+    },
+
+    onPrepare: async function (config, capabilities) {
+        // Workers inherit the launcher environment, so all users share one clock
+        process.env.LOAD_RUN_STARTED_AT = String(Date.now() + 5000);
+        loadHarness.clearSaved();
+        console.log(`🚦 Load run: ${settings.users} users, ramp-up ${settings.rampUp / 1000}s, ` +
+            `hold ${settings.hold / 1000}s, ramp-down ${settings.rampDown / 1000}s, flow ${settings.flow}`);
+
+        await baseConfig.onPrepare.call(this, config, capabilities);
+    },
+
+    onComplete: async function (exitCode, config, capabilities, results) {
+        try {
+            loadHarness.writeReport();
+        } catch (error) {
+            console.log(`Failed to write load report: ${error.message}`);
+        }
+
+        await baseConfig.onComplete.call(this, exitCode, config, capabilities, results);
+    }
+};
@@ -0,0 +1,27 @@
+/**
+ * WebdriverIO configuration for offline runs against the bundled
+ * mock chatbot server. Extends the main configuration.
+ */
+
+// Use the mock environment settings (e.g. its locales) unless another one is chosen
+process.env.CHAT_ENV = process.env.CHAT_ENV || 'mock';
+
+const { config: baseConfig } = require('./wdio.conf.js');
+
+const mockPort = parseInt(process.env.MOCK_CHATBOT_PORT || '4010', 10);
+
+exports.config = {
+    ...baseConfig,
+
+    specs: [
+        '../tests/mock/mock-chatbot.test.js'
+    ],
+
+    baseUrl: `http://127.0.0.1:${mockPort}`,
+
+    mockChatbot: {
+        ...baseConfig.mockChatbot,
+        enabled: true,
+        port: mockPort
+    }
+};
@@ -0,0 +1,468 @@
+/**
+ * Mock Chatbot Server
+ *
+ * Local HTTP server that serves a scriptable chat widget whose DOM matches
+ * the ChatbotPage and ChatPage selectors. Replies are driven by configurable
+ * rules with per-rule delays, and failures can be injected to exercise
+ * error handling without touching the live site.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PUBLIC_DIR = path.join(__dirname, 'public');
+const DEFAULT_RULES_FILE = path.join(__dirname, 'mock-chatbot.rules.json');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8'
+};
+
+class MockChatbotServer {
+    /**
+     * @param {Object} options - Server options
+     * @param {number} options.port - Port to listen on (0 picks a free port)
+     * @param {string} options.host - Host to bind to
+     * @param {string} options.rulesFile - JSON file with welcomeMessage, defaultReply and rules
+     * @param {Array} options.rules - Reply rules (overrides the rules file)
+     * @param {Object} options.locales - Welcome message and default reply per locale, e.g. { cy: { welcomeMessage, defaultReply } }
+     * @param {number} options.responseDelay - Default delay before a reply in milliseconds
+     * @param {number} options.failureRate - Probability (0-1) that any message fails
+     * @param {string} options.layout - 'chatbot' (ChatbotPage markup) or 'chatpage' (ChatPage markup)
+     */
+    constructor(options = {}) {
+        this.port = options.port !== undefined ? options.port : 4010;
+        this.host = options.host || '127.0.0.1';
+        this.rulesFile = options.rulesFile || DEFAULT_RULES_FILE;
+        this.server = null;
+
+        const fileConfig = this._loadRulesFile(this.rulesFile);
+        this.defaults = {
+            welcomeMessage: options.welcomeMessage || fileConfig.welcomeMessage || 'Hi! How can I help you today?',
+            defaultReply: options.defaultReply || fileConfig.defaultReply || "Sorry, I didn't understand that.",
+            rules: options.rules || fileConfig.rules || [],
+            locales: options.locales || fileConfig.locales || {},
+            responseDelay: options.responseDelay !== undefined ? options.responseDelay : (fileConfig.responseDelay || 800),
+            failureRate: options.failureRate || fileConfig.failureRate || 0,
+            layout: options.layout || fileConfig.layout || 'chatbot',
+            startOpen: options.startOpen !== undefined ? options.startOpen : fileConfig.startOpen !== false
+        };
+
+        this.reset();
+    }
+
+    /**
+     * Start the server
+     * @returns {Promise<string>} Base URL of the running server
+     */
+    async start() {
+        if (this.server) {
+            return this.getUrl();
+        }
+
+        this.server = http.createServer((req, res) => {
+            this._handleRequest(req, res).catch(error => {
+                console.error('❌ Mock chatbot server error:', error.message);
+                this._sendJson(res, 500, { error: error.message });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                resolve();
+            });
+        });
+
+        console.log(`🤖 Mock chatbot server running at ${this.getUrl()}`);
+        return this.getUrl();
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        await new Promise(resolve => this.server.close(() => resolve()));
+        this.server = null;
+        console.log('🛑 Mock chatbot server stopped');
+    }
+
+    /**
+     * Get the base URL of the server
+     * @returns {string} Base URL
+     */
+    getUrl() {
+        return `http://${this.host === '0.0.0.0' ? 'localhost' : this.host}:${this.port}`;
+    }
+
+    /**
+     * Reset rules, failures and message history to the configured defaults
+     */
+    reset() {
+        this.settings = {
+            welcomeMessage: this.defaults.welcomeMessage,
+            defaultReply: this.defaults.defaultReply,
+            responseDelay: this.defaults.responseDelay,
+            failureRate: this.defaults.failureRate,
+            layout: this.defaults.layout,
+            startOpen: this.defaults.startOpen
+        };
+        this.rules = this.defaults.rules.map(rule => ({ ...rule }));
+        this.pendingFailures = [];
+        this.history = [];
+    }
+
+    /**
+     * Replace all reply rules
+     * @param {Array} rules - Reply rules
+     */
+    setRules(rules) {
+        this.rules = rules.map(rule => ({ ...rule }));
+        console.log(`🤖 Mock chatbot rules replaced (${this.rules.length} rules)`);
+    }
+
+    /**
+     * Add a reply rule with highest priority
+     * @param {Object} rule - Reply rule
+     */
+    addRule(rule) {
+        this.rules.unshift({ ...rule });
+    }
+
+    /**
+     * Update widget/server settings (delay, failure rate, layout, welcome message)
+     * @param {Object} settings - Settings to merge
+     */
+    configure(settings) {
+        Object.assign(this.settings, settings);
+    }
+
+    /**
+     * Make the next N messages fail
+     * @param {Object} failure - Failure definition
+     * @param {number} failure.count - Number of messages to fail
+     * @param {number} failure.status - HTTP status to return
+     * @param {string} failure.error - Error text shown in the widget
+     * @param {boolean} failure.noReply - Never reply (simulates a hung backend)
+     */
+    injectFailure(failure = {}) {
+        const count = failure.count || 1;
+        for (let i = 0; i < count; i++) {
+            this.pendingFailures.push({
+                status: failure.status || 500,
+                error: failure.error || 'The assistant is currently unavailable. Please try again later.',
+                noReply: failure.noReply || false
+            });
+        }
+        console.log(`💥 Mock chatbot will fail the next ${count} message(s)`);
+    }
+
+    /**
+     * Resolve the reply for a user message
+     * @param {string} text - User message text
+     * @param {string} locale - Locale of the chat page (rules with another "locale" are skipped)
+     * @returns {Object} Reply with intent, messages, delay and optional failure
+     */
+    resolveReply(text, locale = null) {
+        if (this.pendingFailures.length > 0) {
+            return { failure: this.pendingFailures.shift(), delay: this.settings.responseDelay };
+        }
+
+        if (this.settings.failureRate > 0 && Math.random() < this.settings.failureRate) {
+            return {
+                failure: { status: 500, error: 'Random failure injected by mock chatbot server', noReply: false },
+                delay: this.settings.responseDelay
+            };
+        }
+
+        const rule = this.rules.find(candidate => (!candidate.locale || candidate.locale === locale) && this._ruleMatches(candidate, text));
+
+        if (!rule) {
+            return {
+                intent: 'fallback',
+                messages: [{ text: this._localized('defaultReply', locale), quickReplies: [] }],
+                delay: this.settings.responseDelay
+            };
+        }
+
+        if (rule.times !== undefined) {
+            rule.times--;
+            if (rule.times <= 0) {
+                this.rules.splice(this.rules.indexOf(rule), 1);
+            }
+        }
+
+        const delay = rule.delay !== undefined ? rule.delay : this.settings.responseDelay;
+
+        if (rule.error || rule.noReply) {
+            return {
+                failure: { status: rule.status || 500, error: rule.error || '', noReply: rule.noReply || false },
+                delay
+            };
+        }
+
+        const replies = Array.isArray(rule.reply) ? rule.reply : [rule.reply];
+        const messages = replies.map((reply, index) => {
+            const isLast = index === replies.length - 1;
+            return {
+                text: reply,
+                quickReplies: isLast ? (rule.quickReplies || []) : [],
+                // Rich content is attached to the last message of the reply
+                cards: isLast ? (rule.cards || []) : [],
+                carousel: isLast ? (rule.carousel || []) : [],
+                links: isLast ? (rule.links || []) : [],
+                attachments: isLast ? (rule.attachments || []) : [],
+                // Stream the text word by word, like LLM-backed bots (value is ms per word)
+                stream: rule.stream === true ? 80 : (rule.stream || 0)
+            };
+        });
+
+        return { intent: rule.intent || null, messages, delay };
+    }
+
+    /**
+     * Check if a rule matches the user message
+     * @param {Object} rule - Reply rule
+     * @param {string} text - User message text
+     * @returns {boolean} True if matched
+     */
+    _ruleMatches(rule, text) {
+        if (rule.pattern) {
+            return new RegExp(rule.pattern, rule.flags || 'i').test(text);
+        }
+        if (rule.match) {
+            const candidates = Array.isArray(rule.match) ? rule.match : [rule.match];
+            return candidates.some(candidate => text.toLowerCase().includes(candidate.toLowerCase()));
+        }
+        return false;
+    }
+
+    /**
+     * Route an incoming request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async _handleRequest(req, res) {
+        const url = new URL(req.url, this.getUrl());
+
+        if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/index.html')) {
+            return this._sendIndex(res, url);
+        }
+        if (req.method === 'GET' && url.pathname === '/api/config') {
+            return this._sendJson(res, 200, this._clientConfig(url));
+        }
+        if (req.method === 'POST' && url.pathname === '/api/message') {
+            return this._handleMessage(req, res);
+        }
+        if (url.pathname.startsWith('/__mock/')) {
+            return this._handleAdmin(req, res, url);
+        }
+        if (req.method === 'GET') {
+            return this._sendStatic(res, url.pathname);
+        }
+
+        this._sendJson(res, 404, { error: `Not found: ${req.method} ${url.pathname}` });
+    }
+
+    /**
+     * Handle a chat message from the widget
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    async _handleMessage(req, res) {
+        const body = await this._readJson(req);
+        const text = String(body.text || '').trim();
+        const reply = this.resolveReply(text, body.locale || null);
+
+        this.history.push({
+            text,
+            receivedAt: new Date().toISOString(),
+            failed: Boolean(reply.failure)
+        });
+
+        if (reply.failure && reply.failure.noReply) {
+            // Leave the request hanging until the client gives up
+            req.on('close', () => res.end());
+            return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, reply.delay));
+
+        if (reply.failure) {
+            return this._sendJson(res, reply.failure.status, { error: reply.failure.error });
+        }
+
+        this._sendJson(res, 200, { intent: { name: reply.intent }, messages: reply.messages });
+    }
+
+    /**
+     * Handle admin endpoints used by tests to script the server
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     * @param {URL} url - Parsed URL
+     */
+    async _handleAdmin(req, res, url) {
+        const action = url.pathname.replace('/__mock/', '');
+
+        if (req.method === 'GET' && action === 'history') {
+            return this._sendJson(res, 200, { history: this.history });
+        }
+        if (req.method !== 'POST') {
+            return this._sendJson(res, 405, { error: 'Admin endpoints require POST' });
+        }
+
+        const body = await this._readJson(req);
+
+        switch (action) {
+            case 'rules':
+                this.setRules(body.rules || []);
+                break;
+            case 'rule':
+                this.addRule(body);
+                break;
+            case 'settings':
+                this.configure(body);
+                break;
+            case 'failures':
+                this.injectFailure(body);
+                break;
+            case 'reset':
+                this.reset();
+                break;
+            default:
+                return this._sendJson(res, 404, { error: `Unknown admin action: ${action}` });
+        }
+
+        this._sendJson(res, 200, { ok: true });
+    }
+
+    /**
+     * Serve the widget page with the client configuration injected
+     * @param {http.ServerResponse} res - Response
+     * @param {URL} url - Parsed URL
+     */
+    _sendIndex(res, url) {
+        const template = fs.readFileSync(path.join(PUBLIC_DIR, 'index.html'), 'utf8');
+        const html = template.replace('__MOCK_CONFIG__', JSON.stringify(this._clientConfig(url)));
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+        res.end(html);
+    }
+
+    /**
+     * Serve a static file from the public directory
+     * @param {http.ServerResponse} res - Response
+     * @param {string} pathname - Request path
+     */
+    _sendStatic(res, pathname) {
+        const filePath = path.normalize(path.join(PUBLIC_DIR, pathname));
+
+        if (!filePath.startsWith(PUBLIC_DIR) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            return this._sendJson(res, 404, { error: `Not found: ${pathname}` });
+        }
+
+        const contentType = CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': contentType });
+        res.end(fs.readFileSync(filePath));
+    }
+
+    /**
+     * Build the configuration passed to the widget script
+     * @param {URL} url - Parsed URL (query parameters override settings)
+     * @returns {Object} Client configuration
+     */
+    _clientConfig(url) {
+        const locale = url.searchParams.get('lang');
+        return {
+            locale: locale || null,
+            welcomeMessage: this._localized('welcomeMessage', locale),
+            layout: url.searchParams.get('layout') || this.settings.layout,
+            startOpen: url.searchParams.has('closed') ? false : this.settings.startOpen,
+            consentBanner: url.searchParams.get('consent') || null
+        };
+    }
+
+    /**
+     * Get a setting in the given locale, falling back to the default language
+     * @param {string} key - Setting name (welcomeMessage or defaultReply)
+     * @param {string} locale - Locale code
+     * @returns {string} Localized value
+     */
+    _localized(key, locale) {
+        const overrides = (locale && this.defaults.locales[locale]) || {};
+        return overrides[key] || this.settings[key];
+    }
+
+    /**
+     * Send a JSON response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {Object} payload - Response body
+     */
+    _sendJson(res, status, payload) {
+        if (res.headersSent) {
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    /**
+     * Read a JSON request body
+     * @param {http.IncomingMessage} req - Request
+     * @returns {Promise<Object>} Parsed body
+     */
+    _readJson(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                try {
+                    resolve(data ? JSON.parse(data) : {});
+                } catch (error) {
+                    reject(new Error(`Invalid JSON body: ${error.message}`));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Load the rules file if it exists
+     * @param {string} filePath - Rules file path
+     * @returns {Object} Parsed rules configuration
+     */
+    _loadRulesFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            console.log(`⚠️ Mock chatbot rules file not found, using defaults: ${filePath}`);
+            return {};
+        }
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+}
+
+module.exports = {
+    MockChatbotServer
+};
+
+// Allow running standalone: node src/mock/mock-chatbot-server.js [port]
+if (require.main === module) {
+    const port = process.argv[2] ? parseInt(process.argv[2], 10) : undefined;
+    const server = new MockChatbotServer({ port });
+
+    server.start().catch(error => {
+        console.error('❌ Could not start mock chatbot server:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        await server.stop();
+        process.exit(0);
+    });
+}
@@ -0,0 +1,399 @@
+/**
+ * Mock Chat Widget
+ *
+ * Browser-side script for the mock chatbot page. Renders messages using
+ * the markup expected by ChatbotPage ("chatbot" layout) or the legacy
+ * ChatPage ("chatpage" layout) and talks to the mock server API.
+ */
+
+(function () {
+    const config = window.MOCK_CONFIG || {};
+    const layout = config.layout || 'chatbot';
+    const burstInterval = 250;
+    const requestTimeout = 60000;
+
+    const widget = document.getElementById('chat-widget');
+    const toggle = document.getElementById('chat-toggle');
+    const messagesContainer = document.getElementById('chat-messages');
+    const typingIndicator = document.querySelector('.typing-indicator');
+    const errorMessage = document.querySelector('.error-message');
+    const form = document.getElementById('chat-form');
+    const input = document.getElementById('message-input');
+
+    /**
+     * Create a message element for the configured layout
+     * @param {string} sender - 'bot' or 'user'
+     * @param {string} text - Message text
+     * @returns {Object} Wrapper element and the inner sender element
+     */
+    function createMessageElement(sender, text) {
+        const senderElement = document.createElement('div');
+        senderElement.className = `${sender}-message`;
+        senderElement.setAttribute('data-testid', `${sender}-message`);
+
+        const textElement = document.createElement('div');
+        textElement.className = 'message-text';
+        textElement.setAttribute('data-testid', 'message-text');
+        textElement.textContent = text;
+        senderElement.appendChild(textElement);
+
+        if (layout === 'chatpage') {
+            senderElement.classList.add('message');
+            return { wrapper: senderElement, senderElement };
+        }
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'chat-message';
+        wrapper.appendChild(senderElement);
+        return { wrapper, senderElement };
+    }
+
+    /**
+     * Append a message to the conversation
+     * @param {string} sender - 'bot' or 'user'
+     * @param {string} text - Message text
+     * @param {Array} quickReplies - Optional quick reply labels
+     * @param {Array} extraClasses - Optional extra classes for the sender element
+     */
+    function appendMessage(sender, text, quickReplies = [], extraClasses = [], rich = {}) {
+        const { wrapper, senderElement } = createMessageElement(sender, text);
+        extraClasses.forEach(className => senderElement.classList.add(className));
+        appendRichContent(senderElement, rich);
+        appendQuickReplies(senderElement, quickReplies);
+
+        messagesContainer.appendChild(wrapper);
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        return senderElement;
+    }
+
+    /**
+     * Add quick reply buttons to a message
+     * @param {Element} senderElement - Message element
+     * @param {Array} quickReplies - Quick reply labels
+     */
+    function appendQuickReplies(senderElement, quickReplies) {
+        if (quickReplies.length === 0) {
+            return;
+        }
+
+        const replies = document.createElement('div');
+        replies.className = 'quick-replies';
+        quickReplies.forEach(label => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'quick-reply';
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.textContent = label;
+            button.addEventListener('click', () => sendMessage(label));
+            replies.appendChild(button);
+        });
+        senderElement.appendChild(replies);
+    }
+
+    /**
+     * Create a card element
+     * @param {Object} card - Card with title, subtitle, image, imageAlt and buttons
+     * @returns {Element} Card element
+     */
+    function createCard(card) {
+        const element = document.createElement('div');
+        element.className = 'card';
+        element.setAttribute('data-testid', 'card');
+
+        if (card.image) {
+            const image = document.createElement('img');
+            image.src = card.image;
+            image.alt = card.imageAlt || card.title || '';
+            element.appendChild(image);
+        }
+
+        [['card-title', card.title], ['card-subtitle', card.subtitle]].forEach(([className, value]) => {
+            if (value) {
+                const field = document.createElement('div');
+                field.className = className;
+                field.textContent = value;
+                element.appendChild(field);
+            }
+        });
+
+        (card.buttons || []).forEach(label => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'card-button';
+            button.textContent = label;
+            button.addEventListener('click', () => sendMessage(label));
+            element.appendChild(button);
+        });
+
+        return element;
+    }
+
+    /**
+     * Add cards, a carousel, links and attachments to a message
+     * @param {Element} senderElement - Message element
+     * @param {Object} rich - Rich content (cards, carousel, links, attachments)
+     */
+    function appendRichContent(senderElement, rich) {
+        (rich.cards || []).forEach(card => senderElement.appendChild(createCard(card)));
+
+        if (rich.carousel && rich.carousel.length > 0) {
+            const carousel = document.createElement('div');
+            carousel.className = 'carousel';
+            carousel.setAttribute('data-testid', 'carousel');
+            rich.carousel.forEach(card => carousel.appendChild(createCard(card)));
+            senderElement.appendChild(carousel);
+        }
+
+        (rich.links || []).forEach(link => {
+            const anchor = document.createElement('a');
+            anchor.className = 'message-link';
+            anchor.href = link.href;
+            anchor.target = '_blank';
+            anchor.textContent = link.text;
+            senderElement.appendChild(anchor);
+        });
+
+        (rich.attachments || []).forEach(attachment => {
+            const anchor = document.createElement('a');
+            anchor.className = 'attachment';
+            anchor.href = attachment.url;
+            anchor.setAttribute('download', attachment.name);
+            anchor.setAttribute('data-type', attachment.type || '');
+            anchor.textContent = attachment.name;
+            senderElement.appendChild(anchor);
+        });
+    }
+
+    /**
+     * Render a bot reply word by word into a new bubble
+     * @param {Object} reply - Reply with text, quickReplies and stream interval
+     */
+    async function streamMessage(reply) {
+        setVisible(typingIndicator, false);
+        const senderElement = appendMessage('bot', '');
+        const textElement = senderElement.querySelector('.message-text');
+        const words = reply.text.split(' ');
+
+        for (let i = 0; i < words.length; i++) {
+            textElement.textContent += (i > 0 ? ' ' : '') + words[i];
+            await pause(reply.stream);
+        }
+
+        appendRichContent(senderElement, reply);
+        appendQuickReplies(senderElement, reply.quickReplies || []);
+    }
+
+    function setVisible(element, visible) {
+        element.classList.toggle('hidden', !visible);
+    }
+
+    function removeQuickReplies() {
+        document.querySelectorAll('.quick-replies').forEach(element => element.remove());
+    }
+
+    function pause(milliseconds) {
+        return new Promise(resolve => setTimeout(resolve, milliseconds));
+    }
+
+    /**
+     * Send a user message and render the bot replies
+     * @param {string} text - Message text
+     */
+    async function sendMessage(text) {
+        const message = text.trim();
+        if (!message) {
+            return;
+        }
+
+        removeQuickReplies();
+        setVisible(errorMessage, false);
+        appendMessage('user', message);
+        setVisible(typingIndicator, true);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), requestTimeout);
+
+        try {
+            const response = await fetch('/api/message', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ text: message, locale: config.locale || null }),
+                signal: controller.signal
+            });
+            const payload = await response.json();
+
+            if (!response.ok) {
+                throw new Error(payload.error || `Request failed with status ${response.status}`);
+            }
+
+            for (let i = 0; i < payload.messages.length; i++) {
+                if (i > 0) {
+                    await pause(burstInterval);
+                }
+                const reply = payload.messages[i];
+                if (reply.stream) {
+                    await streamMessage(reply);
+                } else {
+                    appendMessage('bot', reply.text, reply.quickReplies || [], [], reply);
+                }
+            }
+        } catch (error) {
+            errorMessage.textContent = error.name === 'AbortError'
+                ? 'The assistant did not respond. Please try again.'
+                : error.message;
+            setVisible(errorMessage, true);
+        } finally {
+            clearTimeout(timer);
+            setVisible(typingIndicator, false);
+        }
+    }
+
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        const text = input.value;
+        input.value = '';
+        sendMessage(text);
+    });
+
+    toggle.addEventListener('click', () => {
+        widget.classList.toggle('closed');
+        const open = !widget.classList.contains('closed');
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) {
+            input.focus();
+        }
+    });
+
+    widget.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !widget.classList.contains('closed')) {
+            widget.classList.add('closed');
+            toggle.setAttribute('aria-expanded', 'false');
+            toggle.focus();
+        }
+    });
+
+    /**
+     * Render a cookie banner with the element IDs of a consent-management
+     * platform. The choice is stored in the mock_consent cookie and the
+     * banner is not shown again while that cookie exists.
+     * @param {string} provider - 'onetrust', 'cookiebot' or 'trustarc'
+     */
+    function renderConsentBanner(provider) {
+        const banners = {
+            onetrust: {
+                root: 'onetrust-banner-sdk',
+                accept: ['onetrust-accept-btn-handler', 'Accept All Cookies'],
+                reject: ['onetrust-reject-all-handler', 'Reject All'],
+                settings: ['onetrust-pc-btn-handler', 'Cookies Settings'],
+                panel: 'onetrust-pc-sdk',
+                save: ['', 'Confirm My Choices', 'save-preference-btn-handler'],
+                categories: {
+                    analytics: ['ot-group-id-C0002', 'Performance Cookies'],
+                    functional: ['ot-group-id-C0003', 'Functional Cookies'],
+                    marketing: ['ot-group-id-C0004', 'Targeting Cookies'],
+                    social: ['ot-group-id-C0005', 'Social Media Cookies']
+                }
+            },
+            cookiebot: {
+                root: 'CybotCookiebotDialog',
+                accept: ['CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll', 'Allow all'],
+                reject: ['CybotCookiebotDialogBodyButtonDecline', 'Deny'],
+                save: ['CybotCookiebotDialogBodyLevelButtonLevelOptinAllowallSelection', 'Allow selection'],
+                categories: {
+                    functional: ['CybotCookiebotDialogBodyLevelButtonPreferences', 'Preferences'],
+                    analytics: ['CybotCookiebotDialogBodyLevelButtonStatistics', 'Statistics'],
+                    marketing: ['CybotCookiebotDialogBodyLevelButtonMarketing', 'Marketing']
+                }
+            },
+            trustarc: {
+                root: 'truste-consent-track',
+                accept: ['truste-consent-button', 'Accept all'],
+                reject: ['truste-consent-required', 'Required only'],
+                settings: ['truste-show-consent', 'Cookie preferences'],
+                categories: {}
+            }
+        };
+        const definition = banners[provider];
+        if (!definition || /(^|;\s*)mock_consent=/.test(document.cookie)) {
+            return;
+        }
+
+        const banner = document.createElement('div');
+        banner.id = definition.root;
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'dialog');
+        banner.setAttribute('aria-label', 'Cookie consent');
+        banner.innerHTML = '<p>We use cookies to run the chat and, with your consent, for analytics and marketing.</p>';
+
+        const categories = ['functional', 'analytics', 'marketing', 'social'];
+        const checkboxes = {};
+        const panel = document.createElement('div');
+        panel.className = 'consent-categories';
+        if (definition.panel) {
+            panel.id = definition.panel;
+            panel.classList.add('hidden');
+        }
+        Object.entries(definition.categories).forEach(([category, [id, label]]) => {
+            const row = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = id;
+            row.appendChild(checkbox);
+            row.appendChild(document.createTextNode(` ${label}`));
+            panel.appendChild(row);
+            checkboxes[category] = checkbox;
+        });
+
+        function choose(allowed) {
+            const consent = categories.reduce((state, category) => {
+                state[category] = allowed(category);
+                return state;
+            }, {});
+            document.cookie = `mock_consent=${encodeURIComponent(JSON.stringify(consent))}; path=/`;
+            banner.remove();
+        }
+
+        function addButton([id, label, className], onClick, parent = banner) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            if (id) {
+                button.id = id;
+            }
+            if (className) {
+                button.className = className;
+            }
+            button.addEventListener('click', onClick);
+            parent.appendChild(button);
+        }
+
+        addButton(definition.accept, () => choose(() => true));
+        addButton(definition.reject, () => choose(() => false));
+        if (definition.settings) {
+            addButton(definition.settings, () => panel.classList.remove('hidden'));
+        }
+        banner.appendChild(panel);
+        if (definition.save) {
+            addButton(definition.save, () => choose(category => Boolean(checkboxes[category] && checkboxes[category].checked)), panel);
+        }
+        document.body.appendChild(banner);
+    }
+
+    if (config.consentBanner) {
+        renderConsentBanner(config.consentBanner);
+    }
+
+    if (config.locale) {
+        document.documentElement.lang = config.locale;
+    }
+
+    if (config.startOpen === false) {
+        widget.classList.add('closed');
+    }
+    toggle.setAttribute('aria-expanded', String(!widget.classList.contains('closed')));
+
+    if (config.welcomeMessage) {
+        appendMessage('bot', config.welcomeMessage, [], ['welcome-message']);
+    }
+})();
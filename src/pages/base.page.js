@@ -4,13 +4,42 @@
  * This class provides common WebDriver methods that can be extended
  * by other page objects. It includes basic element interactions,
  * wait strategies, and utility methods.
+ *
+ * Every selector parameter also accepts a composite locator that reaches
+ * into iframes and shadow roots, e.g. "iframe#chat >>> shadow(host) >>> .input"
+ * (see locator.js). Helpers that return elements leave the element's frame
+ * active so it can be used; the other helpers switch back to the top-level
+ * document when they are done.
  */
 
+const { locators } = require('./locator');
+const { waitUtils } = require('../utils/wait-utils');
+const { networkMonitor } = require('../utils/network-monitor');
+const { profileManager } = require('../utils/profile-manager');
+const { consentHandlers } = require('./consent-handlers');
+const SessionManager = require('../utils/session-manager');
+const {
+    ChatbotTestError,
+    ElementNotFoundError,
+    PageLoadTimeoutError,
+    WaitTimeoutError,
+    SessionLostError
+} = require('../utils/errors');
+
 class BasePage {
     constructor() {
         this.defaultTimeout = 10000;
         this.shortTimeout = 5000;
         this.longTimeout = 30000;
+        
+        // Extra page-load readiness signal: null/false, true or
+        // waitUtils.waitForNetworkIdle options ({ idleTime, maxInflight, ignore, include })
+        this.networkIdle = null;
+
+        // Cookie-consent settings applied after navigation
+        // (null uses the "consent" settings of the CHAT_ENV environment)
+        this.consent = null;
+        this.lastConsent = null;
     }
 
     /**
@@ -19,37 +48,127 @@ class BasePage {
      */
     async navigateTo(url) {
         console.log(`🌐 Navigating to: ${url}`);
+        if (this.networkIdle) {
+            // Attach before navigating so the page's own requests are tracked
+            await networkMonitor.start();
+        }
         await browser.url(url);
+        locators.reset();
         await this.waitForPageLoad();
+        await this.handleCookieConsent();
+    }
+
+    /**
+     * Detect the cookie banner of the current page and apply a consent state.
+     * A banner is handled once per browser session and origin, and an origin
+     * without a banner is not waited for again; lastConsent
+     * keeps the outcome ({ provider, state, preferences, url })
+     * @param {Object} settings - Consent settings (defaults to this.consent, then the environment's settings)
+     * @param {string} settings.state - 'accept', 'reject', 'custom' or 'ignore'
+     * @param {string} settings.provider - 'auto', 'onetrust', 'trustarc', 'cookiebot' or 'custom'
+     * @param {Object} settings.preferences - Allowed state per category for the 'custom' state
+     * @returns {Promise<Object|null>} { provider, state, preferences, url } or null when no banner was handled
+     */
+    async handleCookieConsent(settings = null) {
+        const result = await consentHandlers.handle(this, settings || this.consent || profileManager.getConsentSettings());
+        if (result) {
+            this.lastConsent = result;
+        }
+        return result;
     }
 
     /**
      * Wait for page to fully load
      * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} options - Load options
+     * @param {boolean|Object} options.networkIdle - Also wait for network idle (defaults to this.networkIdle)
+     * @throws {PageLoadTimeoutError} If the page does not finish loading in time
      */
-    async waitForPageLoad(timeout = this.longTimeout) {
-        await browser.waitUntil(
-            async () => await browser.execute(() => document.readyState === 'complete'),
-            { 
-                timeout, 
-                timeoutMsg: 'Page did not load completely within the specified timeout' 
+    async waitForPageLoad(timeout = this.longTimeout, options = {}) {
+        try {
+            await browser.waitUntil(
+                async () => await browser.execute(() => document.readyState === 'complete'),
+                { 
+                    timeout, 
+                    timeoutMsg: 'Page did not load completely within the specified timeout' 
+                }
+            );
+        } catch (error) {
+            if (SessionManager.isSessionError(error)) {
+                throw new SessionLostError({ command: 'waitForPageLoad', cause: error });
             }
-        );
+            throw new PageLoadTimeoutError({ url: await this._currentUrlOrNull(), timeout, cause: error });
+        }
+        
+        const networkIdle = options.networkIdle !== undefined ? options.networkIdle : this.networkIdle;
+        if (networkIdle) {
+            await waitUtils.waitForNetworkIdle(timeout, null, networkIdle === true ? {} : networkIdle);
+        }
         console.log('✅ Page loaded successfully');
     }
 
+    /**
+     * Find an element by plain or composite locator without waiting for it.
+     * Frames in the locator stay active so the element can be used.
+     * @param {string} selector - Element selector or composite locator
+     * @param {number} timeout - Time to wait for each frame and shadow host
+     * @returns {WebdriverIO.Element} The element
+     */
+    async findElement(selector, timeout = 0) {
+        return locators.find(selector, timeout);
+    }
+
+    /**
+     * Find all elements by plain or composite locator without waiting
+     * @param {string} selector - Element selector or composite locator
+     * @param {number} timeout - Time to wait for each frame and shadow host
+     * @returns {Array} Array of elements
+     */
+    async findElements(selector, timeout = 0) {
+        return locators.findAll(selector, timeout);
+    }
+
+    /**
+     * Run an action with an element and switch back to the top-level
+     * document afterwards
+     * @param {string} selector - Element selector or composite locator
+     * @param {Function} action - Async function receiving the element
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {any} Result of the action
+     */
+    async withinElement(selector, action, timeout = this.defaultTimeout) {
+        try {
+            const element = await this.waitForElement(selector, timeout);
+            return await action(element);
+        } finally {
+            await this.switchToTopFrame();
+        }
+    }
+
+    /**
+     * Switch back to the top-level document after working inside a frame
+     */
+    async switchToTopFrame() {
+        await locators.switchToTop();
+    }
+
     /**
      * Wait for element to be displayed
      * @param {string} selector - Element selector
      * @param {number} timeout - Timeout in milliseconds
      * @returns {WebdriverIO.Element} The element
+     * @throws {ElementNotFoundError} If the element is not displayed in time
      */
     async waitForElement(selector, timeout = this.defaultTimeout) {
         console.log(`⏳ Waiting for element: ${selector}`);
-        await browser.waitForDisplayed(selector, { timeout });
-        const element = await $(selector);
-        console.log(`✅ Element found: ${selector}`);
-        return element;
+        try {
+            const element = await this.findElement(selector, timeout);
+            await element.waitForDisplayed({ timeout });
+            console.log(`✅ Element found: ${selector}`);
+            return element;
+        } catch (error) {
+            throw this._elementError(error, selector, timeout, 'displayed');
+        }
     }
 
     /**
@@ -57,13 +176,18 @@ class BasePage {
      * @param {string} selector - Element selector
      * @param {number} timeout - Timeout in milliseconds
      * @returns {WebdriverIO.Element} The element
+     * @throws {ElementNotFoundError} If the element is not clickable in time
      */
     async waitForElementClickable(selector, timeout = this.defaultTimeout) {
         console.log(`⏳ Waiting for element to be clickable: ${selector}`);
-        await browser.waitForClickable(selector, { timeout });
-        const element = await $(selector);
-        console.log(`✅ Element is clickable: ${selector}`);
-        return element;
+        try {
+            const element = await this.findElement(selector, timeout);
+            await element.waitForClickable({ timeout });
+            console.log(`✅ Element is clickable: ${selector}`);
+            return element;
+        } catch (error) {
+            throw this._elementError(error, selector, timeout, 'clickable');
+        }
     }
 
     /**
@@ -71,13 +195,18 @@ class BasePage {
      * @param {string} selector - Element selector
      * @param {number} timeout - Timeout in milliseconds
      * @returns {WebdriverIO.Element} The element
+     * @throws {ElementNotFoundError} If the element does not exist in time
      */
     async waitForElementExist(selector, timeout = this.defaultTimeout) {
         console.log(`⏳ Waiting for element to exist: ${selector}`);
-        await browser.waitForExist(selector, { timeout });
-        const element = await $(selector);
-        console.log(`✅ Element exists: ${selector}`);
-        return element;
+        try {
+            const element = await this.findElement(selector, timeout);
+            await element.waitForExist({ timeout });
+            console.log(`✅ Element exists: ${selector}`);
+            return element;
+        } catch (error) {
+            throw this._elementError(error, selector, timeout, 'existing');
+        }
     }
 
     /**
@@ -87,8 +216,12 @@ class BasePage {
      */
     async safeClick(selector, timeout = this.defaultTimeout) {
         console.log(`🖱️ Clicking element: ${selector}`);
-        const element = await this.waitForElementClickable(selector, timeout);
-        await element.click();
+        try {
+            const element = await this.waitForElementClickable(selector, timeout);
+            await element.click();
+        } finally {
+            await this.switchToTopFrame();
+        }
         console.log(`✅ Clicked element: ${selector}`);
     }
 
@@ -100,9 +233,13 @@ class BasePage {
      */
     async safeType(selector, text, timeout = this.defaultTimeout) {
         console.log(`⌨️ Typing text in element: ${selector}`);
-        const element = await this.waitForElement(selector, timeout);
-        await element.clearValue();
-        await element.setValue(text);
+        try {
+            const element = await this.waitForElement(selector, timeout);
+            await element.clearValue();
+            await element.setValue(text);
+        } finally {
+            await this.switchToTopFrame();
+        }
         console.log(`✅ Typed text in element: ${selector}`);
     }
 
@@ -113,8 +250,7 @@ class BasePage {
      * @returns {string} Element text
      */
     async getElementText(selector, timeout = this.defaultTimeout) {
-        const element = await this.waitForElement(selector, timeout);
-        const text = await element.getText();
+        const text = await this.withinElement(selector, element => element.getText(), timeout);
         console.log(`📝 Element text: ${text}`);
         return text;
     }
@@ -127,8 +263,7 @@ class BasePage {
      * @returns {string} Attribute value
      */
     async getElementAttribute(selector, attribute, timeout = this.defaultTimeout) {
-        const element = await this.waitForElement(selector, timeout);
-        const value = await element.getAttribute(attribute);
+        const value = await this.withinElement(selector, element => element.getAttribute(attribute), timeout);
         console.log(`🔍 Element ${attribute}: ${value}`);
         return value;
     }
@@ -146,6 +281,8 @@ class BasePage {
         } catch (error) {
             console.log(`❌ Element not displayed: ${selector}`);
             return false;
+        } finally {
+            await this.switchToTopFrame();
         }
     }
 
@@ -162,6 +299,8 @@ class BasePage {
         } catch (error) {
             console.log(`❌ Element does not exist: ${selector}`);
             return false;
+        } finally {
+            await this.switchToTopFrame();
         }
     }
 
@@ -169,16 +308,30 @@ class BasePage {
      * Wait for element to disappear
      * @param {string} selector - Element selector
      * @param {number} timeout - Timeout in milliseconds
+     * @throws {WaitTimeoutError} If the element is still displayed after the timeout
      */
     async waitForElementDisappear(selector, timeout = this.defaultTimeout) {
         console.log(`⏳ Waiting for element to disappear: ${selector}`);
-        await browser.waitUntil(
-            async () => !(await $(selector).isDisplayed()),
-            { 
-                timeout, 
-                timeoutMsg: `Element ${selector} did not disappear within ${timeout}ms` 
-            }
-        );
+        try {
+            await browser.waitUntil(
+                async () => {
+                    try {
+                        return !(await (await this.findElement(selector)).isDisplayed());
+                    } catch (error) {
+                        // A missing frame or shadow host means the element is gone too
+                        return true;
+                    }
+                },
+                { 
+                    timeout, 
+                    timeoutMsg: `Element ${selector} did not disappear within ${timeout}ms` 
+                }
+            );
+        } catch (error) {
+            throw this._waitError(error, `Element ${selector} did not disappear`, timeout, 'waitForElementDisappear');
+        } finally {
+            await this.switchToTopFrame();
+        }
         console.log(`✅ Element disappeared: ${selector}`);
     }
 
@@ -189,8 +342,7 @@ class BasePage {
      */
     async scrollToElement(selector, timeout = this.defaultTimeout) {
         console.log(`📜 Scrolling to element: ${selector}`);
-        const element = await this.waitForElement(selector, timeout);
-        await element.scrollIntoView();
+        await this.withinElement(selector, element => element.scrollIntoView(), timeout);
         console.log(`✅ Scrolled to element: ${selector}`);
     }
 
@@ -212,10 +364,15 @@ class BasePage {
      * @param {Function} condition - Condition function that returns boolean
      * @param {number} timeout - Timeout in milliseconds
      * @param {string} message - Timeout message
+     * @throws {WaitTimeoutError} If the condition does not hold in time
      */
     async waitForCondition(condition, timeout = this.defaultTimeout, message = 'Condition not met') {
         console.log(`⏳ Waiting for condition: ${message}`);
-        await browser.waitUntil(condition, { timeout, timeoutMsg: message });
+        try {
+            await browser.waitUntil(condition, { timeout, timeoutMsg: message });
+        } catch (error) {
+            throw this._waitError(error, message, timeout, 'waitForCondition');
+        }
         console.log(`✅ Condition met: ${message}`);
     }
 
@@ -255,6 +412,8 @@ class BasePage {
         await this.executeScript('window.localStorage.clear();');
         await this.executeScript('window.sessionStorage.clear();');
         await browser.deleteAllCookies();
+        // The consent banner shows again once its cookie is gone
+        consentHandlers.reset();
         console.log('✅ Browser storage cleared');
     }
 
@@ -264,6 +423,7 @@ class BasePage {
     async refreshPage() {
         console.log('🔄 Refreshing page');
         await browser.refresh();
+        locators.reset();
         await this.waitForPageLoad();
         console.log('✅ Page refreshed');
     }
@@ -274,6 +434,7 @@ class BasePage {
     async goBack() {
         console.log('⬅️ Going back to previous page');
         await browser.back();
+        locators.reset();
         await this.waitForPageLoad();
         console.log('✅ Navigated back');
     }
@@ -284,6 +445,7 @@ class BasePage {
     async goForward() {
         console.log('➡️ Going forward to next page');
         await browser.forward();
+        locators.reset();
         await this.waitForPageLoad();
         console.log('✅ Navigated forward');
     }
@@ -351,7 +513,7 @@ class BasePage {
     async getAllElements(selector, timeout = this.defaultTimeout) {
         console.log(`🔍 Getting all elements: ${selector}`);
         await this.waitForElementExist(selector, timeout);
-        const elements = await $$(selector);
+        const elements = await this.findElements(selector);
         console.log(`✅ Found ${elements.length} elements: ${selector}`);
         return elements;
     }
@@ -369,6 +531,8 @@ class BasePage {
         } catch (error) {
             console.log(`❌ Could not get element count for: ${selector}`);
             return 0;
+        } finally {
+            await this.switchToTopFrame();
         }
     }
 
@@ -389,6 +553,54 @@ class BasePage {
         );
         console.log(`✅ Found ${count} elements: ${selector}`);
     }
+
+    /**
+     * Convert a failed element wait into a typed error
+     * @param {Error} error - Error of the wait
+     * @param {string} selector - Element selector
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {string} state - State waited for ('displayed', 'clickable' or 'existing')
+     * @returns {ChatbotTestError} Error to throw
+     */
+    _elementError(error, selector, timeout, state) {
+        if (error instanceof ChatbotTestError) {
+            return error;
+        }
+        if (SessionManager.isSessionError(error)) {
+            return new SessionLostError({ command: `wait for ${selector}`, cause: error });
+        }
+        return new ElementNotFoundError({ selector, state, timeout, cause: error });
+    }
+
+    /**
+     * Convert a failed browser.waitUntil into a typed error
+     * @param {Error} error - Error of the wait
+     * @param {string} condition - Description of the condition
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {string} command - Name of the waiting method
+     * @returns {ChatbotTestError} Error to throw
+     */
+    _waitError(error, condition, timeout, command) {
+        if (error instanceof ChatbotTestError) {
+            return error;
+        }
+        if (SessionManager.isSessionError(error)) {
+            return new SessionLostError({ command, cause: error });
+        }
+        return new WaitTimeoutError({ condition, timeout, cause: error });
+    }
+
+    /**
+     * Read the current URL for error details without failing
+     * @returns {Promise<string|null>} URL, or null when the browser cannot tell
+     */
+    async _currentUrlOrNull() {
+        try {
+            return await browser.getUrl();
+        } catch (error) {
+            return null;
+        }
+    }
 }
 
 module.exports = BasePage; 
\ No newline at end of file
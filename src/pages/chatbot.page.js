@@ -7,88 +7,327 @@
  */
 
 const BasePage = require('./base.page.js');
+const { textSimilarity } = require('../utils/text-similarity');
+const { inputStrategies } = require('./input-strategies');
+const { profileManager } = require('../utils/profile-manager');
+const { MessageExtractor } = require('./message-extractor');
+const { locators } = require('./locator');
+const { KeyboardDriver } = require('./keyboard-driver');
+const { waitUtils } = require('../utils/wait-utils');
+const { networkMonitor } = require('../utils/network-monitor');
+const { transcriptRecorder } = require('../utils/transcript-recorder');
+const { trafficRecorder } = require('../utils/traffic-recorder');
+const { latencyMetrics } = require('../utils/latency-metrics');
+const { screenshotManager } = require('../utils/screenshot-manager');
+const { accessibilityAuditor } = require('../utils/accessibility-auditor');
+const SessionManager = require('../utils/session-manager');
+const { sessionRecovery } = require('../utils/session-recovery');
+const {
+    ChatbotTestError,
+    ElementNotFoundError,
+    ChatWidgetNotFoundError,
+    SelectorAmbiguousError,
+    BotResponseTimeoutError,
+    SessionLostError
+} = require('../utils/errors');
 
 class ChatbotPage extends BasePage {
-    constructor() {
+    /**
+     * @param {string|Object} profile - Profile name or object (defaults to the active profile for CHAT_ENV)
+     */
+    constructor(profile = null) {
         super();
         
-        // Chatbot-specific selectors
-        this.selectors = {
-            // Chat widget container
-            chatWidget: '#chat-widget, .chat-container, [data-testid="chat-widget"]',
-            
-            // Input elements
-            messageInput: '#chat-input, .chat-input, input[placeholder*="message"], textarea[placeholder*="message"], [data-testid="chat-input"]',
-            
-            // Send button
-            sendButton: '#send-button, .send-button, button[type="submit"], [data-testid="send-button"], .chat-send-btn',
-            
-            // Message containers
-            messages: '.chat-message, .message, [data-testid="message"], .msg, .conversation-item',
-            messageText: '.message-text, .msg-text, .content, [data-testid="message-text"], .chat-bubble-text',
-            
-            // Bot and user messages
-            botMessages: '.bot-message, .assistant-message, [data-testid="bot-message"], .chat-bubble.bot',
-            userMessages: '.user-message, .human-message, [data-testid="user-message"], .chat-bubble.user',
-            
-            // Typing indicator
-            typingIndicator: '.loading, .typing-indicator, [data-testid="loading"], .chat-typing, .typing-dots',
-            
-            // Chat widget toggle
-            chatToggle: '#chat-toggle, .chat-toggle, [data-testid="chat-toggle"], .chat-widget-button',
-            
-            // Error messages
-            errorMessage: '.error-message, .chat-error, [data-testid="error"]',
-            
-            // Welcome message
-            welcomeMessage: '.welcome-message, .chat-welcome, [data-testid="welcome"]'
-        };
-
         // Chatbot-specific timeouts
         this.responseTimeout = 30000; // 30 seconds for bot response
         this.typingTimeout = 10000;   // 10 seconds for typing indicator
         this.messageTimeout = 15000;  // 15 seconds for message operations
+
+        // Bot message count captured when the last message was sent
+        this.botMessageCountBeforeSend = null;
+
+        // Whether the reply to the last message has finished (streaming and bursts included)
+        this.turnComplete = false;
+
+        // Bot messages produced by the last completed turn
+        this.lastTurnMessages = [];
+        
+        // When each bot message of the current turn was first seen (epoch ms, in order)
+        this.messageArrivals = [];
+
+        // Transcript of sent and received messages for the current test
+        this.transcript = transcriptRecorder;
+
+        // Chat backend requests, responses and WebSocket frames per turn
+        this.traffic = trafficRecorder;
+        
+        // Per-turn timings (send to typing, first text and complete response)
+        this.latency = latencyMetrics;
+        this.turnTiming = null;
+        this.lastTurnLatency = null;
+
+        // Similarity report from the last fuzzy verifyResponseContains call
+        this.lastMatchReport = null;
+
+        // Completed turns ({ text, via }) of the open conversation, the turn in
+        // progress and the widget's chat session ID, used to resume after a lost session
+        this.conversationTurns = [];
+        this.currentTurn = null;
+        this.chatSessionId = null;
+        this.sessionRecovery = sessionRecovery;
+        
+        // URL the chat was last opened with, reopened when the conversation is resumed
+        this.lastOpenedUrl = null;
+        this.recovering = false;
+        this.replaying = false;
+        
+        // Keyboard-only driver used when the interaction mode is 'keyboard'
+        this.keyboard = new KeyboardDriver(this);
+
+        // Selectors, launcher, input strategy and end-of-response signals come from the profile
+        this.applyProfile(profile || profileManager.getActiveProfile());
+    }
+
+    /**
+     * Apply a chat widget profile
+     * @param {string|Object} profile - Profile name or resolved profile object
+     */
+    applyProfile(profile) {
+        this.profile = typeof profile === 'string' ? profileManager.loadProfile(profile) : profile;
+        this.selectors = { ...this.profile.selectors };
+        this.messageParts = { ...this.profile.messageParts };
+        this.launcher = this.profile.launcher || null;
+        this.endOfResponse = { typingIndicator: true, quietPeriod: 0, networkIdle: false, ...this.profile.endOfResponse };
+        
+        // Page loads also wait for network idle when the profile asks for it
+        this.networkIdle = this.profile.pageLoad ? this.profile.pageLoad.networkIdle || null : null;
+        
+        // Which requests count as chat backend traffic
+        trafficRecorder.configure(this.profile.traffic || {});
+        
+        // Input strategy name ('auto' detects it from the input element)
+        this.inputStrategy = this.profile.inputStrategy || 'auto';
+        
+        // How messages are submitted: 'auto' (send button, then Enter), 'button' or 'enter'
+        this.submitMode = this.profile.submitMode || 'auto';
+        
+        // 'pointer' (clicks) or 'keyboard' (Tab, Enter, arrows and Escape only)
+        this.interactionMode = process.env.INTERACTION_MODE || this.profile.interactionMode || 'pointer';
+        
+        // Where the widget stores its chat session ID ({ storage, key }), if known
+        this.chatSession = this.profile.chatSession || null;
+        
+        // Locale whose chat page is opened (see "locales" in environments.json)
+        this.locale = process.env.LOCALE || null;
+        console.log(`🧩 Using chatbot profile: ${this.profile.name}`);
     }
 
     /**
      * Open the chatbot page
-     * @param {string} url - Optional URL to navigate to
+     * @param {string} url - Optional URL to navigate to (defaults to the chatPath of the environment and locale)
      */
-    async open(url = '/') {
-        console.log('🤖 Opening chatbot page');
-        await this.navigateTo(url);
-        await this.waitForChatWidget();
+    async open(url = null) {
+        console.log(`🤖 Opening chatbot page${this.locale ? ` (${this.locale})` : ''}`);
+        this.lastOpenedUrl = url || profileManager.getChatPath(this.locale) || '/';
+        await this.navigateTo(this.lastOpenedUrl);
+        this.conversationTurns = [];
+        this.chatSessionId = null;
+        
+        if (this.interactionMode === 'keyboard') {
+            await this.keyboard.openWidget();
+        } else if (this.launcher) {
+            await this.launchChat();
+        } else {
+            await this.waitForChatWidget();
+        }
         console.log('✅ Chatbot page opened successfully');
     }
 
+    /**
+     * Open the chat with the profile launcher and wait until it is ready for input
+     * @param {number} timeout - Timeout in milliseconds (defaults to the launcher timeout)
+     * @throws {ChatWidgetNotFoundError} If the launcher or the ready chat cannot be found
+     */
+    async launchChat(timeout = null) {
+        if (!this.launcher) {
+            throw new Error(`Chatbot profile "${this.profile.name}" has no launcher`);
+        }
+        
+        const launchTimeout = timeout || this.launcher.timeout || this.defaultTimeout;
+        const readySelector = this.launcher.readySelector || this.selectors.messageInput;
+        
+        if (await this.isElementDisplayed(readySelector, this.shortTimeout)) {
+            console.log('✅ Chat is already open');
+            return;
+        }
+        
+        console.log(`🚀 Launching chat with: ${this.launcher.selector}`);
+        try {
+            await this.safeClick(this.launcher.selector, launchTimeout);
+            await this.waitForElement(readySelector, launchTimeout);
+        } catch (error) {
+            throw this._widgetError(error, error.selector || readySelector, launchTimeout);
+        }
+        console.log('✅ Chat launched and ready');
+    }
+
     /**
      * Wait for chat widget to be visible
      * @param {number} timeout - Timeout in milliseconds
+     * @throws {ChatWidgetNotFoundError} If the widget is not displayed in time
      */
     async waitForChatWidget(timeout = this.defaultTimeout) {
         console.log('⏳ Waiting for chat widget to be visible');
-        await this.waitForElement(this.selectors.chatWidget, timeout);
+        try {
+            await this.waitForElement(this.selectors.chatWidget, timeout);
+        } catch (error) {
+            throw this._widgetError(error, this.selectors.chatWidget, timeout);
+        }
         console.log('✅ Chat widget is visible');
     }
 
+    /**
+     * Switch between pointer and keyboard-only interaction
+     * @param {string} mode - 'pointer' or 'keyboard'
+     */
+    setInteractionMode(mode) {
+        if (!['pointer', 'keyboard'].includes(mode)) {
+            throw new Error(`Unknown interaction mode "${mode}". Use 'pointer' or 'keyboard'`);
+        }
+        this.interactionMode = mode;
+        console.log(`⌨️ Interaction mode set to: ${mode}`);
+    }
+
+    /**
+     * Set the locale whose chat page open() navigates to
+     * @param {string} locale - Locale code (e.g. 'cy'), or null for the environment default
+     */
+    setLocale(locale) {
+        this.locale = locale || null;
+        console.log(`🌐 Chat locale set to: ${this.locale || 'default'}`);
+    }
+
+    /**
+     * Resume the conversation in a new browser session, either by restoring
+     * the stored chat session ID or by replaying the completed turns, on the
+     * URL the chat was last opened with. The turn that was in progress is
+     * left for the caller to repeat.
+     * @param {Object} options - Resume options
+     * @param {string} options.strategy - 'auto' (default), 'restore' or 'replay'
+     * @returns {Promise<Object>} { strategy, replayedTurns, restoredSessionId }
+     */
+    async resumeConversation(options = {}) {
+        const turns = this.conversationTurns.slice();
+        const chatSessionId = this.chatSessionId;
+        const inProgress = this.currentTurn;
+        let strategy = options.strategy || 'auto';
+        if (strategy === 'auto') {
+            strategy = this.chatSession && chatSessionId ? 'restore' : 'replay';
+        }
+        console.log(`🔁 Resuming conversation of ${turns.length} turn(s) by ${strategy}`);
+        
+        let result = null;
+        if (strategy === 'restore') {
+            if (!this.chatSession || !chatSessionId) {
+                throw new Error(`Cannot restore the chat session: profile "${this.profile.name}" stores no chat session ID`);
+            }
+            if (await this._restoreChatSession(chatSessionId, turns.length)) {
+                this.conversationTurns = turns;
+                this.chatSessionId = chatSessionId;
+                result = { strategy, replayedTurns: 0, restoredSessionId: chatSessionId };
+            } else {
+                console.log('⚠️ Chat session was not restored, replaying the conversation instead');
+                await this.clearStorage();
+            }
+        }
+        
+        if (!result) {
+            await this.open(this.lastOpenedUrl);
+            await this._replayTurns(turns);
+            result = { strategy: 'replay', replayedTurns: turns.length, restoredSessionId: null };
+        }
+        
+        this.currentTurn = inProgress;
+        console.log(`✅ Conversation resumed by ${result.strategy}`);
+        return result;
+    }
+
+    /**
+     * Record the keyboard tab order inside the widget and detect keyboard traps
+     * @returns {Promise<Object>} Tab order (see KeyboardDriver.recordTabOrder)
+     */
+    async getTabOrder() {
+        return this.keyboard.recordTabOrder();
+    }
+
     /**
      * Send a message to the chatbot
      * @param {string} message - Message to send
      * @param {number} timeout - Timeout in milliseconds
      */
     async sendMessage(message, timeout = this.messageTimeout) {
+        await this._withSessionRecovery(() => this._sendMessage(message, timeout));
+    }
+
+    /**
+     * Type and submit a message once (sendMessage wraps it with session recovery)
+     * @param {string} message - Message to send
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async _sendMessage(message, timeout) {
         console.log(`💬 Sending message: "${message}"`);
         
         // Wait for input field to be ready
-        await this.waitForElement(this.selectors.messageInput, timeout);
+        const input = await this.waitForElement(this.selectors.messageInput, timeout);
+        
+        // Remember how many bot messages existed so the reply can be detected
+        await this._beginTurn(message, 'typed');
+        
+        if (this.interactionMode === 'keyboard') {
+            await this.keyboard.typeMessage(message);
+            this.turnTiming.sentAt = Date.now();
+            await this.keyboard.submit();
+            this._recordSent(message, 'typed');
+            console.log(`✅ Message sent: "${message}" (keyboard, enter)`);
+            return;
+        }
+        
+        // Type the message with the strategy for this kind of editor
+        const strategy = await this.getInputStrategy(input);
+        await strategy.enterText(input, message);
         
-        // Type the message
-        await this.safeType(this.selectors.messageInput, message, timeout);
+        // Submit with the send button or Enter
+        this.turnTiming.sentAt = Date.now();
+        const submittedWith = await strategy.submit(input, this.selectors.sendButton, this.submitMode);
+        this._recordSent(message, 'typed');
         
-        // Click send button
-        await this.safeClick(this.selectors.sendButton, timeout);
+        console.log(`✅ Message sent: "${message}" (${strategy.name}, ${submittedWith})`);
+    }
+
+    /**
+     * Get the input strategy for the message input
+     * @param {Object} input - Message input element (looked up when omitted)
+     * @returns {Promise<Object>} Input strategy
+     */
+    async getInputStrategy(input = null) {
+        if (this.inputStrategy !== 'auto') {
+            return inputStrategies.get(this.inputStrategy);
+        }
         
-        console.log(`✅ Message sent: "${message}"`);
+        const element = input || await this.waitForElement(this.selectors.messageInput);
+        return inputStrategies.detect(element);
+    }
+
+    /**
+     * Force an input strategy instead of detecting it
+     * @param {string} name - 'auto', 'native-input', 'textarea', 'contenteditable', 'draftjs' or 'lexical'
+     */
+    setInputStrategy(name) {
+        if (name !== 'auto') {
+            inputStrategies.get(name);
+        }
+        this.inputStrategy = name;
+        console.log(`⌨️ Input strategy set to: ${name}`);
     }
 
     /**
@@ -111,28 +350,67 @@ class ChatbotPage extends BasePage {
         }
         
         // Get the last bot message
-        const lastBotMessage = botMessages[botMessages.length - 1];
-        const messageTextElement = await lastBotMessage.$(this.selectors.messageText);
+        const responseText = await this._getMessageText(botMessages[botMessages.length - 1]);
+        console.log(`✅ Last bot response: "${responseText}"`);
+        return responseText;
+    }
+
+    /**
+     * Get every bot message produced by the last turn (streamed and burst replies included)
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Array} Bot message texts in order
+     */
+    async getTurnResponses(timeout = this.responseTimeout) {
+        console.log('📝 Getting bot responses for the turn');
         
-        if (await messageTextElement.isExisting()) {
-            const responseText = await messageTextElement.getText();
-            console.log(`✅ Last bot response: "${responseText}"`);
-            return responseText;
-        } else {
-            const responseText = await lastBotMessage.getText();
-            console.log(`✅ Last bot response: "${responseText}"`);
-            return responseText;
-        }
+        await this.waitForResponse(timeout);
+        
+        const texts = this.turnComplete ? this.lastTurnMessages : await this._collectTurnMessages();
+        console.log(`✅ Turn produced ${texts.length} bot message(s)`);
+        return texts;
+    }
+
+    /**
+     * Forget the last turn, e.g. when a new conversation starts, so the next
+     * wait does not compare against a stale bot message count
+     */
+    resetTurnState() {
+        this.botMessageCountBeforeSend = null;
+        this.turnComplete = false;
+        this.lastTurnMessages = [];
+        this.messageArrivals = [];
     }
 
     /**
      * Click a button in the chat interface
      * @param {string} buttonText - Text of the button to click
      * @param {number} timeout - Timeout in milliseconds
+     * @throws {ElementNotFoundError} If no button has the text
+     * @throws {SelectorAmbiguousError} If several buttons contain the text and none matches it exactly
      */
     async clickButton(buttonText, timeout = this.defaultTimeout) {
+        await this._withSessionRecovery(() => this._clickButton(buttonText, timeout));
+    }
+
+    /**
+     * Click a button once (clickButton wraps it with session recovery)
+     * @param {string} buttonText - Text of the button to click
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async _clickButton(buttonText, timeout) {
         console.log(`🖱️ Clicking button: "${buttonText}"`);
         
+        // Quick replies trigger a bot reply just like a typed message
+        await this._beginTurn(buttonText, 'button');
+        
+        if (this.interactionMode === 'keyboard') {
+            await this.keyboard.activateButton(buttonText);
+            this.turnTiming.sentAt = Date.now();
+            this._recordSent(buttonText, 'button');
+            console.log(`✅ Button clicked: "${buttonText}" (keyboard)`);
+            return;
+        }
+        
         // Try different button selectors
         const buttonSelectors = [
             `button:contains("${buttonText}")`,
@@ -145,6 +423,8 @@ class ChatbotPage extends BasePage {
         for (const selector of buttonSelectors) {
             try {
                 await this.safeClick(selector, timeout);
+                this.turnTiming.sentAt = Date.now();
+                this._recordSent(buttonText, 'button');
                 console.log(`✅ Button clicked: "${buttonText}"`);
                 return;
             } catch (error) {
@@ -153,55 +433,210 @@ class ChatbotPage extends BasePage {
             }
         }
         
-        // If no button found with text, try to find by partial text match
-        const allButtons = await this.getAllElements('button, [role="button"]', timeout);
+        // If no button found with text, match the button labels: an exact
+        // label wins, otherwise exactly one label may contain the text
+        const buttonsSelector = locators.sameScope(this.selectors.chatWidget, 'button, [role="button"]');
+        let allButtons = [];
+        try {
+            allButtons = await this.getAllElements(buttonsSelector, timeout);
+        } catch (error) {
+            if (!(error instanceof ElementNotFoundError)) {
+                throw error;
+            }
+        }
         
+        const wanted = buttonText.trim().toLowerCase();
+        const exact = [];
+        const partial = [];
         for (const button of allButtons) {
             try {
-                const buttonTextContent = await button.getText();
-                if (buttonTextContent.toLowerCase().includes(buttonText.toLowerCase())) {
-                    await button.click();
-                    console.log(`✅ Button clicked by text match: "${buttonText}"`);
-                    return;
+                const label = (await button.getText()).trim();
+                if (label.toLowerCase() === wanted) {
+                    exact.push({ button, label });
+                } else if (label.toLowerCase().includes(wanted)) {
+                    partial.push({ button, label });
                 }
             } catch (error) {
                 continue;
             }
         }
         
-        throw new Error(`Button with text "${buttonText}" not found`);
+        const candidates = exact.length > 0 ? exact : partial;
+        if (exact.length === 0 && partial.length > 1) {
+            throw new SelectorAmbiguousError({
+                selector: `button "${buttonText}"`,
+                matches: candidates.map(candidate => `"${candidate.label}"`)
+            });
+        }
+        if (candidates.length > 0) {
+            await candidates[0].button.click();
+            this.turnTiming.sentAt = Date.now();
+            this._recordSent(buttonText, 'button');
+            console.log(`✅ Button clicked by text match: "${candidates[0].label}"`);
+            return;
+        }
+        
+        throw new ElementNotFoundError({
+            message: `Button with text "${buttonText}" not found`,
+            selector: `button "${buttonText}"`,
+            state: 'clickable',
+            timeout
+        });
     }
 
     /**
-     * Wait for bot response after sending a message
+     * Get the labels of quick reply buttons offered by the last bot message.
+     * Falls back to all quick replies in the widget when the message has none.
      * @param {number} timeout - Timeout in milliseconds
+     * @returns {Array} Quick reply labels
      */
-    async waitForResponse(timeout = this.responseTimeout) {
-        console.log('⏳ Waiting for bot response');
+    async getQuickReplies(timeout = this.shortTimeout) {
+        console.log('🔘 Getting quick replies');
         
-        // First, wait for typing indicator to appear (if it exists)
-        const typingVisible = await this.isTypingIndicatorVisible(this.typingTimeout);
+        const labels = [];
+        try {
+            const botMessages = await this.findElements(this.selectors.botMessages);
+            let buttons = [];
+            
+            if (botMessages.length > 0) {
+                buttons = await botMessages[botMessages.length - 1].$$(locators.lastSegment(this.selectors.quickReplies));
+            }
+            
+            if (buttons.length === 0 && await this.isElementDisplayed(this.selectors.quickReplies, timeout)) {
+                buttons = await this.findElements(this.selectors.quickReplies);
+            }
+            
+            for (const button of buttons) {
+                if (await button.isDisplayed()) {
+                    labels.push((await button.getText()).trim());
+                }
+            }
+        } finally {
+            await this.switchToTopFrame();
+        }
         
-        if (typingVisible) {
-            console.log('⌨️ Typing indicator visible, waiting for it to disappear');
-            await this.waitForElementDisappear(this.selectors.typingIndicator, timeout);
+        console.log(`✅ Quick replies: [${labels.join(', ')}]`);
+        return labels;
+    }
+
+    /**
+     * Wait for bot response after sending a message. The reply counts as
+     * finished once a new bot message appeared and the profile's
+     * end-of-response signals hold, including a quiet period in which the
+     * last bot message text stopped changing (streamed replies) and no new
+     * bubbles arrived (bursts).
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} options - Completion options
+     * @param {number} options.quietPeriod - Override the profile quiet period in milliseconds
+     * @param {boolean|Object} options.networkIdle - Also wait for network idle (overrides endOfResponse.networkIdle)
+     * @throws {BotResponseTimeoutError} If the reply does not arrive or finish in time
+     */
+    async waitForResponse(timeout = this.responseTimeout, options = {}) {
+        console.log('⏳ Waiting for bot response');
+        
+        if (this.turnComplete && options.quietPeriod === undefined && options.networkIdle === undefined) {
+            console.log('✅ Bot response already complete');
+            return;
         }
         
-        // Wait for a new bot message to appear
-        const initialMessageCount = await this.getElementCount(this.selectors.botMessages, this.shortTimeout);
+        // Compare against the count captured before sending, so replies that
+        // arrive before this call are not missed
+        const initialMessageCount = this.botMessageCountBeforeSend !== null
+            ? this.botMessageCountBeforeSend
+            : await this._getBotMessageCount();
+        let firstResponseAt = null;
         
-        await this.waitForCondition(
-            async () => {
-                const currentMessageCount = await this.getElementCount(this.selectors.botMessages, this.shortTimeout);
-                return currentMessageCount > initialMessageCount;
-            },
-            timeout,
-            'Bot response did not appear within the specified timeout'
-        );
+        try {
+            if ((await this._getBotMessageCount()) <= initialMessageCount) {
+                // First, wait for typing indicator to appear (if it exists)
+                if (this.endOfResponse.typingIndicator) {
+                    const typingVisible = await this.isTypingIndicatorVisible(this.typingTimeout);
+                    
+                    if (typingVisible) {
+                        this._markTurnTiming('typingAt');
+                        console.log('⌨️ Typing indicator visible, waiting for it to disappear');
+                        await this.waitForElementDisappear(this.selectors.typingIndicator, timeout);
+                    }
+                }
+                
+                // Wait for a new bot message to appear
+                await this.waitForCondition(
+                    async () => {
+                        const arrived = (await this._getBotMessageCount()) > initialMessageCount;
+                        if (arrived && !firstResponseAt) {
+                            firstResponseAt = Date.now();
+                        }
+                        return arrived;
+                    },
+                    timeout,
+                    'Bot response did not appear within the specified timeout'
+                );
+            }
+            firstResponseAt = firstResponseAt || Date.now();
+            this._markTurnTiming('firstTextAt', firstResponseAt);
+            
+            await this._waitForEndOfResponse(timeout, options);
+        } catch (error) {
+            const typedError = this._responseError(error, timeout, firstResponseAt ? 'end-of-response' : 'first-message');
+            await this._recordTurnError(typedError);
+            
+            // With session recovery, resume the conversation and repeat the lost turn
+            const failedTurn = this.currentTurn;
+            if (failedTurn && await this._recoverSession(typedError)) {
+                await (failedTurn.via === 'button' ? this.clickButton(failedTurn.text) : this.sendMessage(failedTurn.text));
+                return this.waitForResponse(timeout, options);
+            }
+            throw typedError;
+        }
+        
+        if (this.botMessageCountBeforeSend !== null && !this.turnComplete) {
+            const completedAt = Date.now();
+            this.lastTurnMessages = await this._collectTurnMessages();
+            
+            // Replayed turns after a session recovery are already in the transcript
+            if (!this.replaying) {
+                this.transcript.recordReceived(this.lastTurnMessages, {
+                    firstResponseAt,
+                    completedAt,
+                    arrivals: this.messageArrivals.slice()
+                });
+            }
+            this.turnComplete = true;
+            
+            if (this.currentTurn) {
+                this.conversationTurns.push({ text: this.currentTurn.text, via: this.currentTurn.via });
+                await this._captureChatSessionId();
+            }
+            
+            // Replayed turns after a session recovery are not new latency samples
+            if (this.turnTiming && this.turnTiming.sentAt && !this.replaying) {
+                this._markTurnTiming('completedAt', completedAt);
+                this.lastTurnLatency = this.latency.recordTurn(this.turnTiming.utterance, this.turnTiming);
+            }
+            
+            // Read the response bodies so payload assertions see the whole turn
+            await this.traffic.flush();
+            
+            if (this.transcript.screenshotEachTurn && !this.replaying) {
+                await this.captureTurnScreenshot('response');
+            }
+        }
         
         console.log('✅ Bot response received');
     }
 
+    /**
+     * Take a screenshot and attach it to the current transcript turn
+     * @param {string} description - Screenshot description
+     * @returns {Promise<string>} Screenshot path
+     */
+    async captureTurnScreenshot(description = 'turn') {
+        const turnNumber = this.transcript.turns.length;
+        const screenshotPath = await this.takeScreenshot(`turn_${turnNumber}_${description}`);
+        this.transcript.attachScreenshot(screenshotPath, description);
+        return screenshotPath;
+    }
+
     /**
      * Check if typing indicator is visible
      * @param {number} timeout - Timeout in milliseconds
@@ -241,36 +676,51 @@ class ChatbotPage extends BasePage {
     }
 
     /**
-     * Get all messages in the conversation
+     * Get all messages in the conversation. The DOM does not say when a
+     * message appeared; the transcript records when each one was seen
      * @param {number} timeout - Timeout in milliseconds
      * @returns {Array} Array of message objects with text and sender info
      */
     async getAllMessages(timeout = this.defaultTimeout) {
         console.log('📋 Getting all messages from conversation');
         
-        const messages = await this.getAllElements(this.selectors.messages, timeout);
-        const messageData = [];
-        
-        for (const message of messages) {
-            try {
-                const text = await message.getText();
-                const isBot = await message.$(this.selectors.botMessages).isExisting();
-                const isUser = await message.$(this.selectors.userMessages).isExisting();
-                
-                messageData.push({
-                    text: text,
-                    sender: isBot ? 'bot' : isUser ? 'user' : 'unknown',
-                    timestamp: new Date().toISOString()
-                });
-            } catch (error) {
-                console.log('⚠️ Could not extract message data');
-            }
-        }
+        await this.getAllElements(this.selectors.messages, timeout);
+        const messageData = (await this.getStructuredMessages()).map(message => ({
+            text: message.text,
+            sender: message.sender
+        }));
         
         console.log(`✅ Retrieved ${messageData.length} messages`);
         return messageData;
     }
 
+    /**
+     * Get all messages as structured data: sender, text, quick replies,
+     * cards, carousels, links and attachments
+     * @returns {Promise<Array>} Structured messages in conversation order
+     */
+    async getStructuredMessages() {
+        console.log('🧱 Extracting structured messages');
+        
+        const extractor = new MessageExtractor(this.selectors, this.messageParts);
+        const messages = await extractor.extractAll();
+        
+        console.log(`✅ Extracted ${messages.length} structured messages`);
+        return messages;
+    }
+
+    /**
+     * Wait for the bot response and return the last bot message as structured data
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Object|null>} Structured bot message or null if there is none
+     */
+    async getLastStructuredResponse(timeout = this.responseTimeout) {
+        await this.waitForResponse(timeout);
+        
+        const botMessages = (await this.getStructuredMessages()).filter(message => message.sender === 'bot');
+        return botMessages.length > 0 ? botMessages[botMessages.length - 1] : null;
+    }
+
     /**
      * Get conversation history as text
      * @param {number} timeout - Timeout in milliseconds
@@ -291,12 +741,49 @@ class ChatbotPage extends BasePage {
         return history.trim();
     }
 
+    /**
+     * Get the latency of the last completed turn
+     * @returns {Object|null} { utterance, typing, firstText, complete } in milliseconds
+     */
+    getLastTurnLatency() {
+        return this.lastTurnLatency;
+    }
+
+    /**
+     * Get the recorded transcript for the current test, with real send and
+     * receive times, latency, screenshots and errors per turn
+     * @returns {Object} Transcript data
+     */
+    getTranscript() {
+        return this.transcript.toJSON();
+    }
+
+    /**
+     * Compare the chat panel with its visual baseline
+     * @param {string} name - Baseline name
+     * @param {Object} options - Comparison options (ignore, tolerance, threshold)
+     * @returns {Promise<Object>} Comparison result (see ScreenshotManager.compareScreenshot)
+     */
+    async compareChatPanel(name, options = {}) {
+        return screenshotManager.compareScreenshot(name, { selector: this.selectors.chatWidget, ...options });
+    }
+
+    /**
+     * Audit the chat widget for accessibility (axe-core plus chat checks)
+     * @param {Object} options - Audit options (tags, disableRules, focusOnOpen)
+     * @returns {Promise<Object>} Audit report (see AccessibilityAuditor.auditWidget)
+     */
+    async auditAccessibility(options = {}) {
+        return accessibilityAuditor.auditWidget(this, options);
+    }
+
     /**
      * Clear the conversation
      * @param {number} timeout - Timeout in milliseconds
      */
     async clearConversation(timeout = this.defaultTimeout) {
         console.log('🧹 Clearing conversation');
+        this.resetTurnState();
         
         try {
             // Try to find and click a clear/reset button
@@ -357,6 +844,16 @@ class ChatbotPage extends BasePage {
     async openChatWidget(timeout = this.defaultTimeout) {
         console.log('🔓 Opening chat widget');
         
+        if (this.interactionMode === 'keyboard') {
+            await this.keyboard.openWidget(timeout);
+            return;
+        }
+        
+        if (this.launcher) {
+            await this.launchChat(timeout);
+            return;
+        }
+        
         const isOpen = await this.isChatWidgetOpen(this.shortTimeout);
         
         if (!isOpen) {
@@ -380,6 +877,11 @@ class ChatbotPage extends BasePage {
     async closeChatWidget(timeout = this.defaultTimeout) {
         console.log('🔒 Closing chat widget');
         
+        if (this.interactionMode === 'keyboard') {
+            await this.keyboard.closeWidget(timeout);
+            return;
+        }
+        
         const isOpen = await this.isChatWidgetOpen(this.shortTimeout);
         
         if (isOpen) {
@@ -432,6 +934,22 @@ class ChatbotPage extends BasePage {
         }
     }
 
+    /**
+     * Send message and wait until the bot has finished the whole turn
+     * @param {string} message - Message to send
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Array} All bot messages produced by the turn
+     */
+    async sendMessageAndWaitForTurn(message, timeout = this.responseTimeout) {
+        console.log(`💬 Sending message and waiting for the full turn: "${message}"`);
+        
+        await this.sendMessage(message, timeout);
+        const responses = await this.getTurnResponses(timeout);
+        
+        console.log(`✅ Message sent and ${responses.length} response(s) received`);
+        return responses;
+    }
+
     /**
      * Send message and wait for response
      * @param {string} message - Message to send
@@ -453,18 +971,31 @@ class ChatbotPage extends BasePage {
      * Verify bot response contains expected text
      * @param {string} expectedText - Expected text in response
      * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} options - Matching options
+     * @param {string} options.matchMode - 'contains' (default) or 'fuzzy' for similarity scoring
+     * @param {number} options.threshold - Fuzzy score required to pass (0-1)
+     * @param {string} options.method - Fuzzy method: 'combined', 'tokenOverlap', 'levenshtein' or 'synonym'
+     * @param {Array} options.synonyms - Extra synonym groups for fuzzy matching
      * @returns {boolean} True if response contains expected text
      */
-    async verifyResponseContains(expectedText, timeout = this.responseTimeout) {
-        console.log(`🔍 Verifying response contains: "${expectedText}"`);
+    async verifyResponseContains(expectedText, timeout = this.responseTimeout, options = {}) {
+        const matchMode = options.matchMode || 'contains';
+        console.log(`🔍 Verifying response ${matchMode === 'fuzzy' ? 'resembles' : 'contains'}: "${expectedText}"`);
         
         const response = await this.getLastResponse(timeout);
+        this.lastMatchReport = null;
         
         if (!response) {
             console.log('❌ No response received');
             return false;
         }
         
+        if (matchMode === 'fuzzy') {
+            this.lastMatchReport = textSimilarity.score(response, expectedText, options);
+            console.log(`✅ Response verification: ${this.lastMatchReport.passed} (score ${this.lastMatchReport.score}, threshold ${this.lastMatchReport.threshold})`);
+            return this.lastMatchReport.passed;
+        }
+        
         const containsText = response.toLowerCase().includes(expectedText.toLowerCase());
         console.log(`✅ Response verification: ${containsText}`);
         return containsText;
@@ -485,6 +1016,353 @@ class ChatbotPage extends BasePage {
         console.log(`✅ ${sender} message count: ${count}`);
         return count;
     }
+
+    /**
+     * Prepare a new turn: remember the bot message count and start tracking
+     * the backend traffic and timings of the message
+     * @param {string} utterance - Message or button text
+     * @param {string} via - 'typed' or 'button'
+     */
+    async _beginTurn(utterance, via) {
+        this.botMessageCountBeforeSend = await this._getBotMessageCount();
+        this.messageArrivals = [];
+        this.turnComplete = false;
+        this.currentTurn = { text: utterance, via };
+        this.turnTiming = { utterance, sentAt: null, typingAt: null, firstTextAt: null, completedAt: null };
+        
+        await this.traffic.start();
+        if (this._getNetworkIdleOptions()) {
+            await networkMonitor.start();
+        }
+        if (!this.replaying) {
+            this.traffic.startTurn(this.transcript.turns.length + 1);
+        }
+    }
+
+    /**
+     * Record a sent message in the transcript, unless it is a replayed turn
+     * @param {string} text - Message or button text
+     * @param {string} via - 'typed' or 'button'
+     */
+    _recordSent(text, via) {
+        if (!this.replaying) {
+            this.transcript.recordSent(text, { via, sentAt: this.turnTiming.sentAt });
+        }
+    }
+
+    /**
+     * Set a timestamp of the current turn once
+     * @param {string} name - 'typingAt', 'firstTextAt' or 'completedAt'
+     * @param {number} at - Epoch milliseconds (defaults to now)
+     */
+    _markTurnTiming(name, at = Date.now()) {
+        if (this.turnTiming && !this.turnTiming[name]) {
+            this.turnTiming[name] = at;
+        }
+    }
+
+    /**
+     * Count bot messages currently in the DOM without waiting
+     * @returns {Promise<number>} Number of bot messages
+     */
+    async _getBotMessageCount() {
+        const botMessages = await this.findElements(this.selectors.botMessages);
+        this._noteArrivals(botMessages.length);
+        return botMessages.length;
+    }
+
+    /**
+     * Stamp bot messages of the current turn that appeared since the last check
+     * @param {number} count - Number of bot messages in the DOM
+     */
+    _noteArrivals(count) {
+        if (this.botMessageCountBeforeSend === null || this.turnComplete) {
+            return;
+        }
+        const now = Date.now();
+        for (let index = this.botMessageCountBeforeSend + this.messageArrivals.length; index < count; index++) {
+            this.messageArrivals.push(now);
+        }
+    }
+
+    /**
+     * Wait for the profile's end-of-response signals after a reply appeared
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} options - Completion options (quietPeriod override)
+     */
+    async _waitForEndOfResponse(timeout = this.responseTimeout, options = {}) {
+        const { readySelector, inputEnabled } = this.endOfResponse;
+        const quietPeriod = options.quietPeriod !== undefined ? options.quietPeriod : this.endOfResponse.quietPeriod;
+        
+        if (readySelector) {
+            await this.waitForElement(readySelector, timeout);
+        }
+        
+        if (inputEnabled) {
+            await this.waitForCondition(
+                async () => {
+                    const input = await this.findElement(this.selectors.messageInput);
+                    return (await input.isEnabled()) && (await input.getAttribute('aria-disabled')) !== 'true';
+                },
+                timeout,
+                'Message input was not re-enabled after the bot response'
+            );
+        }
+        
+        if (quietPeriod > 0) {
+            await this._waitForQuietPeriod(quietPeriod, timeout);
+        }
+        
+        const networkIdle = this._getNetworkIdleOptions(options);
+        if (networkIdle) {
+            await waitUtils.waitForNetworkIdle(timeout, null, networkIdle);
+        }
+    }
+
+    /**
+     * Get the network-idle options for the current turn
+     * @param {Object} options - waitForResponse options
+     * @returns {Object|null} waitForNetworkIdle options, or null when disabled
+     */
+    _getNetworkIdleOptions(options = {}) {
+        const networkIdle = options.networkIdle !== undefined ? options.networkIdle : this.endOfResponse.networkIdle;
+        if (!networkIdle) {
+            return null;
+        }
+        return networkIdle === true ? {} : networkIdle;
+    }
+
+    /**
+     * Wait until the bot message count, the last bot message text and the
+     * typing indicator have not changed for the quiet period
+     * @param {number} quietPeriod - Quiet period in milliseconds
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async _waitForQuietPeriod(quietPeriod, timeout = this.responseTimeout) {
+        console.log(`⏳ Waiting for ${quietPeriod}ms without new bot output`);
+        
+        let lastSnapshot = null;
+        let lastChange = Date.now();
+        
+        await browser.waitUntil(
+            async () => {
+                const snapshot = await this._getResponseSnapshot();
+                if (snapshot !== lastSnapshot) {
+                    lastSnapshot = snapshot;
+                    lastChange = Date.now();
+                }
+                return Date.now() - lastChange >= quietPeriod;
+            },
+            {
+                timeout,
+                interval: Math.min(250, quietPeriod),
+                timeoutMsg: `Bot response kept changing for longer than ${timeout}ms`
+            }
+        );
+    }
+
+    /**
+     * Capture the state used to detect streaming: message count, last bot
+     * message text and typing indicator visibility
+     * @returns {Promise<string>} Snapshot string
+     */
+    async _getResponseSnapshot() {
+        const botMessages = await this.findElements(this.selectors.botMessages);
+        this._noteArrivals(botMessages.length);
+        const lastText = botMessages.length > 0
+            ? await this._getMessageText(botMessages[botMessages.length - 1])
+            : '';
+        
+        let typing = false;
+        if (this.endOfResponse.typingIndicator) {
+            const indicator = await this.findElement(this.selectors.typingIndicator);
+            typing = (await indicator.isExisting()) && (await indicator.isDisplayed());
+        }
+        
+        return `${botMessages.length}|${typing}|${lastText}`;
+    }
+
+    /**
+     * Read the bot messages added since the last message was sent
+     * @returns {Promise<Array>} Bot message texts
+     */
+    async _collectTurnMessages() {
+        const botMessages = await this.findElements(this.selectors.botMessages);
+        this._noteArrivals(botMessages.length);
+        const firstIndex = this.botMessageCountBeforeSend !== null ? this.botMessageCountBeforeSend : botMessages.length - 1;
+        const texts = [];
+        
+        for (const message of botMessages.slice(Math.max(firstIndex, 0))) {
+            texts.push(await this._getMessageText(message));
+        }
+        
+        return texts;
+    }
+
+    /**
+     * Run a turn action and, when the browser session is lost, recover it and run the action again
+     * @param {Function} action - Async action
+     * @returns {Promise<any>} Result of the action
+     */
+    async _withSessionRecovery(action) {
+        try {
+            return await action();
+        } catch (error) {
+            if (await this._recoverSession(error)) {
+                return this._withSessionRecovery(action);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Recover a lost browser session through the session recovery, unless it
+     * is disabled, the error is not a session error or a recovery is running
+     * @param {Error} error - Error of the failed action
+     * @returns {Promise<boolean>} True if the session was recovered
+     */
+    async _recoverSession(error) {
+        if (this.recovering || !this.sessionRecovery.enabled || !SessionManager.isSessionError(error)) {
+            return false;
+        }
+        
+        this.recovering = true;
+        try {
+            await this.sessionRecovery.recover(this, error, { turn: this.currentTurn ? this.currentTurn.text : null });
+        } finally {
+            this.recovering = false;
+        }
+        return true;
+    }
+
+    /**
+     * Send completed turns again after a new session opened the chat. The
+     * transcript and traffic recorders already hold these turns, so the
+     * replay is not recorded again.
+     * @param {Array} turns - Turns ({ text, via }) in order
+     */
+    async _replayTurns(turns) {
+        this.replaying = true;
+        this.traffic.pause();
+        try {
+            for (const turn of turns) {
+                console.log(`🔁 Replaying ${turn.via} turn: "${turn.text}"`);
+                await (turn.via === 'button' ? this.clickButton(turn.text) : this.sendMessage(turn.text));
+                await this.waitForResponse();
+            }
+        } finally {
+            this.replaying = false;
+            this.traffic.resume();
+        }
+    }
+
+    /**
+     * Put the stored chat session ID back into the new browser and reopen the chat
+     * @param {string} chatSessionId - Chat session ID captured before the session was lost
+     * @param {number} expectedTurns - Completed turns the restored chat should show
+     * @returns {Promise<boolean>} True if the widget shows the restored conversation
+     */
+    async _restoreChatSession(chatSessionId, expectedTurns) {
+        const { storage, key } = this.chatSession;
+        
+        // Storage is per origin, so load the chat page before writing to it
+        const url = this.lastOpenedUrl || profileManager.getChatPath(this.locale) || '/';
+        await this.navigateTo(url);
+        if (storage === 'cookie') {
+            await browser.setCookies({ name: key, value: chatSessionId });
+        } else {
+            await browser.execute((area, name, value) => window[area].setItem(name, value), storage, key, chatSessionId);
+        }
+        await this.open(url);
+        
+        const restoredTurns = await this.getElementCount(this.selectors.userMessages);
+        console.log(`📊 Restored chat shows ${restoredTurns} of ${expectedTurns} user message(s)`);
+        return restoredTurns >= expectedTurns;
+    }
+
+    /**
+     * Remember the widget's chat session ID after a completed turn
+     */
+    async _captureChatSessionId() {
+        if (!this.chatSession) {
+            return;
+        }
+        
+        try {
+            const { storage, key } = this.chatSession;
+            const value = storage === 'cookie'
+                ? ((await browser.getCookies([key]))[0] || {}).value
+                : await browser.execute((area, name) => window[area].getItem(name), storage, key);
+            this.chatSessionId = value || this.chatSessionId;
+        } catch (error) {
+            console.log(`⚠️ Could not read the chat session ID: ${error.message}`);
+        }
+    }
+
+    /**
+     * Convert a failed chat widget wait into a ChatWidgetNotFoundError
+     * @param {Error} error - Error of the wait
+     * @param {string} selector - Widget, launcher or ready selector
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {ChatbotTestError} Error to throw
+     */
+    _widgetError(error, selector, timeout) {
+        if (error instanceof ElementNotFoundError) {
+            return new ChatWidgetNotFoundError({ selector, profile: this.profile.name, timeout, cause: error });
+        }
+        return error;
+    }
+
+    /**
+     * Convert an error raised while waiting for the bot into a typed error
+     * @param {Error} error - Error of the wait
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {string} stage - 'first-message' or 'end-of-response'
+     * @returns {ChatbotTestError} Error to throw
+     */
+    _responseError(error, timeout, stage) {
+        if (SessionManager.isSessionError(error)) {
+            return error instanceof SessionLostError ? error : new SessionLostError({ command: 'waitForResponse', cause: error });
+        }
+        if (error instanceof ChatbotTestError && error.category !== 'TimeoutError') {
+            return error;
+        }
+        return new BotResponseTimeoutError({
+            utterance: this.turnTiming ? this.turnTiming.utterance : null,
+            timeout,
+            elapsed: this.turnTiming && this.turnTiming.sentAt ? Date.now() - this.turnTiming.sentAt : null,
+            stage,
+            cause: error
+        });
+    }
+
+    /**
+     * Attach an error (and a screenshot when possible) to the current transcript turn
+     * @param {Error} error - Error raised while waiting for the bot
+     */
+    async _recordTurnError(error) {
+        this.transcript.recordError(error);
+        
+        try {
+            await this.captureTurnScreenshot('error');
+        } catch (screenshotError) {
+            console.log(`⚠️ Could not capture turn screenshot: ${screenshotError.message}`);
+        }
+    }
+
+    /**
+     * Read the text of a message element, preferring its text child
+     * @param {WebdriverIO.Element} message - Message element
+     * @returns {Promise<string>} Message text
+     */
+    async _getMessageText(message) {
+        const messageTextElement = await message.$(this.selectors.messageText);
+        
+        if (await messageTextElement.isExisting()) {
+            return messageTextElement.getText();
+        }
+        return message.getText();
+    }
 }
 
 module.exports = ChatbotPage; 
\ No newline at end of file
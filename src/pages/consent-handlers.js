@@ -0,0 +1,353 @@
+/**
+ * Cookie Consent Handlers
+ *
+ * Cookie banners of consent-management platforms cover the chat launcher
+ * and decide which cookies the chat may set. Each handler here knows the
+ * DOM of one platform (OneTrust, TrustArc, Cookiebot) or of a site-specific
+ * banner ('custom', selectors from the environment) and can accept all
+ * cookies, reject the non-essential ones or apply custom preferences.
+ * BasePage.navigateTo detects the banner and applies the consent state of
+ * the environment ("consent" in src/config/environments.json).
+ *
+ * Preferences use platform-neutral categories: functional, analytics,
+ * marketing and social (performance, statistics, targeting, advertising and
+ * preferences are accepted as aliases).
+ */
+
+const STATES = ['accept', 'reject', 'custom', 'ignore'];
+const CATEGORY_ALIASES = {
+    preferences: 'functional',
+    performance: 'analytics',
+    statistics: 'analytics',
+    targeting: 'marketing',
+    advertising: 'marketing'
+};
+
+class ConsentHandler {
+    /**
+     * @param {string} name - Handler name
+     * @param {Object} selectors - Banner selectors
+     * @param {string} selectors.banner - Element that is visible while consent is pending (plain CSS, used for detection)
+     * @param {string} selectors.accept - Accept-all button
+     * @param {string} selectors.reject - Reject-all (or essential only) button
+     * @param {string} selectors.settings - Button opening the preference panel
+     * @param {Object} selectors.categories - Checkbox per category, e.g. { analytics: '#stats' }
+     * @param {string} selectors.save - Button saving the chosen preferences
+     */
+    constructor(name, selectors = {}) {
+        this.name = name;
+        this.selectors = { categories: {}, ...selectors };
+    }
+
+    /**
+     * Accept all cookies
+     * @param {BasePage} page - Page object used for clicks
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async accept(page, timeout) {
+        await page.safeClick(this._selector('accept'), timeout);
+    }
+
+    /**
+     * Reject all non-essential cookies
+     * @param {BasePage} page - Page object used for clicks
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async reject(page, timeout) {
+        await page.safeClick(this._selector('reject'), timeout);
+    }
+
+    /**
+     * Open the preference panel, set each category and save
+     * @param {BasePage} page - Page object used for clicks
+     * @param {Object} preferences - Allowed state per category, e.g. { analytics: true, marketing: false }
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async applyPreferences(page, preferences, timeout) {
+        const wanted = this.normalizePreferences(preferences);
+        const categories = Object.keys(wanted);
+        categories.forEach(category => this._selector('categories', category));
+
+        if (this.selectors.settings) {
+            await page.safeClick(this.selectors.settings, timeout);
+        }
+        for (const category of categories) {
+            await this._setCheckbox(page, this.selectors.categories[category], wanted[category], timeout);
+        }
+        await page.safeClick(this._selector('save'), timeout);
+    }
+
+    /**
+     * Wait until the banner is gone
+     * @param {BasePage} page - Page object
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async waitForDismissed(page, timeout) {
+        await page.waitForElementDisappear(this.selectors.banner, timeout);
+    }
+
+    /**
+     * Map category aliases to the neutral category names
+     * @param {Object} preferences - Allowed state per category
+     * @returns {Object} Allowed state per neutral category
+     */
+    normalizePreferences(preferences = {}) {
+        return Object.entries(preferences).reduce((normalized, [category, allowed]) => {
+            const key = category.toLowerCase();
+            normalized[CATEGORY_ALIASES[key] || key] = Boolean(allowed);
+            return normalized;
+        }, {});
+    }
+
+    _selector(key, category = null) {
+        const selector = category ? this.selectors.categories[category] : this.selectors[key];
+        if (!selector) {
+            const what = category ? `the "${category}" category` : `"${key}"`;
+            throw new Error(`Consent handler "${this.name}" has no selector for ${what}. Set it in consent.selectors of the environment`);
+        }
+        return selector;
+    }
+
+    async _setCheckbox(page, selector, checked, timeout) {
+        try {
+            // Platforms hide the real checkbox behind a styled switch, so it
+            // only has to exist and is clicked from script
+            const checkbox = await page.waitForElementExist(selector, timeout);
+            if ((await checkbox.isSelected()) !== checked) {
+                await browser.execute(element => element.click(), checkbox);
+            }
+        } finally {
+            await page.switchToTopFrame();
+        }
+    }
+}
+
+/**
+ * OneTrust banner and preference center
+ */
+class OneTrustHandler extends ConsentHandler {
+    constructor() {
+        super('onetrust', {
+            banner: '#onetrust-banner-sdk',
+            accept: '#onetrust-accept-btn-handler',
+            reject: '#onetrust-reject-all-handler',
+            settings: '#onetrust-pc-btn-handler',
+            categories: {
+                analytics: '#ot-group-id-C0002',
+                functional: '#ot-group-id-C0003',
+                marketing: '#ot-group-id-C0004',
+                social: '#ot-group-id-C0005'
+            },
+            save: '#onetrust-pc-sdk .save-preference-btn-handler'
+        });
+    }
+}
+
+/**
+ * TrustArc consent bar. Its preference manager is a cross-origin iframe
+ * whose markup differs per site, so custom preferences need the category
+ * selectors from the environment.
+ */
+class TrustArcHandler extends ConsentHandler {
+    constructor() {
+        super('trustarc', {
+            banner: '#truste-consent-track',
+            accept: '#truste-consent-button',
+            reject: '#truste-consent-required',
+            settings: '#truste-show-consent'
+        });
+    }
+}
+
+/**
+ * Cookiebot dialog
+ */
+class CookiebotHandler extends ConsentHandler {
+    constructor() {
+        super('cookiebot', {
+            banner: '#CybotCookiebotDialog',
+            accept: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+            reject: '#CybotCookiebotDialogBodyButtonDecline',
+            categories: {
+                functional: '#CybotCookiebotDialogBodyLevelButtonPreferences',
+                analytics: '#CybotCookiebotDialogBodyLevelButtonStatistics',
+                marketing: '#CybotCookiebotDialogBodyLevelButtonMarketing'
+            },
+            save: '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowallSelection'
+        });
+    }
+}
+
+class ConsentHandlerRegistry {
+    constructor() {
+        this.handlers = [
+            new OneTrustHandler(),
+            new TrustArcHandler(),
+            new CookiebotHandler()
+        ];
+
+        // Origins whose banner was handled, or that showed no banner, in the current browser session
+        this.handledOrigins = new Set();
+        this.bannerlessOrigins = new Set();
+        this.lastResult = null;
+    }
+
+    /**
+     * Register a handler, checked before the built-in ones
+     * @param {ConsentHandler} handler - Handler instance
+     */
+    register(handler) {
+        this.handlers = [handler, ...this.handlers.filter(existing => existing.name !== handler.name)];
+        console.log(`🍪 Registered consent handler: ${handler.name}`);
+    }
+
+    /**
+     * Get a handler by name
+     * @param {string} name - Handler name
+     * @returns {ConsentHandler} Handler
+     */
+    get(name) {
+        const handler = this.handlers.find(candidate => candidate.name === name);
+        if (!handler) {
+            throw new Error(`Unknown consent handler: ${name}. Available: ${this.getNames().join(', ')}`);
+        }
+        return handler;
+    }
+
+    /**
+     * Get the names of all registered handlers
+     * @returns {Array} Handler names
+     */
+    getNames() {
+        return this.handlers.map(handler => handler.name);
+    }
+
+    /**
+     * Wait for the banner of one of the handlers to show up
+     * @param {Array} handlers - Handlers to look for
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<ConsentHandler|null>} Handler whose banner is visible, or null
+     */
+    async detect(handlers = this.handlers, timeout = 5000) {
+        const banners = handlers.map(handler => handler.selectors.banner);
+        let index = -1;
+
+        try {
+            await browser.waitUntil(async () => {
+                index = await browser.execute(selectors => selectors.findIndex(selector => {
+                    const element = document.querySelector(selector);
+                    return Boolean(element && element.getClientRects().length > 0 &&
+                        window.getComputedStyle(element).visibility !== 'hidden');
+                }), banners);
+                return index >= 0;
+            }, { timeout, interval: 250 });
+        } catch (error) {
+            return null;
+        }
+
+        console.log(`🍪 Detected consent banner: ${handlers[index].name}`);
+        return handlers[index];
+    }
+
+    /**
+     * Apply a consent state to the banner of the current page
+     * @param {BasePage} page - Page object used for clicks
+     * @param {Object} settings - Consent settings (see ProfileManager.getConsentSettings)
+     * @param {string} settings.state - 'accept', 'reject', 'custom' or 'ignore'
+     * @param {string} settings.provider - 'auto' or a handler name ('onetrust', 'trustarc', 'cookiebot', 'custom')
+     * @param {Object} settings.preferences - Allowed state per category for the 'custom' state
+     * @param {Object} settings.selectors - Selectors for the 'custom' provider, or overrides for a built-in one
+     * @param {number} settings.timeout - Time to wait for the banner in milliseconds
+     * @returns {Promise<Object|null>} { provider, state, preferences, url } or null when nothing was done
+     */
+    async handle(page, settings = {}) {
+        const state = settings.state || 'ignore';
+        if (!STATES.includes(state)) {
+            throw new Error(`Unknown consent state "${state}". Use one of: ${STATES.join(', ')}`);
+        }
+        if (state === 'ignore') {
+            return null;
+        }
+
+        const origin = await browser.execute(() => window.location.origin);
+        const key = `${browser.sessionId}|${origin}`;
+        if (this.handledOrigins.has(key) || this.bannerlessOrigins.has(key)) {
+            return null;
+        }
+
+        const timeout = settings.timeout || 5000;
+        const candidates = this._candidates(settings);
+        const handler = await this.detect(candidates, timeout);
+        if (!handler) {
+            // Don't wait for the banner again on every navigation to this origin
+            this.bannerlessOrigins.add(key);
+            console.log(`🍪 No consent banner found on ${origin}`);
+            return null;
+        }
+
+        try {
+            console.log(`🍪 Applying consent "${state}" with ${handler.name}`);
+            if (state === 'accept') {
+                await handler.accept(page, timeout);
+            } else if (state === 'reject') {
+                await handler.reject(page, timeout);
+            } else {
+                await handler.applyPreferences(page, settings.preferences || {}, timeout);
+            }
+            await handler.waitForDismissed(page, timeout);
+        } catch (error) {
+            console.error('❌ Error applying cookie consent:', error.message);
+            throw error;
+        }
+
+        this.handledOrigins.add(key);
+        this.lastResult = {
+            provider: handler.name,
+            state,
+            preferences: state === 'custom' ? handler.normalizePreferences(settings.preferences) : null,
+            url: await browser.getUrl()
+        };
+        console.log(`✅ Cookie consent applied: ${state} (${handler.name})`);
+        return this.lastResult;
+    }
+
+    /**
+     * Forget which origins were handled or showed no banner, e.g. after cookies were deleted
+     */
+    reset() {
+        this.handledOrigins.clear();
+        this.bannerlessOrigins.clear();
+        this.lastResult = null;
+    }
+
+    _candidates(settings) {
+        const provider = settings.provider || 'auto';
+        if (provider === 'custom') {
+            return [new ConsentHandler('custom', settings.selectors)];
+        }
+
+        const handlers = provider === 'auto' ? this.handlers : [this.get(provider)];
+        if (!settings.selectors) {
+            return handlers;
+        }
+        // Site-specific overrides for a built-in platform
+        return handlers.map(handler => new ConsentHandler(handler.name, {
+            ...handler.selectors,
+            ...settings.selectors,
+            categories: { ...handler.selectors.categories, ...settings.selectors.categories }
+        }));
+    }
+}
+
+// Create singleton instance
+const consentHandlers = new ConsentHandlerRegistry();
+
+// Export both classes and singleton instance
+module.exports = {
+    ConsentHandler,
+    OneTrustHandler,
+    TrustArcHandler,
+    CookiebotHandler,
+    ConsentHandlerRegistry,
+    consentHandlers
+};
@@ -0,0 +1,386 @@
+/**
+ * Chat Input Strategies
+ *
+ * Rich text editors used by chat widgets (Draft.js, Lexical and other
+ * contenteditable editors) ignore clearValue/setValue because they keep
+ * their own editor state. Each strategy here knows how to clear, type,
+ * confirm the text and submit for one kind of input. ChatbotPage picks
+ * the right strategy automatically from the input element.
+ */
+
+const { Key } = require('webdriverio');
+const { locators } = require('./locator');
+
+/**
+ * Keys that select all text in the browser under test: Command+A on macOS,
+ * Ctrl+A elsewhere. The platform comes from the session capabilities (a
+ * grid browser can run on another OS), falling back to the local platform.
+ * Key.Ctrl is not used because it only maps to Command when the platform
+ * is reported as "macOS", while Chrome reports "mac".
+ * @returns {Array} Key sequence for browser.keys()
+ */
+function selectAllKeys() {
+    const capabilities = browser.capabilities || {};
+    const platform = String(capabilities.platformName || capabilities.platform || process.platform).toLowerCase();
+    const isMac = platform === 'darwin' || platform.includes('mac');
+    return [isMac ? Key.Command : Key.Control, 'a'];
+}
+
+class InputStrategy {
+    /**
+     * @param {string} name - Strategy name
+     * @param {string} editableSelector - Selector of the editable element inside a wrapper
+     */
+    constructor(name, editableSelector = null) {
+        this.name = name;
+        this.editableSelector = editableSelector;
+    }
+
+    /**
+     * Check whether this strategy handles the described element
+     * @param {Object} info - Element description from InputStrategyRegistry.describe()
+     * @returns {boolean} True if the strategy applies
+     */
+    matches(info) {
+        return false;
+    }
+
+    /**
+     * Resolve the element that actually receives keystrokes (e.g. the
+     * contenteditable inside a Draft.js root)
+     * @param {Object} element - WebdriverIO element
+     * @returns {Promise<Object>} Editable element
+     */
+    async resolveTarget(element) {
+        if (!this.editableSelector) {
+            return element;
+        }
+
+        const isEditable = await browser.execute(
+            (el, selector) => el.matches(selector),
+            element,
+            this.editableSelector
+        );
+        if (isEditable) {
+            return element;
+        }
+
+        const child = await element.$(this.editableSelector);
+        return (await child.isExisting()) ? child : element;
+    }
+
+    /**
+     * Clear the field, type the text and confirm it reached the editor state
+     * @param {Object} element - WebdriverIO element
+     * @param {string} text - Text to enter
+     */
+    async enterText(element, text) {
+        const target = await this.resolveTarget(element);
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            await this.clear(target);
+            await this.type(target, text);
+
+            const actual = await this.getText(target);
+            if (this._normalize(actual) === this._normalize(text)) {
+                console.log(`✅ ${this.name} input confirmed: "${text}"`);
+                return;
+            }
+
+            console.log(`⚠️ ${this.name} input mismatch on attempt ${attempt}: "${actual}"`);
+        }
+
+        throw new Error(`${this.name} input strategy could not enter "${text}" (editor contains "${await this.getText(target)}")`);
+    }
+
+    /**
+     * Submit the message with the send button, falling back to Enter
+     * @param {Object} element - WebdriverIO input element
+     * @param {string} sendButtonSelector - Send button selector or composite locator
+     * @param {string} mode - 'auto' (button, then Enter), 'button' or 'enter'
+     * @param {number} timeout - Time to wait for the send button to become clickable
+     * @returns {Promise<string>} How the message was submitted ('button' or 'enter')
+     */
+    async submit(element, sendButtonSelector, mode = 'auto', timeout = 2000) {
+        if (mode !== 'enter' && sendButtonSelector) {
+            try {
+                const button = await locators.find(sendButtonSelector);
+                await button.waitForClickable({ timeout });
+                await button.click();
+                return 'button';
+            } catch (error) {
+                if (mode === 'button') {
+                    throw new Error(`Send button not clickable: ${sendButtonSelector}`);
+                }
+                console.log('⚠️ Send button not clickable, submitting with Enter');
+            }
+        }
+
+        const target = await this.resolveTarget(element);
+        if (!(await this._hasFocus(target))) {
+            await target.click();
+        }
+        await browser.keys(Key.Enter);
+        return 'enter';
+    }
+
+    async clear(element) {
+        await element.clearValue();
+    }
+
+    async type(element, text) {
+        await element.setValue(text);
+    }
+
+    async getText(element) {
+        return element.getValue();
+    }
+
+    /**
+     * Select everything in the focused editor and delete it with real key
+     * events so the editor framework updates its own state
+     * @param {Object} element - Editable element
+     */
+    async _clearWithKeys(element) {
+        await element.click();
+        await browser.keys(selectAllKeys());
+        await browser.keys(Key.Backspace);
+    }
+
+    async _hasFocus(element) {
+        return browser.execute(el => el === document.activeElement || el.contains(document.activeElement), element);
+    }
+
+    _normalize(text) {
+        return (text || '').replace(/[\u200B\uFEFF]/g, '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+/**
+ * Native <input> elements
+ */
+class NativeInputStrategy extends InputStrategy {
+    constructor() {
+        super('native-input', 'input');
+    }
+
+    matches(info) {
+        return info.tagName === 'input';
+    }
+
+    async clear(element) {
+        await element.clearValue();
+        // Controlled React inputs can restore their value after clearValue
+        if (await element.getValue()) {
+            await this._clearWithKeys(element);
+        }
+    }
+}
+
+/**
+ * <textarea> elements
+ */
+class TextareaStrategy extends InputStrategy {
+    constructor() {
+        super('textarea', 'textarea');
+    }
+
+    matches(info) {
+        return info.tagName === 'textarea';
+    }
+
+    async clear(element) {
+        await element.clearValue();
+        if (await element.getValue()) {
+            await this._clearWithKeys(element);
+        }
+    }
+}
+
+/**
+ * Generic contenteditable editors
+ */
+class ContentEditableStrategy extends InputStrategy {
+    constructor(name = 'contenteditable', editableSelector = '[contenteditable="true"], [contenteditable=""]') {
+        super(name, editableSelector);
+    }
+
+    matches(info) {
+        return info.isContentEditable || info.hasEditableChild;
+    }
+
+    async clear(element) {
+        await this._clearWithKeys(element);
+
+        if (this._normalize(await this.getText(element))) {
+            // Fall back to editing commands when the shortcut is intercepted
+            await browser.execute(el => {
+                el.focus();
+                document.execCommand('selectAll', false, null);
+                document.execCommand('delete', false, null);
+            }, element);
+        }
+    }
+
+    async type(element, text) {
+        await element.addValue(text);
+    }
+
+    async getText(element) {
+        return browser.execute(el => el.innerText, element);
+    }
+}
+
+/**
+ * Draft.js editors (e.g. the O2 and Virgin Media assistants)
+ */
+class DraftJsStrategy extends ContentEditableStrategy {
+    constructor() {
+        super('draftjs', '.public-DraftEditor-content');
+    }
+
+    matches(info) {
+        return info.isDraftJs;
+    }
+
+    async getText(element) {
+        return browser.execute(el => {
+            const content = (el.closest('.DraftEditor-root') || el).querySelector('.public-DraftEditor-content') || el;
+            // Draft.js renders each block as a [data-block] element; the placeholder lives outside them
+            const blocks = Array.from(content.querySelectorAll('[data-block="true"]'));
+            return blocks.length > 0 ? blocks.map(block => block.textContent).join('\n') : content.innerText;
+        }, element);
+    }
+}
+
+/**
+ * Lexical editors
+ */
+class LexicalStrategy extends ContentEditableStrategy {
+    constructor() {
+        super('lexical', '[data-lexical-editor="true"]');
+    }
+
+    matches(info) {
+        return info.isLexical;
+    }
+
+    async getText(element) {
+        return browser.execute(el => {
+            const root = el.closest('[data-lexical-editor="true"]') || el;
+            const editor = root.__lexicalEditor;
+            if (editor) {
+                // Read the editor state itself rather than the rendered DOM. The
+                // $getRoot() helper is a module import of the page, so walk the
+                // public JSON form of the state instead
+                const textOf = node => {
+                    if (node.type === 'linebreak') {
+                        return '\n';
+                    }
+                    return typeof node.text === 'string' ? node.text : (node.children || []).map(textOf).join('');
+                };
+                return editor.getEditorState().toJSON().root.children.map(textOf).join('\n');
+            }
+            return root.innerText;
+        }, element);
+    }
+}
+
+class InputStrategyRegistry {
+    constructor() {
+        // Most specific strategies first
+        this.strategies = [
+            new LexicalStrategy(),
+            new DraftJsStrategy(),
+            new ContentEditableStrategy(),
+            new TextareaStrategy(),
+            new NativeInputStrategy()
+        ];
+    }
+
+    /**
+     * Register a custom strategy, checked before the built-in ones
+     * @param {InputStrategy} strategy - Strategy instance
+     */
+    register(strategy) {
+        this.strategies = [strategy, ...this.strategies.filter(existing => existing.name !== strategy.name)];
+        console.log(`⌨️ Registered input strategy: ${strategy.name}`);
+    }
+
+    /**
+     * Get a strategy by name
+     * @param {string} name - Strategy name
+     * @returns {InputStrategy} Strategy
+     */
+    get(name) {
+        const strategy = this.strategies.find(candidate => candidate.name === name);
+        if (!strategy) {
+            throw new Error(`Unknown input strategy: ${name}. Available: ${this.getNames().join(', ')}`);
+        }
+        return strategy;
+    }
+
+    /**
+     * Get the names of all registered strategies
+     * @returns {Array} Strategy names
+     */
+    getNames() {
+        return this.strategies.map(strategy => strategy.name);
+    }
+
+    /**
+     * Describe an input element so strategies can match it
+     * @param {Object} element - WebdriverIO element
+     * @returns {Promise<Object>} Element description
+     */
+    async describe(element) {
+        return browser.execute(el => {
+            const editableSelector = '[contenteditable="true"], [contenteditable=""]';
+            const within = selector => Boolean(el.closest(selector) || el.querySelector(selector));
+
+            return {
+                tagName: el.tagName.toLowerCase(),
+                type: el.getAttribute('type'),
+                className: typeof el.className === 'string' ? el.className : '',
+                isContentEditable: el.isContentEditable,
+                hasEditableChild: Boolean(el.querySelector(editableSelector)),
+                isDraftJs: within('.DraftEditor-root'),
+                isLexical: within('[data-lexical-editor="true"]')
+            };
+        }, element);
+    }
+
+    /**
+     * Pick the strategy for an input element
+     * @param {Object} element - WebdriverIO element
+     * @returns {Promise<InputStrategy>} Matching strategy
+     */
+    async detect(element) {
+        const info = await this.describe(element);
+        const strategy = this.strategies.find(candidate => candidate.matches(info));
+
+        if (!strategy) {
+            console.log(`⚠️ No input strategy matched <${info.tagName}>, using native-input`);
+            return this.get('native-input');
+        }
+
+        console.log(`⌨️ Detected input strategy: ${strategy.name}`);
+        return strategy;
+    }
+}
+
+// Create singleton instance
+const inputStrategies = new InputStrategyRegistry();
+
+// Export both classes and singleton instance
+module.exports = {
+    InputStrategy,
+    NativeInputStrategy,
+    TextareaStrategy,
+    ContentEditableStrategy,
+    DraftJsStrategy,
+    LexicalStrategy,
+    InputStrategyRegistry,
+    inputStrategies,
+    selectAllKeys
+};
@@ -0,0 +1,306 @@
+/**
+ * Keyboard-only Driver
+ *
+ * Drives a ChatbotPage without a pointer: the launcher is reached with
+ * Tab and opened with Enter, messages are typed into the focused input and
+ * sent with Enter, quick replies are reached with Tab/Shift+Tab or the
+ * arrow keys, and the widget is closed with Escape. Every step fails when
+ * its target cannot be reached from the keyboard.
+ *
+ * recordTabOrder() walks the widget with Tab and Shift+Tab so keyboard
+ * traps (focus that can never leave a non-modal widget) are caught.
+ */
+
+const { Key } = require('webdriverio');
+const { locators } = require('./locator');
+const { selectAllKeys } = require('./input-strategies');
+
+class KeyboardDriver {
+    /**
+     * @param {Object} page - ChatbotPage instance (selectors, launcher, timeouts)
+     * @param {Object} options - Driver options
+     * @param {number} options.maxTabs - Key presses allowed to reach a target
+     */
+    constructor(page, options = {}) {
+        this.page = page;
+        this.maxTabs = options.maxTabs || 60;
+        this.lastTabOrder = null;
+    }
+
+    /**
+     * Open the chat widget: Tab to the launcher (or chat toggle), press Enter
+     * and wait until the input is ready
+     * @param {number} timeout - Time to wait for the widget to open
+     */
+    async openWidget(timeout = this.page.defaultTimeout) {
+        const selectors = this.page.selectors;
+        const readySelector = (this.page.launcher && this.page.launcher.readySelector) || selectors.messageInput;
+
+        if (await this.page.isElementDisplayed(readySelector, this.page.shortTimeout)) {
+            console.log('✅ Chat is already open');
+            return;
+        }
+
+        const trigger = this.page.launcher ? this.page.launcher.selector : selectors.chatToggle;
+        if (!trigger) {
+            throw new Error('Keyboard-only: the profile has no launcher or chat toggle to open the widget');
+        }
+
+        console.log(`⌨️ Opening chat widget with the keyboard: ${trigger}`);
+        await this.focus(trigger, 'the chat launcher');
+        await browser.keys(Key.Enter);
+
+        try {
+            await this.page.waitForElement(readySelector, timeout);
+        } catch (error) {
+            throw new Error(`Keyboard-only: pressing Enter on the chat launcher did not open the widget (${readySelector})`);
+        }
+        console.log('✅ Chat widget opened with the keyboard');
+    }
+
+    /**
+     * Close the widget with Escape
+     * @param {number} timeout - Time to wait for the widget to close
+     */
+    async closeWidget(timeout = this.page.defaultTimeout) {
+        const selectors = this.page.selectors;
+        if (!(await this.page.isElementDisplayed(selectors.chatWidget, this.page.shortTimeout))) {
+            console.log('✅ Chat widget is already closed');
+            return;
+        }
+        if (!(await this._focusState(selectors.chatWidget)).within) {
+            await this.focus(selectors.messageInput, 'the message input');
+        }
+
+        console.log('⌨️ Closing chat widget with Escape');
+        await browser.keys(Key.Escape);
+
+        try {
+            await this.page.waitForElementDisappear(selectors.chatWidget, timeout);
+        } catch (error) {
+            throw new Error('Keyboard-only: Escape did not close the chat widget');
+        }
+        console.log('✅ Chat widget closed with the keyboard');
+    }
+
+    /**
+     * Type a message into the input, reaching it with Tab when it is not focused
+     * @param {string} message - Message to type
+     */
+    async typeMessage(message) {
+        const selectors = this.page.selectors;
+        await this.focus(selectors.messageInput, 'the message input');
+
+        // Select-all and delete with keys; the editor keeps its own state
+        await browser.keys(selectAllKeys());
+        await browser.keys(Key.Backspace);
+        await browser.keys(message);
+
+        const input = await this.page.waitForElement(selectors.messageInput);
+        const strategy = await this.page.getInputStrategy(input);
+        const typed = await strategy.getText(await strategy.resolveTarget(input));
+        await locators.switchToTop();
+        if ((typed || '').trim() !== message.trim()) {
+            throw new Error(`Keyboard-only: typed "${message}" but the input contains "${typed}"`);
+        }
+    }
+
+    /**
+     * Send the typed message with Enter
+     * @returns {Promise<string>} How the message was submitted ('enter')
+     */
+    async submit() {
+        await browser.keys(Key.Enter);
+        return 'enter';
+    }
+
+    /**
+     * Reach a button (quick reply, card button...) with Tab/Shift+Tab and
+     * the arrow keys, then activate it with Enter
+     * @param {string} label - Button text or accessible name (substring, case-insensitive)
+     */
+    async activateButton(label) {
+        const selectors = this.page.selectors;
+        const buttons = [selectors.quickReplies, locators.sameScope(selectors.chatWidget, 'button, [role="button"]')]
+            .filter(Boolean);
+
+        // Quick replies usually sit above the input, so search backwards from it first
+        for (const backwards of [true, false]) {
+            await this.focus(selectors.messageInput, 'the message input');
+            for (const locator of buttons) {
+                if (await this._reach(locator, label, backwards)) {
+                    await browser.keys(Key.Enter);
+                    console.log(`⌨️ Activated "${label}" with Enter`);
+                    return;
+                }
+                await this.focus(selectors.messageInput, 'the message input');
+            }
+        }
+
+        throw new Error(`Keyboard-only: button "${label}" cannot be reached with Tab, Shift+Tab or the arrow keys`);
+    }
+
+    /**
+     * Move focus to an element with Tab (then Shift+Tab) without clicking
+     * @param {string} locator - Element (or composite) locator
+     * @param {string} description - What the element is, for error messages
+     */
+    async focus(locator, description = locator) {
+        if ((await this._focusState(locator)).focused) {
+            return;
+        }
+        if (await this._reach(locator, null, false) || await this._reach(locator, null, true)) {
+            return;
+        }
+        throw new Error(`Keyboard-only: ${description} cannot be reached with Tab or Shift+Tab (${this.maxTabs} presses each way)`);
+    }
+
+    /**
+     * Record the tab order inside the widget, starting at the message input.
+     * Focus that never leaves a widget which is not an aria-modal dialog in
+     * either direction is reported as a keyboard trap.
+     * @returns {Promise<Object>} { forward, backward, leavesForward, leavesBackward, modal, trapped }
+     */
+    async recordTabOrder() {
+        const selectors = this.page.selectors;
+        const walk = async backwards => {
+            await this.focus(selectors.messageInput, 'the message input');
+            const order = [];
+            for (let presses = 0; presses < this.maxTabs; presses++) {
+                const state = await this._focusState(selectors.chatWidget);
+                if (!state.within) {
+                    return { order, leaves: true };
+                }
+                if (order.length > 0 && state.element === order[0]) {
+                    // Back at the start: focus cycles inside the widget
+                    return { order, leaves: false };
+                }
+                order.push(state.element);
+                await this._press(backwards);
+            }
+            return { order, leaves: false };
+        };
+
+        const forward = await walk(false);
+        const backward = await walk(true);
+        const modal = await locators.within(selectors.chatWidget, widget => browser.execute(
+            element => element.getAttribute('aria-modal') === 'true',
+            widget
+        ));
+
+        this.lastTabOrder = {
+            forward: forward.order,
+            backward: backward.order,
+            leavesForward: forward.leaves,
+            leavesBackward: backward.leaves,
+            modal,
+            trapped: !modal && !forward.leaves && !backward.leaves
+        };
+
+        console.log(`⌨️ Tab order in widget: ${forward.order.join(' → ')}`);
+        if (this.lastTabOrder.trapped) {
+            console.log('❌ Keyboard trap: focus cannot leave the chat widget with Tab or Shift+Tab');
+        }
+        return this.lastTabOrder;
+    }
+
+    /**
+     * Press Tab (or Shift+Tab, arrows when on a matching group) until the
+     * focused element matches the locator and label
+     * @param {string} locator - Element locator
+     * @param {string} label - Required accessible name substring (optional)
+     * @param {boolean} backwards - Use Shift+Tab
+     * @returns {Promise<boolean>} True when reached
+     */
+    async _reach(locator, label, backwards) {
+        for (let presses = 0; presses < this.maxTabs; presses++) {
+            await this._press(backwards);
+            const state = await this._focusState(locator, label);
+            if (state.focused) {
+                return true;
+            }
+
+            // Toolbars and radio-like groups move focus with the arrow keys instead of Tab
+            if (label && state.within && await this._reachWithArrows(locator, label)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    async _reachWithArrows(locator, label) {
+        for (const arrow of [Key.ArrowRight, Key.ArrowDown]) {
+            let previous = (await this._focusState(locator, label)).element;
+            for (let presses = 0; presses < this.maxTabs; presses++) {
+                await browser.keys(arrow);
+                const state = await this._focusState(locator, label);
+                if (state.focused) {
+                    return true;
+                }
+                if (!state.within || state.element === previous) {
+                    break;
+                }
+                previous = state.element;
+            }
+        }
+        return false;
+    }
+
+    async _press(backwards) {
+        await browser.keys(backwards ? [Key.Shift, Key.Tab] : Key.Tab);
+    }
+
+    /**
+     * Describe the focused element relative to a locator
+     * @param {string} locator - Element (or composite) locator
+     * @param {string} label - Accessible name substring the focused element must have
+     * @returns {Promise<Object>} { focused, within (focus is on or inside a match), element }
+     */
+    async _focusState(locator, label = null) {
+        try {
+            const { root, selector } = await locators.findScope(locator);
+            return await browser.execute((host, targetSelector, wanted) => {
+                let active = document.activeElement;
+                while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+                    active = active.shadowRoot.activeElement;
+                }
+                const contains = (container, node) => {
+                    for (let current = node; current; current = current.parentNode || current.host) {
+                        if (current === container) return true;
+                    }
+                    return false;
+                };
+                const nameOf = el => (el.getAttribute('aria-label') || el.innerText || el.value || el.getAttribute('title') || '').trim();
+                const describe = el => {
+                    if (!el || el === document.body) return 'body';
+                    const id = el.id ? `#${el.id}` : '';
+                    const role = el.getAttribute('role') ? `[role=${el.getAttribute('role')}]` : '';
+                    const name = nameOf(el).substring(0, 30);
+                    return `${el.tagName.toLowerCase()}${id}${role}${name ? ` "${name}"` : ''}`;
+                };
+
+                const scope = host ? host.shadowRoot : document;
+                let candidates = [];
+                try {
+                    candidates = Array.from(scope.querySelectorAll(targetSelector));
+                } catch (error) {
+                    candidates = [];
+                }
+                const match = candidates.find(candidate => candidate === active || contains(candidate, active));
+                const labelMatches = match && (!wanted || nameOf(match).toLowerCase().includes(wanted.toLowerCase()));
+
+                return {
+                    focused: Boolean(labelMatches),
+                    within: Boolean(match),
+                    element: describe(active)
+                };
+            }, root, selector, label);
+        } finally {
+            await locators.switchToTop();
+        }
+    }
+}
+
+module.exports = {
+    KeyboardDriver
+};
@@ -0,0 +1,216 @@
+/**
+ * Composite Locators
+ *
+ * Vendor chat widgets usually render inside an iframe, a shadow root or
+ * both. A composite locator chains segments with " >>> " so one string can
+ * reach those elements:
+ *
+ *   iframe#chat >>> .input                     switch into the frame, then find .input
+ *   shadow(chat-widget) >>> .input             find .input inside the host's shadow root
+ *   iframe#chat >>> shadow(chat-widget) >>> .input
+ *
+ * Every segment but the last is either a frame (plain selector of an
+ * <iframe>/<frame>) or a shadow host wrapped in shadow(...). Locators
+ * without " >>> " are passed to $ / $$ unchanged, so WebdriverIO selector
+ * strategies (text, xpath, the ">>>" deep selector prefix) keep working.
+ * Each locator is resolved from the top-level document.
+ */
+
+const SEPARATOR = /\s+>>>\s+/;
+const SHADOW_SEGMENT = /^shadow\((.+)\)$/;
+
+class LocatorResolver {
+    constructor() {
+        // Number of frames entered by the last resolved locator
+        this.frameDepth = 0;
+    }
+
+    /**
+     * Check whether a locator has frame or shadow segments
+     * @param {string} locator - Locator string
+     * @returns {boolean} True for composite locators
+     */
+    isComposite(locator) {
+        return typeof locator === 'string' && SEPARATOR.test(locator.trim());
+    }
+
+    /**
+     * Split a locator into segments
+     * @param {string} locator - Locator string
+     * @returns {Array} Segments ({ type: 'frame'|'shadow'|'element', selector })
+     */
+    parse(locator) {
+        if (!this.isComposite(locator)) {
+            return [{ type: 'element', selector: locator }];
+        }
+
+        const parts = locator.trim().split(SEPARATOR);
+        return parts.map((part, index) => {
+            const shadow = part.match(SHADOW_SEGMENT);
+            if (index === parts.length - 1) {
+                if (shadow) {
+                    throw new Error(`Locator "${locator}" must end with an element selector, not ${part}`);
+                }
+                return { type: 'element', selector: part };
+            }
+            return shadow ? { type: 'shadow', selector: shadow[1].trim() } : { type: 'frame', selector: part };
+        });
+    }
+
+    /**
+     * Get the element selector at the end of a locator
+     * @param {string} locator - Locator string
+     * @returns {string} Last segment selector
+     */
+    lastSegment(locator) {
+        const segments = this.parse(locator);
+        return segments[segments.length - 1].selector;
+    }
+
+    /**
+     * Build a locator for another element in the same frame and shadow root
+     * @param {string} locator - Locator whose frames and shadow hosts to reuse
+     * @param {string} selector - Element selector
+     * @returns {string} Composite locator (or the selector for plain locators)
+     */
+    sameScope(locator, selector) {
+        if (!this.isComposite(locator)) {
+            return selector;
+        }
+
+        const parts = locator.trim().split(SEPARATOR);
+        return [...parts.slice(0, -1), selector].join(' >>> ');
+    }
+
+    /**
+     * Find an element. Frames in the locator are switched into and stay
+     * active so the element can be used; call switchToTop() (or use
+     * within()) to return to the top-level document.
+     * @param {string} locator - Element or composite locator
+     * @param {number} timeout - Time to wait for each frame and shadow host
+     * @returns {Promise<WebdriverIO.Element>} The element
+     */
+    async find(locator, timeout = 0) {
+        const { scope, selector } = await this._enter(locator, timeout);
+        return scope ? scope.shadow$(selector) : $(selector);
+    }
+
+    /**
+     * Find all elements matching a locator
+     * @param {string} locator - Element or composite locator
+     * @param {number} timeout - Time to wait for each frame and shadow host
+     * @returns {Promise<Array>} Matching elements
+     */
+    async findAll(locator, timeout = 0) {
+        const { scope, selector } = await this._enter(locator, timeout);
+        return scope ? scope.shadow$$(selector) : $$(selector);
+    }
+
+    /**
+     * Enter the frames of a locator and return the shadow host (if any)
+     * that contains its last segment. Used to run browser scripts against
+     * the right document or shadow root.
+     * @param {string} locator - Element or composite locator
+     * @param {number} timeout - Time to wait for each frame and shadow host
+     * @returns {Promise<Object>} { root: shadow host element or null, selector }
+     */
+    async findScope(locator, timeout = 0) {
+        const { scope, selector } = await this._enter(locator, timeout);
+        return { root: scope, selector };
+    }
+
+    /**
+     * Resolve a locator, run an action with the element and switch back to
+     * the top-level document afterwards
+     * @param {string} locator - Element or composite locator
+     * @param {Function} action - Async function receiving the element
+     * @param {number} timeout - Time to wait for each frame and shadow host
+     * @returns {Promise<any>} Result of the action
+     */
+    async within(locator, action, timeout = 0) {
+        try {
+            const element = await this.find(locator, timeout);
+            return await action(element);
+        } finally {
+            await this.switchToTop();
+        }
+    }
+
+    /**
+     * Switch back to the top-level document if a frame was entered
+     */
+    async switchToTop() {
+        if (this.frameDepth > 0) {
+            await browser.switchToFrame(null);
+            this.frameDepth = 0;
+        }
+    }
+
+    /**
+     * Forget entered frames after a navigation (the browser resets the
+     * context to the top-level document itself)
+     */
+    reset() {
+        this.frameDepth = 0;
+    }
+
+    /**
+     * Walk the frame and shadow segments of a locator
+     * @param {string} locator - Element or composite locator
+     * @param {number} timeout - Time to wait for each segment
+     * @returns {Promise<Object>} { scope: shadow host or null, selector: last segment }
+     */
+    async _enter(locator, timeout) {
+        const segments = this.parse(locator);
+        await this.switchToTop();
+
+        let scope = null;
+        for (const segment of segments.slice(0, -1)) {
+            const element = scope ? await scope.shadow$(segment.selector) : await $(segment.selector);
+            await this._waitForSegment(element, segment, locator, timeout);
+
+            if (segment.type === 'shadow') {
+                scope = element;
+                continue;
+            }
+
+            const tagName = (await element.getTagName()).toLowerCase();
+            if (tagName !== 'iframe' && tagName !== 'frame') {
+                throw new Error(`"${segment.selector}" in locator "${locator}" is a <${tagName}>, not a frame. Wrap shadow hosts in shadow(...)`);
+            }
+
+            await browser.switchToFrame(element);
+            this.frameDepth++;
+            scope = null;
+        }
+
+        return { scope, selector: segments[segments.length - 1].selector };
+    }
+
+    /**
+     * Wait for the element of a frame or shadow segment to exist
+     * @param {Object} element - Element of the segment
+     * @param {Object} segment - Parsed segment ({ type, selector })
+     * @param {string} locator - Whole locator (for the error message)
+     * @param {number} timeout - Time to wait; 0 checks once
+     * @throws {Error} If the element does not exist in time
+     */
+    async _waitForSegment(element, segment, locator, timeout) {
+        const description = `${segment.type} "${segment.selector}" of locator "${locator}"`;
+
+        if (timeout > 0) {
+            await element.waitForExist({ timeout, timeoutMsg: `Could not find ${description} within ${timeout}ms` });
+        } else if (!(await element.isExisting())) {
+            throw new Error(`Could not find ${description}`);
+        }
+    }
+}
+
+// Create singleton instance
+const locators = new LocatorResolver();
+
+// Export both class and singleton instance
+module.exports = {
+    LocatorResolver,
+    locators
+};
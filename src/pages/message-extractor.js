@@ -0,0 +1,142 @@
+/**
+ * Structured Message Extractor
+ *
+ * Reads chat messages as structured data instead of flat text: sender,
+ * text, quick replies, cards, carousels, hyperlinks and attachments.
+ * Sub-selectors come from the "messageParts" section of the chat widget
+ * profile, so each vendor's markup can be described in config.
+ * Message selectors may be composite locators (see locator.js); messages
+ * are then read from that frame and shadow root.
+ */
+
+const { locators } = require('./locator');
+
+class MessageExtractor {
+    /**
+     * @param {Object} selectors - Page selectors (messages, messageText, botMessages, userMessages)
+     * @param {Object} parts - Sub-selectors for rich content (see generic profile "messageParts")
+     */
+    constructor(selectors, parts = {}) {
+        this.selectors = selectors;
+        this.parts = parts;
+    }
+
+    /**
+     * Extract every message in the conversation
+     * @returns {Promise<Array>} Structured messages in DOM order
+     */
+    async extractAll() {
+        try {
+            // Enter the widget's frame; all message selectors share its scope
+            const { root } = await locators.findScope(this.selectors.messages);
+            const selectors = {};
+            for (const [key, selector] of Object.entries(this.selectors)) {
+                selectors[key] = selector ? locators.lastSegment(selector) : selector;
+            }
+
+            const candidates = [selectors.messages, selectors.botMessages, selectors.userMessages]
+                .filter(Boolean)
+                .join(', ');
+
+            const messages = await browser.execute(
+                (host, candidateSelector, selectors, parts) => {
+                    const scope = host ? host.shadowRoot : document;
+                    const matches = (el, selector) => Boolean(selector) && el.matches(selector);
+                    const find = (el, selector) => (selector ? Array.from(el.querySelectorAll(selector)) : []);
+                    const first = (el, selector) => (selector ? el.querySelector(selector) : null);
+                    const text = el => (el ? (el.innerText || el.textContent || '').trim() : '');
+
+                    // Wrappers and sender elements can both match, so keep the outermost element of each message
+                    const all = Array.from(scope.querySelectorAll(candidateSelector));
+                    const elements = all.filter(el => !all.some(other => other !== el && other.contains(el)));
+
+                    const senderOf = el => {
+                        if (matches(el, selectors.botMessages) || first(el, selectors.botMessages)) return 'bot';
+                        if (matches(el, selectors.userMessages) || first(el, selectors.userMessages)) return 'user';
+                        return 'unknown';
+                    };
+
+                    const buttonLabels = (el, selector) => find(el, selector)
+                        .map(button => text(button) || button.getAttribute('aria-label') || button.getAttribute('title') || '')
+                        .filter(Boolean);
+
+                    const readCard = card => {
+                        const image = first(card, parts.cardImage);
+                        return {
+                            title: text(first(card, parts.cardTitle)),
+                            subtitle: text(first(card, parts.cardSubtitle)),
+                            image: image ? { src: image.getAttribute('src') || '', alt: image.getAttribute('alt') || '' } : null,
+                            buttons: buttonLabels(card, parts.cardButtons),
+                            links: find(card, parts.links).map(link => ({ text: text(link), href: link.href }))
+                        };
+                    };
+
+                    return elements.map((el, index) => {
+                        const carousels = find(el, parts.carousel);
+                        const inCarousel = node => carousels.some(carousel => carousel.contains(node));
+                        const richContainers = [parts.quickReplies, parts.card, parts.carousel, parts.attachment]
+                            .filter(Boolean)
+                            .join(', ');
+
+                        // Message text without the text of buttons, cards and attachments
+                        let messageText = text(first(el, selectors.messageText));
+                        if (!messageText) {
+                            const clone = el.cloneNode(true);
+                            if (richContainers) {
+                                clone.querySelectorAll(richContainers).forEach(node => node.remove());
+                            }
+                            messageText = (clone.textContent || '').replace(/\s+/g, ' ').trim();
+                        }
+
+                        const insideRich = node => {
+                            const container = richContainers ? node.closest(richContainers) : null;
+                            return Boolean(container) && container !== el && el.contains(container);
+                        };
+
+                        return {
+                            index,
+                            sender: senderOf(el),
+                            text: messageText,
+                            quickReplies: buttonLabels(el, parts.quickReplies),
+                            cards: find(el, parts.card).filter(card => !inCarousel(card)).map(readCard),
+                            carousels: carousels.map(carousel => ({ cards: find(carousel, parts.card).map(readCard) })),
+                            links: find(el, parts.links)
+                                .filter(link => !insideRich(link))
+                                .map(link => ({ text: text(link), href: link.href })),
+                            attachments: find(el, parts.attachment).map(attachment => {
+                                const link = attachment.matches('a') ? attachment : attachment.querySelector('a');
+                                return {
+                                    name: attachment.getAttribute('download') || text(first(attachment, parts.attachmentName)) || text(attachment),
+                                    url: link ? link.href : (attachment.getAttribute('src') || ''),
+                                    type: attachment.getAttribute('data-type') || attachment.getAttribute('type') || ''
+                                };
+                            })
+                        };
+                    });
+                },
+                root,
+                candidates,
+                selectors,
+                this.parts
+            );
+
+            return messages;
+        } finally {
+            // Leave the widget's frame so later commands run in the top-level document
+            await locators.switchToTop();
+        }
+    }
+
+    /**
+     * Extract messages from one sender
+     * @param {string} sender - 'bot' or 'user'
+     * @returns {Promise<Array>} Structured messages
+     */
+    async extractBySender(sender) {
+        return (await this.extractAll()).filter(message => message.sender === sender);
+    }
+}
+
+module.exports = {
+    MessageExtractor
+};
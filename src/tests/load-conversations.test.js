@@ -0,0 +1,17 @@
+const ChatbotPage = require('../pages/chatbot.page.js');
+const { loadHarness } = require('../utils');
+
+/**
+ * Concurrent conversation load run. Every worker runs this spec as one
+ * virtual user; the merged report is written by the launcher.
+ * Run with: npm run test:load (see src/config/wdio.load.conf.js)
+ */
+describe('Concurrent Conversation Load', () => {
+    it('should replay the flow for this virtual user', async () => {
+        const conversations = await loadHarness.runUser(() => new ChatbotPage());
+
+        if (conversations.length === 0) {
+            throw new Error('Virtual user did not complete any conversation');
+        }
+    });
+});
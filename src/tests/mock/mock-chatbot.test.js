@@ -0,0 +1,243 @@
+const ChatbotPage = require('../../pages/chatbot.page.js');
+const chatPage = require('../../pages/ChatPage.js');
+const { assertions, FlowInterpreter, profileManager, networkMonitor, sessionRecovery } = require('../../utils');
+
+/**
+ * Offline suite against the bundled mock chatbot server.
+ * Run with: npm run test:mock
+ */
+describe('Mock Chatbot Offline Test', () => {
+    const mockAdmin = async (action, body = {}) => {
+        const response = await fetch(`${browser.options.baseUrl}/__mock/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) {
+            throw new Error(`Mock admin action "${action}" failed with status ${response.status}`);
+        }
+    };
+
+    const mockConsent = async () => {
+        const [cookie] = await browser.getCookies(['mock_consent']);
+        return cookie ? JSON.parse(decodeURIComponent(cookie.value)) : null;
+    };
+
+    let chatbotPage;
+
+    beforeEach(async () => {
+        await mockAdmin('reset');
+        chatbotPage = new ChatbotPage();
+        await chatbotPage.open('/');
+    });
+
+    it('should show the welcome message', async () => {
+        const welcomeMessage = await chatbotPage.waitForWelcomeMessage();
+        assertions.assertContains(welcomeMessage, 'virtual assistant');
+    });
+
+    it('should reply to a greeting', async () => {
+        const response = await chatbotPage.sendMessageAndWaitForResponse('Hello');
+        assertions.assertContains(response, 'What can I help you with');
+    });
+
+    it('should follow a quick reply', async () => {
+        await chatbotPage.sendMessageAndWaitForResponse('Hello');
+        await chatbotPage.clickButton('Billing');
+        const response = await chatbotPage.getLastResponse();
+        assertions.assertContains(response, 'help with your bill');
+    });
+
+    it('should wait for streamed replies and bursts to finish', async () => {
+        const responses = await chatbotPage.sendMessageAndWaitForTurn('Tell me about your fibre plans');
+        assertions.assertEquals(responses.length, 2);
+        assertions.assertContains(responses[0], 'no price rises during your contract');
+        assertions.assertContains(responses[1], 'check which speeds are available');
+    });
+
+    it('should wait for the chat backend to go idle', async () => {
+        chatbotPage.endOfResponse.networkIdle = { include: ['/api/message'], idleTime: 300 };
+        const response = await chatbotPage.sendMessageAndWaitForResponse('Hello');
+        assertions.assertContains(response, 'What can I help you with');
+        assertions.assertEquals(networkMonitor.getInflight({ include: ['/api/message'] }).length, 0);
+    });
+
+    it('should capture chat backend traffic per turn', async () => {
+        await chatbotPage.sendMessageAndWaitForResponse('Hello');
+        await chatbotPage.sendMessageAndWaitForResponse('I need help with my bill');
+        assertions.assertTurnIntent(chatbotPage.traffic, 1, 'greeting');
+        assertions.assertTurnSent(chatbotPage.traffic, 2, { text: 'I need help with my bill' });
+        assertions.assertTurnIntent(chatbotPage.traffic, 2, 'billing');
+        assertions.assertPayloadContains(chatbotPage.traffic, 2, 'messages.0.quickReplies');
+    });
+
+    it('should measure per-turn latency', async () => {
+        await chatbotPage.sendMessageAndWaitForResponse('Hello');
+        const latency = chatbotPage.getLastTurnLatency();
+        assertions.assertNotNull(latency.typing, 'Expected the typing indicator to be timed');
+        assertions.assertTrue(latency.firstText <= latency.complete, 'Expected the first text before the complete response');
+        assertions.assertResponseTime(latency.complete, 10000);
+    });
+
+    it('should extract cards, links and attachments', async () => {
+        await chatbotPage.sendMessage('View my bill');
+        const message = await chatbotPage.getLastStructuredResponse();
+        assertions.assertEquals(message.sender, 'bot');
+        assertions.assertContains(message.text, 'latest bill');
+        assertions.assertHasCard(message, { title: 'March bill', buttons: ['Make a payment'] });
+        assertions.assertHasLink(message, { href: 'o2.co.uk/help/billing' });
+        assertions.assertHasAttachment(message, { name: 'bill-march.pdf', type: 'pdf' });
+    });
+
+    it('should extract carousels and quick replies', async () => {
+        await chatbotPage.sendMessage('Show me your deals');
+        const carouselMessage = await chatbotPage.getLastStructuredResponse();
+        assertions.assertCarouselSize(carouselMessage, 3);
+        assertions.assertHasCard(carouselMessage, { title: 'Gig1', subtitle: '£55' });
+
+        await chatbotPage.sendMessage('Hello');
+        const menuMessage = await chatbotPage.getLastStructuredResponse();
+        assertions.assertQuickReplies(menuMessage, ['Billing', 'Broadband', 'Moving home'], { exact: true, ordered: true });
+    });
+
+    it('should use scripted reply rules', async () => {
+        await mockAdmin('rule', { match: 'refund', reply: 'Refunds take 5 working days.', delay: 200 });
+        const response = await chatbotPage.sendMessageAndWaitForResponse('How long does a refund take?');
+        assertions.assertContains(response, '5 working days');
+    });
+
+    it('should surface injected backend failures', async () => {
+        await mockAdmin('failures', { count: 1, error: 'Service unavailable' });
+        await chatbotPage.sendMessage('Hello');
+        await chatbotPage.waitForTypingIndicatorDisappear();
+        const errorText = await chatbotPage.checkForErrors();
+        assertions.assertContains(errorText, 'Service unavailable');
+    });
+
+    it('should follow a branching conversation flow', async () => {
+        const interpreter = new FlowInterpreter(chatbotPage);
+        const result = await interpreter.run('flows/billing.flow.yaml');
+        assertions.assertTrue(result.passed, interpreter.formatPath(result));
+        assertions.assertArrayContains(result.checkpoints.map(checkpoint => checkpoint.name), 'handed-to-agent');
+    });
+
+    it('should reach a widget inside an iframe with composite locators', async () => {
+        const generic = profileManager.loadProfile('generic');
+        const selectors = {};
+        for (const [key, selector] of Object.entries(generic.selectors)) {
+            selectors[key] = selector ? `iframe#chat-frame >>> ${selector}` : selector;
+        }
+        
+        const embeddedPage = new ChatbotPage({ ...generic, name: 'generic-iframe', selectors });
+        await embeddedPage.open('/embedded.html');
+        const response = await embeddedPage.sendMessageAndWaitForResponse('Hello');
+        assertions.assertContains(response, 'What can I help you with');
+        assertions.assertEquals(await embeddedPage.getElementCount(selectors.botMessages), 2);
+    });
+
+    it('should match the chat panel visual baseline', async () => {
+        await chatbotPage.waitForWelcomeMessage();
+        const result = await chatbotPage.compareChatPanel('mock-chat-panel-welcome', { ignore: ['.chat-input'] });
+        assertions.assertVisualMatch(result);
+    });
+
+    it('should pass the chat widget accessibility audit', async () => {
+        await chatbotPage.sendMessageAndWaitForResponse('Hello');
+        const report = await chatbotPage.auditAccessibility();
+        assertions.assertNoAccessibilityViolations(report);
+        assertions.assertChatAccessibility(report);
+    });
+
+    it('should drive the widget with the keyboard only', async () => {
+        const keyboardPage = new ChatbotPage();
+        keyboardPage.setInteractionMode('keyboard');
+        await keyboardPage.open('/?closed');
+        
+        const response = await keyboardPage.sendMessageAndWaitForResponse('Hello');
+        assertions.assertContains(response, 'What can I help you with');
+        
+        const tabOrder = await keyboardPage.getTabOrder();
+        assertions.assertFalse(tabOrder.trapped, `Keyboard trap in widget: ${tabOrder.forward.join(' → ')}`);
+        
+        await keyboardPage.clickButton('Billing');
+        assertions.assertContains(await keyboardPage.getLastResponse(), 'help with your bill');
+        
+        await keyboardPage.closeChatWidget();
+    });
+
+    it('should chat with non-essential cookies rejected', async () => {
+        const consentPage = new ChatbotPage();
+        consentPage.consent = { state: 'reject' };
+        await consentPage.open('/?consent=onetrust');
+        
+        assertions.assertPropertyEquals(consentPage.lastConsent, 'provider', 'onetrust');
+        assertions.assertEquals(JSON.stringify(await mockConsent()),
+            JSON.stringify({ functional: false, analytics: false, marketing: false, social: false }));
+        
+        const response = await consentPage.sendMessageAndWaitForResponse('Hello');
+        assertions.assertContains(response, 'What can I help you with');
+    });
+
+    it('should apply custom cookie preferences', async () => {
+        const consentPage = new ChatbotPage();
+        consentPage.consent = { state: 'custom', preferences: { statistics: true, marketing: false } };
+        await consentPage.open('/?consent=cookiebot');
+        
+        assertions.assertPropertyEquals(consentPage.lastConsent, 'provider', 'cookiebot');
+        const consent = await mockConsent();
+        assertions.assertTrue(consent.analytics, 'Expected analytics cookies to be allowed');
+        assertions.assertFalse(consent.marketing, 'Expected marketing cookies to be rejected');
+    });
+
+    it('should accept cookies through a custom banner definition', async () => {
+        const consentPage = new ChatbotPage();
+        consentPage.consent = {
+            state: 'accept',
+            provider: 'custom',
+            selectors: { banner: '.consent-banner', accept: '.consent-banner button' }
+        };
+        await consentPage.open('/?consent=trustarc');
+        
+        assertions.assertPropertyEquals(consentPage.lastConsent, 'provider', 'custom');
+        assertions.assertTrue((await mockConsent()).marketing, 'Expected all cookies to be accepted');
+    });
+
+    it('should resume the conversation after the browser session is lost', async () => {
+        const recoveryEnabled = sessionRecovery.enabled;
+        sessionRecovery.configure({ enabled: true, strategy: 'replay' });
+        try {
+            const recoveryPage = new ChatbotPage();
+            recoveryPage.consent = { state: 'reject' };
+            await recoveryPage.open('/?consent=onetrust');
+            await recoveryPage.sendMessageAndWaitForResponse('Hello');
+            
+            // Kill the WebDriver session but keep the driver running for the new one
+            await browser.deleteSession({ shutdownDriver: false });
+            
+            const response = await recoveryPage.sendMessageAndWaitForResponse('I need help with my bill');
+            assertions.assertContains(response, 'help with your bill');
+            assertions.assertContains(await browser.getUrl(), '?consent=onetrust');
+            assertions.assertEquals(await recoveryPage.getMessageCount('user'), 2);
+            
+            const [event] = sessionRecovery.getTestEvents();
+            assertions.assertPropertyEquals(event, 'outcome', 'recovered');
+            assertions.assertPropertyEquals(event, 'replayedTurns', 1);
+            assertions.assertNotNull(sessionRecovery.getWarning(), 'Expected a session recovery warning');
+            
+            // The replayed greeting is not recorded twice
+            assertions.assertArrayLength(recoveryPage.transcript.turns, 2);
+        } finally {
+            sessionRecovery.configure({ enabled: recoveryEnabled });
+        }
+    });
+
+    it('should work with the legacy ChatPage object', async () => {
+        await mockAdmin('settings', { layout: 'chatpage' });
+        await chatPage.open();
+        await chatPage.sendMessage('I want to talk about broadband');
+        await chatPage.waitForBotResponse();
+        const reply = await chatPage.getLastBotMessage();
+        assertions.assertContains(reply, 'restarting your router');
+        assertions.assertTrue(await chatPage.isMessageDisplayed('broadband'), 'Expected user message in ChatPage history');
+    });
+});
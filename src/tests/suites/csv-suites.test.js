@@ -0,0 +1,7 @@
+const { csvSuiteGenerator } = require('../../utils');
+
+/**
+ * Generates one Mocha suite per CSV file in test-data/suites.
+ * Filter rows by tag with the CSV_TAGS environment variable, e.g. CSV_TAGS=smoke,billing
+ */
+csvSuiteGenerator.generateFromDirectory('suites');
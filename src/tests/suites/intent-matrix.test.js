@@ -0,0 +1,33 @@
+const fs = require('fs');
+const ChatbotPage = require('../../pages/chatbot.page.js');
+const { IntentMatrix, assertions } = require('../../utils');
+
+/**
+ * Sends every utterance in the intent data file, classifies the replies with
+ * the intent signatures and checks the confusion matrix against thresholds.
+ * INTENT_DATA, INTENT_SIGNATURES and INTENT_MIN_ACCURACY / INTENT_MIN_PRECISION /
+ * INTENT_MIN_RECALL override the defaults below. The bundled data classifies
+ * fully against the mock, so any miss there is a regression.
+ */
+describe('Intent Regression Matrix', () => {
+    it('should classify every utterance as its expected intent', async () => {
+        const chatbotPage = new ChatbotPage();
+        await chatbotPage.open();
+
+        const matrix = new IntentMatrix(chatbotPage, {
+            signatures: process.env.INTENT_SIGNATURES || 'intents/signatures.json'
+        });
+        const report = await matrix.run(process.env.INTENT_DATA || 'intents/utterances.csv');
+
+        const paths = matrix.export(report);
+        const allureReporter = require('@wdio/allure-reporter').default;
+        allureReporter.addAttachment('Intent matrix', fs.readFileSync(paths.html, 'utf8'), 'text/html');
+        allureReporter.addAttachment('Intent matrix (JSON)', fs.readFileSync(paths.json, 'utf8'), 'application/json');
+
+        assertions.assertIntentMatrix(report, {
+            minAccuracy: parseFloat(process.env.INTENT_MIN_ACCURACY || '1'),
+            minPrecision: parseFloat(process.env.INTENT_MIN_PRECISION || '0'),
+            minRecall: parseFloat(process.env.INTENT_MIN_RECALL || '0')
+        });
+    });
+});
@@ -0,0 +1,8 @@
+const { localeSuiteGenerator } = require('../../utils');
+
+/**
+ * Runs the billing flow once per locale of the chat environment and checks
+ * that the bot replies in each locale's language.
+ * Pick locales with LOCALES=en,cy and another flow with LOCALE_FLOW.
+ */
+localeSuiteGenerator.generateFlow(process.env.LOCALE_FLOW || 'flows/billing.flow.yaml');
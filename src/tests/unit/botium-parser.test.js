@@ -0,0 +1,155 @@
+const path = require('path');
+const { assertions, botiumParser } = require('../../utils');
+const { TestDataManager } = require('../../utils/test-data-manager');
+
+/**
+ * Unit tests for BotiumScript parsing and utterance resolution.
+ * Run with: npm run test:unit
+ */
+describe('BotiumParser', () => {
+    const fixturesDir = path.join(__dirname, 'fixtures');
+
+    describe('parseConvo', () => {
+        const content = [
+            'Greeting',
+            'Says hello and checks the reply',
+            '',
+            '#begin',
+            'PAUSE 100',
+            '',
+            '#me',
+            'Hello',
+            '',
+            '#bot',
+            '!Sorry',
+            'TEXT_CONTAINS_ANY_IC hi|hello',
+            '!BUTTONS Cancel',
+            '',
+            '#me',
+            'BUTTON Billing',
+            '',
+            '#bot',
+            'First line',
+            'Second line',
+            '',
+            '#end',
+            'WAITFORBOT 2000'
+        ].join('\r\n');
+
+        it('should read the name and description from the header', () => {
+            const convo = botiumParser.parseConvo(content, 'greeting.convo.txt');
+            assertions.assertEquals(convo.name, 'Greeting');
+            assertions.assertEquals(convo.description, 'Says hello and checks the reply');
+            assertions.assertEquals(convo.sourceFile, 'greeting.convo.txt');
+        });
+
+        it('should fall back to the file name when there is no header', () => {
+            const convo = botiumParser.parseConvo('#me\nHello', 'greeting.convo.txt');
+            assertions.assertEquals(convo.name, 'greeting');
+        });
+
+        it('should split #me and #bot sections into steps', () => {
+            const convo = botiumParser.parseConvo(content);
+            assertions.assertEquals(convo.steps.map(step => step.sender).join(','), 'me,bot,me,bot');
+            assertions.assertEquals(convo.steps[0].text, 'Hello');
+            assertions.assertEquals(convo.steps[3].text, 'First line\nSecond line');
+        });
+
+        it('should collect #begin and #end logic hooks', () => {
+            const convo = botiumParser.parseConvo(content);
+            assertions.assertEquals(convo.begin.length, 1);
+            assertions.assertEquals(convo.begin[0].name, 'PAUSE');
+            assertions.assertEquals(convo.begin[0].args[0], '100');
+            assertions.assertEquals(convo.end[0].name, 'WAITFORBOT');
+        });
+
+        it('should parse negation, asserters and logic hooks of a step', () => {
+            const convo = botiumParser.parseConvo(content);
+            const [, bot, button] = convo.steps;
+
+            assertions.assertTrue(bot.not, 'Expected "!Sorry" to be a negated step');
+            assertions.assertEquals(bot.text, 'Sorry');
+            assertions.assertEquals(bot.asserters.length, 2);
+            assertions.assertEquals(bot.asserters[0].name, 'TEXT_CONTAINS_ANY_IC');
+            assertions.assertEquals(bot.asserters[0].args.join('|'), 'hi|hello');
+            assertions.assertTrue(bot.asserters[1].not, 'Expected "!BUTTONS" to be a negated asserter');
+
+            assertions.assertEquals(button.text, '');
+            assertions.assertEquals(button.logicHooks[0].name, 'BUTTON');
+            assertions.assertEquals(button.logicHooks[0].args[0], 'Billing');
+        });
+    });
+
+    describe('parseUtterances', () => {
+        it('should read the name and the utterances', () => {
+            const set = botiumParser.parseUtterances('GREETING\nHello\n\nHi there\n');
+            assertions.assertEquals(set.name, 'GREETING');
+            assertions.assertEquals(set.utterances.join('|'), 'Hello|Hi there');
+        });
+
+        it('should reject an empty file', () => {
+            let error = null;
+            try {
+                botiumParser.parseUtterances('\n\n', 'empty.utterances.txt');
+            } catch (thrown) {
+                error = thrown;
+            }
+            assertions.assertNotNull(error, 'Expected an empty utterances file to be rejected');
+            assertions.assertContains(error.message, 'empty.utterances.txt');
+        });
+    });
+
+    describe('expandUtterances', () => {
+        const convo = botiumParser.parseConvo('Refs\n#me\nGREETING\n#bot\nREPLY\n#me\nBye\n#bot\nGoodbye');
+        const utterances = [
+            { name: 'GREETING', utterances: ['Hello', 'Hi there'] },
+            { name: 'REPLY', utterances: ['How can I help?', 'What can I do for you?'] }
+        ];
+
+        it('should resolve #me references to the first utterance', () => {
+            const [resolved] = botiumParser.expandUtterances([convo], utterances);
+            assertions.assertEquals(resolved.steps[0].text, 'Hello');
+            assertions.assertEquals(resolved.steps[0].utteranceRef, 'GREETING');
+            assertions.assertEquals(resolved.steps[2].text, 'Bye');
+        });
+
+        it('should accept any utterance of a #bot reference', () => {
+            const [resolved] = botiumParser.expandUtterances([convo], utterances);
+            assertions.assertEquals(resolved.steps[1].expectedAlternatives.length, 2);
+            assertions.assertEquals(resolved.steps[3].expectedAlternatives, undefined);
+        });
+
+        it('should create one convo per utterance in "all" mode', () => {
+            const expanded = botiumParser.expandUtterances([convo], utterances, { mode: 'all' });
+            assertions.assertEquals(expanded.map(variant => variant.steps[0].text).join('|'), 'Hello|Hi there');
+            assertions.assertEquals(expanded[1].name, 'Refs/GREETING-L2');
+        });
+
+        it('should leave the parsed convo untouched', () => {
+            botiumParser.expandUtterances([convo], utterances, { mode: 'all' });
+            assertions.assertEquals(convo.steps[0].text, 'GREETING');
+        });
+    });
+
+    describe('TestDataManager.loadConversations', () => {
+        let testDataManager;
+
+        beforeEach(() => {
+            testDataManager = new TestDataManager();
+            testDataManager.testDataDir = fixturesDir;
+        });
+
+        it('should resolve utterances from the files next to a single convo file', () => {
+            const [convo] = testDataManager.loadConversations('botium/billing.convo.txt');
+            assertions.assertEquals(convo.name, 'Billing question');
+            assertions.assertEquals(convo.steps[0].text, 'I have a question about my bill');
+            assertions.assertEquals(convo.steps[1].expectedAlternatives.join('|'), 'I can help with your bill|I can help with billing');
+        });
+
+        it('should resolve utterances when loading a directory', () => {
+            const convos = testDataManager.loadBotiumConvos('botium', { utteranceMode: 'all' });
+            assertions.assertEquals(convos.length, 2);
+            assertions.assertEquals(convos[1].steps[0].text, 'Why is my bill so high?');
+        });
+    });
+});
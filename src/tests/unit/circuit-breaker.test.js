@@ -0,0 +1,88 @@
+const { assertions } = require('../../utils');
+const { CircuitBreaker } = require('../../utils/circuit-breaker');
+
+/**
+ * Unit tests for circuit breaker state transitions.
+ * Run with: npm run test:unit
+ */
+describe('CircuitBreaker', () => {
+    const failTimes = (breaker, times) => {
+        for (let i = 0; i < times; i++) {
+            breaker.recordFailure(new Error(`failure ${breaker.failures + 1}`));
+        }
+    };
+
+    it('should open after failureThreshold consecutive failures', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 3 });
+        failTimes(breaker, 2);
+        assertions.assertEquals(breaker.state, 'closed');
+
+        failTimes(breaker, 1);
+        assertions.assertEquals(breaker.state, 'open');
+        assertions.assertFalse(breaker.allowRequest(), 'Expected an open circuit to refuse calls');
+        assertions.assertEquals(breaker.getState().rejectedCalls, 1);
+        assertions.assertEquals(breaker.getState().lastError, 'failure 3');
+    });
+
+    it('should count only consecutive failures', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 3 });
+        failTimes(breaker, 2);
+        breaker.recordSuccess();
+        failTimes(breaker, 2);
+        assertions.assertEquals(breaker.state, 'closed');
+    });
+
+    it('should allow halfOpenMaxCalls trial calls once the reset timeout passed', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 1, resetTimeout: 0, halfOpenMaxCalls: 2 });
+        failTimes(breaker, 1);
+
+        assertions.assertTrue(breaker.allowRequest(), 'Expected the first trial call');
+        assertions.assertEquals(breaker.state, 'half-open');
+        assertions.assertTrue(breaker.allowRequest(), 'Expected the second trial call');
+        assertions.assertFalse(breaker.allowRequest(), 'Expected further calls to wait for the trial results');
+    });
+
+    it('should stay open until the reset timeout passed', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 1, resetTimeout: 60000 });
+        failTimes(breaker, 1);
+        assertions.assertFalse(breaker.allowRequest(), 'Expected the circuit to stay open');
+        assertions.assertEquals(breaker.state, 'open');
+        assertions.assertNotNull(breaker.getState().nextAttemptAt, 'Expected the next trial time');
+    });
+
+    it('should close after a successful trial call', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 1, resetTimeout: 0 });
+        failTimes(breaker, 1);
+        breaker.allowRequest();
+        breaker.recordSuccess();
+
+        assertions.assertEquals(breaker.state, 'closed');
+        assertions.assertEquals(breaker.getState().transitions.map(transition => transition.to).join(','), 'open,half-open,closed');
+    });
+
+    it('should open again after a failed trial call', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 3, resetTimeout: 0 });
+        failTimes(breaker, 3);
+        breaker.allowRequest();
+        failTimes(breaker, 1);
+        assertions.assertEquals(breaker.state, 'open');
+    });
+
+    it('should hand back the trial slot of an ignored call', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 1, resetTimeout: 0 });
+        failTimes(breaker, 1);
+        breaker.allowRequest();
+        breaker.recordIgnored();
+
+        assertions.assertEquals(breaker.state, 'half-open');
+        assertions.assertTrue(breaker.allowRequest(), 'Expected another trial call');
+    });
+
+    it('should close and clear its counters on reset', () => {
+        const breaker = new CircuitBreaker('backend', { failureThreshold: 1 });
+        failTimes(breaker, 1);
+        breaker.reset();
+        assertions.assertEquals(breaker.state, 'closed');
+        assertions.assertEquals(breaker.getState().failures, 0);
+    });
+});
@@ -0,0 +1,203 @@
+const { assertions, botiumParser, ConvoRunner } = require('../../utils');
+
+/**
+ * Unit tests for ConvoRunner step execution against a scripted chatbot page.
+ * Run with: npm run test:unit
+ */
+describe('ConvoRunner', () => {
+    /**
+     * Chatbot page double: every sent message or clicked button produces the
+     * scripted bot messages of its turn. Like ChatbotPage, waiting for a
+     * response requires a bot message beyond the count captured at the last
+     * send, so a wait without a send fails instead of returning the welcome.
+     * @param {Object} replies - Bot messages per user message or button label
+     * @param {Array} welcome - Bot messages shown before the first user message
+     * @returns {Object} Fake ChatbotPage
+     */
+    const createFakePage = (replies, welcome = ['Hi, I am the virtual assistant']) => {
+        const botCount = () => page.messages.filter(message => message.sender === 'bot').length;
+        const page = {
+            responseTimeout: 1000,
+            sent: [],
+            messages: welcome.map(text => ({ sender: 'bot', text, quickReplies: [], cards: [], carousels: [], attachments: [] })),
+            lastTurn: [],
+            botMessageCountBeforeSend: null,
+            turnComplete: false,
+            resets: 0,
+
+            _respond(input) {
+                page.botMessageCountBeforeSend = botCount();
+                page.turnComplete = false;
+                page.sent.push(input);
+                page.messages.push({ sender: 'user', text: input });
+                page.lastTurn = replies[input] || [];
+                page.lastTurn.forEach(reply => {
+                    const message = typeof reply === 'string' ? { text: reply } : reply;
+                    page.messages.push({ sender: 'bot', quickReplies: [], cards: [], carousels: [], attachments: [], ...message });
+                });
+            },
+            async sendMessage(text) {
+                page._respond(text);
+            },
+            async sendMessageAndWaitForTurn(text) {
+                page._respond(text);
+                return page.getTurnResponses();
+            },
+            async clickButton(label) {
+                page._respond(label);
+            },
+            async waitForResponse(timeout = page.responseTimeout) {
+                if (page.turnComplete) {
+                    return;
+                }
+                const initialCount = page.botMessageCountBeforeSend !== null ? page.botMessageCountBeforeSend : botCount();
+                if (botCount() <= initialCount) {
+                    throw new Error(`Bot response did not appear within ${timeout}ms`);
+                }
+                page.turnComplete = true;
+            },
+            async getTurnResponses() {
+                await page.waitForResponse();
+                return page.lastTurn.map(reply => (typeof reply === 'string' ? reply : reply.text));
+            },
+            async getLastResponse() {
+                await page.waitForResponse();
+                const botMessages = page.messages.filter(message => message.sender === 'bot');
+                return botMessages[botMessages.length - 1].text;
+            },
+            async getStructuredMessages() {
+                return page.messages;
+            },
+            async clearConversation() {
+                page.messages = welcome.map(text => ({ sender: 'bot', text, quickReplies: [], cards: [], carousels: [], attachments: [] }));
+            },
+            resetTurnState() {
+                page.resets++;
+                page.botMessageCountBeforeSend = null;
+                page.turnComplete = false;
+            }
+        };
+        return page;
+    };
+
+    const run = async (script, page, options = {}) => {
+        const runner = new ConvoRunner(page, options);
+        return runner.run(botiumParser.parseConvo(script));
+    };
+
+    it('should assert consecutive #bot steps against the messages of the turn in order', async () => {
+        const page = createFakePage({ 'My bill': ['Let me check your bill', 'Your bill is £40'] });
+        const result = await run('Bill\n#me\nMy bill\n#bot\ncheck your bill\n#bot\n£40', page);
+
+        assertions.assertTrue(result.passed, JSON.stringify(result.turns));
+        assertions.assertEquals(result.turns[1].actual, 'Let me check your bill');
+        assertions.assertEquals(result.turns[2].actual, 'Your bill is £40');
+    });
+
+    it('should not match a repeated #bot step against the same message twice', async () => {
+        const page = createFakePage({ Hello: ['Hi there'] });
+        const result = await run('Repeat\n#me\nHello\n#bot\nHi\n#bot\nHi', page);
+
+        assertions.assertFalse(result.passed, 'Expected the second #bot step to fail');
+        assertions.assertTrue(result.turns[1].passed, 'Expected the first #bot step to pass');
+        assertions.assertContains(result.turns[2].errors[0], 'produced only 1');
+    });
+
+    it('should match the first #bot step against the welcome message', async () => {
+        const page = createFakePage({ Hello: ['Hi there'] });
+        const result = await run('Welcome\n#bot\nvirtual assistant\n#me\nHello\n#bot\nHi there', page);
+
+        assertions.assertTrue(result.passed, JSON.stringify(result.turns));
+        assertions.assertEquals(page.sent.join('|'), 'Hello');
+    });
+
+    it('should only use the welcome messages shown before the first user message', async () => {
+        const page = createFakePage({}, ['Hi, I am the virtual assistant', 'Ask me about bills']);
+        page.messages.push({ sender: 'user', text: 'Earlier' }, { sender: 'bot', text: 'Earlier reply' });
+        const result = await run('Welcome\n#bot\nvirtual assistant\n#bot\nbills\n#bot\nEarlier reply', page);
+
+        assertions.assertTrue(result.turns[1].passed, JSON.stringify(result.turns));
+        assertions.assertContains(result.turns[2].errors[0], 'produced only 2');
+    });
+
+    it('should start each convo of runAll with a fresh turn state', async () => {
+        const page = createFakePage({ Hello: ['Hi there'] });
+        const runner = new ConvoRunner(page);
+        const convo = botiumParser.parseConvo('Welcome\n#bot\nvirtual assistant\n#me\nHello\n#bot\nHi there');
+        const summary = await runner.runAll([convo, convo]);
+
+        assertions.assertEquals(summary.passed, 2);
+        assertions.assertEquals(page.resets, 1);
+    });
+
+    it('should send a BUTTON step as a click and start a new turn', async () => {
+        const page = createFakePage({
+            Hello: ['What can I help you with?'],
+            Billing: ['I can help with your bill']
+        });
+        const result = await run('Button\n#me\nHello\n#bot\nhelp you\n#me\nBUTTON Billing\n#bot\nyour bill', page);
+
+        assertions.assertTrue(result.passed, JSON.stringify(result.turns));
+        assertions.assertEquals(result.turns[2].text, 'BUTTON Billing');
+    });
+
+    it('should check rich asserters against the structured message at the same position', async () => {
+        const page = createFakePage({
+            Hello: [
+                { text: 'Hi there', quickReplies: ['Start'] },
+                { text: 'Pick a topic', quickReplies: ['Billing', 'Broadband'] }
+            ]
+        });
+        const result = await run('Rich\n#me\nHello\n#bot\n!BUTTONS Billing\n#bot\nBUTTONS Billing|Broadband', page);
+
+        assertions.assertTrue(result.passed, JSON.stringify(result.turns));
+    });
+
+    it('should stop at the first failed turn unless continueOnFailure is set', async () => {
+        const script = 'Fail\n#me\nHello\n#bot\nGoodbye\n#me\nBye\n#bot\nGoodbye';
+        const replies = { Hello: ['Hi there'], Bye: ['Goodbye'] };
+
+        const stopped = await run(script, createFakePage(replies));
+        assertions.assertTrue(stopped.turns[2].skipped, 'Expected the turns after the failure to be skipped');
+
+        const continued = await run(script, createFakePage(replies), { continueOnFailure: true });
+        assertions.assertEquals(continued.failedTurns.join(','), '1');
+    });
+
+    it('should match expected utterance alternatives of a #bot step', async () => {
+        const [convo] = botiumParser.expandUtterances(
+            [botiumParser.parseConvo('Alternatives\n#me\nHello\n#bot\nREPLY')],
+            [{ name: 'REPLY', utterances: ['Good morning', 'Hi there'] }]
+        );
+        const runner = new ConvoRunner(createFakePage({ Hello: ['Hi there!'] }));
+        const result = await runner.run(convo);
+
+        assertions.assertTrue(result.passed, JSON.stringify(result.turns));
+    });
+
+    describe('text matching', () => {
+        const runner = new ConvoRunner(createFakePage({}));
+        const step = text => botiumParser.parseConvo(`#bot\n${text}`).steps[0];
+
+        it('should match wildcards case-insensitively by default', () => {
+            assertions.assertEquals(runner._checkBotStep(step('your * is ready'), 'Your new bill is ready', []).length, 0);
+        });
+
+        it('should fail a negated step that matches', () => {
+            const errors = runner._checkBotStep(step('!sorry'), 'Sorry, I did not get that', []);
+            assertions.assertContains(errors[0], 'not to match');
+        });
+
+        it('should evaluate TEXT asserters', () => {
+            const asserters = step('TEXT_CONTAINS_ALL_IC bill|ready\nTEXT_REGEX_ANY ^Your');
+            assertions.assertEquals(runner._checkBotStep(asserters, 'Your bill is READY', []).length, 0);
+            assertions.assertEquals(runner._checkBotStep(asserters, 'The bill is late', []).length, 2);
+        });
+
+        it('should warn about rich asserters without a structured message', () => {
+            const warnings = [];
+            runner._checkBotStep(step('CARDS Fibre'), 'Our plans', warnings);
+            assertions.assertContains(warnings[0], 'CARDS');
+        });
+    });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assertions } = require('../../utils');
+const { ErrorHandler } = require('../../utils/error-handler');
+const { AssertionMismatchError, CircuitOpenError, SelectorAmbiguousError, WaitTimeoutError } = require('../../utils/errors');
+
+/**
+ * Unit tests for retries and circuit breaker accounting in ErrorHandler.
+ * Run with: npm run test:unit
+ */
+describe('ErrorHandler', () => {
+    let errorHandler;
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-handler-'));
+        errorHandler = new ErrorHandler();
+        errorHandler.logsDir = tempDir;
+        errorHandler.logPath = path.join(tempDir, 'error.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const expectRejection = async (promise) => {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    };
+
+    describe('executeWithRetry', () => {
+        const noWait = { policy: { maxRetries: 2, baseDelay: 0, jitter: 'none' } };
+
+        it('should retry a retryable error and return the later result', async () => {
+            let calls = 0;
+            const result = await errorHandler.executeWithRetry(async () => {
+                calls++;
+                if (calls === 1) {
+                    throw new WaitTimeoutError({ condition: 'Bot replied', timeout: 10 });
+                }
+                return 'reply';
+            }, 'send greeting', noWait);
+
+            assertions.assertEquals(result, 'reply');
+            assertions.assertEquals(calls, 2);
+        });
+
+        it('should not retry an assertion failure', async () => {
+            let calls = 0;
+            const error = await expectRejection(errorHandler.executeWithRetry(async () => {
+                calls++;
+                throw new AssertionMismatchError('Expected a greeting', { actual: 'Bye', expected: 'Hello' });
+            }, 'check greeting', noWait));
+
+            assertions.assertEquals(error.code, 'ASSERTION_MISMATCH');
+            assertions.assertEquals(calls, 1);
+        });
+
+        it('should leave the circuit closed after assertion and selector failures', async () => {
+            const options = { ...noWait, circuit: 'chat-backend' };
+            errorHandler.getCircuitBreaker('chat-backend', { failureThreshold: 2 });
+
+            for (let i = 0; i < 3; i++) {
+                await expectRejection(errorHandler.executeWithRetry(async () => {
+                    throw new AssertionMismatchError('Expected a greeting', { actual: 'Bye', expected: 'Hello' });
+                }, 'check greeting', options));
+                await expectRejection(errorHandler.executeWithRetry(async () => {
+                    throw new SelectorAmbiguousError({ selector: '.reply', matches: ['a', 'b'] });
+                }, 'click reply', options));
+            }
+
+            const state = errorHandler.getCircuitBreaker('chat-backend').getState();
+            assertions.assertEquals(state.state, 'closed');
+            assertions.assertEquals(state.failures, 0);
+        });
+
+        it('should open the circuit after backend failures and refuse further calls', async () => {
+            const options = { policy: { maxRetries: 1 }, circuit: 'chat-backend' };
+            errorHandler.getCircuitBreaker('chat-backend', { failureThreshold: 2, resetTimeout: 60000 });
+            const backendDown = async () => {
+                throw Object.assign(new Error('Chat API answered 503'), { status: 503 });
+            };
+
+            await expectRejection(errorHandler.executeWithRetry(backendDown, 'send greeting', options));
+            await expectRejection(errorHandler.executeWithRetry(() => {
+                throw new Error('connect ECONNREFUSED 127.0.0.1:4010');
+            }, 'send greeting', options));
+
+            let called = false;
+            const error = await expectRejection(errorHandler.executeWithRetry(async () => {
+                called = true;
+            }, 'send greeting', options));
+
+            assertions.assertTrue(error instanceof CircuitOpenError, `Expected a CircuitOpenError, got ${error.name}`);
+            assertions.assertFalse(called, 'Expected the open circuit to refuse the call');
+        });
+
+        it('should free the half-open trial slot after a non-backend failure', async () => {
+            const options = { policy: { maxRetries: 1 }, circuit: 'chat-backend' };
+            const breaker = errorHandler.getCircuitBreaker('chat-backend', { failureThreshold: 1, resetTimeout: 0 });
+            breaker.recordFailure(new Error('timeout'));
+
+            await expectRejection(errorHandler.executeWithRetry(async () => {
+                throw new AssertionMismatchError('Expected a greeting', { actual: 'Bye', expected: 'Hello' });
+            }, 'check greeting', options));
+            const result = await errorHandler.executeWithRetry(async () => 'reply', 'send greeting', options);
+
+            assertions.assertEquals(result, 'reply');
+            assertions.assertEquals(breaker.state, 'closed');
+        });
+    });
+
+    describe('handleError', () => {
+        it('should append the entry when the log cannot be rotated', () => {
+            errorHandler.logRotator.rotateIfNeeded = () => {
+                throw new Error('EACCES: permission denied');
+            };
+            errorHandler.handleError(new Error('Send button missing'), 'send greeting');
+
+            const [entry] = fs.readFileSync(errorHandler.logPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+            assertions.assertEquals(entry.message, 'Send button missing');
+            assertions.assertEquals(entry.context, 'send greeting');
+        });
+    });
+});
@@ -0,0 +1,103 @@
+const { assertions } = require('../../utils');
+const {
+    ChatbotTestError,
+    ElementNotFoundError,
+    ChatWidgetNotFoundError,
+    SelectorAmbiguousError,
+    WaitTimeoutError,
+    BotResponseTimeoutError,
+    SessionLostError,
+    AssertionMismatchError,
+    CircuitOpenError
+} = require('../../utils/errors');
+
+/**
+ * Unit tests for the typed error classes.
+ * Run with: npm run test:unit
+ */
+describe('Typed errors', () => {
+    it('should copy code, category, severity and flags from the class', () => {
+        const error = new SelectorAmbiguousError({ selector: '.message', matches: ['div#a', 'div#b'] });
+
+        assertions.assertEquals(error.name, 'SelectorAmbiguousError');
+        assertions.assertEquals(error.code, 'SELECTOR_AMBIGUOUS');
+        assertions.assertEquals(error.category, 'SelectorError');
+        assertions.assertEquals(error.severity, 'Medium');
+        assertions.assertFalse(error.retryable, 'Expected an ambiguous selector not to be retryable');
+        assertions.assertTrue(error instanceof ChatbotTestError, 'Expected a ChatbotTestError');
+        assertions.assertTrue(error instanceof Error, 'Expected an Error');
+    });
+
+    it('should keep the class flags of a subclass', () => {
+        const error = new ChatWidgetNotFoundError({ selector: '#chat', profile: 'generic', timeout: 5000 });
+
+        assertions.assertTrue(error instanceof ElementNotFoundError, 'Expected an ElementNotFoundError');
+        assertions.assertEquals(error.code, 'CHAT_WIDGET_NOT_FOUND');
+        assertions.assertEquals(error.severity, 'Critical');
+        assertions.assertEquals(error.message, 'Chat widget not found with profile "generic" (#chat) within 5000ms');
+    });
+
+    it('should build messages from the structured fields', () => {
+        assertions.assertEquals(
+            new ElementNotFoundError({ selector: '#send', state: 'clickable', timeout: 2000 }).message,
+            'Element #send was not clickable within 2000ms'
+        );
+        assertions.assertEquals(
+            new SelectorAmbiguousError({ selector: '.button', matches: ['Yes', 'Yes'] }).message,
+            '.button matches 2 elements: Yes, Yes'
+        );
+        assertions.assertEquals(new WaitTimeoutError({ condition: 'Typing indicator gone', timeout: 300 }).message, 'Typing indicator gone (timeout 300ms)');
+        assertions.assertEquals(new SessionLostError().message, 'Browser session lost during browser command');
+    });
+
+    it('should prefer an explicit message and keep it out of the details', () => {
+        const error = new WaitTimeoutError({ message: 'Custom wait failed', condition: 'x', timeout: 1 });
+
+        assertions.assertEquals(error.message, 'Custom wait failed');
+        assertions.assertEquals(Object.keys(error.details).join(','), 'condition,timeout');
+    });
+
+    it('should expose the fields as properties and details, and keep the cause apart', () => {
+        const cause = new Error('element is stale');
+        const error = new BotResponseTimeoutError({ utterance: 'Hello', timeout: 1000, stage: 'first-message', cause });
+
+        assertions.assertEquals(error.message, 'No complete bot response to "Hello" within 1000ms: element is stale');
+        assertions.assertEquals(error.stage, 'first-message');
+        assertions.assertEquals(error.details.utterance, 'Hello');
+        assertions.assertEquals(error.details.cause, undefined);
+        assertions.assertEquals(error.cause, cause);
+    });
+
+    it('should describe itself with toJSON', () => {
+        const error = new AssertionMismatchError('Expected "a"', { actual: 'b', expected: 'a', cause: new Error('inner') });
+        const json = JSON.parse(JSON.stringify(error));
+
+        assertions.assertEquals(json.name, 'AssertionMismatchError');
+        assertions.assertEquals(json.code, 'ASSERTION_MISMATCH');
+        assertions.assertEquals(json.category, 'AssertionError');
+        assertions.assertFalse(json.retryable, 'Expected an assertion failure not to be retryable');
+        assertions.assertTrue(json.recoverable, 'Expected an assertion failure to be recoverable');
+        assertions.assertEquals(json.details.actual, 'b');
+        assertions.assertEquals(json.cause, 'inner');
+    });
+
+    it('should only ask Mocha for a diff of text mismatches', () => {
+        assertions.assertTrue(new AssertionMismatchError('x', { actual: 'b', expected: 'a' }).showDiff, 'Expected a diff for text');
+        assertions.assertFalse(new AssertionMismatchError('x', { actual: 2, expected: 1 }).showDiff, 'Expected no diff for numbers');
+    });
+
+    it('should describe an open circuit and when it is tried again', () => {
+        const nextAttemptAt = new Date(Date.now() + 60000).toISOString();
+        const error = new CircuitOpenError({ name: 'chat-backend', state: 'open', consecutiveFailures: 3, nextAttemptAt });
+
+        assertions.assertContains(error.message, 'Circuit "chat-backend" is open after 3 consecutive failures; next trial call in');
+        assertions.assertEquals(error.circuit.name, 'chat-backend');
+        assertions.assertEquals(error.category, 'CircuitOpen');
+        assertions.assertFalse(error.retryable, 'Expected an open circuit not to be retryable');
+    });
+
+    it('should leave out the next trial call when none is scheduled', () => {
+        const error = new CircuitOpenError({ name: 'chat-backend', state: 'half-open', consecutiveFailures: 3, nextAttemptAt: null });
+        assertions.assertEquals(error.message, 'Circuit "chat-backend" is half-open after 3 consecutive failures');
+    });
+});
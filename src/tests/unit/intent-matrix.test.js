@@ -0,0 +1,149 @@
+const { assertions } = require('../../utils');
+const { IntentMatrix, NO_MATCH } = require('../../utils/intent-matrix');
+
+/**
+ * Unit tests for intent classification with signatures and the confusion report.
+ * Run with: npm run test:unit
+ */
+describe('IntentMatrix', () => {
+    const signatures = {
+        intents: {
+            billing: {
+                keywords: ['bill', 'payment'],
+                patterns: ['/help with your (bill|invoice)/i'],
+                quickReplies: ['View my bill', 'Make a payment']
+            },
+            broadband: {
+                keywords: ['broadband'],
+                patterns: ['/Broadband (trouble|fault)/']
+            },
+            agent: {
+                keywords: ['agent'],
+                patterns: ['connecting you']
+            }
+        }
+    };
+
+    const createMatrix = (definitions = signatures) => new IntentMatrix({ responseTimeout: 1000 }, { signatures: definitions });
+
+    const expectError = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            return error;
+        }
+        throw new Error('Expected the call to fail');
+    };
+
+    describe('classify', () => {
+        it('should add up keyword, pattern and quick-reply scores', () => {
+            const result = createMatrix().classify('I can help with your bill', ['View my bill', 'Make a payment', 'Something else']);
+
+            assertions.assertEquals(result.intent, 'billing');
+            assertions.assertEquals(result.score, 6);
+            assertions.assertEquals(result.matched.join(','), 'keyword:bill,pattern,quickReplies');
+        });
+
+        it('should require every quick reply of the set', () => {
+            const result = createMatrix().classify('Here you go', ['View my bill']);
+
+            assertions.assertEquals(result.intent, NO_MATCH);
+            assertions.assertEquals(result.scores.billing, 0);
+        });
+
+        it('should give a tie to the intent listed first', () => {
+            assertions.assertEquals(createMatrix().classify('Your broadband bill').intent, 'billing');
+        });
+
+        it('should classify a reply that matches nothing as (none)', () => {
+            assertions.assertEquals(createMatrix().classify('Good morning').intent, NO_MATCH);
+            assertions.assertEquals(createMatrix().classify(null).intent, NO_MATCH);
+        });
+    });
+
+    describe('patterns', () => {
+        it('should honor the flags of a /regex/ as written', () => {
+            const matrix = createMatrix();
+
+            assertions.assertEquals(matrix.classify('Sorry about the Broadband fault').scores.broadband, 3);
+            assertions.assertEquals(matrix.classify('Sorry about the BROADBAND FAULT').scores.broadband, 1);
+        });
+
+        it('should match a bare pattern case-insensitively', () => {
+            assertions.assertEquals(createMatrix().classify('Connecting you now').scores.agent, 2);
+        });
+
+        it('should match the same reply every time despite g or y flags', () => {
+            const matrix = createMatrix({ greeting: { patterns: ['/hello/gi', /welcome/y] } });
+
+            ['Hello there', 'Hello there', 'welcome back', 'welcome back'].forEach(reply => {
+                assertions.assertEquals(matrix.classify(reply).intent, 'greeting');
+            });
+            assertions.assertEquals(matrix.signatures.greeting.patterns.map(pattern => pattern.flags).join(','), 'i,');
+        });
+
+        it('should name the intent of a pattern that does not compile', () => {
+            const error = expectError(() => createMatrix({ billing: { patterns: ['/(bill/i'] } }));
+
+            assertions.assertContains(error.message, 'intent "billing"');
+            assertions.assertContains(error.message, '/(bill/i');
+        });
+    });
+
+    describe('buildReport', () => {
+        const result = (expected, predicted) => ({ expected, predicted, correct: expected === predicted });
+
+        it('should count the results into a confusion matrix', () => {
+            const report = createMatrix().buildReport([
+                result('billing', 'billing'),
+                result('billing', 'broadband'),
+                result('broadband', 'broadband'),
+                result('agent', NO_MATCH)
+            ]);
+
+            assertions.assertEquals(report.total, 4);
+            assertions.assertEquals(report.correct, 2);
+            assertions.assertEquals(report.accuracy, 0.5);
+            assertions.assertEquals(report.labels.join(','), `billing,broadband,agent,${NO_MATCH}`);
+            assertions.assertEquals(report.matrix.billing.broadband, 1);
+            assertions.assertEquals(report.matrix.agent[NO_MATCH], 1);
+        });
+
+        it('should compute precision, recall and F1 per intent', () => {
+            const report = createMatrix().buildReport([
+                result('billing', 'billing'),
+                result('billing', 'broadband'),
+                result('broadband', 'broadband'),
+                result('agent', NO_MATCH)
+            ]);
+
+            assertions.assertEquals(report.intents.billing.precision, 1);
+            assertions.assertEquals(report.intents.billing.recall, 0.5);
+            assertions.assertEquals(report.intents.billing.f1, 0.667);
+            assertions.assertEquals(report.intents.broadband.precision, 0.5);
+            assertions.assertEquals(report.intents.broadband.falsePositives, 1);
+            assertions.assertEquals(report.intents.agent.recall, 0);
+            assertions.assertEquals(report.intents.agent.precision, null);
+            assertions.assertEquals(report.intents[NO_MATCH], undefined);
+        });
+
+        it('should average the metrics over the intents with support', () => {
+            const report = createMatrix().buildReport([
+                result('billing', 'billing'),
+                result('billing', 'broadband'),
+                result('broadband', 'broadband')
+            ]);
+
+            assertions.assertEquals(report.macro.precision, 0.75);
+            assertions.assertEquals(report.macro.recall, 0.75);
+        });
+
+        it('should report an empty run', () => {
+            const report = createMatrix().buildReport([]);
+
+            assertions.assertEquals(report.total, 0);
+            assertions.assertEquals(report.accuracy, 0);
+            assertions.assertEquals(report.macro.f1, null);
+        });
+    });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { assertions } = require('../../utils');
+const { LogRotator } = require('../../utils/log-rotator');
+
+/**
+ * Unit tests for size- and age-based log rotation and archive pruning.
+ * Run with: npm run test:unit
+ */
+describe('LogRotator', () => {
+    const day = 24 * 60 * 60 * 1000;
+    let tempDir;
+    let logPath;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-rotator-'));
+        logPath = path.join(tempDir, 'error.log');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const writeEntries = (...timestamps) => {
+        fs.writeFileSync(logPath, timestamps.map(timestamp => JSON.stringify({ timestamp, message: `at ${timestamp}` })).join('\n') + '\n');
+    };
+
+    const writeArchive = (stamp) => {
+        const archivePath = path.join(tempDir, `error-${stamp}.log.gz`);
+        fs.writeFileSync(archivePath, zlib.gzipSync(JSON.stringify({ timestamp: stamp, message: 'archived' }) + '\n'));
+        return archivePath;
+    };
+
+    describe('needsRotation', () => {
+        it('should not rotate a missing or empty log', () => {
+            const rotator = new LogRotator({ maxSize: 1 });
+            assertions.assertEquals(rotator.needsRotation(logPath), null);
+
+            fs.writeFileSync(logPath, '');
+            assertions.assertEquals(rotator.needsRotation(logPath), null);
+        });
+
+        it('should rotate by size once the log reaches maxSize', () => {
+            writeEntries(new Date().toISOString());
+            const size = fs.statSync(logPath).size;
+
+            assertions.assertEquals(new LogRotator({ maxSize: size }).needsRotation(logPath), 'size');
+            assertions.assertEquals(new LogRotator({ maxSize: size + 1 }).needsRotation(logPath), null);
+        });
+
+        it('should rotate by the age of the oldest entry', () => {
+            const now = Date.now();
+            writeEntries(new Date(now - 3 * day).toISOString(), new Date(now).toISOString());
+
+            assertions.assertEquals(new LogRotator({ maxAge: 2 * day }).needsRotation(logPath, now), 'age');
+            assertions.assertEquals(new LogRotator({ maxAge: 4 * day }).needsRotation(logPath, now), null);
+        });
+    });
+
+    describe('rotate', () => {
+        it('should move the log into a gzipped archive', () => {
+            writeEntries(new Date().toISOString());
+            const content = fs.readFileSync(logPath, 'utf8');
+            const archivePath = new LogRotator().rotate(logPath, 'size');
+
+            assertions.assertFalse(fs.existsSync(logPath), 'Expected the log to be moved');
+            assertions.assertTrue(archivePath.endsWith('.log.gz'), `Unexpected archive ${archivePath}`);
+            assertions.assertEquals(zlib.gunzipSync(fs.readFileSync(archivePath)).toString('utf8'), content);
+        });
+
+        it('should keep the archive uncompressed when compress is off', () => {
+            writeEntries(new Date().toISOString());
+            const archivePath = new LogRotator({ compress: false }).rotate(logPath);
+
+            assertions.assertTrue(archivePath.endsWith('.log'), `Unexpected archive ${archivePath}`);
+            assertions.assertEquals(new LogRotator().listArchives(logPath).length, 1);
+        });
+
+        it('should not overwrite an archive rotated in the same millisecond', () => {
+            const rotator = new LogRotator();
+            const realToISOString = Date.prototype.toISOString;
+            Date.prototype.toISOString = () => '2026-01-01T00:00:00.000Z';
+            try {
+                writeEntries('2026-01-01T00:00:00.000Z');
+                rotator.rotate(logPath);
+                writeEntries('2026-01-01T00:00:00.000Z');
+                rotator.rotate(logPath);
+            } finally {
+                Date.prototype.toISOString = realToISOString;
+            }
+
+            assertions.assertEquals(rotator.listArchives(logPath).length, 2);
+        });
+
+        it('should rotate only when needed', () => {
+            writeEntries(new Date().toISOString());
+            const rotator = new LogRotator({ maxSize: 1024 * 1024, maxAge: day });
+
+            assertions.assertEquals(rotator.rotateIfNeeded(logPath), null);
+            rotator.configure({ maxSize: 1 });
+            assertions.assertNotNull(rotator.rotateIfNeeded(logPath), 'Expected the log to be rotated');
+        });
+    });
+
+    describe('prune', () => {
+        it('should keep only the newest maxFiles archives', () => {
+            const archives = [
+                '2026-01-01T00-00-00-000Z',
+                '2026-01-02T00-00-00-000Z',
+                '2026-01-03T00-00-00-000Z',
+                '2026-01-04T00-00-00-000Z'
+            ].map(writeArchive);
+            const removed = new LogRotator({ maxFiles: 2 }).prune(logPath);
+
+            assertions.assertEquals(removed.join('|'), archives.slice(0, 2).join('|'));
+            assertions.assertEquals(new LogRotator().listArchives(logPath).join('|'), archives.slice(2).join('|'));
+        });
+
+        it('should prune after a rotation', () => {
+            writeArchive('2026-01-01T00-00-00-000Z');
+            writeArchive('2026-01-02T00-00-00-000Z');
+            writeEntries(new Date().toISOString());
+            const rotator = new LogRotator({ maxFiles: 2 });
+            const archivePath = rotator.rotate(logPath);
+
+            const archives = rotator.listArchives(logPath);
+            assertions.assertEquals(archives.length, 2);
+            assertions.assertEquals(archives[1], archivePath);
+        });
+
+        it('should ignore files that are not archives of the log', () => {
+            writeArchive('2026-01-01T00-00-00-000Z');
+            fs.writeFileSync(path.join(tempDir, 'error-notes.log'), 'keep me');
+            fs.writeFileSync(path.join(tempDir, 'access-2026-01-01T00-00-00-000Z.log'), 'keep me');
+
+            assertions.assertEquals(new LogRotator({ maxFiles: 0 }).prune(logPath).length, 1);
+            assertions.assertTrue(fs.existsSync(path.join(tempDir, 'error-notes.log')), 'Expected unrelated files to be kept');
+        });
+    });
+
+    describe('readEntries', () => {
+        it('should read the archives oldest first, then the log, and count unparsable lines', () => {
+            writeArchive('2026-01-01T00-00-00-000Z');
+            fs.writeFileSync(logPath, '{"message":"current"}\nnot json\n');
+            const { entries, files, skipped } = new LogRotator().readEntries(logPath);
+
+            assertions.assertEquals(entries.map(entry => entry.message).join('|'), 'archived|current');
+            assertions.assertEquals(files.length, 2);
+            assertions.assertEquals(skipped, 1);
+        });
+
+        it('should leave the archives out when asked', () => {
+            writeArchive('2026-01-01T00-00-00-000Z');
+            fs.writeFileSync(logPath, '{"message":"current"}\n');
+
+            assertions.assertEquals(new LogRotator().readEntries(logPath, { archives: false }).entries.length, 1);
+        });
+    });
+});
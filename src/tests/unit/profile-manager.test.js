@@ -0,0 +1,62 @@
+const { assertions } = require('../../utils');
+const { ProfileManager } = require('../../utils/profile-manager');
+
+/**
+ * Unit tests for profile resolution and environment defaults.
+ * Run with: npm run test:unit
+ */
+describe('ProfileManager', () => {
+    let profileManager;
+    let savedProfile;
+
+    beforeEach(() => {
+        savedProfile = process.env.CHATBOT_PROFILE;
+        delete process.env.CHATBOT_PROFILE;
+        profileManager = new ProfileManager();
+    });
+
+    afterEach(() => {
+        if (savedProfile === undefined) {
+            delete process.env.CHATBOT_PROFILE;
+        } else {
+            process.env.CHATBOT_PROFILE = savedProfile;
+        }
+    });
+
+    it('should load the default profile of every configured environment', () => {
+        const environments = Object.keys(profileManager._loadEnvironments().environments);
+        environments.forEach(environment => {
+            const profile = profileManager.getActiveProfile(environment);
+            assertions.assertFalse(Boolean(profile.partial), `Environment "${environment}" defaults to the partial profile "${profile.name}"`);
+        });
+    });
+
+    it('should not inherit "partial" through extends', () => {
+        assertions.assertTrue(Boolean(profileManager.loadProfile('o2-virtual-assistant').partial), 'Expected the O2 profile to be partial');
+        assertions.assertFalse(Boolean(profileManager.loadProfile('virgin-media').partial), 'Expected virgin-media not to inherit "partial"');
+    });
+
+    it('should merge the selectors of the parent profile', () => {
+        const profile = profileManager.loadProfile('virgin-media');
+        assertions.assertEquals(profile.selectors.chatToggle, '#openChatIconVertical');
+        assertions.assertEquals(profile.selectors.messageInput, '.DraftEditor-root');
+        assertions.assertNotNull(profile.selectors.botMessages, 'Expected generic selectors to be inherited');
+    });
+
+    it('should refuse a partial profile as an environment default', () => {
+        profileManager.environments = { environments: { partial: { profile: 'o2-virtual-assistant' } } };
+        let error = null;
+        try {
+            profileManager.getActiveProfile('partial');
+        } catch (thrown) {
+            error = thrown;
+        }
+        assertions.assertNotNull(error, 'Expected the partial profile to be refused');
+        assertions.assertContains(error.message, 'CHATBOT_PROFILE=o2-virtual-assistant');
+    });
+
+    it('should load a partial profile named by CHATBOT_PROFILE', () => {
+        process.env.CHATBOT_PROFILE = 'o2-virtual-assistant';
+        assertions.assertEquals(profileManager.getActiveProfile('mock').name, 'o2-virtual-assistant');
+    });
+});
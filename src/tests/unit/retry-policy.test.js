@@ -0,0 +1,88 @@
+const { assertions } = require('../../utils');
+const { RetryPolicy } = require('../../utils/retry-policy');
+
+/**
+ * Unit tests for retry backoff, jitter and budgets.
+ * Run with: npm run test:unit
+ */
+describe('RetryPolicy', () => {
+    const withRandom = (value, options = {}) => new RetryPolicy({ random: () => value, ...options });
+
+    describe('getDelay', () => {
+        it('should grow exponentially and stop at maxDelay', () => {
+            const policy = withRandom(0, { jitter: 'none', baseDelay: 100, maxDelay: 500 });
+            assertions.assertEquals([1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt)).join(','), '100,200,400,500,500');
+        });
+
+        it('should grow linearly', () => {
+            const policy = withRandom(0, { jitter: 'none', backoff: 'linear', baseDelay: 100 });
+            assertions.assertEquals([1, 2, 3].map(attempt => policy.getDelay(attempt)).join(','), '100,200,300');
+        });
+
+        it('should keep a fixed delay', () => {
+            const policy = withRandom(0, { jitter: 'none', backoff: 'fixed', baseDelay: 250 });
+            assertions.assertEquals(policy.getDelay(4), 250);
+        });
+
+        it('should keep full jitter between 0 and the computed delay', () => {
+            assertions.assertEquals(withRandom(0, { jitter: 'full', baseDelay: 400 }).getDelay(2), 0);
+            assertions.assertEquals(withRandom(0.999999, { jitter: 'full', baseDelay: 400 }).getDelay(2), 800);
+        });
+
+        it('should keep equal jitter between half and all of the computed delay', () => {
+            assertions.assertEquals(withRandom(0, { jitter: 'equal', baseDelay: 400 }).getDelay(2), 400);
+            assertions.assertEquals(withRandom(0.999999, { jitter: 'equal', baseDelay: 400 }).getDelay(2), 800);
+        });
+
+        it('should stay within the jitter bounds for random values', () => {
+            const policy = new RetryPolicy({ jitter: 'equal', baseDelay: 1000, maxDelay: 5000 });
+            for (let attempt = 1; attempt <= 50; attempt++) {
+                const delay = policy.getDelay(attempt);
+                const capped = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+                assertions.assertTrue(delay >= capped / 2 && delay <= capped, `Delay ${delay} of attempt ${attempt} is outside ${capped / 2}-${capped}`);
+            }
+        });
+    });
+
+    describe('next', () => {
+        it('should retry until maxRetries attempts were made', () => {
+            const policy = withRandom(0, { jitter: 'none', maxRetries: 3, baseDelay: 10 });
+            assertions.assertTrue(policy.next(1, 0).retry, 'Expected attempt 1 to be retried');
+            assertions.assertTrue(policy.next(2, 0).retry, 'Expected attempt 2 to be retried');
+            assertions.assertEquals(policy.next(3, 0).reason, 'max-retries');
+        });
+
+        it('should stop when the next wait would overrun maxElapsed', () => {
+            const decision = withRandom(0, { jitter: 'none', baseDelay: 1000, maxElapsed: 1500 }).next(1, 600);
+            assertions.assertFalse(decision.retry, 'Expected the budget to be exhausted');
+            assertions.assertEquals(decision.reason, 'budget-exhausted');
+        });
+
+        it('should ask a retryable function about the error', () => {
+            const policy = new RetryPolicy({ retryable: error => error.message !== 'fatal' });
+            assertions.assertEquals(policy.next(1, 0, new Error('fatal')).reason, 'non-retryable');
+            assertions.assertTrue(policy.next(1, 0, new Error('flaky')).retry, 'Expected a flaky error to be retried');
+        });
+    });
+
+    it('should reject an unknown backoff or jitter', () => {
+        ['backoff', 'jitter'].forEach(option => {
+            let error = null;
+            try {
+                new RetryPolicy({ [option]: 'random' });
+            } catch (thrown) {
+                error = thrown;
+            }
+            assertions.assertNotNull(error, `Expected an unknown ${option} to be rejected`);
+        });
+    });
+
+    it('should copy a policy with overrides', () => {
+        const policy = new RetryPolicy({ name: 'network', maxRetries: 5, jitter: 'full' });
+        const copy = policy.with({ maxRetries: 2 });
+        assertions.assertEquals(copy.name, 'network');
+        assertions.assertEquals(copy.maxRetries, 2);
+        assertions.assertEquals(copy.jitter, 'full');
+        assertions.assertEquals(policy.maxRetries, 5);
+    });
+});
@@ -0,0 +1,49 @@
+const path = require('path');
+const { assertions } = require('../../utils');
+const { TestDataManager } = require('../../utils/test-data-manager');
+
+/**
+ * Unit tests for environment- and locale-specific test data resolution.
+ * Run with: npm run test:unit
+ */
+describe('TestDataManager.loadEnvironmentData', () => {
+    let testDataManager;
+
+    beforeEach(() => {
+        testDataManager = new TestDataManager();
+        testDataManager.testDataDir = path.join(__dirname, 'fixtures', 'environment-data');
+    });
+
+    const sourceOf = (...args) => testDataManager.loadEnvironmentData(...args).source;
+
+    it('should prefer the environment file of the locale', () => {
+        assertions.assertEquals(sourceOf('flows', 'test', 'cy'), 'flows.test.cy.json');
+    });
+
+    it('should prefer the locale file over the environment file', () => {
+        assertions.assertEquals(sourceOf('greetings', 'test', 'cy'), 'greetings.cy.json');
+    });
+
+    it('should fall back from a regional locale to its language', () => {
+        assertions.assertEquals(sourceOf('greetings', 'test', 'cy-GB'), 'greetings.cy.json');
+    });
+
+    it('should use the environment file when the locale has no variant', () => {
+        assertions.assertEquals(sourceOf('menu', 'test', 'cy'), 'menu.test.json');
+    });
+
+    it('should use the base file for another environment without a locale', () => {
+        assertions.assertEquals(sourceOf('flows', 'prod', null), 'flows.json');
+    });
+
+    it('should fail when no candidate exists', () => {
+        let error = null;
+        try {
+            testDataManager.loadEnvironmentData('missing', 'test', 'cy');
+        } catch (thrown) {
+            error = thrown;
+        }
+        assertions.assertNotNull(error, 'Expected a missing test data file to be rejected');
+        assertions.assertContains(error.message, 'missing.json');
+    });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { assertions } = require('../../utils');
+const { TextSimilarity } = require('../../utils/text-similarity');
+
+/**
+ * Unit tests for offline similarity scoring of bot responses.
+ * Run with: npm run test:unit
+ */
+describe('TextSimilarity', () => {
+    let textSimilarity;
+
+    beforeEach(() => {
+        textSimilarity = new TextSimilarity();
+    });
+
+    describe('tokenize', () => {
+        it('should lowercase, strip punctuation and stopwords and stem the tokens', () => {
+            assertions.assertEquals(textSimilarity.tokenize("We're billing you; PLEASE check the bills!").join(','), 'were,bill,check,bill');
+        });
+
+        it('should return no tokens for empty text', () => {
+            assertions.assertEquals(textSimilarity.tokenize('').length, 0);
+            assertions.assertEquals(textSimilarity.tokenize(null).length, 0);
+        });
+    });
+
+    describe('tokenOverlap', () => {
+        it('should score the share of expected tokens found in the actual text', () => {
+            assertions.assertEquals(textSimilarity.tokenOverlap('Your bill is ready', 'bill ready today'), 2 / 3);
+        });
+
+        it('should not lower the score for extra tokens in the actual text', () => {
+            const reply = 'Your bill is £40. Anything else about football, weather or holidays?';
+            assertions.assertEquals(textSimilarity.tokenOverlap(reply, 'your bill'), 1);
+        });
+
+        it('should change when the arguments are swapped', () => {
+            assertions.assertEquals(textSimilarity.tokenOverlap('your bill', 'Your bill is £40 and due Friday'), 0.25);
+        });
+
+        it('should only match empty expected text with empty actual text', () => {
+            assertions.assertEquals(textSimilarity.tokenOverlap('', ''), 1);
+            assertions.assertEquals(textSimilarity.tokenOverlap('Hello', ''), 0);
+        });
+    });
+
+    describe('synonymOverlap', () => {
+        it('should treat words of a synonym group as equal', () => {
+            assertions.assertEquals(textSimilarity.tokenOverlap('I can assist with your invoice', 'help with your bill'), 0);
+            assertions.assertEquals(textSimilarity.synonymOverlap('I can assist with your invoice', 'help with your bill'), 1);
+        });
+
+        it('should merge groups that share a word', () => {
+            textSimilarity.addSynonyms(['router', 'hub']);
+            textSimilarity.addSynonyms(['hub', 'modem']);
+            assertions.assertEquals(textSimilarity.synonymOverlap('restart the modem', 'restart the router'), 1);
+        });
+
+        it('should load synonym groups from a file', () => {
+            const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-similarity-'));
+            const filePath = path.join(tempDir, 'synonyms.json');
+            try {
+                fs.writeFileSync(filePath, JSON.stringify([['contract', 'plan', 'tariff']]));
+                textSimilarity.loadSynonyms(filePath);
+                assertions.assertEquals(textSimilarity.synonymOverlap('your tariff', 'your contract'), 1);
+            } finally {
+                fs.rmSync(tempDir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('levenshtein', () => {
+        it('should compute the edit distance', () => {
+            assertions.assertEquals(textSimilarity.levenshteinDistance('kitten', 'sitting'), 3);
+            assertions.assertEquals(textSimilarity.levenshteinDistance('', 'abc'), 3);
+        });
+
+        it('should compare the expected text with the best matching window of the reply', () => {
+            assertions.assertEquals(textSimilarity.levenshteinSimilarity('Sure, your bill is ready now', 'bill is ready'), 1);
+            assertions.assertTrue(textSimilarity.levenshteinSimilarity('Your bil is redy', 'Your bill is ready') > 0.8, 'Expected typos to score high');
+        });
+    });
+
+    describe('score', () => {
+        it('should combine the methods with the default weights', () => {
+            const report = textSimilarity.score('Hi, I can assist with your invoice', 'Hello, I can help with your bill');
+            const { tokenOverlap, levenshtein, synonym } = report.breakdown;
+
+            assertions.assertEquals(report.score, Math.round((tokenOverlap * 0.3 + levenshtein * 0.3 + synonym * 0.4) * 1000) / 1000);
+            assertions.assertEquals(report.threshold, 0.6);
+        });
+
+        it('should score a single method and apply the threshold', () => {
+            const report = textSimilarity.score('I can assist with your invoice', 'help with your bill', { method: 'synonym', threshold: 0.9 });
+
+            assertions.assertEquals(report.score, 1);
+            assertions.assertTrue(report.passed, 'Expected the synonym score to pass');
+        });
+
+        it('should use extra synonym groups for one comparison only', () => {
+            const options = { method: 'synonym', synonyms: [['contract', 'tariff']] };
+
+            assertions.assertEquals(textSimilarity.score('your tariff', 'your contract', options).score, 1);
+            assertions.assertEquals(textSimilarity.score('your tariff', 'your contract', { method: 'synonym' }).score, 0);
+        });
+
+        it('should reject an unknown method', () => {
+            let error = null;
+            try {
+                textSimilarity.score('a', 'b', { method: 'cosine' });
+            } catch (thrown) {
+                error = thrown;
+            }
+            assertions.assertNotNull(error, 'Expected an unknown method to be rejected');
+            assertions.assertContains(error.message, 'cosine');
+        });
+    });
+});
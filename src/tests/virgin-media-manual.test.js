@@ -1,3 +1,10 @@
+const BasePage = require('../pages/base.page.js');
+const { inputStrategies } = require('../pages/input-strategies');
+const { profileManager } = require('../utils/profile-manager');
+
+// Selectors for the O2 virtual assistant live in src/config/profiles/o2-virtual-assistant.json
+const profile = profileManager.loadProfile('o2-virtual-assistant');
+
 describe('Virgin Media Chatbot Demo Test', () => {
     it('should demonstrate Virgin Media chatbot interaction', async () => {
         console.log('Starting Virgin Media Chatbot Demo Test');
@@ -45,16 +52,12 @@ describe('Virgin Media Chatbot Demo Test', () => {
             
             console.log('Virgin Media website loaded successfully');
 
-            const cookiesButton = await browser.$('#privacy_pref_optin');
-            if(await cookiesButton.isExisting()){
-                cookiesButton.click();
-                console.log('Cookies button clicked');
-            }
+            // Answer the cookie banner as configured for o2-int in src/config/environments.json
+            await new BasePage().handleCookieConsent(profileManager.getConsentSettings('o2-int'));
             
             // Look for the chat button
             console.log('Looking for Virgin Media chat button...');
-            // const chatButton = await browser.$('#openChatIconVertical');
-            const chatButton = await browser.$('#o2-virtual-assistant-contact-us-2');
+            const chatButton = await browser.$(profile.launcher.selector);
             
             if (await chatButton.isExisting()) {
                 console.log('Found Virgin Media chat button, clicking...');
@@ -72,16 +75,15 @@ describe('Virgin Media Chatbot Demo Test', () => {
                 
                 // Look for the input element
                 console.log('Looking for chat input element...');
-                const inputElement = await browser.$('.DraftEditor-root');
+                const inputElement = await browser.$(profile.selectors.messageInput);
                 
                 if (await inputElement.isExisting()) {
-                    console.log('Found chat input element (.DraftEditor-root)');
+                    console.log(`Found chat input element (${profile.selectors.messageInput})`);
                     console.log('Chat is ready for interaction!');
                     
                     // Demo: Test typing in the input
                     console.log('Demo: Testing input functionality...');
-                    await inputElement.click();
-                    await inputElement.setValue('Hi, I need help with my bill');
+                    await inputStrategies.get(profile.inputStrategy).enterText(inputElement, 'Hi, I need help with my bill');
                     console.log('Successfully typed demo message in chat input');
                     
                     // Wait a bit to see the result
@@ -90,11 +92,11 @@ describe('Virgin Media Chatbot Demo Test', () => {
                     console.log('Demo test completed successfully!');
                     
                 } else {
-                    console.log('Chat input element (.DraftEditor-root) not found after 20 seconds');
+                    console.log(`Chat input element (${profile.selectors.messageInput}) not found after 20 seconds`);
                 }
                 
             } else {
-                console.log('Virgin Media chat button (#openChatIconVertical) not found');
+                console.log(`Virgin Media chat button (${profile.launcher.selector}) not found`);
             }
             
             // Take a screenshot for demo purposes
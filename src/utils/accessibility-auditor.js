@@ -0,0 +1,354 @@
+/**
+ * Accessibility Auditor Utility
+ *
+ * Audits the chat widget against WCAG with axe-core (bundled with the
+ * framework and injected into the page, so no CDN is needed) and runs
+ * chat-specific checks axe cannot make on its own:
+ *   live-region    - bot messages are inside an aria-live region
+ *   input-label    - the message input has an accessible label
+ *   focus-on-open  - focus moves into the widget when it opens
+ *   button-names   - every button in the widget has an accessible name
+ *
+ * Only the widget subtree is audited, so violations elsewhere on the host
+ * page do not fail chat tests. Violations are grouped by impact.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { locators } = require('../pages/locator');
+
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+class AccessibilityAuditor {
+    constructor() {
+        this.outputDir = path.join(__dirname, '../../allure-results/accessibility');
+        this.axeSource = null;
+        // WCAG 2.1 level A and AA rules
+        this.tags = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'];
+        this.reports = [];
+        this.testName = '';
+    }
+
+    /**
+     * Start collecting audit reports for a test
+     * @param {string} suiteName - Test suite name
+     * @param {string} testName - Test name
+     */
+    startTest(suiteName, testName) {
+        this.reports = [];
+        this.testName = `${suiteName || ''}_${testName || ''}`;
+    }
+
+    /**
+     * Audit the chat widget of a ChatbotPage: axe-core plus the chat checks
+     * @param {Object} chatbotPage - ChatbotPage instance
+     * @param {Object} options - Audit options
+     * @param {Array} options.tags - axe rule tags (defaults to WCAG 2.1 A/AA)
+     * @param {Array} options.disableRules - axe rule ids to skip
+     * @param {boolean} options.focusOnOpen - Close and reopen the widget to check focus (default true)
+     * @returns {Promise<Object>} Audit report
+     */
+    async auditWidget(chatbotPage, options = {}) {
+        const selectors = chatbotPage.selectors;
+        console.log('♿ Auditing chat widget accessibility');
+
+        try {
+            const focusCheck = options.focusOnOpen === false
+                ? { id: 'focus-on-open', passed: null, detail: 'Skipped' }
+                : await this.checkFocusOnOpen(chatbotPage);
+
+            const axeResults = await this.runAxe(selectors.chatWidget, options);
+            const chatChecks = await this.runChatChecks(selectors);
+            chatChecks.splice(2, 0, focusCheck);
+
+            const report = this._buildReport(selectors.chatWidget, axeResults, chatChecks, options.tags || this.tags);
+            this.reports.push(report);
+            this._logReport(report);
+            return report;
+        } catch (error) {
+            console.error('❌ Error auditing accessibility:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Run axe-core against one element subtree
+     * @param {string} locator - Element (or composite) locator of the subtree
+     * @param {Object} options - axe options (tags, disableRules)
+     * @returns {Promise<Object>} { url, violations, passes, incomplete }
+     */
+    async runAxe(locator, options = {}) {
+        const axeOptions = {
+            runOnly: { type: 'tag', values: options.tags || this.tags },
+            rules: Object.fromEntries((options.disableRules || []).map(rule => [rule, { enabled: false }])),
+            resultTypes: ['violations']
+        };
+
+        return locators.within(locator, async element => {
+            await this._injectAxe();
+            return browser.execute(async (target, runOptions) => {
+                const results = await window.axe.run(target, runOptions);
+                return {
+                    url: results.url,
+                    passes: results.passes.length,
+                    incomplete: results.incomplete.length,
+                    violations: results.violations.map(violation => ({
+                        id: violation.id,
+                        impact: violation.impact,
+                        description: violation.description,
+                        help: violation.help,
+                        helpUrl: violation.helpUrl,
+                        tags: violation.tags,
+                        nodes: violation.nodes.map(node => ({
+                            target: node.target,
+                            html: node.html,
+                            failureSummary: node.failureSummary
+                        }))
+                    }))
+                };
+            }, element, axeOptions);
+        });
+    }
+
+    /**
+     * Run the chat-specific checks that do not change the page
+     * @param {Object} selectors - ChatbotPage selectors
+     * @returns {Promise<Array>} Checks ({ id, passed, detail })
+     */
+    async runChatChecks(selectors) {
+        const localSelectors = {
+            messageInput: locators.lastSegment(selectors.messageInput),
+            botMessages: locators.lastSegment(selectors.botMessages),
+            messages: locators.lastSegment(selectors.messages)
+        };
+
+        return locators.within(selectors.chatWidget, element => browser.execute((widget, query) => {
+            const text = node => (node ? (node.innerText || node.textContent || '').trim() : '');
+            const findAll = selector => {
+                try {
+                    return Array.from(widget.querySelectorAll(selector));
+                } catch (error) {
+                    return [];
+                }
+            };
+            const labelledBy = node => (node.getAttribute('aria-labelledby') || '')
+                .split(/\s+/)
+                .map(id => text(id ? node.getRootNode().getElementById(id) : null))
+                .join(' ')
+                .trim();
+            const accessibleName = node => labelledBy(node) ||
+                (node.getAttribute('aria-label') || '').trim() ||
+                Array.from(node.labels || []).map(text).join(' ').trim() ||
+                text(node) ||
+                (node.getAttribute('title') || '').trim() ||
+                (node.tagName === 'INPUT' ? (node.value || '').trim() : '') ||
+                Array.from(node.querySelectorAll('img[alt], svg[aria-label]'))
+                    .map(image => image.getAttribute('alt') || image.getAttribute('aria-label'))
+                    .join(' ')
+                    .trim();
+            const describe = node => node.outerHTML.substring(0, 120);
+            const parentOf = node => {
+                const parent = node.parentNode;
+                return parent && parent.nodeType === 11 ? parent.host : parent;
+            };
+
+            // Live region around the bot messages
+            const botMessages = findAll(query.botMessages);
+            const messageNode = botMessages[botMessages.length - 1] || findAll(query.messages)[0];
+            let liveRegion = null;
+            for (let node = messageNode; node && node.nodeType === 1; node = parentOf(node)) {
+                const live = node.getAttribute('aria-live');
+                const role = node.getAttribute('role');
+                if ((live && live !== 'off') || ['log', 'status', 'alert'].includes(role)) {
+                    liveRegion = node;
+                    break;
+                }
+            }
+            const liveCheck = {
+                id: 'live-region',
+                passed: Boolean(liveRegion),
+                detail: !messageNode
+                    ? 'No bot message or message container found in the widget'
+                    : liveRegion
+                        ? `Messages are announced by ${describe(liveRegion).split('>')[0]}>`
+                        : 'Bot messages are not inside an aria-live region (or role="log"/"status"/"alert")'
+            };
+
+            // Label of the message input
+            const input = findAll(query.messageInput)[0];
+            const inputName = input ? accessibleName(input) : '';
+            const placeholder = input ? (input.getAttribute('placeholder') || input.getAttribute('aria-placeholder') || '') : '';
+            const inputCheck = {
+                id: 'input-label',
+                passed: Boolean(inputName),
+                detail: !input
+                    ? 'Message input not found in the widget'
+                    : inputName
+                        ? `Input is labelled "${inputName}"`
+                        : placeholder ? `Input only has a placeholder ("${placeholder}"), not a label` : 'Input has no accessible label'
+            };
+
+            // Accessible names of buttons
+            const unnamed = findAll('button, [role="button"], input[type="button"], input[type="submit"]')
+                .filter(button => button.getClientRects().length > 0 && !accessibleName(button))
+                .map(describe);
+            const buttonCheck = {
+                id: 'button-names',
+                passed: unnamed.length === 0,
+                detail: unnamed.length === 0 ? 'All buttons have accessible names' : `Buttons without a name: ${unnamed.join(' | ')}`
+            };
+
+            return [liveCheck, inputCheck, buttonCheck];
+        }, element, localSelectors));
+    }
+
+    /**
+     * Check that focus moves into the widget when it opens. The widget is
+     * closed first when it has a toggle; widgets that cannot be closed are
+     * skipped if already open.
+     * @param {Object} chatbotPage - ChatbotPage instance
+     * @returns {Promise<Object>} Check ({ id, passed, detail })
+     */
+    async checkFocusOnOpen(chatbotPage) {
+        const selectors = chatbotPage.selectors;
+        const isOpen = await chatbotPage.isChatWidgetOpen(chatbotPage.shortTimeout);
+
+        if (isOpen) {
+            const canClose = !chatbotPage.launcher && selectors.chatToggle &&
+                await chatbotPage.isElementDisplayed(selectors.chatToggle, chatbotPage.shortTimeout);
+            if (!canClose) {
+                return { id: 'focus-on-open', passed: null, detail: 'Skipped: widget was already open and cannot be closed' };
+            }
+            await chatbotPage.closeChatWidget();
+        }
+
+        await chatbotPage.openChatWidget();
+        // Widgets usually move focus right after their open animation
+        await browser.pause(300);
+
+        const focused = await locators.within(selectors.chatWidget, element => browser.execute(widget => {
+            let active = document.activeElement;
+            while (active && active.shadowRoot && active.shadowRoot.activeElement) {
+                active = active.shadowRoot.activeElement;
+            }
+            for (let node = active; node; node = node.parentNode || node.host) {
+                if (node === widget) {
+                    return { inside: true, element: active.outerHTML.substring(0, 120) };
+                }
+            }
+            return { inside: false, element: active ? active.tagName.toLowerCase() : 'none' };
+        }, element));
+
+        return {
+            id: 'focus-on-open',
+            passed: focused.inside,
+            detail: focused.inside
+                ? `Focus moved to ${focused.element}`
+                : `Focus stayed on <${focused.element}> outside the widget after opening`
+        };
+    }
+
+    /**
+     * Get the reports collected for the current test
+     * @returns {Array} Audit reports
+     */
+    getTestReports() {
+        return this.reports;
+    }
+
+    /**
+     * Check whether any audit ran in the current test
+     * @returns {boolean} True if reports were collected
+     */
+    hasContent() {
+        return this.reports.length > 0;
+    }
+
+    /**
+     * Export the current test's audit reports as JSON
+     * @param {string} outputDir - Output directory (defaults to allure-results/accessibility)
+     * @returns {string} Path of the written file
+     */
+    export(outputDir = null) {
+        try {
+            const dir = outputDir || this.outputDir;
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const name = this.testName.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 120) ||
+                `accessibility_${Date.now()}`;
+            const filePath = path.join(dir, `${name}.json`);
+            fs.writeFileSync(filePath, JSON.stringify(this.reports, null, 2));
+            console.log(`♿ Accessibility report saved: ${filePath}`);
+            return filePath;
+        } catch (error) {
+            console.error('❌ Error exporting accessibility report:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear collected reports
+     */
+    reset() {
+        this.reports = [];
+        this.testName = '';
+    }
+
+    async _injectAxe() {
+        const loaded = await browser.execute(() => typeof window.axe !== 'undefined');
+        if (loaded) {
+            return;
+        }
+
+        if (!this.axeSource) {
+            this.axeSource = fs.readFileSync(require.resolve('axe-core/axe.min.js'), 'utf8');
+        }
+        // Runs as a WebDriver script, so page CSP does not block it
+        await browser.execute(this.axeSource);
+    }
+
+    _buildReport(widget, axeResults, chatChecks, tags) {
+        const byImpact = {};
+        for (const impact of IMPACTS) {
+            byImpact[impact] = axeResults.violations.filter(violation => violation.impact === impact);
+        }
+
+        const counts = Object.fromEntries(IMPACTS.map(impact => [impact, byImpact[impact].length]));
+        return {
+            url: axeResults.url,
+            widget,
+            timestamp: new Date().toISOString(),
+            tags,
+            summary: {
+                violations: axeResults.violations.length,
+                ...counts,
+                passes: axeResults.passes,
+                incomplete: axeResults.incomplete,
+                chatChecksFailed: chatChecks.filter(check => check.passed === false).length
+            },
+            byImpact,
+            chatChecks
+        };
+    }
+
+    _logReport(report) {
+        const { summary } = report;
+        console.log(`♿ axe-core: ${summary.violations} violations ` +
+            `(critical ${summary.critical}, serious ${summary.serious}, moderate ${summary.moderate}, minor ${summary.minor})`);
+        for (const check of report.chatChecks) {
+            const icon = check.passed === null ? '⏭️' : check.passed ? '✅' : '❌';
+            console.log(`   ${icon} ${check.id}: ${check.detail}`);
+        }
+    }
+}
+
+// Create singleton instance
+const accessibilityAuditor = new AccessibilityAuditor();
+
+// Export both class and singleton instance
+module.exports = {
+    AccessibilityAuditor,
+    accessibilityAuditor
+};
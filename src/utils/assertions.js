@@ -5,6 +5,10 @@
  * including text matching, response validation, and custom assertions.
  */
 
+const { textSimilarity } = require('./text-similarity');
+const { languageDetector } = require('./language-detector');
+const { AssertionMismatchError } = require('./errors');
+
 class Assertions {
     constructor() {
         this.assertionCount = 0;
@@ -22,14 +26,12 @@ class Assertions {
         const assertionMessage = message || `Expected text to contain "${expected}"`;
         
         if (!actual || !expected) {
-            this._recordFailure(assertionMessage, actual, expected);
-            throw new Error(assertionMessage);
+            throw this._fail('assertContains', assertionMessage, assertionMessage, actual, expected);
         }
 
         const contains = actual.toLowerCase().includes(expected.toLowerCase());
         if (!contains) {
-            this._recordFailure(assertionMessage, actual, expected);
-            throw new Error(`${assertionMessage}. Actual: "${actual}"`);
+            throw this._fail('assertContains', `${assertionMessage}. Actual: "${actual}"`, assertionMessage, actual, expected);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -47,14 +49,12 @@ class Assertions {
         const assertionMessage = message || `Expected text to match pattern "${pattern}"`;
         
         if (!actual) {
-            this._recordFailure(assertionMessage, actual, pattern);
-            throw new Error(assertionMessage);
+            throw this._fail('assertMatches', assertionMessage, assertionMessage, actual, pattern);
         }
 
         const matches = regex.test(actual);
         if (!matches) {
-            this._recordFailure(assertionMessage, actual, pattern);
-            throw new Error(`${assertionMessage}. Actual: "${actual}"`);
+            throw this._fail('assertMatches', `${assertionMessage}. Actual: "${actual}"`, assertionMessage, actual, pattern);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -71,8 +71,7 @@ class Assertions {
         const assertionMessage = message || `Expected text to equal "${expected}"`;
         
         if (actual !== expected) {
-            this._recordFailure(assertionMessage, actual, expected);
-            throw new Error(`${assertionMessage}. Actual: "${actual}"`);
+            throw this._fail('assertEquals', `${assertionMessage}. Actual: "${actual}"`, assertionMessage, actual, expected);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -88,8 +87,7 @@ class Assertions {
         const assertionMessage = message || 'Expected text to not be empty';
         
         if (!actual || actual.trim() === '') {
-            this._recordFailure(assertionMessage, actual, 'non-empty string');
-            throw new Error(assertionMessage);
+            throw this._fail('assertNotEmpty', assertionMessage, assertionMessage, actual, 'non-empty string');
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -106,8 +104,7 @@ class Assertions {
         const assertionMessage = message || `Expected text to have minimum length of ${minLength}`;
         
         if (!actual || actual.length < minLength) {
-            this._recordFailure(assertionMessage, actual, `minimum length ${minLength}`);
-            throw new Error(`${assertionMessage}. Actual length: ${actual ? actual.length : 0}`);
+            throw this._fail('assertMinLength', `${assertionMessage}. Actual length: ${actual ? actual.length : 0}`, assertionMessage, actual, `minimum length ${minLength}`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -124,8 +121,7 @@ class Assertions {
         const assertionMessage = message || `Expected text to have maximum length of ${maxLength}`;
         
         if (actual && actual.length > maxLength) {
-            this._recordFailure(assertionMessage, actual, `maximum length ${maxLength}`);
-            throw new Error(`${assertionMessage}. Actual length: ${actual.length}`);
+            throw this._fail('assertMaxLength', `${assertionMessage}. Actual length: ${actual.length}`, assertionMessage, actual, `maximum length ${maxLength}`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -142,8 +138,7 @@ class Assertions {
         const assertionMessage = message || `Expected response time to be less than ${maxTime}ms`;
         
         if (responseTime > maxTime) {
-            this._recordFailure(assertionMessage, responseTime, `less than ${maxTime}ms`);
-            throw new Error(`${assertionMessage}. Actual: ${responseTime}ms`);
+            throw this._fail('assertResponseTime', `${assertionMessage}. Actual: ${responseTime}ms`, assertionMessage, responseTime, `less than ${maxTime}ms`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage} (${responseTime}ms)`);
@@ -160,8 +155,7 @@ class Assertions {
         const assertionMessage = message || `Expected element count to be ${expected}`;
         
         if (actual !== expected) {
-            this._recordFailure(assertionMessage, actual, expected);
-            throw new Error(`${assertionMessage}. Actual: ${actual}`);
+            throw this._fail('assertElementCount', `${assertionMessage}. Actual: ${actual}`, assertionMessage, actual, expected);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -177,8 +171,7 @@ class Assertions {
         const assertionMessage = message || 'Expected condition to be true';
         
         if (!condition) {
-            this._recordFailure(assertionMessage, condition, true);
-            throw new Error(assertionMessage);
+            throw this._fail('assertTrue', assertionMessage, assertionMessage, condition, true);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -194,8 +187,7 @@ class Assertions {
         const assertionMessage = message || 'Expected condition to be false';
         
         if (condition) {
-            this._recordFailure(assertionMessage, condition, false);
-            throw new Error(assertionMessage);
+            throw this._fail('assertFalse', assertionMessage, assertionMessage, condition, false);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -211,8 +203,7 @@ class Assertions {
         const assertionMessage = message || 'Expected value to not be null or undefined';
         
         if (value === null || value === undefined) {
-            this._recordFailure(assertionMessage, value, 'non-null value');
-            throw new Error(assertionMessage);
+            throw this._fail('assertNotNull', assertionMessage, assertionMessage, value, 'non-null value');
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -229,8 +220,7 @@ class Assertions {
         const assertionMessage = message || `Expected array to contain "${item}"`;
         
         if (!Array.isArray(array) || !array.includes(item)) {
-            this._recordFailure(assertionMessage, array, `array containing "${item}"`);
-            throw new Error(`${assertionMessage}. Actual array: [${array}]`);
+            throw this._fail('assertArrayContains', `${assertionMessage}. Actual array: [${array}]`, assertionMessage, array, `array containing "${item}"`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -247,8 +237,7 @@ class Assertions {
         const assertionMessage = message || `Expected array to have length ${length}`;
         
         if (!Array.isArray(array) || array.length !== length) {
-            this._recordFailure(assertionMessage, array, `array with length ${length}`);
-            throw new Error(`${assertionMessage}. Actual length: ${array ? array.length : 'not an array'}`);
+            throw this._fail('assertArrayLength', `${assertionMessage}. Actual length: ${array ? array.length : 'not an array'}`, assertionMessage, array, `array with length ${length}`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -265,8 +254,7 @@ class Assertions {
         const assertionMessage = message || `Expected object to have property "${property}"`;
         
         if (!obj || !(property in obj)) {
-            this._recordFailure(assertionMessage, obj, `object with property "${property}"`);
-            throw new Error(assertionMessage);
+            throw this._fail('assertHasProperty', assertionMessage, assertionMessage, obj, `object with property "${property}"`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -284,8 +272,7 @@ class Assertions {
         const assertionMessage = message || `Expected property "${property}" to equal "${expected}"`;
         
         if (!obj || !(property in obj) || obj[property] !== expected) {
-            this._recordFailure(assertionMessage, obj[property], expected);
-            throw new Error(`${assertionMessage}. Actual: "${obj ? obj[property] : 'undefined'}"`);
+            throw this._fail('assertPropertyEquals', `${assertionMessage}. Actual: "${obj ? obj[property] : 'undefined'}"`, assertionMessage, obj[property], expected);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -302,8 +289,7 @@ class Assertions {
         const assertionMessage = message || `Expected response to contain keywords: [${keywords.join(', ')}]`;
         
         if (!response || !Array.isArray(keywords)) {
-            this._recordFailure(assertionMessage, response, `response containing keywords`);
-            throw new Error(assertionMessage);
+            throw this._fail('assertResponseContainsKeywords', assertionMessage, assertionMessage, response, `response containing keywords`);
         }
 
         const missingKeywords = keywords.filter(keyword => 
@@ -311,8 +297,7 @@ class Assertions {
         );
 
         if (missingKeywords.length > 0) {
-            this._recordFailure(assertionMessage, response, `response containing all keywords`);
-            throw new Error(`${assertionMessage}. Missing keywords: [${missingKeywords.join(', ')}]`);
+            throw this._fail('assertResponseContainsKeywords', `${assertionMessage}. Missing keywords: [${missingKeywords.join(', ')}]`, assertionMessage, response, `response containing all keywords`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -337,8 +322,401 @@ class Assertions {
         const regex = new RegExp(regexPattern, 'i');
         
         if (!regex.test(response)) {
-            this._recordFailure(assertionMessage, response, `response matching pattern "${pattern}"`);
-            throw new Error(`${assertionMessage}. Actual: "${response}"`);
+            throw this._fail('assertResponsePattern', `${assertionMessage}. Actual: "${response}"`, assertionMessage, response, `response matching pattern "${pattern}"`);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that bot response is similar to expected text (fuzzy/semantic match).
+     * The score measures how much of the expected text the response contains,
+     * so extra text in the response does not lower it
+     * @param {string} response - Bot response text
+     * @param {string} expected - Expected text
+     * @param {Object} options - Similarity options (method, threshold, weights, synonyms)
+     * @param {string} message - Optional assertion message
+     * @returns {Object} Similarity report with score and per-method breakdown
+     */
+    assertSimilar(response, expected, options = {}, message = '') {
+        this.assertionCount++;
+        const report = textSimilarity.score(response, expected, options);
+        const assertionMessage = message || `Expected response to be similar to "${expected}" (threshold ${report.threshold})`;
+
+        if (!response || !report.passed) {
+            throw this._fail('assertSimilar', `${assertionMessage}. Score: ${report.score} (${this._formatBreakdown(report)}). Actual: "${response}"`, assertionMessage, response, expected, { similarity: report });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage} (score ${report.score})`);
+        return report;
+    }
+
+    /**
+     * Assert that bot response is similar to at least one of the expected texts
+     * @param {string} response - Bot response text
+     * @param {Array} expectedList - Acceptable expected texts
+     * @param {Object} options - Similarity options (method, threshold, weights, synonyms)
+     * @param {string} message - Optional assertion message
+     * @returns {Object} Best similarity report
+     */
+    assertSimilarToAny(response, expectedList, options = {}, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected response to be similar to one of: [${expectedList.join(', ')}]`;
+
+        if (!response || !Array.isArray(expectedList) || expectedList.length === 0) {
+            throw this._fail('assertSimilarToAny', assertionMessage, assertionMessage, response, expectedList);
+        }
+
+        const reports = expectedList.map(expected => textSimilarity.score(response, expected, options));
+        const best = reports.reduce((top, report) => (report.score > top.score ? report : top));
+
+        if (!best.passed) {
+            throw this._fail('assertSimilarToAny', `${assertionMessage}. Best score: ${best.score} for "${best.expected}" (threshold ${best.threshold}). Actual: "${response}"`, assertionMessage, response, expectedList, { similarity: best });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage} (best score ${best.score} for "${best.expected}")`);
+        return best;
+    }
+
+    /**
+     * Assert that bot response is NOT similar to the given text (e.g. fallback replies)
+     * @param {string} response - Bot response text
+     * @param {string} unexpected - Text the response should not resemble
+     * @param {Object} options - Similarity options (method, threshold, weights, synonyms)
+     * @param {string} message - Optional assertion message
+     * @returns {Object} Similarity report
+     */
+    assertNotSimilar(response, unexpected, options = {}, message = '') {
+        this.assertionCount++;
+        const report = textSimilarity.score(response, unexpected, options);
+        const assertionMessage = message || `Expected response not to be similar to "${unexpected}" (threshold ${report.threshold})`;
+
+        if (report.passed) {
+            throw this._fail('assertNotSimilar', `${assertionMessage}. Score: ${report.score} (${this._formatBreakdown(report)}). Actual: "${response}"`, assertionMessage, response, unexpected, { similarity: report });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage} (score ${report.score})`);
+        return report;
+    }
+
+    /**
+     * Assert the quick replies offered by a structured message
+     * @param {Object} structuredMessage - Message from ChatbotPage.getStructuredMessages()
+     * @param {Array} expectedLabels - Expected button labels (case-insensitive)
+     * @param {Object} options - Matching options
+     * @param {boolean} options.exact - Require exactly these buttons and no others
+     * @param {boolean} options.ordered - Require the buttons in this order
+     * @param {string} message - Optional assertion message
+     */
+    assertQuickReplies(structuredMessage, expectedLabels, options = {}, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected quick replies [${expectedLabels.join(', ')}]`;
+        const actual = (structuredMessage && structuredMessage.quickReplies) || [];
+        const normalize = label => label.trim().toLowerCase();
+        const actualLabels = actual.map(normalize);
+        const expected = expectedLabels.map(normalize);
+
+        const missing = expected.filter(label => !actualLabels.includes(label));
+        const unexpected = options.exact ? actualLabels.filter(label => !expected.includes(label)) : [];
+        const positions = expected.map(label => actualLabels.indexOf(label));
+        const inOrder = !options.ordered || positions.every((position, i) => i === 0 || position > positions[i - 1]);
+
+        if (missing.length > 0 || unexpected.length > 0 || !inOrder) {
+            const reasons = [];
+            if (missing.length > 0) reasons.push(`missing [${missing.join(', ')}]`);
+            if (unexpected.length > 0) reasons.push(`unexpected [${unexpected.join(', ')}]`);
+            if (!inOrder) reasons.push('wrong order');
+            throw this._fail('assertQuickReplies', `${assertionMessage}: ${reasons.join(', ')}. Actual: [${actual.join(', ')}]`, assertionMessage, actual, expectedLabels,
+                { missing, unexpected, inOrder });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that a structured message contains a card (standalone or in a carousel)
+     * @param {Object} structuredMessage - Message from ChatbotPage.getStructuredMessages()
+     * @param {Object} expected - Expected card fields (title, subtitle, buttons, imageAlt); text fields match by substring
+     * @param {string} message - Optional assertion message
+     * @returns {Object} The matching card
+     */
+    assertHasCard(structuredMessage, expected, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected a card matching ${JSON.stringify(expected)}`;
+        const cards = this._allCards(structuredMessage);
+        const includes = (actual, value) => (actual || '').toLowerCase().includes(value.toLowerCase());
+
+        const match = cards.find(card =>
+            (!expected.title || includes(card.title, expected.title)) &&
+            (!expected.subtitle || includes(card.subtitle, expected.subtitle)) &&
+            (!expected.imageAlt || (card.image && includes(card.image.alt, expected.imageAlt))) &&
+            (expected.buttons || []).every(button => card.buttons.some(label => includes(label, button)))
+        );
+
+        if (!match) {
+            throw this._fail('assertHasCard', `${assertionMessage}. Actual cards: ${JSON.stringify(cards.map(card => ({ title: card.title, subtitle: card.subtitle, buttons: card.buttons })))}`, assertionMessage, cards, expected);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+        return match;
+    }
+
+    /**
+     * Assert the number of cards in a carousel
+     * @param {Object} structuredMessage - Message from ChatbotPage.getStructuredMessages()
+     * @param {number} expectedCount - Expected number of cards
+     * @param {number} carouselIndex - Carousel index within the message
+     * @param {string} message - Optional assertion message
+     */
+    assertCarouselSize(structuredMessage, expectedCount, carouselIndex = 0, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected carousel ${carouselIndex} to have ${expectedCount} cards`;
+        const carousel = ((structuredMessage && structuredMessage.carousels) || [])[carouselIndex];
+
+        if (!carousel || carousel.cards.length !== expectedCount) {
+            throw this._fail('assertCarouselSize', `${assertionMessage}. Actual: ${carousel ? carousel.cards.length : 'no carousel'}`, assertionMessage, carousel ? carousel.cards.length : null, expectedCount);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that a structured message contains a hyperlink
+     * @param {Object} structuredMessage - Message from ChatbotPage.getStructuredMessages()
+     * @param {Object} expected - Expected link text and/or href (substring match)
+     * @param {string} message - Optional assertion message
+     * @returns {Object} The matching link
+     */
+    assertHasLink(structuredMessage, expected, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected a link matching ${JSON.stringify(expected)}`;
+        const links = [
+            ...((structuredMessage && structuredMessage.links) || []),
+            ...this._allCards(structuredMessage).flatMap(card => card.links || [])
+        ];
+
+        const match = links.find(link =>
+            (!expected.text || link.text.toLowerCase().includes(expected.text.toLowerCase())) &&
+            (!expected.href || link.href.includes(expected.href))
+        );
+
+        if (!match) {
+            throw this._fail('assertHasLink', `${assertionMessage}. Actual links: ${JSON.stringify(links)}`, assertionMessage, links, expected);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+        return match;
+    }
+
+    /**
+     * Assert that a structured message contains an attachment
+     * @param {Object} structuredMessage - Message from ChatbotPage.getStructuredMessages()
+     * @param {Object} expected - Expected attachment name and/or type (substring match)
+     * @param {string} message - Optional assertion message
+     * @returns {Object} The matching attachment
+     */
+    assertHasAttachment(structuredMessage, expected, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected an attachment matching ${JSON.stringify(expected)}`;
+        const attachments = (structuredMessage && structuredMessage.attachments) || [];
+
+        const match = attachments.find(attachment =>
+            (!expected.name || attachment.name.toLowerCase().includes(expected.name.toLowerCase())) &&
+            (!expected.type || attachment.type.toLowerCase().includes(expected.type.toLowerCase()))
+        );
+
+        if (!match) {
+            throw this._fail('assertHasAttachment', `${assertionMessage}. Actual attachments: ${JSON.stringify(attachments)}`, assertionMessage, attachments, expected);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+        return match;
+    }
+
+    /**
+     * Assert that the chat backend recognised an intent during a turn
+     * @param {Object} traffic - TrafficRecorder (e.g. chatbotPage.traffic)
+     * @param {number} turn - Turn number (1-based)
+     * @param {string} intent - Expected intent name (case-insensitive)
+     * @param {string} message - Optional assertion message
+     */
+    assertTurnIntent(traffic, turn, intent, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected turn ${turn} to carry intent "${intent}"`;
+        const intents = traffic.getIntents(turn);
+
+        if (!intents.some(candidate => candidate.toLowerCase() === intent.toLowerCase())) {
+            throw this._fail('assertTurnIntent', `${assertionMessage}. Intents found: [${intents.join(', ')}]`, assertionMessage, intents, intent);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that the widget sent a matching payload during a turn
+     * @param {Object} traffic - TrafficRecorder (e.g. chatbotPage.traffic)
+     * @param {number} turn - Turn number (1-based)
+     * @param {string|Object} expected - Substring of the payload, or { 'field.path': value } pairs
+     * @param {string} message - Optional assertion message
+     * @returns {any} The matching payload
+     */
+    assertTurnSent(traffic, turn, expected, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected turn ${turn} to send ${JSON.stringify(expected)}`;
+        const payloads = traffic.getSentPayloads(turn);
+        const match = payloads.find(payload => this._payloadMatches(traffic, payload, expected));
+
+        if (match === undefined) {
+            throw this._fail('assertTurnSent', `${assertionMessage}. Sent payloads: ${JSON.stringify(payloads)}`, assertionMessage, payloads, expected);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+        return match;
+    }
+
+    /**
+     * Assert that a payload received during a turn contains a field
+     * @param {Object} traffic - TrafficRecorder (e.g. chatbotPage.traffic)
+     * @param {number} turn - Turn number (1-based)
+     * @param {string} fieldPath - Dot-separated field path (e.g. "messages.0.text")
+     * @param {any} expectedValue - Optional expected value of the field
+     * @param {string} message - Optional assertion message
+     * @returns {any} The field value
+     */
+    assertPayloadContains(traffic, turn, fieldPath, expectedValue = undefined, message = '') {
+        this.assertionCount++;
+        const expectation = expectedValue === undefined ? `field "${fieldPath}"` : `${fieldPath} = ${JSON.stringify(expectedValue)}`;
+        const assertionMessage = message || `Expected a turn ${turn} response payload with ${expectation}`;
+        const payloads = traffic.getReceivedPayloads(turn);
+        const expected = expectedValue === undefined ? null : { [fieldPath]: expectedValue };
+        const match = payloads.find(payload => (expected
+            ? this._payloadMatches(traffic, payload, expected)
+            : traffic.getField(payload, fieldPath) !== undefined));
+
+        if (match === undefined) {
+            throw this._fail('assertPayloadContains', `${assertionMessage}. Received payloads: ${JSON.stringify(payloads)}`, assertionMessage, payloads, expectation);
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+        return traffic.getField(match, fieldPath);
+    }
+
+    /**
+     * Assert that a visual comparison matched its baseline
+     * @param {Object} result - Result of screenshotManager.compareScreenshot()
+     * @param {string} message - Optional assertion message
+     */
+    assertVisualMatch(result, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected "${result.name}" to match its visual baseline`;
+
+        if (!result.passed) {
+            const detail = result.status === 'missing'
+                ? `no baseline exists (actual: ${result.actualPath})`
+                : `${result.reason || `${result.mismatchPercentage}% of pixels differ`}, tolerance ${result.tolerance}% (diff: ${result.diffPath || 'n/a'})`;
+            throw this._fail('assertVisualMatch', `${assertionMessage}: ${detail}. Run "npm run visual:approve" if the change is intended`, assertionMessage, result.mismatchPercentage, result.tolerance, { diffPath: result.diffPath });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that an accessibility audit found no axe-core violations of the given impacts
+     * @param {Object} report - Report from accessibilityAuditor.auditWidget()
+     * @param {Array} impacts - Impacts that fail the assertion
+     * @param {string} message - Optional assertion message
+     */
+    assertNoAccessibilityViolations(report, impacts = ['critical', 'serious'], message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || `Expected no ${impacts.join('/')} accessibility violations in the chat widget`;
+        const violations = impacts.flatMap(impact => report.byImpact[impact] || []);
+
+        if (violations.length > 0) {
+            const listing = violations.map(violation => `[${violation.impact}] ${violation.id}: ${violation.help} (${violation.nodes.length} elements)`);
+            throw this._fail('assertNoAccessibilityViolations', `${assertionMessage}. Found:\n  ${listing.join('\n  ')}`, assertionMessage, listing, [], { url: report.url });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that the chat-specific accessibility checks passed (skipped checks are ignored)
+     * @param {Object} report - Report from accessibilityAuditor.auditWidget()
+     * @param {Array} checkIds - Checks to assert (all when omitted)
+     * @param {string} message - Optional assertion message
+     */
+    assertChatAccessibility(report, checkIds = null, message = '') {
+        this.assertionCount++;
+        const assertionMessage = message || 'Expected the chat widget to pass the chat accessibility checks';
+        const failed = report.chatChecks
+            .filter(check => !checkIds || checkIds.includes(check.id))
+            .filter(check => check.passed === false);
+
+        if (failed.length > 0) {
+            const listing = failed.map(check => `${check.id}: ${check.detail}`);
+            throw this._fail('assertChatAccessibility', `${assertionMessage}. Failed:\n  ${listing.join('\n  ')}`, assertionMessage, listing, checkIds || 'all checks');
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage}`);
+    }
+
+    /**
+     * Assert that a reply is written in the expected language (offline detection)
+     * @param {string} text - Reply text
+     * @param {string} expectedLanguage - Language or locale code (e.g. 'cy' or 'cy-GB')
+     * @param {Object} options - Options
+     * @param {number} options.minConfidence - Detection confidence required (0-1, default 0.6)
+     * @param {string} message - Optional assertion message
+     */
+    assertLanguage(text, expectedLanguage, options = {}, message = '') {
+        this.assertionCount++;
+        const expected = languageDetector.languageOf(expectedLanguage);
+        if (!languageDetector.profiles[expected]) {
+            throw new Error(`No language profile for "${expected}". Add one with languageDetector.addLanguage()`);
+        }
+        const minConfidence = options.minConfidence !== undefined ? options.minConfidence : 0.6;
+        const assertionMessage = message || `Expected reply in ${languageDetector.profiles[expected].name}`;
+        const detected = languageDetector.detect(text);
+
+        if (detected.language !== expected || detected.confidence < minConfidence) {
+            throw this._fail('assertLanguage', `${assertionMessage}, but detected ${detected.name} (confidence ${detected.confidence}, required ${minConfidence}): "${text}"`, assertionMessage, detected.language, expected, { confidence: detected.confidence, scores: detected.scores, text });
+        }
+
+        console.log(`✅ Assertion passed: ${assertionMessage} (confidence ${detected.confidence})`);
+    }
+
+    /**
+     * Assert that an intent regression matrix meets its thresholds
+     * @param {Object} report - Report from IntentMatrix.run()
+     * @param {Object} thresholds - Minimum values (0-1)
+     * @param {number} thresholds.minAccuracy - Overall accuracy
+     * @param {number} thresholds.minPrecision - Precision of every intent that was predicted
+     * @param {number} thresholds.minRecall - Recall of every intent in the data
+     * @param {string} message - Optional assertion message
+     */
+    assertIntentMatrix(report, thresholds = {}, message = '') {
+        this.assertionCount++;
+        const { minAccuracy = 1, minPrecision = 0, minRecall = 0 } = thresholds;
+        const assertionMessage = message || `Expected intent accuracy of at least ${(minAccuracy * 100).toFixed(1)}%`;
+        const problems = [];
+
+        if (report.accuracy < minAccuracy) {
+            problems.push(`accuracy ${(report.accuracy * 100).toFixed(1)}% (${report.correct}/${report.total})`);
+        }
+        for (const [intent, metric] of Object.entries(report.intents)) {
+            if (metric.precision !== null && metric.precision < minPrecision) {
+                problems.push(`${intent} precision ${(metric.precision * 100).toFixed(1)}%`);
+            }
+            if (metric.recall !== null && metric.recall < minRecall) {
+                problems.push(`${intent} recall ${(metric.recall * 100).toFixed(1)}%`);
+            }
+        }
+
+        if (problems.length > 0) {
+            const misses = report.results
+                .filter(result => !result.correct)
+                .map(result => `${result.id}: "${result.utterance}" → ${result.predicted} (expected ${result.expected})`);
+            throw this._fail('assertIntentMatrix', `${assertionMessage}. Below threshold: ${problems.join(', ')}\n  ${misses.join('\n  ')}`, assertionMessage, problems, thresholds, { misclassified: misses });
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -355,8 +733,7 @@ class Assertions {
         const assertionMessage = message || `Expected conversation to have ${expectedCount} messages`;
         
         if (!Array.isArray(conversation) || conversation.length !== expectedCount) {
-            this._recordFailure(assertionMessage, conversation.length, expectedCount);
-            throw new Error(`${assertionMessage}. Actual: ${conversation ? conversation.length : 'not an array'}`);
+            throw this._fail('assertConversationLength', `${assertionMessage}. Actual: ${conversation ? conversation.length : 'not an array'}`, assertionMessage, conversation.length, expectedCount);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -373,16 +750,14 @@ class Assertions {
         const assertionMessage = message || `Expected conversation to end with "${expectedEnding}"`;
         
         if (!Array.isArray(conversation) || conversation.length === 0) {
-            this._recordFailure(assertionMessage, conversation, `conversation ending with "${expectedEnding}"`);
-            throw new Error(assertionMessage);
+            throw this._fail('assertConversationEndsWith', assertionMessage, assertionMessage, conversation, `conversation ending with "${expectedEnding}"`);
         }
 
         const lastMessage = conversation[conversation.length - 1];
         const lastText = lastMessage.messageText || lastMessage.text || '';
 
         if (!lastText.toLowerCase().includes(expectedEnding.toLowerCase())) {
-            this._recordFailure(assertionMessage, lastText, `message ending with "${expectedEnding}"`);
-            throw new Error(`${assertionMessage}. Actual ending: "${lastText}"`);
+            throw this._fail('assertConversationEndsWith', `${assertionMessage}. Actual ending: "${lastText}"`, assertionMessage, lastText, `message ending with "${expectedEnding}"`);
         }
 
         console.log(`✅ Assertion passed: ${assertionMessage}`);
@@ -400,13 +775,14 @@ class Assertions {
         try {
             const result = assertionFn();
             if (!result) {
-                this._recordFailure(assertionMessage, result, true);
-                throw new Error(assertionMessage);
+                throw this._fail('assertCustom', assertionMessage, assertionMessage, result, true);
             }
             console.log(`✅ Assertion passed: ${assertionMessage}`);
         } catch (error) {
-            this._recordFailure(assertionMessage, error.message, 'successful execution');
-            throw new Error(`${assertionMessage}: ${error.message}`);
+            if (error instanceof AssertionMismatchError) {
+                throw error;
+            }
+            throw this._fail('assertCustom', `${assertionMessage}: ${error.message}`, assertionMessage, error.message, 'successful execution');
         }
     }
 
@@ -432,20 +808,83 @@ class Assertions {
         console.log('🔄 Assertion statistics reset');
     }
 
+    /**
+     * Record a failed assertion and create the error to throw
+     * @param {string} assertion - Name of the assertion method
+     * @param {string} errorMessage - Message of the thrown error
+     * @param {string} message - Assertion message
+     * @param {any} actual - Actual value
+     * @param {any} expected - Expected value
+     * @param {Object} details - Optional extra details (e.g. similarity report)
+     * @returns {AssertionMismatchError} Error to throw
+     */
+    _fail(assertion, errorMessage, message, actual, expected, details = {}) {
+        this._recordFailure(message, actual, expected, details);
+        return new AssertionMismatchError(errorMessage, { assertion, actual, expected, ...details });
+    }
+
     /**
      * Record failed assertion
      * @param {string} message - Assertion message
      * @param {any} actual - Actual value
      * @param {any} expected - Expected value
+     * @param {Object} details - Optional extra details (e.g. similarity report)
      */
-    _recordFailure(message, actual, expected) {
+    _recordFailure(message, actual, expected, details = {}) {
         this.failedAssertions.push({
             message,
             actual,
             expected,
+            ...details,
             timestamp: new Date().toISOString()
         });
     }
+
+    /**
+     * Collect standalone and carousel cards of a structured message
+     * @param {Object} structuredMessage - Structured message
+     * @returns {Array} Cards
+     */
+    _allCards(structuredMessage) {
+        if (!structuredMessage) return [];
+        return [
+            ...(structuredMessage.cards || []),
+            ...(structuredMessage.carousels || []).flatMap(carousel => carousel.cards)
+        ];
+    }
+
+    /**
+     * Check a traffic payload against a substring or field/value pairs
+     * @param {Object} traffic - TrafficRecorder
+     * @param {any} payload - Parsed payload
+     * @param {string|Object} expected - Substring or { 'field.path': value } pairs
+     * @returns {boolean} True if the payload matches
+     */
+    _payloadMatches(traffic, payload, expected) {
+        if (typeof expected === 'string') {
+            const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+            return text.toLowerCase().includes(expected.toLowerCase());
+        }
+
+        return Object.entries(expected).every(([fieldPath, value]) => {
+            const actual = traffic.getField(payload, fieldPath);
+            if (typeof value === 'string' && typeof actual === 'string') {
+                return actual.toLowerCase() === value.toLowerCase();
+            }
+            return JSON.stringify(actual) === JSON.stringify(value);
+        });
+    }
+
+    /**
+     * Format similarity breakdown for error messages
+     * @param {Object} report - Similarity report
+     * @returns {string} Formatted breakdown
+     */
+    _formatBreakdown(report) {
+        return Object.entries(report.breakdown)
+            .map(([method, score]) => `${method}: ${score}`)
+            .join(', ');
+    }
 }
 
 // Create singleton instance
@@ -0,0 +1,336 @@
+/**
+ * BotiumScript Parser Utility
+ *
+ * Parses BotiumScript text files (.convo.txt and .utterances.txt) into
+ * plain conversation objects that can be executed by the ConvoRunner.
+ * Supports #me/#bot/#begin/#end sections, utterance references,
+ * asserters and logic hooks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Asserters and logic hooks recognised inside a convo step
+const KNOWN_ASSERTERS = [
+    'TEXT',
+    'TEXT_IC',
+    'TEXT_CONTAINS_ANY',
+    'TEXT_CONTAINS_ANY_IC',
+    'TEXT_CONTAINS_ALL',
+    'TEXT_CONTAINS_ALL_IC',
+    'TEXT_EQUALS',
+    'TEXT_EQUALS_IC',
+    'TEXT_WILDCARD_ANY',
+    'TEXT_WILDCARD_ANY_IC',
+    'TEXT_REGEX_ANY',
+    'TEXT_REGEX_ALL',
+    'BUTTONS',
+    'MEDIA',
+    'CARDS'
+];
+
+const KNOWN_LOGIC_HOOKS = [
+    'PAUSE',
+    'WAITFORBOT',
+    'BUTTON'
+];
+
+class BotiumParser {
+    constructor() {
+        this.convoExtension = '.convo.txt';
+        this.utterancesExtension = '.utterances.txt';
+        this.sectionPattern = /^#(me|bot|begin|end)\s*$/i;
+    }
+
+    /**
+     * Parse a BotiumScript convo file content
+     * @param {string} content - Raw .convo.txt content
+     * @param {string} sourceFile - Optional source file name for reporting
+     * @returns {Object} Conversation object with name, description and steps
+     */
+    parseConvo(content, sourceFile = '') {
+        const lines = this._splitLines(content);
+        const headerLines = [];
+        let index = 0;
+
+        // Header: first line is the name, following lines until first section are the description
+        while (index < lines.length && !this.sectionPattern.test(lines[index].trim())) {
+            headerLines.push(lines[index]);
+            index++;
+        }
+
+        const nonEmptyHeader = headerLines.map(line => line.trim()).filter(line => line !== '');
+        const name = nonEmptyHeader[0] || (sourceFile ? path.basename(sourceFile, this.convoExtension) : 'Unnamed convo');
+        const description = nonEmptyHeader.slice(1).join('\n');
+
+        const convo = {
+            name,
+            description,
+            sourceFile,
+            begin: [],
+            steps: [],
+            end: []
+        };
+
+        let currentSection = null;
+        let currentLines = [];
+
+        const flushSection = () => {
+            if (!currentSection) {
+                return;
+            }
+            const step = this._parseStep(currentSection, currentLines, sourceFile);
+            if (currentSection === 'begin') {
+                convo.begin.push(...step.logicHooks);
+            } else if (currentSection === 'end') {
+                convo.end.push(...step.logicHooks);
+            } else {
+                convo.steps.push(step);
+            }
+        };
+
+        for (; index < lines.length; index++) {
+            const trimmed = lines[index].trim();
+            const sectionMatch = trimmed.match(this.sectionPattern);
+
+            if (sectionMatch) {
+                flushSection();
+                currentSection = sectionMatch[1].toLowerCase();
+                currentLines = [];
+            } else {
+                currentLines.push(lines[index]);
+            }
+        }
+        flushSection();
+
+        return convo;
+    }
+
+    /**
+     * Parse a BotiumScript utterances file content
+     * @param {string} content - Raw .utterances.txt content
+     * @param {string} sourceFile - Optional source file name for reporting
+     * @returns {Object} Utterance set with name and list of utterances
+     */
+    parseUtterances(content, sourceFile = '') {
+        const lines = this._splitLines(content)
+            .map(line => line.trim())
+            .filter(line => line !== '');
+
+        if (lines.length === 0) {
+            throw new Error(`Empty utterances file: ${sourceFile || 'inline content'}`);
+        }
+
+        return {
+            name: lines[0],
+            utterances: lines.slice(1),
+            sourceFile
+        };
+    }
+
+    /**
+     * Load and parse a single BotiumScript file
+     * @param {string} filePath - Path to a .convo.txt or .utterances.txt file
+     * @returns {Object} Object with convos and utterances arrays
+     */
+    loadFile(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`BotiumScript file not found: ${filePath}`);
+        }
+
+        const content = fs.readFileSync(filePath, 'utf8');
+        const fileName = path.basename(filePath);
+
+        if (fileName.endsWith(this.convoExtension)) {
+            return { convos: [this.parseConvo(content, fileName)], utterances: [] };
+        }
+        if (fileName.endsWith(this.utterancesExtension)) {
+            return { convos: [], utterances: [this.parseUtterances(content, fileName)] };
+        }
+
+        throw new Error(`Unsupported BotiumScript file type: ${fileName}`);
+    }
+
+    /**
+     * Load and parse all BotiumScript files in a directory (recursively)
+     * @param {string} dirPath - Directory containing .convo.txt / .utterances.txt files
+     * @returns {Object} Object with convos and utterances arrays
+     */
+    loadDirectory(dirPath) {
+        if (!fs.existsSync(dirPath)) {
+            throw new Error(`BotiumScript directory not found: ${dirPath}`);
+        }
+
+        const result = { convos: [], utterances: [] };
+        const entries = fs.readdirSync(dirPath, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        for (const entry of entries) {
+            const entryPath = path.join(dirPath, entry.name);
+
+            if (entry.isDirectory()) {
+                const nested = this.loadDirectory(entryPath);
+                result.convos.push(...nested.convos);
+                result.utterances.push(...nested.utterances);
+            } else if (entry.name.endsWith(this.convoExtension) || entry.name.endsWith(this.utterancesExtension)) {
+                const parsed = this.loadFile(entryPath);
+                result.convos.push(...parsed.convos);
+                result.utterances.push(...parsed.utterances);
+            }
+        }
+
+        console.log(`💬 Parsed ${result.convos.length} convos and ${result.utterances.length} utterance sets from ${dirPath}`);
+        return result;
+    }
+
+    /**
+     * Resolve utterance references in convos
+     * @param {Array} convos - Parsed convos
+     * @param {Array} utterances - Parsed utterance sets
+     * @param {Object} options - Expansion options
+     * @param {string} options.mode - 'first', 'random' or 'all' (one convo per utterance of the first reference)
+     * @returns {Array} Convos with #me text resolved and #bot utterance alternatives attached
+     */
+    expandUtterances(convos, utterances, options = {}) {
+        const mode = options.mode || 'first';
+        const utteranceMap = new Map(utterances.map(set => [set.name, set.utterances]));
+        const expanded = [];
+
+        for (const convo of convos) {
+            const firstRefIndex = convo.steps.findIndex(step =>
+                step.sender === 'me' && utteranceMap.has(step.text)
+            );
+
+            if (mode === 'all' && firstRefIndex !== -1) {
+                const refName = convo.steps[firstRefIndex].text;
+                utteranceMap.get(refName).forEach((utterance, i) => {
+                    const variant = this._resolveConvo(convo, utteranceMap, 'first');
+                    variant.name = `${convo.name}/${refName}-L${i + 1}`;
+                    variant.steps[firstRefIndex].text = utterance;
+                    expanded.push(variant);
+                });
+            } else {
+                expanded.push(this._resolveConvo(convo, utteranceMap, mode));
+            }
+        }
+
+        return expanded;
+    }
+
+    /**
+     * Resolve utterance references for a single convo
+     * @param {Object} convo - Parsed convo
+     * @param {Map} utteranceMap - Utterance name to utterances map
+     * @param {string} mode - 'first' or 'random'
+     * @returns {Object} Copy of the convo with references resolved
+     */
+    _resolveConvo(convo, utteranceMap, mode) {
+        const steps = convo.steps.map(step => {
+            const resolved = { ...step, asserters: [...step.asserters], logicHooks: [...step.logicHooks] };
+
+            if (!utteranceMap.has(step.text)) {
+                return resolved;
+            }
+
+            const candidates = utteranceMap.get(step.text);
+            resolved.utteranceRef = step.text;
+
+            if (step.sender === 'me') {
+                const pick = mode === 'random'
+                    ? candidates[Math.floor(Math.random() * candidates.length)]
+                    : candidates[0];
+                resolved.text = pick || '';
+            } else {
+                resolved.expectedAlternatives = [...candidates];
+            }
+
+            return resolved;
+        });
+
+        return { ...convo, steps };
+    }
+
+    /**
+     * Parse a single #me/#bot/#begin/#end section
+     * @param {string} sender - Section type
+     * @param {Array} lines - Section lines
+     * @param {string} sourceFile - Source file name for reporting
+     * @returns {Object} Step object
+     */
+    _parseStep(sender, lines, sourceFile) {
+        const textLines = [];
+        const asserters = [];
+        const logicHooks = [];
+
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            const directive = this._parseDirective(line);
+
+            if (directive && KNOWN_ASSERTERS.includes(directive.name)) {
+                asserters.push(directive);
+            } else if (directive && KNOWN_LOGIC_HOOKS.includes(directive.name)) {
+                logicHooks.push(directive);
+            } else {
+                textLines.push(rawLine.replace(/\s+$/, ''));
+            }
+        }
+
+        // Trim leading/trailing blank lines but keep inner line breaks
+        while (textLines.length && textLines[0].trim() === '') textLines.shift();
+        while (textLines.length && textLines[textLines.length - 1].trim() === '') textLines.pop();
+
+        let text = textLines.join('\n');
+        let not = false;
+
+        if (sender === 'bot' && text.startsWith('!')) {
+            not = true;
+            text = text.substring(1);
+        }
+
+        return {
+            sender,
+            text,
+            not,
+            asserters,
+            logicHooks,
+            sourceFile
+        };
+    }
+
+    /**
+     * Parse an asserter/logic hook line like "!TEXT_CONTAINS_ANY hello|hi"
+     * @param {string} line - Trimmed line
+     * @returns {Object|null} Directive with name, args and not flag, or null if not a directive
+     */
+    _parseDirective(line) {
+        const match = line.match(/^(!?)([A-Z][A-Z0-9_]*)(?:\s+(.*))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const [, negation, name, argString] = match;
+        return {
+            name,
+            not: negation === '!',
+            args: argString ? argString.split('|').map(arg => arg.trim()) : []
+        };
+    }
+
+    /**
+     * Split file content into lines, stripping BOM
+     * @param {string} content - File content
+     * @returns {Array} Lines
+     */
+    _splitLines(content) {
+        return content.replace(/^\uFEFF/, '').split(/\r?\n/);
+    }
+}
+
+// Create singleton instance
+const botiumParser = new BotiumParser();
+
+// Export both class and singleton instance
+module.exports = {
+    BotiumParser,
+    botiumParser
+};
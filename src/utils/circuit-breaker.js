@@ -0,0 +1,133 @@
+/**
+ * Circuit Breaker Utility
+ *
+ * Stops calls to a failing dependency (such as the chat backend) after
+ * repeated failures instead of retrying into it:
+ *   closed    - calls go through; consecutive failures are counted
+ *   open      - calls are rejected with a CircuitOpenError until resetTimeout passes
+ *   half-open - a limited number of trial calls go through; a success closes
+ *               the circuit and a failure opens it again
+ */
+
+class CircuitBreaker {
+    /**
+     * @param {string} name - Name of the protected dependency
+     * @param {Object} options - Breaker options
+     * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default 5)
+     * @param {number} options.resetTimeout - Time the circuit stays open before a trial call (default 30000)
+     * @param {number} options.halfOpenMaxCalls - Trial calls allowed while half-open (default 1)
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout !== undefined ? options.resetTimeout : 30000;
+        this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+        this.reset();
+    }
+
+    /**
+     * Check whether a call may go through, moving an open circuit to
+     * half-open once its reset timeout has passed
+     * @returns {boolean} True if the call may be made
+     */
+    allowRequest() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+            this._transition('half-open');
+            this.halfOpenCalls = 0;
+        }
+
+        if (this.state === 'closed') {
+            return true;
+        }
+        if (this.state === 'half-open' && this.halfOpenCalls < this.halfOpenMaxCalls) {
+            this.halfOpenCalls++;
+            return true;
+        }
+
+        this.rejectedCalls++;
+        return false;
+    }
+
+    /**
+     * Record a successful call
+     */
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.successes++;
+        if (this.state !== 'closed') {
+            this._transition('closed');
+        }
+    }
+
+    /**
+     * Record a call whose outcome says nothing about the dependency (e.g. an
+     * assertion failed on its answer): the counters stay as they are and a
+     * half-open trial slot is handed back
+     */
+    recordIgnored() {
+        if (this.state === 'half-open' && this.halfOpenCalls > 0) {
+            this.halfOpenCalls--;
+        }
+    }
+
+    /**
+     * Record a failed call
+     * @param {Error} error - Error of the call
+     */
+    recordFailure(error = null) {
+        this.consecutiveFailures++;
+        this.failures++;
+        this.lastError = error ? error.message : null;
+
+        if (this.state === 'half-open' || (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this._transition('open');
+        }
+    }
+
+    /**
+     * Get the breaker state for logs and reports
+     * @returns {Object} { name, state, consecutiveFailures, failures, successes, rejectedCalls, openedAt, nextAttemptAt, lastError, transitions }
+     */
+    getState() {
+        const isOpen = this.state === 'open';
+        return {
+            name: this.name,
+            state: this.state,
+            consecutiveFailures: this.consecutiveFailures,
+            failures: this.failures,
+            successes: this.successes,
+            rejectedCalls: this.rejectedCalls,
+            openedAt: isOpen ? new Date(this.openedAt).toISOString() : null,
+            nextAttemptAt: isOpen ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+            lastError: this.lastError,
+            transitions: this.transitions.slice()
+        };
+    }
+
+    /**
+     * Close the circuit and clear its counters
+     */
+    reset() {
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.failures = 0;
+        this.successes = 0;
+        this.rejectedCalls = 0;
+        this.halfOpenCalls = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.transitions = [];
+    }
+
+    _transition(state) {
+        const icon = { open: '🔴', 'half-open': '🟡', closed: '🟢' }[state];
+        this.transitions.push({ from: this.state, to: state, at: new Date().toISOString() });
+        this.state = state;
+        console.log(`${icon} Circuit "${this.name}" is now ${state}`);
+    }
+}
+
+module.exports = {
+    CircuitBreaker
+};
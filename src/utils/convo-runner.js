@@ -0,0 +1,389 @@
+/**
+ * Convo Runner Utility
+ *
+ * Executes parsed BotiumScript conversations through a ChatbotPage
+ * instance. Each #me step is sent to the bot and waits for the whole bot
+ * turn; consecutive #bot steps are matched against the messages of that
+ * turn in order, and a per-turn pass/fail result is reported.
+ */
+
+// Asserters that check rich content instead of text
+const RICH_ASSERTERS = ['BUTTONS', 'MEDIA', 'CARDS'];
+
+class ConvoRunner {
+    /**
+     * @param {Object} chatbotPage - ChatbotPage instance used to drive the conversation
+     * @param {Object} options - Runner options
+     * @param {string} options.matchingMode - 'wildcardIgnoreCase', 'wildcard', 'includeIgnoreCase', 'include', 'equalsIgnoreCase', 'equals' or 'regexp'
+     * @param {boolean} options.continueOnFailure - Keep executing turns after a failed #bot assertion
+     * @param {number} options.responseTimeout - Timeout for each bot response
+     */
+    constructor(chatbotPage, options = {}) {
+        if (!chatbotPage) {
+            throw new Error('ConvoRunner requires a ChatbotPage instance');
+        }
+
+        this.chatbotPage = chatbotPage;
+        this.matchingMode = options.matchingMode || 'wildcardIgnoreCase';
+        this.continueOnFailure = options.continueOnFailure || false;
+        this.responseTimeout = options.responseTimeout || chatbotPage.responseTimeout;
+    }
+
+    /**
+     * Run a single parsed convo
+     * @param {Object} convo - Convo object produced by BotiumParser
+     * @returns {Promise<Object>} Convo result with per-turn results
+     */
+    async run(convo) {
+        console.log(`🎬 Running convo: ${convo.name}`);
+        const startTime = Date.now();
+        const turns = [];
+        // Bot messages of the current turn and the next one to assert; null before the first #me step
+        let botTurn = null;
+        let stopped = false;
+
+        await this._runLogicHooks(convo.begin || []);
+
+        for (let index = 0; index < convo.steps.length; index++) {
+            const step = convo.steps[index];
+            const buttonHook = step.logicHooks.find(hook => hook.name === 'BUTTON');
+            const turn = {
+                index,
+                sender: step.sender,
+                text: step.text || (buttonHook ? `BUTTON ${buttonHook.args.join('|')}` : ''),
+                actual: null,
+                passed: false,
+                skipped: stopped,
+                errors: [],
+                warnings: []
+            };
+            turns.push(turn);
+
+            if (stopped) {
+                continue;
+            }
+
+            try {
+                await this._runLogicHooks(step.logicHooks.filter(hook => hook.name !== 'BUTTON'));
+
+                if (step.sender === 'me') {
+                    const nextStep = convo.steps[index + 1];
+                    const expectsReply = nextStep && nextStep.sender === 'bot';
+                    botTurn = { messages: await this._sendUserStep(step, expectsReply), next: 0 };
+                    turn.actual = turn.text;
+                    turn.passed = true;
+                } else {
+                    if (!botTurn) {
+                        botTurn = { messages: await this._getWelcomeMessages(), next: 0 };
+                    }
+                    const position = botTurn.next++;
+                    if (position >= botTurn.messages.length) {
+                        throw new Error(`Expected another bot message, but the turn produced only ${botTurn.messages.length}`);
+                    }
+                    const response = botTurn.messages[position];
+
+                    // Button, media and card asserters need the structured message
+                    const structured = step.asserters.some(asserter => RICH_ASSERTERS.includes(asserter.name))
+                        ? await this._getStructuredMessage(botTurn, position)
+                        : null;
+
+                    turn.actual = response;
+                    turn.errors = this._checkBotStep(step, response, turn.warnings, structured);
+                    turn.passed = turn.errors.length === 0;
+
+                    if (!turn.passed && !this.continueOnFailure) {
+                        stopped = true;
+                    }
+                }
+            } catch (error) {
+                turn.errors.push(error.message);
+                turn.passed = false;
+                stopped = true;
+            }
+
+            const icon = turn.passed ? '✅' : '❌';
+            console.log(`${icon} Turn ${index} (#${step.sender}): ${turn.passed ? 'passed' : turn.errors.join('; ')}`);
+        }
+
+        if (!stopped) {
+            await this._runLogicHooks(convo.end || []);
+        }
+
+        const failedTurns = turns.filter(turn => !turn.passed && !turn.skipped);
+        const result = {
+            name: convo.name,
+            sourceFile: convo.sourceFile,
+            passed: turns.every(turn => turn.passed),
+            duration: Date.now() - startTime,
+            turns,
+            failedTurns: failedTurns.map(turn => turn.index)
+        };
+
+        console.log(`${result.passed ? '✅' : '❌'} Convo ${result.passed ? 'passed' : 'failed'}: ${convo.name} (${result.duration}ms)`);
+        return result;
+    }
+
+    /**
+     * Run several convos sequentially, clearing the conversation between them
+     * @param {Array} convos - Array of parsed convos
+     * @param {Object} options - Options
+     * @param {boolean} options.clearBetween - Clear the conversation before each convo
+     * @returns {Promise<Object>} Summary with individual convo results
+     */
+    async runAll(convos, options = {}) {
+        const clearBetween = options.clearBetween !== false;
+        const results = [];
+
+        for (const convo of convos) {
+            if (results.length > 0) {
+                if (clearBetween) {
+                    await this.chatbotPage.clearConversation();
+                }
+                // The next convo starts a new conversation, not a reply to the last turn
+                this.chatbotPage.resetTurnState();
+            }
+            results.push(await this.run(convo));
+        }
+
+        const passed = results.filter(result => result.passed).length;
+        console.log(`📊 Convos finished: ${passed}/${results.length} passed`);
+
+        return {
+            total: results.length,
+            passed,
+            failed: results.length - passed,
+            results
+        };
+    }
+
+    /**
+     * Format a convo result as readable text for error messages and logs
+     * @param {Object} result - Convo result from run()
+     * @returns {string} Formatted report
+     */
+    formatResult(result) {
+        const lines = [`Convo "${result.name}" ${result.passed ? 'passed' : 'failed'}`];
+
+        for (const turn of result.turns) {
+            const status = turn.skipped ? 'SKIPPED' : turn.passed ? 'PASS' : 'FAIL';
+            lines.push(`  [${status}] #${turn.sender} ${JSON.stringify(turn.text)}`);
+            turn.errors.forEach(error => lines.push(`      - ${error}`));
+            turn.warnings.forEach(warning => lines.push(`      ! ${warning}`));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Send a #me step, either as text or as a button click
+     * @param {Object} step - #me step
+     * @param {boolean} expectsReply - Whether the next step expects a bot reply
+     * @returns {Promise<Array|null>} Bot messages of the turn if waited for
+     */
+    async _sendUserStep(step, expectsReply) {
+        const buttonHook = step.logicHooks.find(hook => hook.name === 'BUTTON');
+
+        if (buttonHook) {
+            await this.chatbotPage.clickButton(buttonHook.args[0], this.responseTimeout);
+            return expectsReply ? await this.chatbotPage.getTurnResponses(this.responseTimeout) : null;
+        }
+
+        if (expectsReply) {
+            return await this.chatbotPage.sendMessageAndWaitForTurn(step.text, this.responseTimeout);
+        }
+
+        await this.chatbotPage.sendMessage(step.text, this.responseTimeout);
+        return null;
+    }
+
+    /**
+     * Get the welcome messages: the bot messages already shown before the
+     * first user message. Nothing has been sent yet, so there is no reply to
+     * wait for.
+     * @returns {Promise<Array>} Welcome message texts in order
+     */
+    async _getWelcomeMessages() {
+        const messages = await this.chatbotPage.getStructuredMessages();
+        const firstUserMessage = messages.findIndex(message => message.sender === 'user');
+        return messages
+            .slice(0, firstUserMessage === -1 ? messages.length : firstUserMessage)
+            .filter(message => message.sender === 'bot')
+            .map(message => message.text);
+    }
+
+    /**
+     * Get the structured form of a message of the current turn
+     * @param {Object} botTurn - Current turn ({ messages, next })
+     * @param {number} position - Index of the message within the turn
+     * @returns {Promise<Object|null>} Structured bot message
+     */
+    async _getStructuredMessage(botTurn, position) {
+        const botMessages = (await this.chatbotPage.getStructuredMessages())
+            .filter(message => message.sender === 'bot');
+        return botMessages[botMessages.length - botTurn.messages.length + position] || null;
+    }
+
+    /**
+     * Check a #bot step against the actual response
+     * @param {Object} step - #bot step
+     * @param {string} response - Actual bot response
+     * @param {Array} warnings - Warnings collector
+     * @param {Object} structured - Structured bot message for BUTTONS, MEDIA and CARDS asserters
+     * @returns {Array} List of failure messages
+     */
+    _checkBotStep(step, response, warnings, structured = null) {
+        const errors = [];
+        const actual = response || '';
+
+        if (step.text) {
+            const alternatives = step.expectedAlternatives || [step.text];
+            const matched = alternatives.some(expected => this._matchText(actual, expected));
+
+            if (matched === step.not) {
+                const expectation = step.not ? 'not to match' : 'to match';
+                errors.push(`Expected bot response ${expectation} "${alternatives.join('" or "')}", got "${actual}"`);
+            }
+        }
+
+        for (const asserter of step.asserters) {
+            const outcome = this._runAsserter(asserter, actual, structured);
+
+            if (outcome === null) {
+                warnings.push(`Asserter ${asserter.name} is not supported and was skipped`);
+            } else if (outcome === asserter.not) {
+                const prefix = asserter.not ? '!' : '';
+                errors.push(`Asserter ${prefix}${asserter.name} ${asserter.args.join('|')} failed on "${actual}"`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Evaluate a text or rich content asserter
+     * @param {Object} asserter - Asserter directive
+     * @param {string} actual - Actual response
+     * @param {Object} structured - Structured bot message (rich content asserters only)
+     * @returns {boolean|null} Result, or null when the asserter is not supported
+     */
+    _runAsserter(asserter, actual, structured = null) {
+        const ignoreCase = asserter.name.endsWith('_IC');
+        const name = ignoreCase ? asserter.name.slice(0, -3) : asserter.name;
+        const normalize = value => (ignoreCase ? value.toLowerCase() : value);
+        const text = normalize(actual);
+        const args = asserter.args.map(normalize);
+
+        switch (name) {
+            case 'TEXT':
+            case 'TEXT_CONTAINS_ANY':
+                return args.some(arg => text.includes(arg));
+            case 'TEXT_CONTAINS_ALL':
+                return args.every(arg => text.includes(arg));
+            case 'TEXT_EQUALS':
+                return args.some(arg => text.trim() === arg);
+            case 'TEXT_WILDCARD_ANY':
+                return args.some(arg => this._wildcardToRegex(arg, ignoreCase).test(actual));
+            case 'TEXT_REGEX_ANY':
+                return asserter.args.some(arg => new RegExp(arg).test(actual));
+            case 'TEXT_REGEX_ALL':
+                return asserter.args.every(arg => new RegExp(arg).test(actual));
+            case 'BUTTONS':
+            case 'MEDIA':
+            case 'CARDS':
+                return structured ? this._runRichAsserter(name, asserter.args, structured) : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Evaluate BUTTONS, MEDIA or CARDS against a structured message. Each
+     * argument must appear (case-insensitive substring) among the values.
+     * @param {string} name - Asserter name
+     * @param {Array} args - Expected values
+     * @param {Object} structured - Structured bot message
+     * @returns {boolean} Result
+     */
+    _runRichAsserter(name, args, structured) {
+        const cards = [
+            ...structured.cards,
+            ...structured.carousels.flatMap(carousel => carousel.cards)
+        ];
+
+        let values;
+        if (name === 'BUTTONS') {
+            values = [...structured.quickReplies, ...cards.flatMap(card => card.buttons)];
+        } else if (name === 'MEDIA') {
+            values = [
+                ...cards.filter(card => card.image).map(card => card.image.src),
+                ...structured.attachments.map(attachment => attachment.url || attachment.name)
+            ];
+        } else {
+            values = cards.map(card => `${card.title} ${card.subtitle}`);
+        }
+
+        const lowerValues = values.map(value => value.toLowerCase());
+        return args.every(arg => lowerValues.some(value => value.includes(arg.toLowerCase())));
+    }
+
+    /**
+     * Match response text against an expected #bot text using the configured matching mode
+     * @param {string} actual - Actual response
+     * @param {string} expected - Expected text from the convo
+     * @returns {boolean} True if matched
+     */
+    _matchText(actual, expected) {
+        switch (this.matchingMode) {
+            case 'wildcard':
+                return this._wildcardToRegex(expected, false).test(actual);
+            case 'wildcardIgnoreCase':
+                return this._wildcardToRegex(expected, true).test(actual);
+            case 'include':
+                return actual.includes(expected);
+            case 'includeIgnoreCase':
+                return actual.toLowerCase().includes(expected.toLowerCase());
+            case 'equals':
+                return actual.trim() === expected.trim();
+            case 'equalsIgnoreCase':
+                return actual.trim().toLowerCase() === expected.trim().toLowerCase();
+            case 'regexp':
+                return new RegExp(expected).test(actual);
+            default:
+                throw new Error(`Unknown matching mode: ${this.matchingMode}`);
+        }
+    }
+
+    /**
+     * Convert a Botium wildcard expression into a partial-match regex
+     * @param {string} expected - Expected text with * wildcards
+     * @param {boolean} ignoreCase - Case-insensitive match
+     * @returns {RegExp} Regular expression
+     */
+    _wildcardToRegex(expected, ignoreCase) {
+        const escaped = expected
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[\\s\\S]*');
+        return new RegExp(escaped, ignoreCase ? 'i' : '');
+    }
+
+    /**
+     * Execute supported logic hooks
+     * @param {Array} hooks - Logic hook directives
+     */
+    async _runLogicHooks(hooks) {
+        for (const hook of hooks) {
+            if (hook.name === 'PAUSE') {
+                const milliseconds = parseInt(hook.args[0], 10) || 0;
+                console.log(`⏸️ Pausing convo for ${milliseconds}ms`);
+                await new Promise(resolve => setTimeout(resolve, milliseconds));
+            } else if (hook.name === 'WAITFORBOT') {
+                await this.chatbotPage.waitForResponse(parseInt(hook.args[0], 10) || this.responseTimeout);
+            }
+        }
+    }
+}
+
+module.exports = {
+    ConvoRunner
+};
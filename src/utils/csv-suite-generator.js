@@ -0,0 +1,235 @@
+/**
+ * CSV Suite Generator Utility
+ *
+ * Turns CSV rows maintained in spreadsheets into Mocha tests. Each row
+ * becomes one `it` that sends the utterance through ChatbotPage and checks
+ * the reply with the shared Assertions helpers.
+ *
+ * Supported columns (header case and spacing are ignored):
+ *   id, utterance, expected_keywords, expected_pattern, expected_similar,
+ *   similarity_threshold, max_response_time, tags, skip
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { testDataManager } = require('./test-data-manager');
+const { assertions } = require('./assertions');
+
+// Alternative header names accepted for each column
+const COLUMN_ALIASES = {
+    id: ['id', 'test_id', 'case_id'],
+    utterance: ['utterance', 'message', 'user_message', 'input'],
+    keywords: ['expected_keywords', 'keywords'],
+    pattern: ['expected_pattern', 'pattern'],
+    similar: ['expected_similar', 'expected_response', 'similar_to'],
+    threshold: ['similarity_threshold', 'threshold'],
+    maxResponseTime: ['max_response_time', 'max_response_time_ms', 'response_time'],
+    tags: ['tags', 'tag'],
+    skip: ['skip', 'disabled']
+};
+
+class CsvSuiteGenerator {
+    constructor() {
+        this.listSeparator = /[|;]/;
+        this.defaultThreshold = undefined;
+    }
+
+    /**
+     * Generate a Mocha suite from a CSV file. Call at the top level of a spec file.
+     * @param {string} filename - CSV file relative to the test data directory
+     * @param {Object} options - Generator options
+     * @param {string} options.suiteName - Suite title (defaults to the file name)
+     * @param {Array} options.tags - Only include rows with at least one of these tags (defaults to CSV_TAGS env var)
+     * @param {Function} options.pageFactory - Creates the page object (defaults to a new ChatbotPage)
+     * @param {string} options.url - URL opened before the suite (defaults to the environment's chat page)
+     * @param {boolean} options.resetBetweenRows - Clear the conversation before each row (default true)
+     * @returns {Array} Test cases that were generated
+     */
+    generate(filename, options = {}) {
+        const rows = testDataManager.loadCsvDataSync(filename);
+        const testCases = this.filterByTags(
+            rows.map((row, index) => this.parseRow(row, index)).filter(testCase => testCase.utterance),
+            options.tags || this._tagsFromEnv()
+        );
+        const suiteName = options.suiteName || path.basename(filename, '.csv');
+        const generator = this;
+
+        describe(suiteName, function () {
+            let page;
+
+            before(async function () {
+                page = options.pageFactory ? options.pageFactory() : generator._createChatbotPage();
+                await page.open(options.url);
+            });
+
+            beforeEach(async function () {
+                if (options.resetBetweenRows !== false && this.currentTest && this.currentTest.csvRowIndex > 0) {
+                    await page.clearConversation();
+                }
+            });
+
+            testCases.forEach((testCase, index) => {
+                const register = testCase.skip ? it.skip : it;
+                const test = register(testCase.title, async function () {
+                    await generator.runCase(page, testCase);
+                });
+                test.csvRowIndex = index;
+            });
+        });
+
+        console.log(`📋 Generated ${testCases.length} tests from ${filename}`);
+        return testCases;
+    }
+
+    /**
+     * Generate one suite per CSV file in a directory
+     * @param {string} dirname - Directory relative to the test data directory
+     * @param {Object} options - Generator options passed to generate()
+     * @returns {Array} Generated file names
+     */
+    generateFromDirectory(dirname = 'suites', options = {}) {
+        const dirPath = path.join(testDataManager.testDataDir, dirname);
+
+        if (!fs.existsSync(dirPath)) {
+            console.warn(`⚠️ CSV suite directory not found: ${dirPath}`);
+            return [];
+        }
+
+        const files = fs.readdirSync(dirPath)
+            .filter(file => file.toLowerCase().endsWith('.csv'))
+            .sort();
+
+        files.forEach(file => this.generate(path.join(dirname, file), options));
+        return files;
+    }
+
+    /**
+     * Execute a single test case against the page
+     * @param {Object} page - ChatbotPage instance
+     * @param {Object} testCase - Parsed test case
+     * @returns {Promise<Object>} Response text and measured response time
+     */
+    async runCase(page, testCase) {
+        console.log(`📋 Running CSV case ${testCase.id}: "${testCase.utterance}"`);
+
+        const startTime = Date.now();
+        const response = await page.sendMessageAndWaitForResponse(testCase.utterance);
+        const responseTime = Date.now() - startTime;
+
+        assertions.assertNotEmpty(response, `Expected a bot response to "${testCase.utterance}"`);
+
+        if (testCase.keywords.length > 0) {
+            assertions.assertResponseContainsKeywords(response, testCase.keywords);
+        }
+
+        if (testCase.pattern) {
+            const regex = this._parseRegex(testCase.pattern);
+            if (regex) {
+                assertions.assertMatches(response, regex);
+            } else {
+                assertions.assertResponsePattern(response, testCase.pattern);
+            }
+        }
+
+        if (testCase.similar) {
+            const threshold = testCase.threshold !== null ? testCase.threshold : this.defaultThreshold;
+            assertions.assertSimilar(response, testCase.similar, { threshold });
+        }
+
+        if (testCase.maxResponseTime !== null) {
+            assertions.assertResponseTime(responseTime, testCase.maxResponseTime);
+        }
+
+        return { response, responseTime };
+    }
+
+    /**
+     * Convert a raw CSV row into a test case
+     * @param {Object} row - CSV row
+     * @param {number} index - Row index
+     * @returns {Object} Test case
+     */
+    parseRow(row, index) {
+        const normalized = {};
+        Object.entries(row).forEach(([key, value]) => {
+            normalized[this._normalizeHeader(key)] = typeof value === 'string' ? value.trim() : value;
+        });
+
+        const read = column => {
+            const alias = COLUMN_ALIASES[column].find(name => normalized[name] !== undefined && normalized[name] !== '');
+            return alias ? normalized[alias] : '';
+        };
+
+        const id = read('id') || `row-${index + 1}`;
+        const utterance = read('utterance');
+        const tags = this._splitList(read('tags')).map(tag => tag.replace(/^@/, ''));
+        const maxResponseTime = read('maxResponseTime');
+        const threshold = read('threshold');
+
+        return {
+            id,
+            utterance,
+            keywords: this._splitList(read('keywords')),
+            pattern: read('pattern'),
+            similar: read('similar'),
+            threshold: threshold ? parseFloat(threshold) : null,
+            maxResponseTime: maxResponseTime ? parseInt(maxResponseTime, 10) : null,
+            tags,
+            skip: ['true', 'yes', 'y', '1', 'x'].includes(read('skip').toLowerCase()),
+            title: `${id}: "${utterance}"${tags.length ? ' ' + tags.map(tag => `@${tag}`).join(' ') : ''}`
+        };
+    }
+
+    /**
+     * Keep only test cases that carry at least one requested tag
+     * @param {Array} testCases - Test cases
+     * @param {Array} tags - Requested tags (empty keeps all)
+     * @returns {Array} Filtered test cases
+     */
+    filterByTags(testCases, tags = []) {
+        if (!tags || tags.length === 0) {
+            return testCases;
+        }
+        return testCases.filter(testCase => testCase.tags.some(tag => tags.includes(tag)));
+    }
+
+    /**
+     * Read tag filter from the CSV_TAGS environment variable
+     * @returns {Array} Tags
+     */
+    _tagsFromEnv() {
+        return process.env.CSV_TAGS ? this._splitList(process.env.CSV_TAGS.replace(/,/g, '|')) : [];
+    }
+
+    /**
+     * Parse "/regex/flags" notation
+     * @param {string} pattern - Pattern from CSV
+     * @returns {RegExp|null} Regex or null for wildcard patterns
+     */
+    _parseRegex(pattern) {
+        const match = pattern.match(/^\/(.+)\/([gimsuy]*)$/);
+        return match ? new RegExp(match[1], match[2] || 'i') : null;
+    }
+
+    _splitList(value) {
+        return value ? value.split(this.listSeparator).map(item => item.trim()).filter(Boolean) : [];
+    }
+
+    _normalizeHeader(header) {
+        return header.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s-]+/g, '_').replace(/[()]/g, '');
+    }
+
+    _createChatbotPage() {
+        const ChatbotPage = require('../pages/chatbot.page.js');
+        return new ChatbotPage();
+    }
+}
+
+// Create singleton instance
+const csvSuiteGenerator = new CsvSuiteGenerator();
+
+// Export both class and singleton instance
+module.exports = {
+    CsvSuiteGenerator,
+    csvSuiteGenerator
+};
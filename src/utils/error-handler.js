@@ -7,14 +7,54 @@
 
 const fs = require('fs');
 const path = require('path');
+const { RetryPolicy } = require('./retry-policy');
+const { LogRotator } = require('./log-rotator');
+const { CircuitBreaker } = require('./circuit-breaker');
+const { ChatbotTestError, CircuitOpenError } = require('./errors');
+
+// W3C WebDriver error names (error.name of WebdriverIO protocol errors) by category
+const WEBDRIVER_ERROR_CATEGORIES = {
+    'no such element': 'ElementNotFound',
+    'stale element reference': 'ElementNotFound',
+    'element not interactable': 'ElementNotFound',
+    'element click intercepted': 'ElementNotFound',
+    'invalid selector': 'SelectorError',
+    'timeout': 'TimeoutError',
+    'script timeout': 'TimeoutError',
+    'invalid session id': 'BrowserError',
+    'session not created': 'BrowserError',
+    'no such window': 'BrowserError',
+    'javascript error': 'JavaScriptError'
+};
+
+// Error categories that count as a failure of the dependency behind a circuit breaker
+const BACKEND_FAILURE_CATEGORIES = ['NetworkError', 'TimeoutError'];
 
 class ErrorHandler {
     constructor() {
         this.errorLog = [];
         this.retryAttempts = new Map();
+        this.retryHistory = [];
+        this.retrySequence = 0;
         this.maxRetries = 3;
         this.retryDelay = 1000;
         this.logsDir = path.join(__dirname, '../../logs');
+        this.logPath = path.join(this.logsDir, 'error.log');
+        this.logRotator = new LogRotator();
+
+        // Retry policy per error category; 'default' covers the rest
+        this.retryPolicies = {
+            default: new RetryPolicy({ name: 'default', maxRetries: this.maxRetries, baseDelay: this.retryDelay, maxDelay: 10000, maxElapsed: 60000 }),
+            NetworkError: new RetryPolicy({ name: 'network', maxRetries: 5, baseDelay: 1000, maxDelay: 15000, jitter: 'full', maxElapsed: 60000 }),
+            TimeoutError: new RetryPolicy({ name: 'timeout', maxRetries: 3, baseDelay: 2000, maxDelay: 10000, maxElapsed: 90000 }),
+            ElementNotFound: new RetryPolicy({ name: 'element', maxRetries: 3, baseDelay: 500, maxDelay: 4000, maxElapsed: 30000 }),
+            AssertionError: new RetryPolicy({ name: 'assertion', retryable: false }),
+            CircuitOpen: new RetryPolicy({ name: 'circuit-open', retryable: false })
+        };
+
+        // Circuit breakers by name (e.g. 'chat-backend'), created on first use
+        this.circuitBreakers = new Map();
+        this.circuitBreakerDefaults = { failureThreshold: 5, resetTimeout: 30000, halfOpenMaxCalls: 1 };
         
         // Ensure logs directory exists
         this._ensureDirectoryExists(this.logsDir);
@@ -38,6 +78,10 @@ class ErrorHandler {
             recoverable: this._isRecoverable(error),
             ...options
         };
+        if (error instanceof ChatbotTestError) {
+            errorInfo.code = error.code;
+            errorInfo.details = error.details;
+        }
 
         this.errorLog.push(errorInfo);
         this._logError(errorInfo);
@@ -48,47 +92,139 @@ class ErrorHandler {
     }
 
     /**
-     * Execute function with retry logic
+     * Execute function with retry logic. The retry policy of the failed
+     * attempt's error category decides whether to try again and how long to
+     * wait (see RetryPolicy); with a circuit, calls are refused while it is open.
      * @param {Function} fn - Function to execute
      * @param {string} context - Context for error handling
      * @param {Object} options - Retry options
+     * @param {RetryPolicy|Object|string} options.policy - Policy (or its options, or a category name) used for every error
+     * @param {number} options.maxRetries - Attempts in total, overriding the policy
+     * @param {number} options.retryDelay - Base delay, overriding the policy
+     * @param {number} options.maxElapsed - Time budget, overriding the policy
+     * @param {string} options.circuit - Circuit breaker name guarding the call (e.g. 'chat-backend')
      * @returns {Promise<any>} Function result
      */
     async executeWithRetry(fn, context = '', options = {}) {
-        const maxRetries = options.maxRetries || this.maxRetries;
-        const retryDelay = options.retryDelay || this.retryDelay;
-        const retryKey = `${context}_${Date.now()}`;
-        
-        this.retryAttempts.set(retryKey, 0);
-        
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        const breaker = options.circuit ? this.getCircuitBreaker(options.circuit) : null;
+        const record = {
+            id: `retry-${++this.retrySequence}`,
+            context,
+            circuit: breaker ? breaker.name : null,
+            startedAt: new Date().toISOString(),
+            attempts: [],
+            outcome: null,
+            elapsed: null
+        };
+        const startTime = Date.now();
+        this.retryAttempts.set(record.id, record);
+
+        for (let attempt = 1; ; attempt++) {
+            if (breaker && !breaker.allowRequest()) {
+                const error = new CircuitOpenError(breaker.getState());
+                this.handleError(error, context, { attempt, retryId: record.id, circuit: breaker.getState() });
+                this._finishRetry(record, startTime, 'circuit-open');
+                throw error;
+            }
+
+            const attemptStart = Date.now();
             try {
-                console.log(`🔄 Attempt ${attempt}/${maxRetries} for: ${context}`);
+                console.log(`🔄 Attempt ${attempt} for: ${context}`);
                 const result = await fn();
+                if (breaker) breaker.recordSuccess();
+                record.attempts.push({ attempt, duration: Date.now() - attemptStart, error: null });
                 console.log(`✅ Success on attempt ${attempt}: ${context}`);
-                this.retryAttempts.delete(retryKey);
+                this._finishRetry(record, startTime, 'succeeded');
                 return result;
             } catch (error) {
-                const errorInfo = this.handleError(error, context, { attempt, maxRetries });
-                
-                if (attempt === maxRetries) {
-                    console.error(`❌ Failed after ${maxRetries} attempts: ${context}`);
-                    this.retryAttempts.delete(retryKey);
-                    throw error;
+                if (breaker) {
+                    // Assertion, selector and validation failures are not the backend's fault
+                    if (this._isBackendFailure(error)) {
+                        breaker.recordFailure(error);
+                    } else {
+                        breaker.recordIgnored();
+                    }
                 }
-                
-                if (!this._isRetryable(error)) {
-                    console.log(`⚠️ Non-retryable error, stopping retries: ${context}`);
-                    this.retryAttempts.delete(retryKey);
+
+                const category = this._categorizeError(error);
+                const policy = this._resolveRetryPolicy(category, options);
+                const decision = this._isRetryable(error)
+                    ? policy.next(attempt, Date.now() - startTime, error)
+                    : { retry: false, delay: null, reason: 'non-retryable' };
+
+                this.handleError(error, context, {
+                    attempt,
+                    maxRetries: policy.maxRetries,
+                    retryId: record.id,
+                    retryPolicy: policy.name,
+                    nextDelay: decision.retry ? decision.delay : null
+                });
+                record.attempts.push({
+                    attempt,
+                    duration: Date.now() - attemptStart,
+                    error: error.message,
+                    category,
+                    policy: policy.name,
+                    delay: decision.retry ? decision.delay : null
+                });
+
+                if (!decision.retry) {
+                    const reasons = {
+                        'non-retryable': 'Non-retryable error, stopping retries',
+                        'max-retries': `Failed after ${attempt} attempts`,
+                        'budget-exhausted': `Retry budget of ${policy.maxElapsed}ms exhausted after ${attempt} attempts`
+                    };
+                    console.error(`❌ ${reasons[decision.reason]}: ${context}`);
+                    this._finishRetry(record, startTime, decision.reason);
                     throw error;
                 }
-                
-                console.log(`⏳ Retrying in ${retryDelay}ms...`);
-                await this.wait(retryDelay);
+
+                console.log(`⏳ Retrying in ${decision.delay}ms (${policy.name} policy)...`);
+                await this.wait(decision.delay);
             }
         }
     }
 
+    /**
+     * Set the retry policy for an error category
+     * @param {string} category - Error category (e.g. 'NetworkError') or 'default'
+     * @param {RetryPolicy|Object} policy - Policy or its options
+     */
+    setRetryPolicy(category, policy) {
+        this.retryPolicies[category] = policy instanceof RetryPolicy ? policy : new RetryPolicy({ name: category, ...policy });
+        console.log(`⚙️ Retry policy for ${category}:`, this.retryPolicies[category].toJSON());
+    }
+
+    /**
+     * Get the retry policy for an error category
+     * @param {string} category - Error category
+     * @returns {RetryPolicy} Category policy, or the default policy
+     */
+    getRetryPolicy(category) {
+        return this.retryPolicies[category] || this.retryPolicies.default;
+    }
+
+    /**
+     * Get (or create) a named circuit breaker
+     * @param {string} name - Circuit name (e.g. 'chat-backend')
+     * @param {Object} options - Breaker options for a new breaker (see CircuitBreaker)
+     * @returns {CircuitBreaker} Circuit breaker
+     */
+    getCircuitBreaker(name, options = {}) {
+        if (!this.circuitBreakers.has(name)) {
+            this.circuitBreakers.set(name, new CircuitBreaker(name, { ...this.circuitBreakerDefaults, ...options }));
+        }
+        return this.circuitBreakers.get(name);
+    }
+
+    /**
+     * Get the state of every circuit breaker
+     * @returns {Array} Breaker states (see CircuitBreaker.getState)
+     */
+    getCircuitStates() {
+        return Array.from(this.circuitBreakers.values()).map(breaker => breaker.getState());
+    }
+
     /**
      * Handle element interaction errors
      * @param {Error} error - Error object
@@ -227,14 +363,15 @@ class ErrorHandler {
 
     /**
      * Get error statistics
+     * @param {Array} entries - Errors to count (defaults to this run's errors)
      * @returns {Object} Error statistics
      */
-    getErrorStats() {
-        const totalErrors = this.errorLog.length;
+    getErrorStats(entries = this.errorLog) {
+        const totalErrors = entries.length;
         const errorTypes = {};
         const severities = {};
         
-        this.errorLog.forEach(error => {
+        entries.forEach(error => {
             errorTypes[error.type] = (errorTypes[error.type] || 0) + 1;
             severities[error.severity] = (severities[error.severity] || 0) + 1;
         });
@@ -243,17 +380,80 @@ class ErrorHandler {
             totalErrors,
             errorTypes,
             severities,
-            recoverableErrors: this.errorLog.filter(e => e.recoverable).length,
-            nonRecoverableErrors: this.errorLog.filter(e => !e.recoverable).length
+            recoverableErrors: entries.filter(e => e.recoverable).length,
+            nonRecoverableErrors: entries.filter(e => !e.recoverable).length
         };
     }
 
+    /**
+     * Query logs/error.log and its rotated archives
+     * @param {Object} filters - Query filters
+     * @param {Date|string|number} filters.since - Earliest entry timestamp
+     * @param {Date|string|number} filters.until - Latest entry timestamp
+     * @param {string} filters.context - Text the context must contain (case-insensitive)
+     * @param {Array|string} filters.type - Error categories (e.g. 'TimeoutError')
+     * @param {Array|string} filters.severity - Severities (e.g. 'High')
+     * @param {Array|string} filters.code - Typed error codes (e.g. 'BOT_RESPONSE_TIMEOUT')
+     * @param {boolean} filters.archives - Include rotated archives (default true)
+     * @param {string} filters.logPath - Log file to read (defaults to logs/error.log)
+     * @returns {Object} { entries, summary, files, skipped } - summary as in the error report
+     */
+    queryLog(filters = {}) {
+        const { entries, files, skipped } = this.logRotator.readEntries(filters.logPath || this.logPath, {
+            archives: filters.archives
+        });
+        const since = filters.since ? new Date(filters.since).getTime() : null;
+        const until = filters.until ? new Date(filters.until).getTime() : null;
+        const oneOf = (value, allowed) => {
+            if (!allowed) return true;
+            const list = (Array.isArray(allowed) ? allowed : [allowed]).map(item => String(item).toLowerCase());
+            return list.includes(String(value).toLowerCase());
+        };
+
+        const matches = entries.filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            return (since === null || time >= since) &&
+                (until === null || time <= until) &&
+                (!filters.context || String(entry.context || '').toLowerCase().includes(filters.context.toLowerCase())) &&
+                oneOf(entry.type, filters.type) &&
+                oneOf(entry.severity, filters.severity) &&
+                oneOf(entry.code, filters.code);
+        });
+
+        return {
+            entries: matches,
+            summary: this._generateErrorSummary(matches),
+            files,
+            skipped
+        };
+    }
+
+    /**
+     * Set error log rotation
+     * @param {Object} options - Rotation options
+     * @param {number} options.maxSize - Size in bytes that triggers rotation
+     * @param {number} options.maxAge - Age in milliseconds of the oldest entry that triggers rotation
+     * @param {number} options.maxFiles - Archives to keep
+     * @param {boolean} options.compress - Gzip rotated logs
+     */
+    setLogRotation(options) {
+        this.logRotator.configure(options);
+        console.log('⚙️ Error log rotation updated:', {
+            maxSize: this.logRotator.maxSize,
+            maxAge: this.logRotator.maxAge,
+            maxFiles: this.logRotator.maxFiles,
+            compress: this.logRotator.compress
+        });
+    }
+
     /**
      * Clear error log
      */
     clearErrorLog() {
         this.errorLog = [];
         this.retryAttempts.clear();
+        this.retryHistory = [];
+        this.circuitBreakers.forEach(breaker => breaker.reset());
         console.log('🧹 Error log cleared');
     }
 
@@ -264,10 +464,18 @@ class ErrorHandler {
     setRetryConfig(config) {
         if (config.maxRetries) this.maxRetries = config.maxRetries;
         if (config.retryDelay) this.retryDelay = config.retryDelay;
+        this.retryPolicies.default = this.retryPolicies.default.with({ maxRetries: this.maxRetries, baseDelay: this.retryDelay });
+        
+        Object.entries(config.policies || {}).forEach(([category, policy]) => this.setRetryPolicy(category, policy));
+        if (config.circuitBreaker) {
+            Object.assign(this.circuitBreakerDefaults, config.circuitBreaker);
+        }
         
         console.log('⚙️ Retry configuration updated:', {
             maxRetries: this.maxRetries,
-            retryDelay: this.retryDelay
+            retryDelay: this.retryDelay,
+            policies: Object.keys(this.retryPolicies),
+            circuitBreaker: this.circuitBreakerDefaults
         });
     }
 
@@ -280,32 +488,54 @@ class ErrorHandler {
     }
 
     /**
-     * Categorize error type
+     * Categorize error type. Typed errors (see errors.js) carry their own
+     * category; WebDriver errors are mapped by their W3C error name; other
+     * errors fall back to their message.
      * @param {Error} error - Error object
      * @returns {string} Error category
      */
     _categorizeError(error) {
-        const message = error.message.toLowerCase();
-        const stack = error.stack.toLowerCase();
-        
-        if (message.includes('element') || message.includes('selector')) {
+        if (error instanceof ChatbotTestError) {
+            return error.category;
+        }
+        if (error.code === 'CIRCUIT_OPEN') {
+            return 'CircuitOpen';
+        }
+
+        const webdriverCategory = WEBDRIVER_ERROR_CATEGORIES[String(error.name || '').toLowerCase()];
+        if (webdriverCategory) {
+            return webdriverCategory;
+        }
+        if (error.name === 'AssertionError') {
+            return 'AssertionError';
+        }
+
+        const message = (error.message || '').toLowerCase();
+        if (message.includes('no such element') || message.includes('element not found') ||
+            message.includes('still not displayed') || message.includes('still not existing') ||
+            message.includes('still not clickable') || message.includes('stale element')) {
             return 'ElementNotFound';
         }
+        if (message.includes('invalid selector')) {
+            return 'SelectorError';
+        }
         if (message.includes('timeout') || message.includes('timed out')) {
             return 'TimeoutError';
         }
-        if (message.includes('network') || message.includes('connection')) {
+        if (message.includes('econnrefused') || message.includes('econnreset') ||
+            message.includes('network') || message.includes('connection refused')) {
             return 'NetworkError';
         }
-        if (message.includes('assert') || message.includes('expected')) {
-            return 'AssertionError';
-        }
-        if (message.includes('browser') || message.includes('webdriver')) {
+        if (message.includes('invalid session id') || message.includes('session not created') ||
+            message.includes('chrome not reachable')) {
             return 'BrowserError';
         }
-        if (message.includes('javascript') || message.includes('script')) {
+        if (message.includes('javascript error')) {
             return 'JavaScriptError';
         }
+        if (message.includes('assertion')) {
+            return 'AssertionError';
+        }
         
         return 'UnknownError';
     }
@@ -316,22 +546,18 @@ class ErrorHandler {
      * @returns {string} Error severity
      */
     _determineSeverity(error) {
-        const message = error.message.toLowerCase();
-        
-        if (message.includes('critical') || message.includes('fatal')) {
-            return 'Critical';
-        }
-        if (message.includes('timeout') || message.includes('element not found')) {
-            return 'High';
-        }
-        if (message.includes('network') || message.includes('connection')) {
-            return 'Medium';
+        if (error instanceof ChatbotTestError) {
+            return error.severity;
         }
-        if (message.includes('assertion') || message.includes('expected')) {
-            return 'Low';
-        }
-        
-        return 'Medium';
+
+        return {
+            ElementNotFound: 'High',
+            TimeoutError: 'High',
+            BrowserError: 'Critical',
+            NetworkError: 'Medium',
+            SelectorError: 'Medium',
+            AssertionError: 'Low'
+        }[this._categorizeError(error)] || 'Medium';
     }
 
     /**
@@ -340,19 +566,11 @@ class ErrorHandler {
      * @returns {boolean} True if recoverable
      */
     _isRecoverable(error) {
-        const message = error.message.toLowerCase();
-        
-        // Non-recoverable errors
-        if (message.includes('fatal') || message.includes('critical')) {
-            return false;
+        if (error instanceof ChatbotTestError) {
+            return error.recoverable;
         }
-        
-        // Recoverable errors
-        if (message.includes('timeout') || message.includes('element not found')) {
-            return true;
-        }
-        
-        return true; // Default to recoverable
+
+        return this._categorizeError(error) !== 'SelectorError';
     }
 
     /**
@@ -361,23 +579,31 @@ class ErrorHandler {
      * @returns {boolean} True if retryable
      */
     _isRetryable(error) {
-        const message = error.message.toLowerCase();
-        
-        // Non-retryable errors
-        if (message.includes('fatal') || message.includes('critical') || message.includes('assertion')) {
-            return false;
+        if (error instanceof ChatbotTestError) {
+            return error.retryable;
         }
-        
-        // Retryable errors
-        if (message.includes('timeout') || message.includes('network') || message.includes('element not found')) {
-            return true;
+
+        const category = this._categorizeError(error);
+        return category !== 'AssertionError' && category !== 'SelectorError';
+    }
+
+    /**
+     * Check if an error counts against a circuit breaker: a retryable
+     * network or timeout failure, or a 5xx response of the backend
+     * @param {Error} error - Error object
+     * @returns {boolean} True if the error is a backend failure
+     */
+    _isBackendFailure(error) {
+        if (!this._isRetryable(error)) {
+            return false;
         }
-        
-        return true; // Default to retryable
+
+        const status = Number(error.status || error.statusCode || (error.details && error.details.status));
+        return BACKEND_FAILURE_CATEGORIES.includes(this._categorizeError(error)) || status >= 500;
     }
 
     /**
-     * Log error to file
+     * Log error to file, rotating it first when it is too large or too old
      * @param {Object} errorInfo - Error information
      */
     _logError(errorInfo) {
@@ -388,13 +614,20 @@ class ErrorHandler {
                 context: errorInfo.context,
                 message: errorInfo.message,
                 type: errorInfo.type,
-                severity: errorInfo.severity
+                code: errorInfo.code,
+                severity: errorInfo.severity,
+                recoverable: errorInfo.recoverable
             };
             
-            const logPath = path.join(this.logsDir, 'error.log');
             const logLine = JSON.stringify(logEntry) + '\n';
             
-            fs.appendFileSync(logPath, logLine);
+            // A failed rotation must not cost the entry; it is appended to the current log
+            try {
+                this.logRotator.rotateIfNeeded(this.logPath);
+            } catch (rotateError) {
+                console.warn(`⚠️ Could not rotate ${path.basename(this.logPath)}: ${rotateError.message}`);
+            }
+            fs.appendFileSync(this.logPath, logLine);
         } catch (logError) {
             console.error('❌ Error writing to log file:', logError.message);
         }
@@ -402,11 +635,12 @@ class ErrorHandler {
 
     /**
      * Generate error summary
+     * @param {Array} entries - Errors to summarize (defaults to this run's errors)
      * @returns {Object} Error summary
      */
-    _generateErrorSummary() {
-        const stats = this.getErrorStats();
-        const recentErrors = this.errorLog.slice(-10); // Last 10 errors
+    _generateErrorSummary(entries = this.errorLog) {
+        const stats = this.getErrorStats(entries);
+        const recentErrors = entries.slice(-10); // Last 10 errors
         
         return {
             totalErrors: stats.totalErrors,
@@ -426,12 +660,71 @@ class ErrorHandler {
      * @returns {Object} Retry statistics
      */
     _getRetryStats() {
+        const operations = this.retryHistory;
+        const outcomes = {};
+        const retriesByCategory = {};
+
+        operations.forEach(operation => {
+            outcomes[operation.outcome] = (outcomes[operation.outcome] || 0) + 1;
+            operation.attempts.filter(attempt => attempt.delay !== null && attempt.delay !== undefined).forEach(attempt => {
+                retriesByCategory[attempt.category] = (retriesByCategory[attempt.category] || 0) + 1;
+            });
+        });
+
+        const totalAttempts = operations.reduce((sum, operation) => sum + operation.attempts.length, 0);
         return {
-            totalRetryAttempts: this.retryAttempts.size,
-            currentRetries: Array.from(this.retryAttempts.values())
+            operations: operations.length,
+            totalAttempts,
+            totalRetryAttempts: totalAttempts - operations.filter(operation => operation.attempts.length > 0).length,
+            succeededAfterRetry: operations.filter(operation => operation.outcome === 'succeeded' && operation.attempts.length > 1).length,
+            outcomes,
+            retriesByCategory,
+            totalWaitTime: operations.reduce((sum, operation) => sum + operation.attempts.reduce((wait, attempt) => wait + (attempt.delay || 0), 0), 0),
+            policies: Object.fromEntries(Object.entries(this.retryPolicies).map(([category, policy]) => [category, policy.toJSON()])),
+            circuitBreakers: this.getCircuitStates(),
+            currentRetries: Array.from(this.retryAttempts.values()),
+            history: operations
         };
     }
 
+    /**
+     * Move a finished executeWithRetry call from the in-flight map to the history
+     * @param {Object} record - Retry record
+     * @param {number} startTime - Start of the first attempt
+     * @param {string} outcome - 'succeeded', 'max-retries', 'budget-exhausted', 'non-retryable' or 'circuit-open'
+     */
+    _finishRetry(record, startTime, outcome) {
+        record.outcome = outcome;
+        record.elapsed = Date.now() - startTime;
+        this.retryAttempts.delete(record.id);
+        this.retryHistory.push(record);
+    }
+
+    /**
+     * Pick the retry policy for a failed attempt
+     * @param {string} category - Error category of the attempt
+     * @param {Object} options - executeWithRetry options
+     * @returns {RetryPolicy} Policy with per-call overrides applied
+     */
+    _resolveRetryPolicy(category, options) {
+        let policy;
+        if (options.policy instanceof RetryPolicy) {
+            policy = options.policy;
+        } else if (typeof options.policy === 'string') {
+            policy = this.getRetryPolicy(options.policy);
+        } else if (options.policy) {
+            policy = new RetryPolicy(options.policy);
+        } else {
+            policy = this.getRetryPolicy(category);
+        }
+
+        const overrides = {};
+        if (options.maxRetries) overrides.maxRetries = options.maxRetries;
+        if (options.retryDelay) overrides.baseDelay = options.retryDelay;
+        if (options.maxElapsed) overrides.maxElapsed = options.maxElapsed;
+        return Object.keys(overrides).length > 0 ? policy.with(overrides) : policy;
+    }
+
     /**
      * Generate recommendations based on errors
      * @returns {Array} Array of recommendations
@@ -452,6 +745,12 @@ class ErrorHandler {
         if (stats.errorTypes['AssertionError'] > 0) {
             recommendations.push('Review test assertions and expected values');
         }
+        if (stats.errorTypes['SelectorError'] > 0) {
+            recommendations.push('Make ambiguous or invalid selectors match exactly one element');
+        }
+        if (stats.errorTypes['BrowserError'] > 0) {
+            recommendations.push('Check browser stability; the WebDriver session was lost');
+        }
         
         return recommendations;
     }
@@ -0,0 +1,231 @@
+/**
+ * Typed Errors
+ *
+ * Error classes thrown by the page objects and utilities. Each carries a
+ * stable code, the ErrorHandler category, a severity, whether retrying can
+ * help, and structured fields describing what failed, so callers and the
+ * ErrorHandler classify errors by type instead of by message text.
+ *
+ *   ChatbotTestError
+ *   ├── ElementNotFoundError
+ *   │   └── ChatWidgetNotFoundError
+ *   ├── SelectorAmbiguousError
+ *   ├── WaitTimeoutError
+ *   │   ├── PageLoadTimeoutError
+ *   │   └── BotResponseTimeoutError
+ *   ├── SessionLostError
+ *   ├── AssertionMismatchError
+ *   └── CircuitOpenError
+ */
+
+class ChatbotTestError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} fields - Structured fields describing the failure
+     * @param {Error} fields.cause - Underlying error
+     */
+    constructor(message, fields = {}) {
+        super(message);
+        const { cause, ...details } = fields;
+
+        this.name = this.constructor.name;
+        this.code = this.constructor.code;
+        this.category = this.constructor.category;
+        this.severity = this.constructor.severity;
+        this.retryable = this.constructor.retryable;
+        this.recoverable = this.constructor.recoverable;
+        this.details = details;
+        this.timestamp = new Date().toISOString();
+        if (cause) {
+            this.cause = cause;
+        }
+        Object.assign(this, details);
+    }
+
+    /**
+     * Describe the error for logs and reports
+     * @returns {Object} { name, code, category, severity, retryable, recoverable, message, details, cause }
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            code: this.code,
+            category: this.category,
+            severity: this.severity,
+            retryable: this.retryable,
+            recoverable: this.recoverable,
+            message: this.message,
+            details: this.details,
+            cause: this.cause ? this.cause.message : null
+        };
+    }
+}
+ChatbotTestError.code = 'CHATBOT_TEST_ERROR';
+ChatbotTestError.category = 'UnknownError';
+ChatbotTestError.severity = 'Medium';
+ChatbotTestError.retryable = true;
+ChatbotTestError.recoverable = true;
+
+/**
+ * An element did not reach the expected state (displayed, clickable, existing) in time.
+ * Fields: selector, state, timeout
+ */
+class ElementNotFoundError extends ChatbotTestError {
+    constructor(fields = {}) {
+        super(fields.message || `Element ${fields.selector} was not ${fields.state || 'displayed'} within ${fields.timeout}ms`, withoutMessage(fields));
+    }
+}
+ElementNotFoundError.code = 'ELEMENT_NOT_FOUND';
+ElementNotFoundError.category = 'ElementNotFound';
+ElementNotFoundError.severity = 'High';
+ElementNotFoundError.retryable = true;
+ElementNotFoundError.recoverable = true;
+
+/**
+ * The chat widget (or its launcher) could not be found or opened.
+ * Fields: selector, profile, timeout
+ */
+class ChatWidgetNotFoundError extends ElementNotFoundError {
+    constructor(fields = {}) {
+        super({
+            message: `Chat widget not found with profile "${fields.profile}" (${fields.selector}) within ${fields.timeout}ms`,
+            ...fields
+        });
+    }
+}
+ChatWidgetNotFoundError.code = 'CHAT_WIDGET_NOT_FOUND';
+ChatWidgetNotFoundError.category = 'ElementNotFound';
+ChatWidgetNotFoundError.severity = 'Critical';
+ChatWidgetNotFoundError.retryable = true;
+ChatWidgetNotFoundError.recoverable = true;
+
+/**
+ * A selector or label matched several elements where exactly one was expected.
+ * Fields: selector, matches (descriptions of the matched elements)
+ */
+class SelectorAmbiguousError extends ChatbotTestError {
+    constructor(fields = {}) {
+        super(fields.message || `${fields.selector} matches ${fields.matches.length} elements: ${fields.matches.join(', ')}`, withoutMessage(fields));
+    }
+}
+SelectorAmbiguousError.code = 'SELECTOR_AMBIGUOUS';
+SelectorAmbiguousError.category = 'SelectorError';
+SelectorAmbiguousError.severity = 'Medium';
+SelectorAmbiguousError.retryable = false;
+SelectorAmbiguousError.recoverable = false;
+
+/**
+ * A waited-for condition did not hold in time.
+ * Fields: condition, timeout
+ */
+class WaitTimeoutError extends ChatbotTestError {
+    constructor(fields = {}) {
+        super(fields.message || `${fields.condition} (timeout ${fields.timeout}ms)`, withoutMessage(fields));
+    }
+}
+WaitTimeoutError.code = 'WAIT_TIMEOUT';
+WaitTimeoutError.category = 'TimeoutError';
+WaitTimeoutError.severity = 'High';
+WaitTimeoutError.retryable = true;
+WaitTimeoutError.recoverable = true;
+
+/**
+ * The page did not finish loading in time.
+ * Fields: url, timeout
+ */
+class PageLoadTimeoutError extends WaitTimeoutError {
+    constructor(fields = {}) {
+        super({ message: `Page${fields.url ? ` ${fields.url}` : ''} did not load completely within ${fields.timeout}ms`, ...fields });
+    }
+}
+PageLoadTimeoutError.code = 'PAGE_LOAD_TIMEOUT';
+PageLoadTimeoutError.category = 'TimeoutError';
+PageLoadTimeoutError.severity = 'High';
+PageLoadTimeoutError.retryable = true;
+PageLoadTimeoutError.recoverable = true;
+
+/**
+ * The bot did not finish replying in time.
+ * Fields: utterance, timeout, elapsed, stage ('first-message' or 'end-of-response')
+ */
+class BotResponseTimeoutError extends WaitTimeoutError {
+    constructor(fields = {}) {
+        super({
+            message: `No complete bot response${fields.utterance ? ` to "${fields.utterance}"` : ''} within ${fields.timeout}ms` +
+                `${fields.cause ? `: ${fields.cause.message}` : ''}`,
+            ...fields
+        });
+    }
+}
+BotResponseTimeoutError.code = 'BOT_RESPONSE_TIMEOUT';
+BotResponseTimeoutError.category = 'TimeoutError';
+BotResponseTimeoutError.severity = 'High';
+BotResponseTimeoutError.retryable = true;
+BotResponseTimeoutError.recoverable = true;
+
+/**
+ * The WebDriver session is gone (browser crashed or was closed).
+ * Fields: command
+ */
+class SessionLostError extends ChatbotTestError {
+    constructor(fields = {}) {
+        super(fields.message || `Browser session lost during ${fields.command || 'browser command'}`, withoutMessage(fields));
+    }
+}
+SessionLostError.code = 'SESSION_LOST';
+SessionLostError.category = 'BrowserError';
+SessionLostError.severity = 'Critical';
+SessionLostError.retryable = false;
+SessionLostError.recoverable = true;
+
+/**
+ * An assertion failed.
+ * Fields: assertion, actual, expected (plus assertion-specific details)
+ */
+class AssertionMismatchError extends ChatbotTestError {
+    constructor(message, fields = {}) {
+        super(message, fields);
+        // Let Mocha print a diff for plain text mismatches only
+        this.showDiff = typeof fields.actual === 'string' && typeof fields.expected === 'string';
+    }
+}
+AssertionMismatchError.code = 'ASSERTION_MISMATCH';
+AssertionMismatchError.category = 'AssertionError';
+AssertionMismatchError.severity = 'Low';
+AssertionMismatchError.retryable = false;
+AssertionMismatchError.recoverable = true;
+
+/**
+ * A circuit breaker refused the call.
+ * Fields: circuit (breaker state)
+ */
+class CircuitOpenError extends ChatbotTestError {
+    constructor(state) {
+        const retryIn = state.nextAttemptAt ? Math.max(0, Date.parse(state.nextAttemptAt) - Date.now()) : null;
+        super(`Circuit "${state.name}" is ${state.state} after ${state.consecutiveFailures} consecutive failures` +
+            `${retryIn !== null ? `; next trial call in ${retryIn}ms` : ''}`, { circuit: state });
+    }
+}
+CircuitOpenError.code = 'CIRCUIT_OPEN';
+CircuitOpenError.category = 'CircuitOpen';
+CircuitOpenError.severity = 'High';
+CircuitOpenError.retryable = false;
+CircuitOpenError.recoverable = true;
+
+function withoutMessage(fields) {
+    const { message, ...rest } = fields;
+    return rest;
+}
+
+module.exports = {
+    ChatbotTestError,
+    ElementNotFoundError,
+    ChatWidgetNotFoundError,
+    SelectorAmbiguousError,
+    WaitTimeoutError,
+    PageLoadTimeoutError,
+    BotResponseTimeoutError,
+    SessionLostError,
+    AssertionMismatchError,
+    CircuitOpenError
+};
@@ -0,0 +1,469 @@
+/**
+ * Flow Interpreter Utility
+ *
+ * Executes declarative multi-turn conversation flows (JSON or YAML) on top
+ * of ChatbotPage. Steps can branch on the bot's reply, loop with a maximum
+ * number of iterations, record named checkpoints and assert on each reply.
+ * The interpreter reports the path it actually took through the flow.
+ *
+ * Example (YAML):
+ *   name: Billing journey
+ *   steps:
+ *     - say: Hello
+ *       expect: { contains: help }
+ *     - if: { offers: Billing }
+ *       then: { click: Billing }
+ *       else: { say: bill }
+ *     - checkpoint: billing-menu
+ *     - loop:
+ *         maxIterations: 3
+ *         until: { replyContains: anything else }
+ *         steps:
+ *           - say: no
+ */
+
+const { assertions } = require('./assertions');
+const { textSimilarity } = require('./text-similarity');
+const { testDataManager } = require('./test-data-manager');
+const { languageDetector } = require('./language-detector');
+
+const ACTION_KEYS = ['say', 'click', 'wait', 'checkpoint', 'if', 'loop'];
+
+class FlowInterpreter {
+    /**
+     * @param {Object} chatbotPage - ChatbotPage instance used to drive the conversation
+     * @param {Object} options - Interpreter options
+     * @param {boolean} options.continueOnFailure - Keep executing after a failed expectation
+     * @param {number} options.maxSteps - Safety limit for the total number of executed steps
+     * @param {number} options.responseTimeout - Timeout for each bot response
+     * @param {string} options.locale - Locale whose flow variant is loaded (e.g. 'cy' loads billing.flow.cy.yaml)
+     * @param {boolean} options.expectLanguage - Check that every reply is in the locale's language
+     */
+    constructor(chatbotPage, options = {}) {
+        if (!chatbotPage) {
+            throw new Error('FlowInterpreter requires a ChatbotPage instance');
+        }
+
+        this.chatbotPage = chatbotPage;
+        this.continueOnFailure = options.continueOnFailure || false;
+        this.maxSteps = options.maxSteps || 200;
+        this.responseTimeout = options.responseTimeout || chatbotPage.responseTimeout;
+        this.locale = options.locale || null;
+        this.expectLanguage = Boolean(options.expectLanguage && this.locale);
+    }
+
+    /**
+     * Load a flow definition from the test data directory (its locale variant when a locale is set)
+     * @param {string} filename - Flow file (.json, .yaml or .yml)
+     * @returns {Object} Flow definition
+     */
+    loadFlow(filename) {
+        const flow = testDataManager.loadFlowData(testDataManager.resolveLocaleFile(filename, this.locale));
+        this.validate(flow);
+        return flow;
+    }
+
+    /**
+     * Run a flow definition
+     * @param {Object|string} flow - Flow definition, or a flow file name
+     * @returns {Promise<Object>} Result with pass/fail, path taken and checkpoints
+     */
+    async run(flow) {
+        if (typeof flow === 'string') {
+            flow = this.loadFlow(flow);
+        }
+        this.validate(flow);
+        console.log(`🧭 Running flow: ${flow.name || 'Unnamed flow'}`);
+
+        const context = {
+            lastResponse: null,
+            lastResponseTime: null,
+            quickReplies: null,
+            path: [],
+            checkpoints: [],
+            stepCount: 0,
+            failed: false,
+            aborted: false
+        };
+        const startTime = Date.now();
+
+        try {
+            await this._executeSteps(flow.steps, context, '');
+        } catch (error) {
+            context.failed = true;
+            context.aborted = true;
+            context.path.push({ id: 'flow', type: 'error', detail: error.message, passed: false, errors: [error.message] });
+            console.log(`❌ Flow aborted: ${error.message}`);
+        }
+
+        const result = {
+            name: flow.name || 'Unnamed flow',
+            passed: !context.failed,
+            aborted: context.aborted,
+            duration: Date.now() - startTime,
+            path: context.path,
+            checkpoints: context.checkpoints,
+            stepsExecuted: context.stepCount
+        };
+
+        console.log(`${result.passed ? '✅' : '❌'} Flow ${result.passed ? 'passed' : 'failed'}: ${result.name} (${result.stepsExecuted} steps)`);
+        return result;
+    }
+
+    /**
+     * Validate a flow definition, throwing on structural errors
+     * @param {Object} flow - Flow definition
+     */
+    validate(flow) {
+        if (!flow || !Array.isArray(flow.steps)) {
+            throw new Error('Invalid flow: expected an object with a "steps" array');
+        }
+
+        const checkStep = (step, location) => {
+            if (!step || typeof step !== 'object') {
+                throw new Error(`Invalid flow step at ${location}: expected an object`);
+            }
+
+            const actions = ACTION_KEYS.filter(key => key in step);
+            if (actions.length !== 1) {
+                throw new Error(`Invalid flow step at ${location}: expected exactly one of ${ACTION_KEYS.join(', ')}`);
+            }
+
+            if (step.if !== undefined) {
+                this._asStepList(step.then).forEach((child, i) => checkStep(child, `${location}.then.${i}`));
+                this._asStepList(step.else).forEach((child, i) => checkStep(child, `${location}.else.${i}`));
+            }
+
+            if (step.loop !== undefined) {
+                if (!step.loop.maxIterations || !Array.isArray(step.loop.steps)) {
+                    throw new Error(`Invalid loop at ${location}: "maxIterations" and "steps" are required`);
+                }
+                step.loop.steps.forEach((child, i) => checkStep(child, `${location}.loop.${i}`));
+            }
+        };
+
+        flow.steps.forEach((step, i) => checkStep(step, String(i)));
+    }
+
+    /**
+     * Format the path taken as readable text
+     * @param {Object} result - Result from run()
+     * @returns {string} Formatted path
+     */
+    formatPath(result) {
+        const lines = [`Flow "${result.name}" ${result.passed ? 'passed' : 'failed'}`];
+
+        for (const entry of result.path) {
+            const status = entry.passed ? 'PASS' : 'FAIL';
+            const iteration = entry.iteration !== undefined ? ` (iteration ${entry.iteration})` : '';
+            lines.push(`  [${status}] ${entry.id} ${entry.type}: ${entry.detail}${iteration}`);
+            (entry.errors || []).forEach(error => lines.push(`      - ${error}`));
+        }
+
+        if (result.checkpoints.length > 0) {
+            lines.push(`  Checkpoints: ${result.checkpoints.map(checkpoint => checkpoint.name).join(' -> ')}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Execute a list of steps
+     * @param {Array} steps - Steps
+     * @param {Object} context - Execution context
+     * @param {string} prefix - Id prefix for nested steps
+     * @param {number} iteration - Loop iteration, if inside a loop
+     */
+    async _executeSteps(steps, context, prefix, iteration) {
+        for (let i = 0; i < steps.length; i++) {
+            if (context.aborted) {
+                return;
+            }
+            const step = steps[i];
+            const id = step.id || `${prefix}${i}`;
+            await this._executeStep(step, id, context, iteration);
+        }
+    }
+
+    /**
+     * Execute a single step
+     * @param {Object} step - Step definition
+     * @param {string} id - Step id
+     * @param {Object} context - Execution context
+     * @param {number} iteration - Loop iteration, if inside a loop
+     */
+    async _executeStep(step, id, context, iteration) {
+        context.stepCount++;
+        if (context.stepCount > this.maxSteps) {
+            throw new Error(`Flow exceeded the maximum of ${this.maxSteps} steps`);
+        }
+
+        const entry = { id, passed: true, errors: [] };
+        if (iteration !== undefined) {
+            entry.iteration = iteration;
+        }
+
+        if (step.say !== undefined) {
+            entry.type = 'say';
+            entry.detail = `"${step.say}"`;
+            await this._respond(context, () => this.chatbotPage.sendMessageAndWaitForResponse(String(step.say), this.responseTimeout));
+        } else if (step.click !== undefined) {
+            entry.type = 'click';
+            entry.detail = `"${step.click}"`;
+            await this._respond(context, async () => {
+                await this.chatbotPage.clickButton(String(step.click), this.responseTimeout);
+                return this.chatbotPage.getLastResponse(this.responseTimeout);
+            });
+        } else if (step.wait !== undefined) {
+            entry.type = 'wait';
+            entry.detail = `${step.wait}ms`;
+            await new Promise(resolve => setTimeout(resolve, step.wait));
+        } else if (step.checkpoint !== undefined) {
+            entry.type = 'checkpoint';
+            entry.detail = step.checkpoint;
+            context.checkpoints.push({ name: step.checkpoint, stepIndex: context.path.length, at: new Date().toISOString() });
+            console.log(`🚩 Checkpoint reached: ${step.checkpoint}`);
+        } else if (step.if !== undefined) {
+            const matched = await this._evaluateCondition(step.if, context);
+            entry.type = 'branch';
+            entry.branch = matched ? 'then' : 'else';
+            entry.detail = `${JSON.stringify(step.if)} -> ${entry.branch}`;
+            context.path.push(entry);
+            console.log(`🔀 Branch ${id}: took "${entry.branch}"`);
+            await this._executeSteps(this._asStepList(matched ? step.then : step.else), context, `${id}.${entry.branch}.`, iteration);
+            return;
+        } else if (step.loop !== undefined) {
+            entry.type = 'loop';
+            context.path.push(entry);
+            await this._executeLoop(step.loop, id, entry, context);
+            return;
+        }
+
+        if (context.lastResponse !== null && (step.say !== undefined || step.click !== undefined)) {
+            entry.response = context.lastResponse;
+            entry.responseTime = context.lastResponseTime;
+        }
+
+        let expect = step.expect;
+        if (this.expectLanguage && entry.response !== undefined && !(expect && expect.language !== undefined)) {
+            expect = { ...expect, language: languageDetector.languageOf(this.locale) };
+        }
+
+        if (expect) {
+            entry.errors = await this._applyExpectations(expect, context);
+            entry.passed = entry.errors.length === 0;
+        }
+
+        context.path.push(entry);
+
+        if (!entry.passed) {
+            context.failed = true;
+            console.log(`❌ Step ${id} failed: ${entry.errors.join('; ')}`);
+            if (!this.continueOnFailure) {
+                context.aborted = true;
+            }
+        }
+    }
+
+    /**
+     * Execute a loop step
+     * @param {Object} loop - Loop definition (maxIterations, while, until, steps)
+     * @param {string} id - Loop step id
+     * @param {Object} entry - Path entry for the loop
+     * @param {Object} context - Execution context
+     */
+    async _executeLoop(loop, id, entry, context) {
+        let iterations = 0;
+        let satisfied = loop.until === undefined;
+
+        while (iterations < loop.maxIterations && !context.aborted) {
+            if (loop.while !== undefined && !(await this._evaluateCondition(loop.while, context))) {
+                satisfied = true;
+                break;
+            }
+
+            iterations++;
+            await this._executeSteps(loop.steps, context, `${id}.loop.`, iterations);
+
+            if (loop.until !== undefined && await this._evaluateCondition(loop.until, context)) {
+                satisfied = true;
+                break;
+            }
+        }
+
+        entry.detail = `${iterations}/${loop.maxIterations} iterations`;
+        entry.iterations = iterations;
+
+        if (!satisfied && loop.until !== undefined && loop.failOnExhaustion !== false && !context.aborted) {
+            entry.passed = false;
+            entry.errors.push(`Loop condition ${JSON.stringify(loop.until)} not met after ${loop.maxIterations} iterations`);
+            context.failed = true;
+            if (!this.continueOnFailure) {
+                context.aborted = true;
+            }
+        }
+    }
+
+    /**
+     * Perform an action that produces a bot response and store it in the context
+     * @param {Object} context - Execution context
+     * @param {Function} action - Async action returning the response text
+     */
+    async _respond(context, action) {
+        const startTime = Date.now();
+        context.lastResponse = await action();
+        context.lastResponseTime = Date.now() - startTime;
+        context.quickReplies = null;
+    }
+
+    /**
+     * Get quick replies for the current response (cached per response)
+     * @param {Object} context - Execution context
+     * @returns {Promise<Array>} Quick reply labels
+     */
+    async _getQuickReplies(context) {
+        if (context.quickReplies === null) {
+            context.quickReplies = await this.chatbotPage.getQuickReplies();
+        }
+        return context.quickReplies;
+    }
+
+    /**
+     * Evaluate a branch/loop condition against the last reply
+     * @param {Object} condition - Condition object (all keys must hold)
+     * @param {Object} context - Execution context
+     * @returns {Promise<boolean>} True if the condition holds
+     */
+    async _evaluateCondition(condition, context) {
+        const response = (context.lastResponse || '').toLowerCase();
+        const toList = value => (Array.isArray(value) ? value : [value]).map(String);
+
+        for (const [key, value] of Object.entries(condition)) {
+            let holds;
+
+            switch (key) {
+                case 'replyContains':
+                    holds = toList(value).some(text => response.includes(text.toLowerCase()));
+                    break;
+                case 'replyMatches':
+                    holds = new RegExp(value, 'i').test(context.lastResponse || '');
+                    break;
+                case 'offers': {
+                    const quickReplies = (await this._getQuickReplies(context)).map(label => label.toLowerCase());
+                    holds = toList(value).some(label => quickReplies.includes(label.toLowerCase()));
+                    break;
+                }
+                case 'similarTo': {
+                    const spec = typeof value === 'string' ? { text: value } : value;
+                    holds = textSimilarity.score(context.lastResponse || '', spec.text, spec).passed;
+                    break;
+                }
+                case 'all':
+                    holds = true;
+                    for (const child of value) {
+                        if (!(await this._evaluateCondition(child, context))) {
+                            holds = false;
+                            break;
+                        }
+                    }
+                    break;
+                case 'any':
+                    holds = false;
+                    for (const child of value) {
+                        if (await this._evaluateCondition(child, context)) {
+                            holds = true;
+                            break;
+                        }
+                    }
+                    break;
+                case 'not':
+                    holds = !(await this._evaluateCondition(value, context));
+                    break;
+                default:
+                    throw new Error(`Unknown flow condition: ${key}`);
+            }
+
+            if (!holds) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Apply per-step expectations using the shared Assertions helpers
+     * @param {Object} expect - Expectations object
+     * @param {Object} context - Execution context
+     * @returns {Promise<Array>} Failure messages
+     */
+    async _applyExpectations(expect, context) {
+        const errors = [];
+        const response = context.lastResponse;
+        const toList = value => (Array.isArray(value) ? value : [value]).map(String);
+
+        const check = assertion => {
+            try {
+                assertion();
+            } catch (error) {
+                errors.push(error.message);
+            }
+        };
+
+        for (const [key, value] of Object.entries(expect)) {
+            switch (key) {
+                case 'notEmpty':
+                    if (value) check(() => assertions.assertNotEmpty(response));
+                    break;
+                case 'contains':
+                    toList(value).forEach(text => check(() => assertions.assertContains(response, text)));
+                    break;
+                case 'keywords':
+                    check(() => assertions.assertResponseContainsKeywords(response, toList(value)));
+                    break;
+                case 'matches':
+                    check(() => assertions.assertMatches(response, value));
+                    break;
+                case 'pattern':
+                    check(() => assertions.assertResponsePattern(response, value));
+                    break;
+                case 'similar': {
+                    const spec = typeof value === 'string' ? { text: value } : value;
+                    check(() => assertions.assertSimilar(response, spec.text, spec));
+                    break;
+                }
+                case 'offers': {
+                    const quickReplies = await this._getQuickReplies(context);
+                    toList(value).forEach(label => check(() => assertions.assertArrayContains(quickReplies, label)));
+                    break;
+                }
+                case 'maxResponseTime':
+                    check(() => assertions.assertResponseTime(context.lastResponseTime, value));
+                    break;
+                case 'language': {
+                    const spec = typeof value === 'string' ? { language: value } : value;
+                    check(() => assertions.assertLanguage(response, spec.language, spec));
+                    break;
+                }
+                default:
+                    errors.push(`Unknown flow expectation: ${key}`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Normalize a then/else value to a list of steps
+     * @param {Object|Array|undefined} value - Step, list of steps or nothing
+     * @returns {Array} Steps
+     */
+    _asStepList(value) {
+        if (value === undefined || value === null) return [];
+        return Array.isArray(value) ? value : [value];
+    }
+}
+
+module.exports = {
+    FlowInterpreter
+};
@@ -10,28 +10,88 @@ const { testDataManager } = require('./test-data-manager');
 const { assertions } = require('./assertions');
 const { screenshotManager } = require('./screenshot-manager');
 const { waitUtils } = require('./wait-utils');
+const { networkMonitor } = require('./network-monitor');
 const { errorHandler } = require('./error-handler');
+const { RetryPolicy } = require('./retry-policy');
+const { CircuitBreaker } = require('./circuit-breaker');
+const errors = require('./errors');
 const SessionManager = require('./session-manager');
+const { sessionRecovery } = require('./session-recovery');
+const { botiumParser } = require('./botium-parser');
+const { ConvoRunner } = require('./convo-runner');
+const { textSimilarity } = require('./text-similarity');
+const { csvSuiteGenerator } = require('./csv-suite-generator');
+const { FlowInterpreter } = require('./flow-interpreter');
+const { IntentMatrix } = require('./intent-matrix');
+const { languageDetector } = require('./language-detector');
+const { localeSuiteGenerator } = require('./locale-suite-generator');
+const { profileManager } = require('./profile-manager');
+const { transcriptRecorder } = require('./transcript-recorder');
+const { trafficRecorder } = require('./traffic-recorder');
+const { latencyMetrics } = require('./latency-metrics');
+const { loadHarness } = require('./load-harness');
+const { accessibilityAuditor } = require('./accessibility-auditor');
 
 // Export all utilities
 module.exports = {
     // Test Data Management
     testDataManager,
     
+    // CSV-driven Suites
+    csvSuiteGenerator,
+    
     // Assertions
     assertions,
     
+    // Fuzzy Text Matching
+    textSimilarity,
+    
     // Screenshot Management
     screenshotManager,
     
+    // Accessibility Audits
+    accessibilityAuditor,
+    
+    // Conversation Transcripts
+    transcriptRecorder,
+    trafficRecorder,
+    latencyMetrics,
+    
     // Wait Utilities
     waitUtils,
+    networkMonitor,
     
     // Error Handling
     errorHandler,
+    RetryPolicy,
+    CircuitBreaker,
+    
+    // Typed Errors
+    errors,
     
     // Session Management
     SessionManager,
+    sessionRecovery,
+    
+    // Chat Widget Profiles
+    profileManager,
+    
+    // BotiumScript Conversations
+    botiumParser,
+    ConvoRunner,
+    
+    // Branching Conversation Flows
+    FlowInterpreter,
+    
+    // Concurrent Conversation Load
+    loadHarness,
+    
+    // Intent Regression Matrix
+    IntentMatrix,
+    
+    // Multi-locale Test Packs
+    languageDetector,
+    localeSuiteGenerator,
     
     // Convenience methods for common operations
     utils: {
@@ -52,6 +112,11 @@ module.exports = {
             testDataManager.clearCache();
             assertions.resetStats();
             screenshotManager.reset();
+            transcriptRecorder.reset();
+            trafficRecorder.reset();
+            latencyMetrics.reset();
+            accessibilityAuditor.reset();
+            sessionRecovery.reset();
             errorHandler.clearErrorLog();
             console.log('🔄 All utilities reset');
         },
@@ -143,8 +208,27 @@ module.exports = {
 
 // Export individual utilities for direct access
 module.exports.testDataManager = testDataManager;
+module.exports.csvSuiteGenerator = csvSuiteGenerator;
 module.exports.assertions = assertions;
+module.exports.textSimilarity = textSimilarity;
 module.exports.screenshotManager = screenshotManager;
+module.exports.accessibilityAuditor = accessibilityAuditor;
+module.exports.transcriptRecorder = transcriptRecorder;
+module.exports.trafficRecorder = trafficRecorder;
+module.exports.latencyMetrics = latencyMetrics;
 module.exports.waitUtils = waitUtils;
+module.exports.networkMonitor = networkMonitor;
 module.exports.errorHandler = errorHandler;
-module.exports.SessionManager = SessionManager; 
\ No newline at end of file
+module.exports.RetryPolicy = RetryPolicy;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.errors = errors;
+module.exports.SessionManager = SessionManager;
+module.exports.sessionRecovery = sessionRecovery;
+module.exports.profileManager = profileManager;
+module.exports.botiumParser = botiumParser;
+module.exports.ConvoRunner = ConvoRunner;
+module.exports.FlowInterpreter = FlowInterpreter; 
+module.exports.loadHarness = loadHarness;
+module.exports.IntentMatrix = IntentMatrix;
+module.exports.languageDetector = languageDetector;
+module.exports.localeSuiteGenerator = localeSuiteGenerator;
\ No newline at end of file
@@ -0,0 +1,369 @@
+/**
+ * Intent Matrix Utility
+ *
+ * Sends a batch of utterances through a ChatbotPage and classifies each
+ * bot reply (all messages of the turn) with per-intent signature rules, then builds a confusion
+ * matrix with precision and recall per intent. A drop after NLU retraining
+ * shows up as off-diagonal cells in one run.
+ *
+ * Signatures (JSON in test-data) describe how each intent's reply looks:
+ *
+ *   {
+ *     "intents": {
+ *       "billing": {
+ *         "keywords": ["bill", "payment"],         any keyword in the reply
+ *         "patterns": ["/help with your bill/i"],  any regex matches the reply
+ *         "quickReplies": ["View my bill"]         all labels are offered
+ *       }
+ *     }
+ *   }
+ *
+ * A pattern written as /regex/flags uses exactly those flags (g and y are
+ * dropped, as they would make test() carry state from one reply to the
+ * next); a bare pattern is case-insensitive.
+ *
+ * Each satisfied rule adds to the intent's score (quick-reply set 3,
+ * pattern 2, keyword 1 per keyword); the highest score wins and ties go
+ * to the intent listed first. Replies matching nothing are "(none)".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { testDataManager } = require('./test-data-manager');
+
+const NO_MATCH = '(none)';
+const ERROR = '(error)';
+const WEIGHTS = { quickReplies: 3, patterns: 2, keywords: 1 };
+
+class IntentMatrix {
+    /**
+     * @param {Object} chatbotPage - ChatbotPage instance used to send the utterances
+     * @param {Object} options - Runner options
+     * @param {Object|string} options.signatures - Signature definitions or a JSON file in test-data
+     * @param {string} options.reset - Between utterances: 'clear' the conversation (default), 'reload' the page or 'none'
+     * @param {string} options.url - URL reopened when reset is 'reload'
+     * @param {number} options.responseTimeout - Timeout for each bot response
+     */
+    constructor(chatbotPage, options = {}) {
+        if (!chatbotPage) {
+            throw new Error('IntentMatrix requires a ChatbotPage instance');
+        }
+
+        this.chatbotPage = chatbotPage;
+        this.reset = options.reset || 'clear';
+        this.url = options.url || null;
+        this.responseTimeout = options.responseTimeout || chatbotPage.responseTimeout;
+        this.outputDir = path.join(__dirname, '../../allure-results/intent-matrix');
+        this.signatures = {};
+
+        if (options.signatures) {
+            this.setSignatures(options.signatures);
+        }
+    }
+
+    /**
+     * Set the intent signatures
+     * @param {Object|string} signatures - Signature definitions or a JSON file in test-data
+     */
+    setSignatures(signatures) {
+        const definitions = typeof signatures === 'string' ? testDataManager.loadJsonData(signatures) : signatures;
+        const intents = definitions.intents || definitions;
+
+        this.signatures = {};
+        for (const [intent, rules] of Object.entries(intents)) {
+            this.signatures[intent] = {
+                keywords: (rules.keywords || []).map(keyword => keyword.toLowerCase()),
+                patterns: (rules.patterns || []).map(pattern => this._toRegex(pattern, intent)),
+                quickReplies: (rules.quickReplies || []).map(label => label.toLowerCase())
+            };
+        }
+    }
+
+    /**
+     * Classify a bot reply with the signatures
+     * @param {string} reply - Bot reply text
+     * @param {Array} quickReplies - Quick reply labels offered with the reply
+     * @returns {Object} { intent, score, matched: ['keyword:bill', ...], scores }
+     */
+    classify(reply, quickReplies = []) {
+        const text = (reply || '').toLowerCase();
+        const offered = quickReplies.map(label => label.toLowerCase());
+        const scores = {};
+        let best = { intent: NO_MATCH, score: 0, matched: [] };
+
+        for (const [intent, rules] of Object.entries(this.signatures)) {
+            const matched = [];
+            let score = 0;
+
+            rules.keywords.filter(keyword => text.includes(keyword)).forEach(keyword => {
+                matched.push(`keyword:${keyword}`);
+                score += WEIGHTS.keywords;
+            });
+            if (rules.patterns.some(pattern => pattern.test(reply || ''))) {
+                matched.push('pattern');
+                score += WEIGHTS.patterns;
+            }
+            if (rules.quickReplies.length > 0 && rules.quickReplies.every(label => offered.includes(label))) {
+                matched.push('quickReplies');
+                score += WEIGHTS.quickReplies;
+            }
+
+            scores[intent] = score;
+            if (score > best.score) {
+                best = { intent, score, matched };
+            }
+        }
+
+        return { ...best, scores };
+    }
+
+    /**
+     * Send every utterance and classify the replies
+     * @param {Array|string} cases - Cases ({ id, utterance, expectedIntent }) or a CSV/JSON file in test-data
+     * @returns {Promise<Object>} Report (see buildReport)
+     */
+    async run(cases) {
+        const testCases = typeof cases === 'string' ? testDataManager.loadIntentData(cases) : cases;
+        if (Object.keys(this.signatures).length === 0) {
+            throw new Error('IntentMatrix has no signatures; pass options.signatures or call setSignatures()');
+        }
+
+        console.log(`🎯 Running intent matrix: ${testCases.length} utterances, ${Object.keys(this.signatures).length} intents`);
+        const results = [];
+
+        for (const [index, testCase] of testCases.entries()) {
+            if (index > 0) {
+                await this._resetConversation();
+            }
+            results.push(await this._runCase(testCase));
+        }
+
+        const report = this.buildReport(results);
+        console.log(`🎯 Intent accuracy: ${(report.accuracy * 100).toFixed(1)}% (${report.correct}/${report.total})`);
+        return report;
+    }
+
+    /**
+     * Build the confusion matrix and per-intent metrics
+     * @param {Array} results - Case results ({ expected, predicted, ... })
+     * @returns {Object} { total, correct, accuracy, labels, matrix, intents, macro, results }
+     */
+    buildReport(results) {
+        const expectedLabels = [...new Set(results.map(result => result.expected))];
+        const predictedLabels = [...new Set(results.map(result => result.predicted))];
+        const labels = [...new Set([...Object.keys(this.signatures).filter(intent => expectedLabels.includes(intent) || predictedLabels.includes(intent)),
+            ...expectedLabels, ...predictedLabels])];
+
+        // matrix[expected][predicted] = count
+        const matrix = {};
+        labels.forEach(expected => {
+            matrix[expected] = Object.fromEntries(labels.map(predicted => [predicted, 0]));
+        });
+        results.forEach(result => {
+            matrix[result.expected][result.predicted]++;
+        });
+
+        const ratio = (numerator, denominator) => (denominator > 0 ? Math.round((numerator / denominator) * 1000) / 1000 : null);
+        const intents = {};
+        labels.filter(label => label !== NO_MATCH && label !== ERROR).forEach(intent => {
+            const truePositives = matrix[intent][intent];
+            const support = labels.reduce((sum, predicted) => sum + matrix[intent][predicted], 0);
+            const predictedCount = labels.reduce((sum, expected) => sum + matrix[expected][intent], 0);
+            const precision = ratio(truePositives, predictedCount);
+            const recall = ratio(truePositives, support);
+
+            intents[intent] = {
+                support,
+                predicted: predictedCount,
+                truePositives,
+                falsePositives: predictedCount - truePositives,
+                falseNegatives: support - truePositives,
+                precision,
+                recall,
+                f1: precision !== null && recall !== null && precision + recall > 0
+                    ? Math.round(((2 * precision * recall) / (precision + recall)) * 1000) / 1000
+                    : null
+            };
+        });
+
+        const average = metric => {
+            const values = Object.values(intents).filter(intent => intent.support > 0 && intent[metric] !== null).map(intent => intent[metric]);
+            return values.length > 0 ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 1000) / 1000 : null;
+        };
+        const correct = results.filter(result => result.correct).length;
+
+        return {
+            generatedAt: new Date().toISOString(),
+            total: results.length,
+            correct,
+            accuracy: results.length > 0 ? Math.round((correct / results.length) * 1000) / 1000 : 0,
+            labels,
+            matrix,
+            intents,
+            macro: { precision: average('precision'), recall: average('recall'), f1: average('f1') },
+            results
+        };
+    }
+
+    /**
+     * Write the report as JSON and HTML
+     * @param {Object} report - Report from run()
+     * @param {string} baseName - File name without extension
+     * @param {string} outputDir - Output directory (defaults to allure-results/intent-matrix)
+     * @returns {Object} Paths ({ json, html })
+     */
+    export(report, baseName = 'intent-matrix', outputDir = null) {
+        try {
+            const dir = outputDir || this.outputDir;
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const paths = {
+                json: path.join(dir, `${baseName}.json`),
+                html: path.join(dir, `${baseName}.html`)
+            };
+            fs.writeFileSync(paths.json, JSON.stringify(report, null, 2));
+            fs.writeFileSync(paths.html, this.toHTML(report));
+
+            console.log(`🎯 Intent matrix saved: ${paths.html}`);
+            return paths;
+        } catch (error) {
+            console.error('❌ Error exporting intent matrix:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Render the report as a standalone HTML page
+     * @param {Object} report - Report from run()
+     * @returns {string} HTML document
+     */
+    toHTML(report) {
+        const escape = value => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+
+        const header = report.labels.map(label => `<th>${escape(label)}</th>`).join('');
+        const rows = report.labels.map(expected => {
+            const cells = report.labels.map(predicted => {
+                const count = report.matrix[expected][predicted];
+                const kind = count === 0 ? '' : expected === predicted ? 'hit' : 'miss';
+                return `<td class="${kind}">${count || ''}</td>`;
+            }).join('');
+            return `<tr><th>${escape(expected)}</th>${cells}</tr>`;
+        }).join('\n');
+
+        const metrics = Object.entries(report.intents).map(([intent, metric]) => `<tr><td>${escape(intent)}</td>` +
+            `<td>${metric.support}</td><td>${percent(metric.precision)}</td><td>${percent(metric.recall)}</td><td>${percent(metric.f1)}</td></tr>`).join('\n');
+
+        const misses = report.results.filter(result => !result.correct).map(result => `<tr><td>${escape(result.id)}</td>` +
+            `<td>${escape(result.utterance)}</td><td>${escape(result.expected)}</td><td>${escape(result.predicted)}</td>` +
+            `<td>${escape(result.error || result.reply)}</td></tr>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Intent regression matrix</title>
+<style>
+    body { font-family: Arial, sans-serif; margin: 24px; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 24px; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+    .matrix td { text-align: center; min-width: 32px; }
+    .hit { background: #d9f2dd; }
+    .miss { background: #f9d6d5; font-weight: bold; }
+    caption { text-align: left; font-weight: bold; margin-bottom: 6px; }
+</style>
+</head>
+<body>
+<h1>Intent regression matrix</h1>
+<p>${report.correct}/${report.total} utterances classified as expected (accuracy ${percent(report.accuracy)},
+macro precision ${percent(report.macro.precision)}, macro recall ${percent(report.macro.recall)}). Generated ${escape(report.generatedAt)}.</p>
+<table class="matrix">
+<caption>Confusion matrix (rows: expected, columns: predicted)</caption>
+<tr><th></th>${header}</tr>
+${rows}
+</table>
+<table>
+<caption>Per-intent metrics</caption>
+<tr><th>Intent</th><th>Support</th><th>Precision</th><th>Recall</th><th>F1</th></tr>
+${metrics}
+</table>
+<table>
+<caption>Misclassified utterances</caption>
+<tr><th>ID</th><th>Utterance</th><th>Expected</th><th>Predicted</th><th>Reply</th></tr>
+${misses || '<tr><td colspan="5">None</td></tr>'}
+</table>
+</body>
+</html>
+`;
+    }
+
+    async _runCase(testCase) {
+        const result = {
+            id: testCase.id,
+            utterance: testCase.utterance,
+            expected: testCase.expectedIntent,
+            predicted: ERROR,
+            correct: false,
+            score: 0,
+            matched: [],
+            reply: null,
+            quickReplies: [],
+            error: null
+        };
+
+        try {
+            // Classify the whole turn: signature text can be in any bubble of a multi-message reply
+            const responses = await this.chatbotPage.sendMessageAndWaitForTurn(testCase.utterance, this.responseTimeout);
+            result.reply = responses.join(' ');
+            result.quickReplies = await this.chatbotPage.getQuickReplies();
+
+            const classification = this.classify(result.reply, result.quickReplies);
+            Object.assign(result, {
+                predicted: classification.intent,
+                score: classification.score,
+                matched: classification.matched
+            });
+        } catch (error) {
+            result.error = error.message;
+        }
+
+        result.correct = result.predicted === result.expected;
+        console.log(`${result.correct ? '✅' : '❌'} ${result.id}: "${result.utterance}" → ${result.predicted} (expected ${result.expected})`);
+        return result;
+    }
+
+    async _resetConversation() {
+        if (this.reset === 'reload') {
+            await this.chatbotPage.open(this.url);
+        } else if (this.reset === 'clear') {
+            await this.chatbotPage.clearConversation();
+        }
+    }
+
+    /**
+     * Compile a signature pattern: /regex/flags with the flags as written,
+     * anything else case-insensitive; g and y are dropped
+     * @param {string|RegExp} pattern - Pattern from the signatures
+     * @param {string} intent - Intent the pattern belongs to (for errors)
+     * @returns {RegExp} Stateless regex
+     */
+    _toRegex(pattern, intent) {
+        const match = pattern instanceof RegExp ? null : String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+        const source = pattern instanceof RegExp ? pattern.source : match ? match[1] : pattern;
+        const flags = pattern instanceof RegExp ? pattern.flags : match ? match[2] : 'i';
+
+        try {
+            return new RegExp(source, flags.replace(/[gy]/g, ''));
+        } catch (error) {
+            throw new Error(`Invalid pattern ${pattern} for intent "${intent}": ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    IntentMatrix,
+    NO_MATCH
+};
@@ -0,0 +1,143 @@
+/**
+ * Language Detector Utility
+ *
+ * Offline language identification for bot replies, so locale packs can
+ * assert that the bot answered in the customer's language. Each language
+ * profile lists common function words, letter pairs typical of its spelling
+ * and letters that only it uses; a reply scores 2 per function word,
+ * 2 per special letter and 0.25 per letter pair. The best-scoring language
+ * wins and its share of all scores is the confidence.
+ *
+ * English (en) and Welsh (cy) are built in; more can be added with
+ * addLanguage(). Short replies without any evidence are "und" (undetermined).
+ */
+
+const WORD_WEIGHT = 2;
+const LETTER_WEIGHT = 2;
+const NGRAM_WEIGHT = 0.25;
+
+// Words shared by the built-in languages (a, i, am, hi, dim...) are left out of both lists
+const DEFAULT_PROFILES = {
+    en: {
+        name: 'English',
+        words: [
+            'the', 'and', 'you', 'your', 'to', 'of', 'is', 'are', 'in', 'it', 'for', 'with', 'can',
+            'have', 'has', 'what', 'how', 'when', 'where', 'help', 'this', 'that', 'on', 'we', 'our',
+            'please', 'my', 'me', 'be', 'do', 'does', 'not', 'will', 'would', 'like', 'sorry', 'today',
+            'hello', 'thanks', 'thank', 'there', 'about', 'any', 'here', 'now', 'could', 'question',
+            'again', 'tried', 'an', 'all', 'from', 'no', 'yes', 'moving', 'wait'
+        ],
+        ngrams: ['wh', 'ck', 'ing', 'tion', 'ou', 'ee', 'oo', 'qu', 'sh'],
+        letters: ''
+    },
+    cy: {
+        name: 'Welsh',
+        words: [
+            'y', 'yr', 'yn', 'yw', 'ydy', 'mae', 'oes', 'sydd', 'ac', 'ar', 'at', 'gyda', 'gan',
+            'eich', 'ei', 'fy', 'ein', 'eu', 'chi', 'ni', 'fi', 'ti', 'nhw', 'beth', 'sut', 'pryd',
+            'ble', 'pam', 'pwy', 'ddim', 'nid', 'na', 'nac', 'os', 'ond', 'hefyd', 'ydych', 'ydw',
+            'rydw', 'rwy', 'mi', 'wedi', 'bod', 'gallaf', 'gallwch', 'alla', 'hoffech', 'helpu',
+            'diolch', 'croeso', 'heddiw', 'nawr', 'hynny', 'hwn', 'hon', 'yma', 'iawn', 'gen',
+            'gennych', 'ag', 'â', 'ga', 'siarad', 'arhoswch', 'gwelwch', 'dda', 'helo', 'shwmae'
+        ],
+        ngrams: ['dd', 'll', 'wy', 'ae', 'yw', 'rh', 'ch', 'ydd'],
+        letters: 'ŵŷâêîôû'
+    }
+};
+
+class LanguageDetector {
+    constructor() {
+        this.profiles = {};
+        Object.entries(DEFAULT_PROFILES).forEach(([code, profile]) => this.addLanguage(code, profile));
+    }
+
+    /**
+     * Add or replace a language profile
+     * @param {string} code - Language code (e.g. 'ga')
+     * @param {Object} profile - Profile ({ name, words: [], ngrams: [], letters: '' })
+     */
+    addLanguage(code, profile) {
+        this.profiles[code.toLowerCase()] = {
+            name: profile.name || code,
+            words: new Set((profile.words || []).map(word => word.toLowerCase())),
+            ngrams: (profile.ngrams || []).map(ngram => ngram.toLowerCase()),
+            letters: (profile.letters || '').toLowerCase()
+        };
+    }
+
+    /**
+     * Get the language part of a locale ('cy-GB' → 'cy')
+     * @param {string} locale - Locale or language code
+     * @returns {string} Language code
+     */
+    languageOf(locale) {
+        return String(locale || '').split(/[-_]/)[0].toLowerCase();
+    }
+
+    /**
+     * Identify the language of a text
+     * @param {string} text - Text to identify
+     * @param {Array} candidates - Language codes to consider (defaults to all profiles)
+     * @returns {Object} { language, name, confidence (0-1), scores }
+     */
+    detect(text, candidates = Object.keys(this.profiles)) {
+        const normalized = (text || '').toLowerCase();
+        const tokens = normalized.split(/[^\p{L}]+/u).filter(Boolean);
+        const scores = {};
+
+        for (const code of candidates.map(candidate => this.languageOf(candidate))) {
+            const profile = this.profiles[code];
+            if (!profile) {
+                throw new Error(`No language profile for "${code}". Available: ${Object.keys(this.profiles).join(', ')}`);
+            }
+
+            const wordHits = tokens.filter(token => profile.words.has(token)).length;
+            const letterHits = [...normalized].filter(char => profile.letters.includes(char)).length;
+            const ngramHits = profile.ngrams.reduce((total, ngram) => total + this._count(normalized, ngram), 0);
+
+            scores[code] = wordHits * WORD_WEIGHT + letterHits * LETTER_WEIGHT + ngramHits * NGRAM_WEIGHT;
+        }
+
+        const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+        const [best] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+        if (!best || total === 0) {
+            return { language: 'und', name: 'Undetermined', confidence: 0, scores };
+        }
+
+        return {
+            language: best[0],
+            name: this.profiles[best[0]].name,
+            confidence: Math.round((best[1] / total) * 1000) / 1000,
+            scores
+        };
+    }
+
+    /**
+     * Check whether a text is in a language
+     * @param {string} text - Text to check
+     * @param {string} locale - Expected locale or language code
+     * @param {number} minConfidence - Confidence required (0-1)
+     * @returns {boolean} True if the text is identified as that language
+     */
+    isLanguage(text, locale, minConfidence = 0.6) {
+        const result = this.detect(text);
+        return result.language === this.languageOf(locale) && result.confidence >= minConfidence;
+    }
+
+    _count(text, fragment) {
+        let count = 0;
+        for (let index = text.indexOf(fragment); index !== -1; index = text.indexOf(fragment, index + fragment.length)) {
+            count++;
+        }
+        return count;
+    }
+}
+
+// Create singleton instance
+const languageDetector = new LanguageDetector();
+
+// Export both class and singleton instance
+module.exports = {
+    LanguageDetector,
+    languageDetector
+};
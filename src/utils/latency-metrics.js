@@ -0,0 +1,238 @@
+/**
+ * Latency Metrics Utility
+ *
+ * Collects per-turn response times measured by ChatbotPage:
+ *   typing    - message sent until the typing indicator appeared
+ *   firstText - message sent until the first bot text appeared
+ *   complete  - message sent until the response was complete
+ *
+ * Samples are aggregated into min/median/p90/p99 per utterance and per
+ * test. Each wdio worker saves its samples when it finishes and the
+ * launcher merges them into one run report (latency-report.json).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const METRICS = ['typing', 'firstText', 'complete'];
+const SAMPLES_PREFIX = 'samples_';
+const REPORT_FILE = 'latency-report.json';
+
+class LatencyMetrics {
+    constructor() {
+        this.outputDir = path.join(__dirname, '../../allure-results/latency');
+        this.samples = [];
+        this.suiteName = '';
+        this.testName = '';
+    }
+
+    /**
+     * Start collecting samples for a test
+     * @param {string} suiteName - Test suite name
+     * @param {string} testName - Test name
+     */
+    startTest(suiteName, testName) {
+        this.suiteName = suiteName || '';
+        this.testName = testName || '';
+    }
+
+    /**
+     * Record the timings of one turn
+     * @param {string} utterance - Message or button text that started the turn
+     * @param {Object} timing - Epoch millisecond timestamps
+     * @param {number} timing.sentAt - When the message was sent
+     * @param {number} timing.typingAt - When the typing indicator was seen (optional)
+     * @param {number} timing.firstTextAt - When the first bot text appeared
+     * @param {number} timing.completedAt - When the response was complete
+     * @returns {Object} The recorded sample (durations in milliseconds)
+     */
+    recordTurn(utterance, timing) {
+        const since = at => (at && timing.sentAt ? Math.max(0, at - timing.sentAt) : null);
+        const sample = {
+            suite: this.suiteName,
+            test: this.testName,
+            utterance,
+            typing: since(timing.typingAt),
+            firstText: since(timing.firstTextAt),
+            complete: since(timing.completedAt),
+            at: new Date(timing.sentAt || Date.now()).toISOString()
+        };
+
+        this.samples.push(sample);
+        console.log(`⏱️ Turn latency for "${utterance}": typing ${sample.typing !== null ? `${sample.typing}ms` : 'n/a'}, ` +
+            `first text ${sample.firstText}ms, complete ${sample.complete}ms`);
+        return sample;
+    }
+
+    /**
+     * Get the samples recorded for the current test
+     * @returns {Array} Samples
+     */
+    getTestSamples() {
+        return this.samples.filter(sample => sample.suite === this.suiteName && sample.test === this.testName);
+    }
+
+    /**
+     * Summarise a list of durations
+     * @param {Array} values - Durations in milliseconds (nulls are skipped)
+     * @returns {Object|null} { count, min, median, p90, p99, max } or null without values
+     */
+    summarize(values) {
+        const sorted = values.filter(value => typeof value === 'number').sort((a, b) => a - b);
+        if (sorted.length === 0) {
+            return null;
+        }
+
+        return {
+            count: sorted.length,
+            min: sorted[0],
+            median: this.percentile(sorted, 50),
+            p90: this.percentile(sorted, 90),
+            p99: this.percentile(sorted, 99),
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * Nearest-rank percentile of sorted values
+     * @param {Array} sorted - Ascending durations
+     * @param {number} p - Percentile (0-100)
+     * @returns {number} Percentile value
+     */
+    percentile(sorted, p) {
+        const rank = Math.ceil((p / 100) * sorted.length);
+        return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+    }
+
+    /**
+     * Aggregate samples overall, per utterance and per test
+     * @param {Array} samples - Samples (defaults to all samples of this process)
+     * @returns {Object} Latency report
+     */
+    aggregate(samples = this.samples) {
+        const summarizeGroup = group => {
+            const summary = { turns: group.length };
+            for (const metric of METRICS) {
+                summary[metric] = this.summarize(group.map(sample => sample[metric]));
+            }
+            return summary;
+        };
+        const groupBy = keyOf => samples.reduce((groups, sample) => {
+            const key = keyOf(sample);
+            (groups[key] = groups[key] || []).push(sample);
+            return groups;
+        }, {});
+
+        const byUtterance = {};
+        for (const [utterance, group] of Object.entries(groupBy(sample => sample.utterance.trim().toLowerCase()))) {
+            byUtterance[utterance] = summarizeGroup(group);
+        }
+
+        const byTest = {};
+        for (const [test, group] of Object.entries(groupBy(sample => `${sample.suite} > ${sample.test}`))) {
+            byTest[test] = summarizeGroup(group);
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            overall: summarizeGroup(samples),
+            byUtterance,
+            byTest
+        };
+    }
+
+    /**
+     * Save this worker's samples so the launcher can merge them
+     * @param {string} outputDir - Output directory
+     * @returns {string|null} Path of the samples file, or null without samples
+     */
+    saveSamples(outputDir = this.outputDir) {
+        if (this.samples.length === 0) {
+            return null;
+        }
+
+        try {
+            if (!fs.existsSync(outputDir)) {
+                fs.mkdirSync(outputDir, { recursive: true });
+            }
+            const filePath = path.join(outputDir, `${SAMPLES_PREFIX}${process.pid}_${Date.now()}.json`);
+            fs.writeFileSync(filePath, JSON.stringify(this.samples, null, 2));
+            return filePath;
+        } catch (error) {
+            console.error('❌ Error saving latency samples:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Merge all saved samples into latency-report.json
+     * @param {string} outputDir - Directory holding the samples files
+     * @returns {Object|null} The report, or null when no samples were saved
+     */
+    writeReport(outputDir = this.outputDir) {
+        try {
+            if (!fs.existsSync(outputDir)) {
+                return null;
+            }
+
+            const samples = fs.readdirSync(outputDir)
+                .filter(file => file.startsWith(SAMPLES_PREFIX) && file.endsWith('.json'))
+                .flatMap(file => JSON.parse(fs.readFileSync(path.join(outputDir, file), 'utf8')));
+            if (samples.length === 0) {
+                return null;
+            }
+
+            const report = this.aggregate(samples);
+            const reportPath = path.join(outputDir, REPORT_FILE);
+            fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+            console.log(`⏱️ Latency report saved: ${reportPath}`);
+            this._logSummary(report.overall);
+            return report;
+        } catch (error) {
+            console.error('❌ Error writing latency report:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove samples and report from a previous run; other files in the
+     * directory are left alone
+     * @param {string} outputDir - Directory holding the samples files
+     */
+    clearSaved(outputDir = this.outputDir) {
+        if (fs.existsSync(outputDir)) {
+            fs.readdirSync(outputDir)
+                .filter(file => (file.startsWith(SAMPLES_PREFIX) && file.endsWith('.json')) || file === REPORT_FILE)
+                .forEach(file => fs.unlinkSync(path.join(outputDir, file)));
+        }
+    }
+
+    /**
+     * Clear samples collected by this process
+     */
+    reset() {
+        this.samples = [];
+    }
+
+    /**
+     * Print the overall percentiles of each metric
+     * @param {Object} overall - Summaries by metric (report.overall)
+     */
+    _logSummary(overall) {
+        for (const metric of METRICS) {
+            const summary = overall[metric];
+            if (summary) {
+                console.log(`   ${metric}: min ${summary.min}ms, median ${summary.median}ms, p90 ${summary.p90}ms, p99 ${summary.p99}ms (${summary.count} turns)`);
+            }
+        }
+    }
+}
+
+// Create singleton instance
+const latencyMetrics = new LatencyMetrics();
+
+// Export both class and singleton instance
+module.exports = {
+    LatencyMetrics,
+    latencyMetrics
+};
@@ -0,0 +1,275 @@
+/**
+ * Load Harness Utility
+ *
+ * Runs many conversations at once: every wdio worker is one virtual user
+ * (see src/config/wdio.load.conf.js). Users start one after another over
+ * the ramp-up period, replay a conversation flow from test data until the
+ * hold period ends, and stop one after another over the ramp-down period.
+ * Each worker saves its conversations and turn latencies; the launcher
+ * merges them into one report with throughput, error rate and latency
+ * percentiles.
+ *
+ * Settings (environment variables):
+ *   LOAD_USERS          concurrent conversations (default 5)
+ *   LOAD_RAMP_UP        seconds until the last user has started (default 10)
+ *   LOAD_HOLD           seconds all users keep chatting (default 30)
+ *   LOAD_RAMP_DOWN      seconds until the last user has stopped (default 10)
+ *   LOAD_FLOW           flow file in test-data (default flows/billing.flow.yaml)
+ *   LOAD_THINK_TIME     pause between a user's conversations in ms (default 1000)
+ *   LOAD_MAX_ITERATIONS conversations per user at most (default unlimited)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { FlowInterpreter } = require('./flow-interpreter');
+const { latencyMetrics } = require('./latency-metrics');
+
+class LoadHarness {
+    constructor() {
+        this.outputDir = path.join(__dirname, '../../allure-results/load');
+        this.conversations = [];
+    }
+
+    /**
+     * Read the load settings from the environment
+     * @returns {Object} Load settings
+     */
+    getSettings() {
+        const number = (name, fallback) => {
+            const value = parseFloat(process.env[name]);
+            return Number.isFinite(value) ? value : fallback;
+        };
+
+        return {
+            users: Math.max(1, Math.floor(number('LOAD_USERS', 5))),
+            rampUp: number('LOAD_RAMP_UP', 10) * 1000,
+            hold: number('LOAD_HOLD', 30) * 1000,
+            rampDown: number('LOAD_RAMP_DOWN', 10) * 1000,
+            flow: process.env.LOAD_FLOW || 'flows/billing.flow.yaml',
+            thinkTime: number('LOAD_THINK_TIME', 1000),
+            maxIterations: number('LOAD_MAX_ITERATIONS', Infinity),
+            startedAt: number('LOAD_RUN_STARTED_AT', Date.now())
+        };
+    }
+
+    /**
+     * Get the virtual user index of this worker (its capability index)
+     * @returns {number} User index starting at 0
+     */
+    getUserIndex() {
+        const workerId = process.env.WDIO_WORKER_ID || '0-0';
+        return parseInt(workerId.split('-')[0], 10) || 0;
+    }
+
+    /**
+     * Work out when a user starts and stops
+     * @param {number} userIndex - User index
+     * @param {Object} settings - Load settings
+     * @returns {Object} { startAt, stopAt } in epoch milliseconds
+     */
+    getSchedule(userIndex, settings = this.getSettings()) {
+        const share = userIndex / settings.users;
+        return {
+            startAt: settings.startedAt + settings.rampUp * share,
+            stopAt: settings.startedAt + settings.rampUp + settings.hold + settings.rampDown * share
+        };
+    }
+
+    /**
+     * Total run time of the load profile, used for the mocha timeout
+     * @param {Object} settings - Load settings
+     * @returns {number} Milliseconds
+     */
+    getDuration(settings = this.getSettings()) {
+        return settings.rampUp + settings.hold + settings.rampDown;
+    }
+
+    /**
+     * Run this worker's virtual user: replay the flow until its stop time
+     * @param {Function} createPage - Returns a new ChatbotPage
+     * @param {number} userIndex - User index (defaults to the worker's)
+     * @returns {Promise<Array>} Conversations of this user
+     */
+    async runUser(createPage, userIndex = this.getUserIndex()) {
+        const settings = this.getSettings();
+        const { startAt, stopAt } = this.getSchedule(userIndex, settings);
+
+        if (startAt > Date.now()) {
+            console.log(`🚦 User ${userIndex + 1}/${settings.users} starts in ${Math.round((startAt - Date.now()) / 1000)}s`);
+            await browser.pause(startAt - Date.now());
+        }
+
+        const page = createPage();
+        const interpreter = new FlowInterpreter(page);
+        const flow = interpreter.loadFlow(settings.flow);
+
+        let iteration = 0;
+        while (Date.now() < stopAt && iteration < settings.maxIterations) {
+            await this._runConversation(page, interpreter, flow, userIndex, iteration);
+            iteration++;
+
+            if (settings.thinkTime > 0 && Date.now() + settings.thinkTime < stopAt) {
+                await browser.pause(settings.thinkTime);
+            }
+        }
+
+        console.log(`🏁 User ${userIndex + 1} finished after ${iteration} conversations`);
+        this.saveUserResults(userIndex);
+        return this.conversations;
+    }
+
+    /**
+     * Save this worker's conversations and turn latencies for the launcher
+     * @param {number} userIndex - User index
+     * @returns {string} Path of the results file
+     */
+    saveUserResults(userIndex = this.getUserIndex()) {
+        try {
+            if (!fs.existsSync(this.outputDir)) {
+                fs.mkdirSync(this.outputDir, { recursive: true });
+            }
+
+            const filePath = path.join(this.outputDir, `user_${userIndex}_${process.pid}.json`);
+            fs.writeFileSync(filePath, JSON.stringify({
+                user: userIndex,
+                conversations: this.conversations,
+                turns: latencyMetrics.samples
+            }, null, 2));
+            return filePath;
+        } catch (error) {
+            console.error('❌ Error saving load results:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Merge all users' results into load-report.json
+     * @returns {Object|null} The report, or null when no user saved results
+     */
+    writeReport() {
+        try {
+            if (!fs.existsSync(this.outputDir)) {
+                return null;
+            }
+
+            const users = fs.readdirSync(this.outputDir)
+                .filter(file => file.startsWith('user_') && file.endsWith('.json'))
+                .map(file => JSON.parse(fs.readFileSync(path.join(this.outputDir, file), 'utf8')));
+            if (users.length === 0) {
+                return null;
+            }
+
+            const report = this.buildReport(users);
+            const reportPath = path.join(this.outputDir, 'load-report.json');
+            fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+
+            console.log(`📈 Load report saved: ${reportPath}`);
+            console.log(`   ${report.users} users, ${report.conversations.total} conversations, ` +
+                `${report.conversations.perMinute}/min, error rate ${report.conversations.errorRate}%`);
+            return report;
+        } catch (error) {
+            console.error('❌ Error writing load report:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Build the merged report from per-user results
+     * @param {Array} users - Saved user results
+     * @returns {Object} Load report
+     */
+    buildReport(users) {
+        const conversations = users.flatMap(user => user.conversations);
+        const turns = users.flatMap(user => user.turns);
+        const failed = conversations.filter(conversation => !conversation.passed);
+
+        const start = Math.min(...conversations.map(conversation => Date.parse(conversation.startedAt)));
+        const end = Math.max(...conversations.map(conversation => Date.parse(conversation.startedAt) + conversation.duration));
+        const windowSeconds = conversations.length > 0 ? Math.max((end - start) / 1000, 0.001) : 0;
+        const rate = (count, perSeconds) => (windowSeconds > 0 ? Math.round((count / windowSeconds) * perSeconds * 100) / 100 : 0);
+
+        const errors = failed.reduce((counts, conversation) => {
+            const key = conversation.error || 'Flow expectations failed';
+            counts[key] = (counts[key] || 0) + 1;
+            return counts;
+        }, {});
+
+        const latency = latencyMetrics.aggregate(turns);
+        return {
+            generatedAt: new Date().toISOString(),
+            settings: this.getSettings(),
+            users: users.length,
+            durationSeconds: Math.round(windowSeconds),
+            conversations: {
+                total: conversations.length,
+                passed: conversations.length - failed.length,
+                failed: failed.length,
+                errorRate: conversations.length > 0 ? Math.round((failed.length / conversations.length) * 10000) / 100 : 0,
+                perMinute: rate(conversations.length, 60),
+                duration: latencyMetrics.summarize(conversations.map(conversation => conversation.duration))
+            },
+            turns: {
+                total: turns.length,
+                perSecond: rate(turns.length, 1)
+            },
+            latency: { overall: latency.overall, byUtterance: latency.byUtterance },
+            errors,
+            perUser: users
+                .sort((a, b) => a.user - b.user)
+                .map(user => ({
+                    user: user.user,
+                    conversations: user.conversations.length,
+                    failed: user.conversations.filter(conversation => !conversation.passed).length
+                }))
+        };
+    }
+
+    /**
+     * Remove results of a previous load run
+     */
+    clearSaved() {
+        if (fs.existsSync(this.outputDir)) {
+            fs.readdirSync(this.outputDir)
+                .filter(file => file.endsWith('.json'))
+                .forEach(file => fs.unlinkSync(path.join(this.outputDir, file)));
+        }
+    }
+
+    async _runConversation(page, interpreter, flow, userIndex, iteration) {
+        const startedAt = Date.now();
+        const conversation = { user: userIndex, iteration, startedAt: new Date(startedAt).toISOString() };
+
+        try {
+            await page.open();
+            const result = await interpreter.run(flow);
+            Object.assign(conversation, {
+                passed: result.passed,
+                turns: result.stepsExecuted,
+                error: result.passed ? null : this._firstFailure(result)
+            });
+        } catch (error) {
+            Object.assign(conversation, { passed: false, turns: 0, error: error.message });
+            console.log(`❌ User ${userIndex + 1} conversation ${iteration + 1} failed: ${error.message}`);
+        }
+
+        conversation.duration = Date.now() - startedAt;
+        this.conversations.push(conversation);
+    }
+
+    _firstFailure(result) {
+        const failedStep = (result.path || []).find(step => step.passed === false);
+        if (!failedStep) {
+            return 'Flow expectations failed';
+        }
+        return (failedStep.errors && failedStep.errors[0]) || `Step "${failedStep.id}" failed`;
+    }
+}
+
+// Create singleton instance
+const loadHarness = new LoadHarness();
+
+// Export both class and singleton instance
+module.exports = {
+    LoadHarness,
+    loadHarness
+};
@@ -0,0 +1,83 @@
+/**
+ * Locale Suite Generator Utility
+ *
+ * Runs the same conversation flow once per configured locale. Each locale
+ * becomes one Mocha test that opens the locale's chat page (see "locales"
+ * in src/config/environments.json), loads the locale variant of the flow
+ * (billing.flow.cy.yaml for cy, falling back to billing.flow.yaml) and
+ * checks that every reply is in the locale's language.
+ */
+
+const path = require('path');
+const { FlowInterpreter } = require('./flow-interpreter');
+const { profileManager } = require('./profile-manager');
+const { assertions } = require('./assertions');
+
+class LocaleSuiteGenerator {
+    /**
+     * Generate a Mocha suite with one test per locale. Call at the top level of a spec file.
+     * @param {string} flowFile - Flow file relative to the test data directory
+     * @param {Object} options - Generator options
+     * @param {Array} options.locales - Locale codes (defaults to the environment's locales, filtered by LOCALES)
+     * @param {string} options.suiteName - Suite title (defaults to the flow file name)
+     * @param {Function} options.pageFactory - Creates the page object (defaults to a new ChatbotPage)
+     * @param {boolean} options.expectLanguage - Check the language of every reply (default true)
+     * @param {boolean} options.continueOnFailure - Keep running the flow after a failed expectation
+     * @returns {Array} Locales a test was generated for
+     */
+    generateFlow(flowFile, options = {}) {
+        const locales = options.locales || profileManager.getLocales().map(entry => entry.locale);
+        const suiteName = options.suiteName || `${path.basename(flowFile)} per locale`;
+        const generator = this;
+
+        describe(suiteName, function () {
+            locales.forEach(locale => {
+                it(`[${locale}] ${flowFile}`, async function () {
+                    await generator.runFlow(flowFile, locale, options);
+                });
+            });
+        });
+
+        console.log(`🌐 Generated ${locales.length} locale tests for ${flowFile}: ${locales.join(', ')}`);
+        return locales;
+    }
+
+    /**
+     * Run a flow in one locale and assert that it passed
+     * @param {string} flowFile - Flow file relative to the test data directory
+     * @param {string} locale - Locale code
+     * @param {Object} options - Options as for generateFlow()
+     * @returns {Promise<Object>} Flow result
+     */
+    async runFlow(flowFile, locale, options = {}) {
+        console.log(`🌐 Running ${flowFile} in locale ${locale}`);
+
+        const page = options.pageFactory ? options.pageFactory() : this._createChatbotPage();
+        page.setLocale(locale);
+        await page.open();
+
+        const interpreter = new FlowInterpreter(page, {
+            locale,
+            expectLanguage: options.expectLanguage !== false,
+            continueOnFailure: options.continueOnFailure
+        });
+        const result = await interpreter.run(flowFile);
+
+        assertions.assertTrue(result.passed, interpreter.formatPath(result));
+        return result;
+    }
+
+    _createChatbotPage() {
+        const ChatbotPage = require('../pages/chatbot.page.js');
+        return new ChatbotPage();
+    }
+}
+
+// Create singleton instance
+const localeSuiteGenerator = new LocaleSuiteGenerator();
+
+// Export both class and singleton instance
+module.exports = {
+    LocaleSuiteGenerator,
+    localeSuiteGenerator
+};
@@ -0,0 +1,190 @@
+/**
+ * Log Rotator Utility
+ *
+ * Rotates JSON-lines log files such as logs/error.log. A log is rotated when
+ * it grows past maxSize or when its oldest entry is older than maxAge. The
+ * rotated file is renamed to <name>-<timestamp><ext> next to the log and
+ * gzipped, and only the newest maxFiles archives are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+class LogRotator {
+    /**
+     * @param {Object} options - Rotation options
+     * @param {number} options.maxSize - Size in bytes that triggers rotation (default 5 MB)
+     * @param {number} options.maxAge - Age in milliseconds of the oldest entry that triggers rotation (default 7 days)
+     * @param {number} options.maxFiles - Archives to keep per log (default 10)
+     * @param {boolean} options.compress - Gzip rotated files (default true)
+     */
+    constructor(options = {}) {
+        this.maxSize = 5 * 1024 * 1024;
+        this.maxAge = 7 * 24 * 60 * 60 * 1000;
+        this.maxFiles = 10;
+        this.compress = true;
+        this.configure(options);
+    }
+
+    /**
+     * Update rotation options
+     * @param {Object} options - Options as for the constructor
+     */
+    configure(options = {}) {
+        ['maxSize', 'maxAge', 'maxFiles', 'compress'].forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+    }
+
+    /**
+     * Check whether a log is due for rotation
+     * @param {string} logPath - Path to the log file
+     * @param {number} now - Current time in milliseconds
+     * @returns {string|null} 'size', 'age' or null
+     */
+    needsRotation(logPath, now = Date.now()) {
+        if (!fs.existsSync(logPath)) {
+            return null;
+        }
+        const stats = fs.statSync(logPath);
+        if (stats.size === 0) {
+            return null;
+        }
+        if (this.maxSize && stats.size >= this.maxSize) {
+            return 'size';
+        }
+
+        const oldest = this._firstEntryTime(logPath) || stats.birthtimeMs || stats.mtimeMs;
+        if (this.maxAge && now - oldest >= this.maxAge) {
+            return 'age';
+        }
+        return null;
+    }
+
+    /**
+     * Rotate a log if it is too large or too old
+     * @param {string} logPath - Path to the log file
+     * @returns {string|null} Path of the archive, or null when nothing was rotated
+     */
+    rotateIfNeeded(logPath) {
+        const reason = this.needsRotation(logPath);
+        return reason ? this.rotate(logPath, reason) : null;
+    }
+
+    /**
+     * Rotate a log now
+     * @param {string} logPath - Path to the log file
+     * @param {string} reason - Why the log is rotated (for the console)
+     * @returns {string|null} Path of the archive, or null when the log is missing or empty
+     */
+    rotate(logPath, reason = 'manual') {
+        if (!fs.existsSync(logPath) || fs.statSync(logPath).size === 0) {
+            return null;
+        }
+
+        const { dir, name, ext } = path.parse(logPath);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        let rotatedPath = path.join(dir, `${name}-${stamp}${ext}`);
+        for (let i = 1; fs.existsSync(rotatedPath) || fs.existsSync(`${rotatedPath}.gz`); i++) {
+            rotatedPath = path.join(dir, `${name}-${stamp}-${i}${ext}`);
+        }
+
+        fs.renameSync(logPath, rotatedPath);
+        let archivePath = rotatedPath;
+        if (this.compress) {
+            archivePath = `${rotatedPath}.gz`;
+            fs.writeFileSync(archivePath, zlib.gzipSync(fs.readFileSync(rotatedPath)));
+            fs.unlinkSync(rotatedPath);
+        }
+
+        console.log(`🗜️ Rotated ${path.basename(logPath)} (${reason}): ${archivePath}`);
+        this.prune(logPath);
+        return archivePath;
+    }
+
+    /**
+     * Delete the oldest archives beyond maxFiles
+     * @param {string} logPath - Path to the log file
+     * @returns {Array} Deleted archive paths
+     */
+    prune(logPath) {
+        const archives = this.listArchives(logPath);
+        const removed = archives.slice(0, Math.max(0, archives.length - this.maxFiles));
+        removed.forEach(archivePath => fs.unlinkSync(archivePath));
+        if (removed.length > 0) {
+            console.log(`🧹 Removed ${removed.length} old archive(s) of ${path.basename(logPath)}`);
+        }
+        return removed;
+    }
+
+    /**
+     * List the archives of a log, oldest first
+     * @param {string} logPath - Path to the log file
+     * @returns {Array} Archive paths
+     */
+    listArchives(logPath) {
+        const { dir, name, ext } = path.parse(logPath);
+        if (!fs.existsSync(dir)) {
+            return [];
+        }
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`^${escape(name)}-\\d{4}-\\d{2}-\\d{2}T[\\d-]+Z(-\\d+)?${escape(ext)}(\\.gz)?$`);
+
+        return fs.readdirSync(dir)
+            .filter(file => pattern.test(file))
+            .sort()
+            .map(file => path.join(dir, file));
+    }
+
+    /**
+     * Read the JSON entries of a log and, optionally, its archives
+     * @param {string} logPath - Path to the log file
+     * @param {Object} options - Read options
+     * @param {boolean} options.archives - Include rotated archives (default true)
+     * @returns {Object} { entries, files, skipped } - entries oldest first; skipped counts unparsable lines
+     */
+    readEntries(logPath, options = {}) {
+        const files = options.archives === false ? [] : this.listArchives(logPath);
+        if (fs.existsSync(logPath)) {
+            files.push(logPath);
+        }
+
+        const entries = [];
+        let skipped = 0;
+        files.forEach(file => {
+            const buffer = fs.readFileSync(file);
+            const content = file.endsWith('.gz') ? zlib.gunzipSync(buffer).toString('utf8') : buffer.toString('utf8');
+            content.split('\n').filter(line => line.trim()).forEach(line => {
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    skipped++;
+                }
+            });
+        });
+
+        return { entries, files, skipped };
+    }
+
+    _firstEntryTime(logPath) {
+        const buffer = Buffer.alloc(4096);
+        const fd = fs.openSync(logPath, 'r');
+        try {
+            const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+            const firstLine = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+            const timestamp = Date.parse(JSON.parse(firstLine).timestamp);
+            return Number.isNaN(timestamp) ? null : timestamp;
+        } catch (error) {
+            return null;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+module.exports = {
+    LogRotator
+};
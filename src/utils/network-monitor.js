@@ -0,0 +1,345 @@
+/**
+ * Network Monitor Utility
+ *
+ * Tracks in-flight requests (documents, XHR, fetch, scripts...) and
+ * WebSocket/EventSource activity through the Chrome DevTools Protocol so
+ * tests can wait for the network to actually go idle. Long-lived
+ * connections (WebSocket, EventSource) never count as in flight; their
+ * frames and messages count as activity instead.
+ */
+
+class NetworkMonitor {
+    constructor() {
+        this.session = null;
+        this.sessionId = null;
+        this.unavailableSessionId = null;
+        this.inflight = new Map();
+        this.sockets = new Map();
+        this.attachedAt = Date.now();
+        this.activity = [];
+        this.listeners = [];
+        this.defaults = {
+            idleTime: 500,
+            maxInflight: 0,
+            include: null,
+            // Analytics and tracking beacons that should not hold up a test
+            ignore: [
+                'google-analytics.com',
+                'googletagmanager.com',
+                'doubleclick.net',
+                'analytics.',
+                'hotjar.com',
+                'segment.io',
+                'newrelic.com',
+                'nr-data.net',
+                'demdex.net',
+                'omtrdc.net'
+            ]
+        };
+    }
+
+    /**
+     * Attach to the current page through CDP and start tracking requests.
+     * Safe to call repeatedly; re-attaches when the browser session changed.
+     * @param {Object} browser - WebdriverIO browser instance
+     * @returns {Promise<boolean>} True if CDP tracking is active
+     */
+    async start(browser = null) {
+        const browserInstance = browser || global.browser;
+        if (this.session && this.sessionId === browserInstance.sessionId) {
+            return true;
+        }
+        if (this.unavailableSessionId === browserInstance.sessionId) {
+            // Already failed for this session (e.g. browser without CDP)
+            return false;
+        }
+
+        try {
+            const puppeteer = await browserInstance.getPuppeteer();
+            const currentUrl = await browserInstance.getUrl();
+            const pages = await puppeteer.pages();
+            const page = pages.find(candidate => candidate.url() === currentUrl) || pages[0];
+
+            this.session = await page.target().createCDPSession();
+            this.sessionId = browserInstance.sessionId;
+            this.inflight.clear();
+            this.sockets.clear();
+            this.activity = [];
+            this.attachedAt = Date.now();
+
+            this._subscribe(this.session);
+            await this.session.send('Network.enable');
+            console.log('📡 Network monitor attached via CDP');
+            return true;
+        } catch (error) {
+            this.session = null;
+            this.sessionId = null;
+            this.unavailableSessionId = browserInstance.sessionId;
+            console.log(`⚠️ Network monitor could not attach via CDP: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Detach from the page and forget tracked requests
+     */
+    async stop() {
+        if (this.session) {
+            try {
+                await this.session.detach();
+            } catch (error) {
+                console.log(`⚠️ Could not detach network monitor: ${error.message}`);
+            }
+        }
+        this.session = null;
+        this.sessionId = null;
+        this.inflight.clear();
+        this.sockets.clear();
+    }
+
+    /**
+     * Check whether CDP tracking is active
+     * @returns {boolean} True if attached
+     */
+    isActive() {
+        return this.session !== null;
+    }
+
+    /**
+     * Send a CDP command on the monitor's session
+     * @param {string} method - CDP method (e.g. 'Network.getResponseBody')
+     * @param {Object} params - Command parameters
+     * @returns {Promise<Object>} Command result
+     */
+    async send(method, params = {}) {
+        if (!this.session) {
+            throw new Error('Network monitor is not attached; call start() first');
+        }
+        return this.session.send(method, params);
+    }
+
+    /**
+     * Register a listener for raw network events ({ type, requestId, url, ... })
+     * @param {Function} listener - Called with each network event
+     * @returns {Function} Function that removes the listener
+     */
+    onEvent(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(existing => existing !== listener);
+        };
+    }
+
+    /**
+     * Get requests currently in flight that pass the URL filter
+     * @param {Object} options - Filter options (include, ignore)
+     * @returns {Array} In-flight requests ({ url, method, type, startedAt })
+     */
+    getInflight(options = {}) {
+        const settings = { ...this.defaults, ...options };
+        return Array.from(this.inflight.values()).filter(request => this._isTracked(request.url, settings));
+    }
+
+    /**
+     * Wait until no more than maxInflight requests are pending and nothing
+     * happened on the network for the idle window
+     * @param {Object} options - Idle options
+     * @param {number} options.timeout - Timeout in milliseconds
+     * @param {number} options.idleTime - Required quiet window in milliseconds
+     * @param {number} options.maxInflight - Pending requests still treated as idle
+     * @param {Array} options.ignore - URL substrings or RegExps to ignore
+     * @param {Array} options.include - Only track URLs matching these (optional)
+     * @param {Object} browser - WebdriverIO browser instance
+     */
+    async waitForIdle(options = {}, browser = null) {
+        const browserInstance = browser || global.browser;
+        const settings = { ...this.defaults, ...options };
+        const timeout = settings.timeout || 10000;
+
+        try {
+            await browserInstance.waitUntil(
+                async () => {
+                    const pending = this.getInflight(settings);
+                    return pending.length <= settings.maxInflight &&
+                        Date.now() - this._lastActivity(settings) >= settings.idleTime;
+                },
+                {
+                    timeout,
+                    interval: Math.min(100, settings.idleTime || 100)
+                }
+            );
+        } catch (error) {
+            throw new Error(`Network did not become idle within ${timeout}ms. Pending: ${this._describePending(settings)}`);
+        }
+    }
+
+    /**
+     * Listen to the Network domain events of a CDP session
+     * @param {Object} session - CDP session
+     */
+    _subscribe(session) {
+        const inflightTypes = type => type !== 'WebSocket' && type !== 'EventSource';
+
+        session.on('Network.requestWillBeSent', event => {
+            const request = {
+                url: event.request.url,
+                method: event.request.method,
+                type: event.type || 'Other',
+                startedAt: Date.now()
+            };
+            if (inflightTypes(request.type)) {
+                this.inflight.set(event.requestId, request);
+            }
+            this._activity(request.url, {
+                type: 'request',
+                requestId: event.requestId,
+                url: request.url,
+                method: request.method,
+                resourceType: request.type,
+                postData: event.request.postData
+            });
+        });
+
+        session.on('Network.responseReceived', event => {
+            const request = this.inflight.get(event.requestId);
+            this._emit({
+                type: 'response',
+                requestId: event.requestId,
+                url: event.response.url,
+                status: event.response.status,
+                mimeType: event.response.mimeType,
+                resourceType: event.type,
+                startedAt: request ? request.startedAt : null
+            });
+        });
+
+        session.on('Network.loadingFinished', event => this._finish(event.requestId, 'finished'));
+        session.on('Network.loadingFailed', event => this._finish(event.requestId, 'failed', event.errorText));
+
+        session.on('Network.webSocketCreated', event => {
+            this.sockets.set(event.requestId, event.url);
+            this._activity(event.url, { type: 'websocket-open', requestId: event.requestId, url: event.url });
+        });
+        session.on('Network.webSocketFrameSent', event => this._frame(event, 'sent'));
+        session.on('Network.webSocketFrameReceived', event => this._frame(event, 'received'));
+        session.on('Network.webSocketClosed', event => {
+            const url = this.sockets.get(event.requestId) || '';
+            this.sockets.delete(event.requestId);
+            this._activity(url, { type: 'websocket-close', requestId: event.requestId, url });
+        });
+
+        session.on('Network.eventSourceMessageReceived', event => {
+            this._activity('', { type: 'eventsource-message', requestId: event.requestId, eventName: event.eventName, data: event.data });
+        });
+    }
+
+    /**
+     * Take a finished or failed request out of the in-flight list
+     * @param {string} requestId - CDP request id
+     * @param {string} outcome - 'finished' or 'failed'
+     * @param {string} errorText - Failure reason of a failed request
+     */
+    _finish(requestId, outcome, errorText = null) {
+        const request = this.inflight.get(requestId);
+        this.inflight.delete(requestId);
+        if (request) {
+            this._activity(request.url, { type: outcome === 'failed' ? 'failed' : 'finished', requestId, url: request.url, errorText });
+        }
+    }
+
+    /**
+     * Record a WebSocket frame as activity on its socket URL
+     * @param {Object} event - CDP frame event
+     * @param {string} direction - 'sent' or 'received'
+     */
+    _frame(event, direction) {
+        const url = this.sockets.get(event.requestId) || '';
+        this._activity(url, {
+            type: `websocket-${direction}`,
+            requestId: event.requestId,
+            url,
+            payload: event.response ? event.response.payloadData : ''
+        });
+    }
+
+    /**
+     * Note network activity for the idle window and pass the event on
+     * @param {string} url - URL the activity belongs to ('' if unknown)
+     * @param {Object} event - Network event for the listeners
+     */
+    _activity(url, event) {
+        this.activity.push({ url, at: Date.now() });
+        // Only the most recent activity matters for the idle window
+        if (this.activity.length > 500) {
+            this.activity.splice(0, this.activity.length - 500);
+        }
+        this._emit(event);
+    }
+
+    /**
+     * Time of the last activity on a tracked URL
+     * @param {Object} settings - Filter settings (include, ignore)
+     * @returns {number} Epoch milliseconds (attach time when there was none)
+     */
+    _lastActivity(settings) {
+        for (let i = this.activity.length - 1; i >= 0; i--) {
+            if (this._isTracked(this.activity[i].url, settings)) {
+                return this.activity[i].at;
+            }
+        }
+        return this.attachedAt;
+    }
+
+    /**
+     * Stamp an event and call every listener; a failing listener is logged
+     * @param {Object} event - Network event
+     */
+    _emit(event) {
+        const stamped = { at: Date.now(), ...event };
+        for (const listener of this.listeners) {
+            try {
+                listener(stamped);
+            } catch (error) {
+                console.log(`⚠️ Network event listener failed: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Check a URL against the include and ignore filters
+     * @param {string} url - Request URL
+     * @param {Object} settings - Filter settings (include, ignore)
+     * @returns {boolean} True if the URL counts for idleness
+     */
+    _isTracked(url, settings) {
+        const matches = pattern => (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern));
+
+        if (settings.include && settings.include.length > 0 && !settings.include.some(matches)) {
+            return false;
+        }
+        return !(settings.ignore || []).some(matches);
+    }
+
+    /**
+     * Describe the pending requests for a timeout message
+     * @param {Object} settings - Filter settings (include, ignore)
+     * @returns {string} Up to five requests as "METHOD url"
+     */
+    _describePending(settings) {
+        const pending = this.getInflight(settings);
+        if (pending.length === 0) {
+            return 'none (activity did not stop)';
+        }
+        return pending.slice(0, 5).map(request => `${request.method} ${request.url}`).join(', ') +
+            (pending.length > 5 ? ` and ${pending.length - 5} more` : '');
+    }
+}
+
+// Create singleton instance
+const networkMonitor = new NetworkMonitor();
+
+// Export both class and singleton instance
+module.exports = {
+    NetworkMonitor,
+    networkMonitor
+};
@@ -0,0 +1,215 @@
+/**
+ * Profile Manager Utility
+ *
+ * Loads named chat widget profiles (selectors, launcher, input strategy and
+ * end-of-response signals) from src/config/profiles and picks the active
+ * profile for the current environment.
+ *
+ * Selection order:
+ *   1. CHATBOT_PROFILE environment variable
+ *   2. Profile of the CHAT_ENV environment in src/config/environments.json
+ *   3. Profile of the default environment
+ *
+ * A profile with "partial" set (the reason, e.g. which selectors are not
+ * verified yet) is only used when CHATBOT_PROFILE names it; environments
+ * cannot pick it as a default. A profile that extends it supplies its own
+ * selectors, so "partial" is not inherited.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class ProfileManager {
+    constructor() {
+        this.profilesDir = path.join(__dirname, '../config/profiles');
+        this.environmentsFile = path.join(__dirname, '../config/environments.json');
+        this.cache = new Map();
+        this.environments = null;
+    }
+
+    /**
+     * Load a profile by name, resolving "extends" chains
+     * @param {string} name - Profile name (file name without .json)
+     * @returns {Object} Resolved profile
+     */
+    loadProfile(name) {
+        if (this.cache.has(name)) {
+            return this.cache.get(name);
+        }
+
+        const profile = this._resolve(name, []);
+        this.cache.set(name, profile);
+        console.log(`🧩 Loaded chatbot profile: ${name}`);
+        return profile;
+    }
+
+    /**
+     * Get the active profile for an environment
+     * @param {string} environment - Environment name (defaults to CHAT_ENV)
+     * @returns {Object} Resolved profile
+     */
+    getActiveProfile(environment = null) {
+        if (process.env.CHATBOT_PROFILE) {
+            const profile = this.loadProfile(process.env.CHATBOT_PROFILE);
+            if (profile.partial) {
+                console.warn(`⚠️ Chatbot profile "${profile.name}" is partial: ${profile.partial}`);
+            }
+            return profile;
+        }
+
+        const settings = this.getEnvironment(environment);
+        const profile = this.loadProfile(settings.profile || 'generic');
+        if (profile.partial) {
+            throw new Error(`Chatbot profile "${profile.name}" of environment "${settings.name}" is partial (${profile.partial}). Set CHATBOT_PROFILE=${profile.name} to use it anyway`);
+        }
+        return profile;
+    }
+
+    /**
+     * Get environment settings from environments.json
+     * @param {string} environment - Environment name (defaults to CHAT_ENV)
+     * @returns {Object} Environment settings including its name
+     */
+    getEnvironment(environment = null) {
+        const config = this._loadEnvironments();
+        const name = environment || process.env.CHAT_ENV || config.defaultEnvironment || 'default';
+        const settings = (config.environments || {})[name];
+
+        if (!settings) {
+            throw new Error(`Unknown chat environment: ${name}. Available: ${Object.keys(config.environments || {}).join(', ')}`);
+        }
+
+        return { name, ...settings };
+    }
+
+    /**
+     * Get the locales configured for an environment. An environment lists them
+     * as "locales": { "en": {}, "cy": { "chatPath": "/?lang=cy" } }; the
+     * LOCALES environment variable (e.g. LOCALES=en,cy) picks which ones run.
+     * @param {string} environment - Environment name (defaults to CHAT_ENV)
+     * @returns {Array} Locales ({ locale, chatPath })
+     */
+    getLocales(environment = null) {
+        const settings = this.getEnvironment(environment);
+        const configured = settings.locales || { [settings.defaultLocale || 'en']: {} };
+        const requested = process.env.LOCALES
+            ? process.env.LOCALES.split(',').map(locale => locale.trim()).filter(Boolean)
+            : Object.keys(configured);
+
+        return requested.map(locale => ({
+            locale,
+            chatPath: this.getChatPath(locale, environment)
+        }));
+    }
+
+    /**
+     * Get the chat page path for a locale
+     * @param {string} locale - Locale code (null for the environment default)
+     * @param {string} environment - Environment name (defaults to CHAT_ENV)
+     * @returns {string|undefined} Chat path of the locale, or the environment's chatPath
+     */
+    getChatPath(locale = null, environment = null) {
+        const settings = this.getEnvironment(environment);
+        const localeSettings = (locale && settings.locales && settings.locales[locale]) || {};
+        return localeSettings.chatPath || settings.chatPath;
+    }
+
+    /**
+     * Get the cookie-consent settings of an environment. An environment sets
+     * them as "consent": { "state": "reject", "provider": "auto" }; the
+     * CONSENT_STATE environment variable overrides the state.
+     * @param {string} environment - Environment name (defaults to CHAT_ENV)
+     * @returns {Object} Consent settings ({ state, provider, preferences, selectors, timeout })
+     */
+    getConsentSettings(environment = null) {
+        const settings = this.getEnvironment(environment);
+        const consent = {
+            state: 'ignore',
+            provider: 'auto',
+            preferences: {},
+            selectors: null,
+            timeout: 5000,
+            ...settings.consent
+        };
+
+        if (process.env.CONSENT_STATE) {
+            consent.state = process.env.CONSENT_STATE;
+        }
+        return consent;
+    }
+
+    /**
+     * List available profile names
+     * @returns {Array} Profile names
+     */
+    listProfiles() {
+        if (!fs.existsSync(this.profilesDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.profilesDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.basename(file, '.json'))
+            .sort();
+    }
+
+    /**
+     * Clear cached profiles and environments
+     */
+    clearCache() {
+        this.cache.clear();
+        this.environments = null;
+    }
+
+    /**
+     * Read a profile file and merge it over its parent
+     * @param {string} name - Profile name
+     * @param {Array} chain - Names already visited (cycle detection)
+     * @returns {Object} Resolved profile
+     */
+    _resolve(name, chain) {
+        if (chain.includes(name)) {
+            throw new Error(`Circular profile inheritance: ${[...chain, name].join(' -> ')}`);
+        }
+
+        const filePath = path.join(this.profilesDir, `${name}.json`);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Chatbot profile not found: ${name}. Available: ${this.listProfiles().join(', ')}`);
+        }
+
+        const profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (!profile.extends) {
+            return { ...profile, name };
+        }
+
+        const parent = this._resolve(profile.extends, [...chain, name]);
+        return {
+            ...parent,
+            ...profile,
+            name,
+            partial: profile.partial,
+            selectors: { ...parent.selectors, ...profile.selectors },
+            messageParts: { ...parent.messageParts, ...profile.messageParts },
+            launcher: profile.launcher !== undefined ? profile.launcher : parent.launcher,
+            endOfResponse: { ...parent.endOfResponse, ...profile.endOfResponse }
+        };
+    }
+
+    _loadEnvironments() {
+        if (!this.environments) {
+            this.environments = fs.existsSync(this.environmentsFile)
+                ? JSON.parse(fs.readFileSync(this.environmentsFile, 'utf8'))
+                : { environments: { default: { profile: 'generic' } } };
+        }
+        return this.environments;
+    }
+}
+
+// Create singleton instance
+const profileManager = new ProfileManager();
+
+// Export both class and singleton instance
+module.exports = {
+    ProfileManager,
+    profileManager
+};
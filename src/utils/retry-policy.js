@@ -0,0 +1,126 @@
+/**
+ * Retry Policy Utility
+ *
+ * Decides whether ErrorHandler.executeWithRetry tries again after a failed
+ * attempt and how long it waits first. Delays grow with the chosen backoff
+ * ('fixed', 'linear' or 'exponential'), are capped at maxDelay and are
+ * spread with jitter so parallel workers do not retry in lockstep:
+ *   'none'  - the computed delay
+ *   'full'  - random between 0 and the computed delay
+ *   'equal' - half the computed delay plus a random half
+ * The maxElapsed budget stops retrying once the next wait would overrun it.
+ */
+
+const BACKOFFS = ['fixed', 'linear', 'exponential'];
+const JITTERS = ['none', 'full', 'equal'];
+
+class RetryPolicy {
+    /**
+     * @param {Object} options - Policy options
+     * @param {string} options.name - Name shown in logs and reports
+     * @param {number} options.maxRetries - Attempts in total, including the first (default 3)
+     * @param {string} options.backoff - 'fixed', 'linear' or 'exponential' (default)
+     * @param {number} options.baseDelay - Delay after the first failure in milliseconds (default 1000)
+     * @param {number} options.maxDelay - Upper limit for a single delay (default 30000)
+     * @param {number} options.multiplier - Growth factor for exponential backoff (default 2)
+     * @param {string} options.jitter - 'none', 'full' or 'equal' (default)
+     * @param {number} options.maxElapsed - Time budget for all attempts and waits (default unlimited)
+     * @param {boolean|Function} options.retryable - Whether errors may be retried, or fn(error) deciding it
+     * @param {Function} options.random - Random number source (0-1), replaceable for deterministic runs
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'custom';
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.backoff = options.backoff || 'exponential';
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000;
+        this.maxDelay = options.maxDelay !== undefined ? options.maxDelay : 30000;
+        this.multiplier = options.multiplier !== undefined ? options.multiplier : 2;
+        this.jitter = options.jitter || 'equal';
+        this.maxElapsed = options.maxElapsed !== undefined ? options.maxElapsed : Infinity;
+        this.retryable = options.retryable !== undefined ? options.retryable : true;
+        this.random = options.random || Math.random;
+
+        if (!BACKOFFS.includes(this.backoff)) {
+            throw new Error(`Unknown backoff "${this.backoff}". Use one of: ${BACKOFFS.join(', ')}`);
+        }
+        if (!JITTERS.includes(this.jitter)) {
+            throw new Error(`Unknown jitter "${this.jitter}". Use one of: ${JITTERS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Compute the wait after a failed attempt
+     * @param {number} attempt - Number of the attempt that failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(attempt) {
+        let delay = this.baseDelay;
+        if (this.backoff === 'linear') {
+            delay = this.baseDelay * attempt;
+        } else if (this.backoff === 'exponential') {
+            delay = this.baseDelay * Math.pow(this.multiplier, attempt - 1);
+        }
+        delay = Math.min(delay, this.maxDelay);
+
+        if (this.jitter === 'full') {
+            delay = this.random() * delay;
+        } else if (this.jitter === 'equal') {
+            delay = delay / 2 + this.random() * (delay / 2);
+        }
+        return Math.round(delay);
+    }
+
+    /**
+     * Decide what happens after a failed attempt
+     * @param {number} attempt - Number of the attempt that failed (1-based)
+     * @param {number} elapsed - Time spent since the first attempt started
+     * @param {Error} error - Error of the failed attempt
+     * @returns {Object} { retry, delay, reason } - reason is set when retry is false
+     */
+    next(attempt, elapsed, error) {
+        const retryable = typeof this.retryable === 'function' ? this.retryable(error) : this.retryable;
+        if (!retryable) {
+            return { retry: false, delay: null, reason: 'non-retryable' };
+        }
+        if (attempt >= this.maxRetries) {
+            return { retry: false, delay: null, reason: 'max-retries' };
+        }
+
+        const delay = this.getDelay(attempt);
+        if (elapsed + delay > this.maxElapsed) {
+            return { retry: false, delay, reason: 'budget-exhausted' };
+        }
+        return { retry: true, delay, reason: null };
+    }
+
+    /**
+     * Create a copy with some options replaced
+     * @param {Object} overrides - Options to replace
+     * @returns {RetryPolicy} New policy
+     */
+    with(overrides = {}) {
+        return new RetryPolicy({ ...this.toJSON(), retryable: this.retryable, random: this.random, ...overrides });
+    }
+
+    /**
+     * Describe the policy for logs and reports
+     * @returns {Object} Policy settings
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            maxRetries: this.maxRetries,
+            backoff: this.backoff,
+            baseDelay: this.baseDelay,
+            maxDelay: this.maxDelay,
+            multiplier: this.multiplier,
+            jitter: this.jitter,
+            maxElapsed: this.maxElapsed === Infinity ? null : this.maxElapsed,
+            retryable: typeof this.retryable === 'function' ? 'custom' : this.retryable
+        };
+    }
+}
+
+module.exports = {
+    RetryPolicy
+};
@@ -4,10 +4,19 @@
  * Provides utilities for capturing, organizing, and managing screenshots
  * across different test files. Includes automatic naming, categorization,
  * and integration with test reporting.
+ *
+ * Visual regression: compareScreenshot() captures a named screenshot (the
+ * viewport or one element, e.g. the chat panel) and diffs it against the
+ * baseline in visual-baselines/. Failed comparisons keep the actual image
+ * and a diff image under screenshots/visual/ until they are approved with
+ * `npm run visual:approve` (or UPDATE_BASELINES=true).
  */
 
 const fs = require('fs');
 const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { locators } = require('../pages/locator');
 
 class ScreenshotManager {
     constructor() {
@@ -17,6 +26,18 @@ class ScreenshotManager {
         this.currentSuiteName = '';
         this.screenshotHistory = [];
         
+        // Visual regression baselines
+        this.baselinesDir = path.join(__dirname, '../../visual-baselines');
+        this.visualDir = path.join(this.screenshotsDir, 'visual');
+        this.visualConfig = {
+            threshold: 0.1, // Per-pixel colour distance (0-1) before a pixel counts as changed
+            tolerance: 0.1, // Percentage of changed pixels still treated as a match
+            ignore: [],
+            updateBaselines: process.env.UPDATE_BASELINES === 'true',
+            failOnMissingBaseline: process.env.VISUAL_FAIL_ON_MISSING === 'true'
+        };
+        this.visualResults = [];
+        
         // Ensure screenshots directory exists
         this._ensureDirectoryExists(this.screenshotsDir);
     }
@@ -227,6 +248,169 @@ class ScreenshotManager {
         }
     }
 
+    /**
+     * Update the visual comparison defaults
+     * @param {Object} config - Settings to merge (threshold, tolerance, ignore, ...)
+     */
+    setVisualConfig(config = {}) {
+        this.visualConfig = { ...this.visualConfig, ...config };
+    }
+
+    /**
+     * Compare a named screenshot with its baseline. Without a baseline the
+     * screenshot becomes the baseline.
+     * @param {string} name - Baseline name (e.g. 'chat-panel-welcome')
+     * @param {Object} options - Comparison options
+     * @param {string} options.selector - Element (or composite) locator to capture instead of the viewport
+     * @param {Array} options.ignore - Selectors or { x, y, width, height } regions (CSS pixels, relative to the capture) to mask
+     * @param {number} options.tolerance - Percentage of changed pixels allowed
+     * @param {number} options.threshold - Per-pixel colour threshold (0-1)
+     * @param {Object} browser - WebdriverIO browser instance
+     * @returns {Promise<Object>} Result ({ name, status, passed, mismatchPercentage, baselinePath, actualPath, diffPath })
+     */
+    async compareScreenshot(name, options = {}, browser = null) {
+        const browserInstance = browser || global.browser;
+        const settings = { ...this.visualConfig, ...options };
+        const fileName = `${this._sanitizeName(name)}.png`;
+        const baselinePath = path.join(this.baselinesDir, fileName);
+        const actualPath = path.join(this.visualDir, 'actual', fileName);
+        const diffPath = path.join(this.visualDir, 'diff', fileName);
+
+        try {
+            this._ensureDirectoryExists(path.dirname(actualPath));
+            this._ensureDirectoryExists(path.dirname(diffPath));
+            this._removeFile(diffPath);
+
+            const masks = await this._captureVisual(actualPath, settings, browserInstance);
+            const result = {
+                name,
+                selector: settings.selector || null,
+                status: 'passed',
+                passed: true,
+                mismatchedPixels: 0,
+                mismatchPercentage: 0,
+                tolerance: settings.tolerance,
+                baselinePath,
+                actualPath: null,
+                diffPath: null,
+                timestamp: new Date().toISOString()
+            };
+
+            const hasBaseline = fs.existsSync(baselinePath);
+            if (!hasBaseline && settings.failOnMissingBaseline) {
+                Object.assign(result, { status: 'missing', passed: false, actualPath });
+            } else if (!hasBaseline || settings.updateBaselines) {
+                this._ensureDirectoryExists(this.baselinesDir);
+                fs.renameSync(actualPath, baselinePath);
+                result.status = hasBaseline ? 'updated' : 'created';
+            } else {
+                const comparison = this.compareImages(baselinePath, actualPath, { threshold: settings.threshold, masks });
+                result.mismatchedPixels = comparison.mismatchedPixels;
+                result.mismatchPercentage = comparison.mismatchPercentage;
+
+                if (comparison.sizeMismatch || comparison.mismatchPercentage > settings.tolerance) {
+                    Object.assign(result, { status: 'failed', passed: false, actualPath, reason: comparison.reason || null });
+                    if (comparison.diff) {
+                        fs.writeFileSync(diffPath, PNG.sync.write(comparison.diff));
+                        result.diffPath = diffPath;
+                    }
+                } else {
+                    this._removeFile(actualPath);
+                }
+            }
+
+            this.visualResults.push(result);
+            this._logVisualResult(result);
+            return result;
+        } catch (error) {
+            console.error('❌ Error comparing screenshot:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Diff two PNG files
+     * @param {string} baselinePath - Baseline image
+     * @param {string} actualPath - Actual image
+     * @param {Object} options - Diff options
+     * @param {number} options.threshold - Per-pixel colour threshold (0-1)
+     * @param {Array} options.masks - { x, y, width, height } regions in image pixels to ignore
+     * @returns {Object} { mismatchedPixels, totalPixels, mismatchPercentage, sizeMismatch, diff (PNG) }
+     */
+    compareImages(baselinePath, actualPath, options = {}) {
+        const baseline = PNG.sync.read(fs.readFileSync(baselinePath));
+        const actual = PNG.sync.read(fs.readFileSync(actualPath));
+        const { width, height } = actual;
+
+        if (baseline.width !== width || baseline.height !== height) {
+            return {
+                sizeMismatch: true,
+                reason: `Size changed from ${baseline.width}x${baseline.height} to ${width}x${height}`,
+                mismatchedPixels: width * height,
+                totalPixels: width * height,
+                mismatchPercentage: 100,
+                diff: null
+            };
+        }
+
+        const masks = options.masks || [];
+        this._applyMasks(baseline, masks);
+        this._applyMasks(actual, masks);
+
+        const diff = new PNG({ width, height });
+        const mismatchedPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, {
+            threshold: options.threshold !== undefined ? options.threshold : this.visualConfig.threshold
+        });
+        const totalPixels = width * height;
+
+        return {
+            sizeMismatch: false,
+            mismatchedPixels,
+            totalPixels,
+            mismatchPercentage: Math.round((mismatchedPixels / totalPixels) * 100000) / 1000,
+            diff
+        };
+    }
+
+    /**
+     * Promote the actual images of failed or missing comparisons to baselines
+     * @param {Array} names - Baseline names to approve (all pending when empty)
+     * @returns {Array} Approved baseline file names
+     */
+    approveBaselines(names = []) {
+        const actualDir = path.join(this.visualDir, 'actual');
+        if (!fs.existsSync(actualDir)) {
+            return [];
+        }
+
+        const wanted = names.map(name => `${this._sanitizeName(name.replace(/\.png$/i, ''))}.png`);
+        const approved = fs.readdirSync(actualDir)
+            .filter(file => file.endsWith('.png') && (wanted.length === 0 || wanted.includes(file)));
+
+        this._ensureDirectoryExists(this.baselinesDir);
+        approved.forEach(file => {
+            fs.renameSync(path.join(actualDir, file), path.join(this.baselinesDir, file));
+            this._removeFile(path.join(this.visualDir, 'diff', file));
+            console.log(`✅ Baseline approved: ${file}`);
+        });
+        return approved;
+    }
+
+    /**
+     * Get the visual comparisons made since the last clear
+     * @returns {Array} Comparison results
+     */
+    getVisualResults() {
+        return this.visualResults;
+    }
+
+    /**
+     * Forget recorded visual comparisons (e.g. after attaching them to a test)
+     */
+    clearVisualResults() {
+        this.visualResults = [];
+    }
+
     /**
      * Get screenshot statistics
      * @returns {Object} Screenshot statistics
@@ -350,9 +534,110 @@ class ScreenshotManager {
         this.currentTestName = '';
         this.currentSuiteName = '';
         this.screenshotHistory = [];
+        this.visualResults = [];
         console.log('🔄 Screenshot manager reset');
     }
 
+    /**
+     * Capture the viewport or an element and work out the mask regions
+     * @param {string} filePath - Where to save the capture
+     * @param {Object} settings - Comparison settings
+     * @param {Object} browserInstance - WebdriverIO browser instance
+     * @returns {Promise<Array>} Mask regions in image pixels
+     */
+    async _captureVisual(filePath, settings, browserInstance) {
+        const ignore = settings.ignore || [];
+        const selectors = ignore.filter(entry => typeof entry === 'string');
+        const regions = ignore.filter(entry => typeof entry === 'object');
+
+        // Mask selectors are looked up next to the captured element (same document or shadow root)
+        const measure = element => browserInstance.execute((target, maskSelectors) => {
+            const root = target ? target.getRootNode() : document;
+            const origin = target ? target.getBoundingClientRect() : { left: 0, top: 0, width: window.innerWidth };
+            const found = [];
+            maskSelectors.forEach(selector => {
+                root.querySelectorAll(selector).forEach(node => {
+                    const rect = node.getBoundingClientRect();
+                    found.push({ x: rect.left - origin.left, y: rect.top - origin.top, width: rect.width, height: rect.height });
+                });
+            });
+            return { width: origin.width, regions: found };
+        }, element, selectors);
+
+        let layout;
+        if (settings.selector) {
+            layout = await locators.within(settings.selector, async element => {
+                await element.scrollIntoView({ block: 'center' });
+                const measured = await measure(element);
+                await element.saveScreenshot(filePath);
+                return measured;
+            });
+        } else {
+            layout = await measure(null);
+            await browserInstance.saveScreenshot(filePath);
+        }
+
+        // Screenshots are in device pixels; masks were measured in CSS pixels
+        const { width } = PNG.sync.read(fs.readFileSync(filePath));
+        const scale = layout.width > 0 ? width / layout.width : 1;
+        return [...regions, ...layout.regions].map(region => ({
+            x: Math.floor(region.x * scale),
+            y: Math.floor(region.y * scale),
+            width: Math.ceil(region.width * scale),
+            height: Math.ceil(region.height * scale)
+        }));
+    }
+
+    /**
+     * Paint mask regions in a solid colour so they never differ
+     * @param {PNG} image - Decoded image
+     * @param {Array} masks - { x, y, width, height } regions in image pixels
+     */
+    _applyMasks(image, masks) {
+        for (const mask of masks) {
+            const left = Math.max(0, mask.x);
+            const top = Math.max(0, mask.y);
+            const right = Math.min(image.width, mask.x + mask.width);
+            const bottom = Math.min(image.height, mask.y + mask.height);
+
+            for (let y = top; y < bottom; y++) {
+                for (let x = left; x < right; x++) {
+                    const offset = (y * image.width + x) * 4;
+                    image.data[offset] = 255;
+                    image.data[offset + 1] = 0;
+                    image.data[offset + 2] = 255;
+                    image.data[offset + 3] = 255;
+                }
+            }
+        }
+    }
+
+    _logVisualResult(result) {
+        switch (result.status) {
+            case 'created':
+                console.log(`🆕 Baseline created: ${result.name}`);
+                break;
+            case 'updated':
+                console.log(`🔁 Baseline updated: ${result.name}`);
+                break;
+            case 'missing':
+                console.log(`❌ No baseline for ${result.name}; approve ${result.actualPath} to create it`);
+                break;
+            case 'failed':
+                console.log(`❌ Visual mismatch for ${result.name}: ${result.reason || `${result.mismatchPercentage}% of pixels differ`} ` +
+                    `(tolerance ${result.tolerance}%)`);
+                break;
+            default:
+                console.log(`🖼️ Visual match for ${result.name}: ${result.mismatchPercentage}% of pixels differ`);
+        }
+    }
+
+    _removeFile(filePath) {
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+    }
+
     /**
      * Ensure directory exists
      * @param {string} dirPath - Directory path
@@ -3,6 +3,8 @@
  * Handles browser session validation and error recovery
  */
 
+const { SessionLostError } = require('./errors');
+
 class SessionManager {
     /**
      * Check if the browser session is still valid
@@ -27,6 +29,10 @@ class SessionManager {
      * @returns {boolean} True if it's a session error
      */
     static isSessionError(error) {
+        if (error instanceof SessionLostError) {
+            return true;
+        }
+
         const sessionErrorMessages = [
             'invalid session id',
             'no such session',
@@ -36,7 +42,7 @@ class SessionManager {
         ];
         
         return sessionErrorMessages.some(msg => 
-            error.message.toLowerCase().includes(msg.toLowerCase())
+            String(error.message).toLowerCase().includes(msg.toLowerCase())
         );
     }
 
@@ -45,17 +51,24 @@ class SessionManager {
      * @param {Function} command - The browser command to execute
      * @param {string} commandName - Name of the command for logging
      * @returns {Promise<any>} Result of the command
+     * @throws {SessionLostError} If the session is invalid or lost while the command runs
      */
     static async safeExecute(command, commandName = 'browser command') {
         try {
             if (!(await this.isSessionValid())) {
-                throw new Error(`Cannot execute ${commandName}: Browser session is invalid`);
+                throw new SessionLostError({
+                    message: `Cannot execute ${commandName}: Browser session is invalid`,
+                    command: commandName
+                });
             }
             return await command();
         } catch (error) {
+            if (error instanceof SessionLostError) {
+                throw error;
+            }
             if (this.isSessionError(error)) {
                 console.log(`Session error during ${commandName}: ${error.message}`);
-                throw new Error(`Browser session lost during ${commandName}`);
+                throw new SessionLostError({ command: commandName, cause: error });
             }
             throw error;
         }
@@ -79,6 +92,17 @@ class SessionManager {
         return false;
     }
 
+    /**
+     * Replace a dead browser session with a new one using the same capabilities
+     * @returns {Promise<string>} ID of the new WebDriver session
+     */
+    static async restartSession() {
+        console.log('🔄 Starting a new browser session');
+        await browser.reloadSession();
+        console.log(`✅ New browser session: ${browser.sessionId}`);
+        return browser.sessionId;
+    }
+
     /**
      * Force quit browser session if it's stuck
      */
@@ -0,0 +1,193 @@
+/**
+ * Session Recovery Utility
+ *
+ * Recovers a conversation after the WebDriver session dies mid-test
+ * (browser crash, "invalid session id"). When enabled, ChatbotPage hands a
+ * SessionLostError to recover(), which starts a new browser session and
+ * lets the page resume the conversation:
+ *   'restore' - write the stored chat session ID (profile "chatSession") back
+ *               into the new browser so the widget reopens the same conversation
+ *   'replay'  - reopen the chat and send the already-completed turns again
+ *   'auto'    - restore when the profile stores a session ID and one was captured, else replay
+ * The page then repeats the turn that failed. Recoveries per test are capped
+ * by a count and a time budget, and every recovery is reported as a warning
+ * in the console and the Allure report so a recovered test never passes silently.
+ */
+
+const SessionManager = require('./session-manager');
+const { SessionLostError } = require('./errors');
+const { errorHandler } = require('./error-handler');
+
+const STRATEGIES = ['auto', 'restore', 'replay'];
+
+class SessionRecovery {
+    constructor() {
+        this.enabled = process.env.SESSION_RECOVERY === 'true';
+        this.maxRecoveries = Number(process.env.SESSION_RECOVERY_MAX) || 2;
+        this.maxRecoveryTime = 120000;
+        this.strategy = process.env.SESSION_RECOVERY_STRATEGY || 'auto';
+        this.reset();
+    }
+
+    /**
+     * Configure session recovery
+     * @param {Object} options - Recovery options
+     * @param {boolean} options.enabled - Recover lost sessions (default SESSION_RECOVERY=true)
+     * @param {number} options.maxRecoveries - Recoveries allowed per test (default 2)
+     * @param {number} options.maxRecoveryTime - Time in milliseconds all recoveries of a test may take (default 120000)
+     * @param {string} options.strategy - 'auto', 'restore' or 'replay'
+     */
+    configure(options = {}) {
+        if (options.strategy !== undefined && !STRATEGIES.includes(options.strategy)) {
+            throw new Error(`Unknown recovery strategy "${options.strategy}". Use one of: ${STRATEGIES.join(', ')}`);
+        }
+        ['enabled', 'maxRecoveries', 'maxRecoveryTime', 'strategy'].forEach(key => {
+            if (options[key] !== undefined) {
+                this[key] = options[key];
+            }
+        });
+        console.log('⚙️ Session recovery updated:', {
+            enabled: this.enabled,
+            maxRecoveries: this.maxRecoveries,
+            maxRecoveryTime: this.maxRecoveryTime,
+            strategy: this.strategy
+        });
+    }
+
+    /**
+     * Start counting recoveries for a new test
+     * @param {string} suiteName - Test suite name
+     * @param {string} testName - Test name
+     */
+    startTest(suiteName, testName) {
+        this.reset();
+        this.suiteName = suiteName || '';
+        this.testName = testName || '';
+    }
+
+    /**
+     * Clear the recoveries of the current test
+     */
+    reset() {
+        this.suiteName = '';
+        this.testName = '';
+        this.events = [];
+        this.elapsed = 0;
+    }
+
+    /**
+     * Get what is left of the current test's recovery budget
+     * @returns {Object} { used, maxRecoveries, elapsed, maxRecoveryTime, exhausted }
+     */
+    getBudget() {
+        const used = this.events.length;
+        return {
+            used,
+            maxRecoveries: this.maxRecoveries,
+            elapsed: this.elapsed,
+            maxRecoveryTime: this.maxRecoveryTime,
+            exhausted: used >= this.maxRecoveries || this.elapsed >= this.maxRecoveryTime
+        };
+    }
+
+    /**
+     * Start a new browser session and resume the page's conversation
+     * @param {ChatbotPage} page - Page whose conversation is resumed
+     * @param {Error} error - Session error that triggered the recovery
+     * @param {Object} options - Recovery details
+     * @param {string} options.turn - Text of the turn that failed
+     * @returns {Promise<Object>} Recovery event { at, turn, error, strategy, replayedTurns, restoredSessionId, sessionId, duration, outcome }
+     * @throws {SessionLostError} If recovery is disabled, the budget is used up or the recovery fails
+     */
+    async recover(page, error, options = {}) {
+        if (!this.enabled) {
+            throw error;
+        }
+
+        const budget = this.getBudget();
+        if (budget.exhausted) {
+            throw new SessionLostError({
+                message: `${error.message}; session recovery budget exhausted ` +
+                    `(${budget.used}/${budget.maxRecoveries} recoveries, ${budget.elapsed}/${budget.maxRecoveryTime}ms)`,
+                command: error.command,
+                cause: error
+            });
+        }
+
+        const startTime = Date.now();
+        const event = {
+            at: new Date(startTime).toISOString(),
+            turn: options.turn || null,
+            error: error.message,
+            strategy: null,
+            replayedTurns: 0,
+            restoredSessionId: null,
+            sessionId: null,
+            duration: null,
+            outcome: null
+        };
+        console.warn(`⚠️ Browser session lost: ${error.message}. Recovering (${budget.used + 1}/${this.maxRecoveries})`);
+
+        try {
+            event.sessionId = await SessionManager.restartSession();
+            Object.assign(event, await page.resumeConversation({ strategy: this.strategy }));
+            event.outcome = 'recovered';
+        } catch (recoveryError) {
+            event.outcome = 'failed';
+            event.failure = recoveryError.message;
+            throw new SessionLostError({
+                message: `${error.message}; session recovery failed: ${recoveryError.message}`,
+                command: error.command,
+                cause: recoveryError
+            });
+        } finally {
+            event.duration = Date.now() - startTime;
+            this.elapsed += event.duration;
+            this.events.push(event);
+            errorHandler.handleError(error, 'session recovery', { recovery: event.outcome, strategy: event.strategy });
+        }
+
+        console.warn(`⚠️ Session recovered by ${event.strategy} in ${event.duration}ms` +
+            `${event.turn ? `; repeating turn "${event.turn}"` : ''}`);
+        return event;
+    }
+
+    /**
+     * Check whether the current test needed a recovery
+     * @returns {boolean} True if a recovery was attempted
+     */
+    hasContent() {
+        return this.events.length > 0;
+    }
+
+    /**
+     * Get the recoveries of the current test
+     * @returns {Array} Recovery events
+     */
+    getTestEvents() {
+        return this.events.slice();
+    }
+
+    /**
+     * Describe the current test's recoveries in one line
+     * @returns {string|null} Warning text, or null when no recovery happened
+     */
+    getWarning() {
+        if (!this.hasContent()) {
+            return null;
+        }
+        const recovered = this.events.filter(event => event.outcome === 'recovered').length;
+        const strategies = [...new Set(this.events.map(event => event.strategy).filter(Boolean))];
+        return `Browser session lost ${this.events.length} time(s) in "${this.testName}"; ` +
+            `${recovered} recovered${strategies.length > 0 ? ` by ${strategies.join(', ')}` : ''}`;
+    }
+}
+
+// Create singleton instance
+const sessionRecovery = new SessionRecovery();
+
+// Export both class and singleton instance
+module.exports = {
+    SessionRecovery,
+    sessionRecovery
+};
@@ -8,12 +8,50 @@
 const fs = require('fs');
 const path = require('path');
 const csv = require('csv-parser');
+const yaml = require('js-yaml');
+const { botiumParser } = require('./botium-parser');
 
 class TestDataManager {
     constructor() {
         this.testDataDir = path.join(__dirname, '../../test-data');
         this.cache = new Map();
         this.dataValidators = new Map();
+        this.locale = process.env.LOCALE || null;
+    }
+
+    /**
+     * Set the default locale used to resolve locale variants of test data files
+     * @param {string} locale - Locale code (e.g. 'cy'), or null for the base files
+     */
+    setLocale(locale) {
+        this.locale = locale || null;
+        console.log(`🌐 Test data locale: ${this.locale || 'default'}`);
+    }
+
+    /**
+     * Resolve the locale variant of a test data file: flows.json becomes
+     * flows.cy.json and flows/billing.flow.yaml becomes flows/billing.flow.cy.yaml.
+     * Falls back to the file itself when no variant exists.
+     * @param {string} filename - Test data file
+     * @param {string} locale - Locale code (defaults to the current locale)
+     * @returns {string} Filename of the variant, or the original filename
+     */
+    resolveLocaleFile(filename, locale = this.locale) {
+        if (!locale) {
+            return filename;
+        }
+
+        const localized = this._localizedName(filename, locale);
+        if (fs.existsSync(path.join(this.testDataDir, localized))) {
+            return localized;
+        }
+
+        // cy-GB falls back to cy
+        const language = locale.split(/[-_]/)[0];
+        if (language !== locale) {
+            return this.resolveLocaleFile(filename, language);
+        }
+        return filename;
     }
 
     /**
@@ -83,13 +121,56 @@ class TestDataManager {
         });
     }
 
+    /**
+     * Load CSV test data from file synchronously. Needed where data must be
+     * available while Mocha collects tests (describe blocks cannot await).
+     * @param {string} filename - Name of the CSV file
+     * @returns {Array} Array of objects representing CSV rows
+     */
+    loadCsvDataSync(filename) {
+        const cacheKey = `csv_${filename}`;
+        
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        try {
+            const filePath = path.join(this.testDataDir, filename);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`Test data file not found: ${filePath}`);
+            }
+
+            // Feed the whole file through csv-parser and drain it without waiting for events
+            const parser = csv();
+            parser.write(fs.readFileSync(filePath));
+            parser.end();
+
+            const results = [];
+            let row;
+            while ((row = parser.read()) !== null) {
+                results.push(row);
+            }
+
+            this.cache.set(cacheKey, results);
+            console.log(`📁 Loaded CSV data from ${filename}: ${results.length} rows`);
+            return results;
+        } catch (error) {
+            console.error(`❌ Error loading CSV data from ${filename}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Load Botium conversations from file
-     * @param {string} filename - Name of the conversations file
+     * @param {string} filename - Name of the conversations file (JSON or BotiumScript .convo.txt)
      * @returns {Array} Array of conversation objects
      */
     loadConversations(filename) {
         try {
+            if (filename.endsWith(botiumParser.convoExtension)) {
+                return this.loadBotiumConvos(filename);
+            }
+
             const data = this.loadJsonData(filename);
             const conversations = data.convos || data;
             
@@ -105,6 +186,118 @@ class TestDataManager {
         }
     }
 
+    /**
+     * Load BotiumScript convos from a .convo.txt file or a directory of
+     * .convo.txt/.utterances.txt files, resolving utterance references
+     * @param {string} relativePath - File or directory path relative to the test data directory
+     * @param {Object} options - Options
+     * @param {string} options.utteranceMode - 'first', 'random' or 'all'
+     * @param {string} options.utterancesPath - Optional extra file or directory with .utterances.txt files
+     * @returns {Array} Array of parsed convo objects
+     */
+    loadBotiumConvos(relativePath, options = {}) {
+        const utteranceMode = options.utteranceMode || 'first';
+        const cacheKey = `botium_${relativePath}_${options.utterancesPath || ''}_${utteranceMode}`;
+
+        if (utteranceMode !== 'random' && this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        try {
+            const parsed = this._loadBotiumPath(relativePath);
+
+            if (options.utterancesPath) {
+                parsed.utterances.push(...this._loadBotiumPath(options.utterancesPath).utterances);
+            }
+
+            const convos = botiumParser.expandUtterances(parsed.convos, parsed.utterances, { mode: utteranceMode });
+
+            if (utteranceMode !== 'random') {
+                this.cache.set(cacheKey, convos);
+            }
+            console.log(`💬 Loaded ${convos.length} Botium convos from ${relativePath}`);
+            return convos;
+        } catch (error) {
+            console.error(`❌ Error loading Botium convos from ${relativePath}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load a conversation flow definition from a JSON or YAML file
+     * @param {string} filename - Name of the flow file (.json, .yaml or .yml)
+     * @returns {Object} Flow definition
+     */
+    loadFlowData(filename) {
+        if (filename.endsWith('.json')) {
+            return this.loadJsonData(filename);
+        }
+
+        const cacheKey = `yaml_${filename}`;
+        
+        if (this.cache.has(cacheKey)) {
+            return this.cache.get(cacheKey);
+        }
+
+        try {
+            const filePath = path.join(this.testDataDir, filename);
+            if (!fs.existsSync(filePath)) {
+                throw new Error(`Test data file not found: ${filePath}`);
+            }
+
+            const data = yaml.load(fs.readFileSync(filePath, 'utf8'));
+            this.cache.set(cacheKey, data);
+            console.log(`📁 Loaded YAML data from ${filename}`);
+            
+            return data;
+        } catch (error) {
+            console.error(`❌ Error loading YAML data from ${filename}:`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load utterance → expected intent data from a CSV or JSON file.
+     * CSV columns (header case and spacing are ignored): id, utterance,
+     * expected_intent (or intent / expected), tags. JSON files hold an
+     * array of { id, utterance, expectedIntent, tags } or { cases: [...] }.
+     * @param {string} filename - Name of the CSV or JSON file
+     * @returns {Array} Cases ({ id, utterance, expectedIntent, tags })
+     */
+    loadIntentData(filename) {
+        try {
+            let rows;
+            if (filename.toLowerCase().endsWith('.csv')) {
+                rows = this.loadCsvDataSync(filename);
+            } else {
+                const data = this.loadJsonData(filename);
+                rows = Array.isArray(data) ? data : data.cases || [];
+            }
+
+            const cases = rows.map((row, index) => {
+                const normalized = {};
+                Object.entries(row).forEach(([key, value]) => {
+                    const header = key.replace(/^\uFEFF/, '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+                    normalized[header] = typeof value === 'string' ? value.trim() : value;
+                });
+
+                const tags = normalized.tags || [];
+                return {
+                    id: normalized.id || `row-${index + 1}`,
+                    utterance: normalized.utterance || normalized.message || '',
+                    expectedIntent: normalized.expected_intent || normalized.expectedintent || normalized.intent || normalized.expected || '',
+                    tags: Array.isArray(tags) ? tags : tags.split(/[|;,]/).map(tag => tag.trim()).filter(Boolean)
+                };
+            }).filter(testCase => testCase.utterance && testCase.expectedIntent);
+
+            console.log(`🎯 Loaded ${cases.length} intent cases from ${filename}`);
+            return cases;
+        } catch (error) {
+            console.error(`❌ Error loading intent data from ${filename}:`, error.message);
+            throw error;
+        }
+    }
+
     /**
      * Get conversation by name
      * @param {string} filename - Name of the conversations file
@@ -240,21 +433,34 @@ class TestDataManager {
     }
 
     /**
-     * Load environment-specific test data
+     * Load environment- and locale-specific test data. The first existing file
+     * of base.<environment>.<locale>.json, base.<locale>.json,
+     * base.<environment>.json and base.json is used.
      * @param {string} baseFilename - Base filename without extension
      * @param {string} environment - Environment name (dev, test, prod)
+     * @param {string} locale - Locale code (defaults to the current locale)
      * @returns {Object} Environment-specific test data
      */
-    loadEnvironmentData(baseFilename, environment = 'test') {
-        const envFilename = `${baseFilename}.${environment}.json`;
-        const fallbackFilename = `${baseFilename}.json`;
-        
-        try {
-            return this.loadJsonData(envFilename);
-        } catch (error) {
-            console.log(`📁 Environment-specific file not found, using fallback: ${fallbackFilename}`);
-            return this.loadJsonData(fallbackFilename);
+    loadEnvironmentData(baseFilename, environment = 'test', locale = this.locale) {
+        const environmentFile = `${baseFilename}.${environment}.json`;
+        const baseFile = `${baseFilename}.json`;
+        // cy-GB falls back to cy before the non-localized files
+        const locales = locale ? [...new Set([locale, locale.split(/[-_]/)[0]])] : [];
+        const candidates = [
+            ...locales.map(code => this._localizedName(environmentFile, code)),
+            ...locales.map(code => this._localizedName(baseFile, code)),
+            environmentFile,
+            baseFile
+        ];
+
+        const filename = candidates.find(candidate => fs.existsSync(path.join(this.testDataDir, candidate)));
+        if (!filename) {
+            throw new Error(`Test data file not found: ${path.join(this.testDataDir, `${baseFilename}.json`)}`);
         }
+        if (filename !== candidates[0]) {
+            console.log(`📁 Using ${filename} for ${baseFilename} (${environment}${locale ? `, ${locale}` : ''})`);
+        }
+        return this.loadJsonData(filename);
     }
 
     /**
@@ -285,6 +491,41 @@ class TestDataManager {
         }
     }
 
+    /**
+     * Build the locale variant name of a file (flows.json becomes flows.cy.json)
+     * @param {string} filename - Test data file
+     * @param {string} locale - Locale code
+     * @returns {string} Localized filename
+     */
+    _localizedName(filename, locale) {
+        const extension = path.extname(filename);
+        return `${filename.slice(0, filename.length - extension.length)}.${locale}${extension}`;
+    }
+
+    /**
+     * Parse a BotiumScript file or directory relative to the test data directory.
+     * A single .convo.txt file comes with the .utterances.txt files next to it.
+     * @param {string} relativePath - File or directory path
+     * @returns {Object} Object with convos and utterances arrays
+     */
+    _loadBotiumPath(relativePath) {
+        const fullPath = path.join(this.testDataDir, relativePath);
+
+        if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+            return botiumParser.loadDirectory(fullPath);
+        }
+
+        const parsed = botiumParser.loadFile(fullPath);
+        if (fullPath.endsWith(botiumParser.convoExtension)) {
+            const dirPath = path.dirname(fullPath);
+            fs.readdirSync(dirPath)
+                .filter(file => file.endsWith(botiumParser.utterancesExtension))
+                .sort()
+                .forEach(file => parsed.utterances.push(...botiumParser.loadFile(path.join(dirPath, file)).utterances));
+        }
+        return parsed;
+    }
+
     /**
      * Private method to validate object structure
      * @param {Object} data - Data to validate
@@ -0,0 +1,341 @@
+/**
+ * Text Similarity Utility
+ *
+ * Pure JavaScript, offline similarity scoring for chatbot responses.
+ * Scores an actual response against expected text using token overlap,
+ * Levenshtein distance and synonym-aware token matching.
+ *
+ * Scores are asymmetric: they measure how much of the expected text the
+ * response contains, not how close the two texts are. A long reply that
+ * contains every expected token scores 1.0 for token and synonym overlap
+ * whatever else it says, and Levenshtein compares the expected text with
+ * the best matching window of the reply. Swapping the arguments changes
+ * the score.
+ */
+
+// Words ignored when comparing tokens
+const DEFAULT_STOPWORDS = [
+    'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'at', 'for', 'with',
+    'is', 'are', 'was', 'be', 'it', 'this', 'that', 'i', 'you', 'we', 'me', 'my', 'your',
+    'can', 'do', 'please', 'so', 'will', 'just'
+];
+
+// Default synonym groups for common customer service wording
+const DEFAULT_SYNONYMS = [
+    ['hello', 'hi', 'hey', 'greetings', 'welcome'],
+    ['help', 'assist', 'support', 'aid'],
+    ['bill', 'invoice', 'statement', 'charge'],
+    ['pay', 'payment', 'settle'],
+    ['cancel', 'terminate', 'end', 'stop'],
+    ['buy', 'purchase', 'order'],
+    ['problem', 'issue', 'fault', 'trouble'],
+    ['fix', 'repair', 'resolve', 'sort'],
+    ['agent', 'advisor', 'adviser', 'representative', 'person', 'human'],
+    ['broadband', 'internet', 'wifi', 'connection'],
+    ['phone', 'mobile', 'handset'],
+    ['sorry', 'apologise', 'apologize', 'apologies'],
+    ['thanks', 'thank', 'cheers'],
+    ['move', 'relocate'],
+    ['home', 'house', 'property'],
+    ['change', 'update', 'modify', 'amend'],
+    ['check', 'view', 'see', 'look']
+];
+
+class TextSimilarity {
+    constructor() {
+        this.stopwords = new Set(DEFAULT_STOPWORDS);
+        this.synonymIndex = new Map();
+        this.defaultThreshold = 0.6;
+        this.defaultWeights = {
+            tokenOverlap: 0.3,
+            levenshtein: 0.3,
+            synonym: 0.4
+        };
+
+        DEFAULT_SYNONYMS.forEach(group => this.addSynonyms(group));
+    }
+
+    /**
+     * Register a group of words that should be treated as equivalent
+     * @param {Array} words - Synonym group
+     */
+    addSynonyms(words) {
+        const stems = words.map(word => this._stem(word.toLowerCase()));
+        const canonical = stems[0];
+
+        stems.forEach(stem => {
+            const existing = this.synonymIndex.get(stem);
+            // Merge with an existing group so chains of synonyms share one canonical form
+            if (existing && existing !== canonical) {
+                for (const [key, value] of this.synonymIndex.entries()) {
+                    if (value === existing) {
+                        this.synonymIndex.set(key, canonical);
+                    }
+                }
+            }
+            this.synonymIndex.set(stem, canonical);
+        });
+    }
+
+    /**
+     * Load synonym groups from a JSON file (array of arrays)
+     * @param {string} filePath - Path to synonyms JSON file
+     */
+    loadSynonyms(filePath) {
+        const fs = require('fs');
+        const groups = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (!Array.isArray(groups)) {
+            throw new Error(`Invalid synonyms file, expected array of arrays: ${filePath}`);
+        }
+
+        groups.forEach(group => this.addSynonyms(group));
+        console.log(`📚 Loaded ${groups.length} synonym groups from ${filePath}`);
+    }
+
+    /**
+     * Score an actual response against expected text
+     * @param {string} actual - Actual response text
+     * @param {string} expected - Expected text
+     * @param {Object} options - Scoring options
+     * @param {string} options.method - 'combined', 'tokenOverlap', 'levenshtein' or 'synonym'
+     * @param {number} options.threshold - Score required to pass (0-1)
+     * @param {Object} options.weights - Weights for the combined score
+     * @param {Array} options.synonyms - Extra synonym groups for this comparison only
+     * @returns {Object} Report with score, passed flag and per-method breakdown
+     */
+    score(actual, expected, options = {}) {
+        const method = options.method || 'combined';
+        const threshold = options.threshold !== undefined ? options.threshold : this.defaultThreshold;
+        const weights = { ...this.defaultWeights, ...(options.weights || {}) };
+        const synonymIndex = options.synonyms ? this._extendSynonymIndex(options.synonyms) : this.synonymIndex;
+
+        const actualText = actual || '';
+        const expectedText = expected || '';
+
+        const breakdown = {
+            tokenOverlap: this.tokenOverlap(actualText, expectedText),
+            levenshtein: this.levenshteinSimilarity(actualText, expectedText),
+            synonym: this.synonymOverlap(actualText, expectedText, synonymIndex)
+        };
+
+        let score;
+        if (method === 'combined') {
+            const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+            score = Object.keys(breakdown)
+                .reduce((sum, key) => sum + breakdown[key] * (weights[key] || 0), 0) / (totalWeight || 1);
+        } else if (method in breakdown) {
+            score = breakdown[method];
+        } else {
+            throw new Error(`Unknown similarity method: ${method}`);
+        }
+
+        return {
+            score: this._round(score),
+            threshold,
+            passed: score >= threshold,
+            method,
+            breakdown: {
+                tokenOverlap: this._round(breakdown.tokenOverlap),
+                levenshtein: this._round(breakdown.levenshtein),
+                synonym: this._round(breakdown.synonym)
+            },
+            actual: actualText,
+            expected: expectedText
+        };
+    }
+
+    /**
+     * Share of expected tokens present in the actual text. Extra tokens in
+     * the actual text do not lower the score
+     * @param {string} actual - Actual text
+     * @param {string} expected - Expected text
+     * @returns {number} Score between 0 and 1
+     */
+    tokenOverlap(actual, expected) {
+        const expectedTokens = new Set(this.tokenize(expected));
+        const actualTokens = new Set(this.tokenize(actual));
+
+        if (expectedTokens.size === 0) {
+            return actualTokens.size === 0 ? 1 : 0;
+        }
+
+        let matched = 0;
+        expectedTokens.forEach(token => {
+            if (actualTokens.has(token)) matched++;
+        });
+
+        return matched / expectedTokens.size;
+    }
+
+    /**
+     * Share of expected tokens present in the actual text after mapping
+     * synonyms. Extra tokens in the actual text do not lower the score
+     * @param {string} actual - Actual text
+     * @param {string} expected - Expected text
+     * @param {Map} synonymIndex - Optional synonym index override
+     * @returns {number} Score between 0 and 1
+     */
+    synonymOverlap(actual, expected, synonymIndex = this.synonymIndex) {
+        const canonical = token => synonymIndex.get(token) || token;
+        const expectedTokens = new Set(this.tokenize(expected).map(canonical));
+        const actualTokens = new Set(this.tokenize(actual).map(canonical));
+
+        if (expectedTokens.size === 0) {
+            return actualTokens.size === 0 ? 1 : 0;
+        }
+
+        let matched = 0;
+        expectedTokens.forEach(token => {
+            if (actualTokens.has(token)) matched++;
+        });
+
+        return matched / expectedTokens.size;
+    }
+
+    /**
+     * Normalized Levenshtein similarity of the expected text against the
+     * best matching window of the actual text (partial match)
+     * @param {string} actual - Actual text
+     * @param {string} expected - Expected text
+     * @returns {number} Score between 0 and 1
+     */
+    levenshteinSimilarity(actual, expected) {
+        const expectedNorm = this.normalize(expected);
+        const actualNorm = this.normalize(actual);
+
+        if (!expectedNorm && !actualNorm) return 1;
+        if (!expectedNorm || !actualNorm) return 0;
+
+        const expectedWords = expectedNorm.split(' ');
+        const actualWords = actualNorm.split(' ');
+
+        if (actualWords.length <= expectedWords.length) {
+            return this._ratio(actualNorm, expectedNorm);
+        }
+
+        // Slide a window of the expected length over the actual text
+        let best = 0;
+        for (let start = 0; start <= actualWords.length - expectedWords.length; start++) {
+            const window = actualWords.slice(start, start + expectedWords.length).join(' ');
+            best = Math.max(best, this._ratio(window, expectedNorm));
+            if (best === 1) break;
+        }
+        return best;
+    }
+
+    /**
+     * Levenshtein edit distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Edit distance
+     */
+    levenshteinDistance(a, b) {
+        if (a === b) return 0;
+        if (!a.length) return b.length;
+        if (!b.length) return a.length;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + cost
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Lowercase, strip punctuation and collapse whitespace
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[’']/g, '')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Split text into stemmed tokens without stopwords
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Tokens
+     */
+    tokenize(text) {
+        const normalized = this.normalize(text);
+        if (!normalized) return [];
+
+        return normalized
+            .split(' ')
+            .filter(token => !this.stopwords.has(token))
+            .map(token => this._stem(token));
+    }
+
+    /**
+     * Set default threshold used when none is passed
+     * @param {number} threshold - Threshold between 0 and 1
+     */
+    setDefaultThreshold(threshold) {
+        this.defaultThreshold = threshold;
+    }
+
+    /**
+     * Similarity ratio from edit distance
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Score between 0 and 1
+     */
+    _ratio(a, b) {
+        const maxLength = Math.max(a.length, b.length);
+        return maxLength === 0 ? 1 : 1 - this.levenshteinDistance(a, b) / maxLength;
+    }
+
+    /**
+     * Very small suffix stemmer so "bills", "billing" and "billed" compare equal
+     * @param {string} token - Token
+     * @returns {string} Stem
+     */
+    _stem(token) {
+        if (token.length <= 4) return token;
+        return token
+            .replace(/ies$/, 'y')
+            .replace(/(ing|ed)$/, '')
+            .replace(/([^s])s$/, '$1');
+    }
+
+    /**
+     * Copy the synonym index and add extra groups
+     * @param {Array} groups - Synonym groups
+     * @returns {Map} Extended index
+     */
+    _extendSynonymIndex(groups) {
+        const copy = new TextSimilarity();
+        copy.synonymIndex = new Map(this.synonymIndex);
+        groups.forEach(group => copy.addSynonyms(group));
+        return copy.synonymIndex;
+    }
+
+    _round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+}
+
+// Create singleton instance
+const textSimilarity = new TextSimilarity();
+
+// Export both class and singleton instance
+module.exports = {
+    TextSimilarity,
+    textSimilarity
+};
@@ -0,0 +1,422 @@
+/**
+ * Traffic Recorder Utility
+ *
+ * Captures the chat backend traffic of a test through the Chrome DevTools
+ * Protocol: XHR/fetch requests with their request and response bodies, and
+ * WebSocket frames in both directions. Every entry is tagged with the
+ * conversation turn it belongs to so tests can assert on payloads, e.g.
+ * "turn 2 sent intent X". Turns are numbered from 1; turn 0 is traffic
+ * before the first message.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { networkMonitor } = require('./network-monitor');
+
+class TrafficRecorder {
+    constructor() {
+        this.outputDir = path.join(__dirname, '../../allure-results/traffic');
+        this.enabled = process.env.TRAFFIC !== 'false';
+        this.resourceTypes = ['XHR', 'Fetch', 'WebSocket', 'EventSource'];
+        this.include = null;
+        this.ignore = [];
+        // How long flush() waits for requests still in flight and their response bodies
+        this.flushTimeout = parseInt(process.env.TRAFFIC_FLUSH_TIMEOUT, 10) || 2000;
+        // Where bot platforms usually put the recognised intent
+        this.intentPaths = [
+            'intent',
+            'intent.name',
+            'intent.displayName',
+            'intentName',
+            'topIntent',
+            'nlu.intent',
+            'nlu.intent.name',
+            'queryResult.intent.displayName',
+            'result.metadata.intentName',
+            'prediction.topIntent'
+        ];
+        this.unsubscribe = null;
+        this.reset();
+    }
+
+    /**
+     * Apply the "traffic" section of a chat widget profile
+     * @param {Object} settings - Traffic settings
+     * @param {Array} settings.include - URL substrings or RegExps of the chat API
+     * @param {Array} settings.ignore - URL substrings or RegExps to skip
+     * @param {Array} settings.intentPaths - Payload paths that hold the intent
+     * @param {number} settings.flushTimeout - Time flush() waits for pending responses in milliseconds
+     */
+    configure(settings = {}) {
+        if (settings.include !== undefined) this.include = settings.include;
+        if (settings.ignore !== undefined) this.ignore = settings.ignore;
+        if (settings.intentPaths !== undefined) this.intentPaths = settings.intentPaths;
+        if (settings.flushTimeout !== undefined) this.flushTimeout = settings.flushTimeout;
+    }
+
+    /**
+     * Start capturing traffic (attaches the network monitor when needed)
+     * @param {Object} browser - WebdriverIO browser instance
+     * @returns {Promise<boolean>} True if traffic is being captured
+     */
+    async start(browser = null) {
+        if (!this.enabled) {
+            return false;
+        }
+
+        const attached = await networkMonitor.start(browser);
+        if (attached && !this.unsubscribe) {
+            this.unsubscribe = networkMonitor.onEvent(event => this._handle(event));
+            console.log('🛰️ Traffic recorder started');
+        }
+        return attached;
+    }
+
+    /**
+     * Stop capturing traffic
+     */
+    stop() {
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    /**
+     * Start capturing a new test's traffic
+     * @param {string} suiteName - Test suite name
+     * @param {string} testName - Test name
+     */
+    startTest(suiteName, testName) {
+        this.reset();
+        this.testName = `${suiteName || ''}_${testName || ''}`;
+    }
+
+    /**
+     * Clear captured traffic
+     */
+    reset() {
+        this.testName = '';
+        this.entries = [];
+        this.requests = new Map();
+        this.pendingBodies = new Set();
+        this.currentTurn = 0;
+        this.paused = false;
+    }
+
+    /**
+     * Stop recording new requests and WebSocket frames (e.g. while turns are
+     * replayed after a session recovery); requests already recorded still complete
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Record new requests and WebSocket frames again
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Tag traffic from now on with a turn number
+     * @param {number} turn - Turn number (1-based)
+     */
+    startTurn(turn) {
+        this.currentTurn = turn;
+    }
+
+    /**
+     * Wait until requests still in flight have finished and their response
+     * bodies have been read. Network.loadingFinished can arrive after the bot
+     * message is rendered, so bodies read later would miss the turn. Event
+     * streams never finish and are not waited for.
+     * @param {number} timeout - Maximum wait in milliseconds (defaults to flushTimeout)
+     * @returns {Promise<boolean>} False if responses were still pending at the timeout
+     */
+    async flush(timeout = this.flushTimeout) {
+        const deadline = Date.now() + timeout;
+        const inFlight = () => [...this.requests.values()].filter(entry => entry.resourceType !== 'EventSource').length;
+
+        while (inFlight() > 0 || this.pendingBodies.size > 0) {
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                console.log(`⚠️ Traffic flush timed out: ${inFlight()} request(s) in flight, ${this.pendingBodies.size} response body read(s) pending`);
+                return false;
+            }
+            // Body reads settle the wait early; completions of requests in flight are polled
+            await Promise.race([
+                ...this.pendingBodies,
+                new Promise(resolve => setTimeout(resolve, Math.min(remaining, 100)))
+            ]);
+        }
+        return true;
+    }
+
+    /**
+     * Get captured entries, optionally for one turn
+     * @param {number} turn - Turn number (omit for all traffic)
+     * @returns {Array} Traffic entries
+     */
+    getEntries(turn = null) {
+        return turn === null ? this.entries : this.entries.filter(entry => entry.turn === turn);
+    }
+
+    /**
+     * Get the payloads the widget sent during a turn (request bodies and outgoing frames)
+     * @param {number} turn - Turn number
+     * @returns {Array} Payloads (parsed JSON where possible)
+     */
+    getSentPayloads(turn) {
+        return this.getEntries(turn)
+            .map(entry => (entry.kind === 'http' ? entry.requestBody : entry.direction === 'sent' ? entry.payload : undefined))
+            .filter(payload => payload !== undefined && payload !== null && payload !== '');
+    }
+
+    /**
+     * Get the payloads the widget received during a turn (response bodies and incoming frames)
+     * @param {number} turn - Turn number
+     * @returns {Array} Payloads (parsed JSON where possible)
+     */
+    getReceivedPayloads(turn) {
+        return this.getEntries(turn)
+            .map(entry => (entry.kind === 'http' ? entry.responseBody : entry.direction === 'received' ? entry.payload : undefined))
+            .filter(payload => payload !== undefined && payload !== null && payload !== '');
+    }
+
+    /**
+     * Get the intents found in a turn's payloads
+     * @param {number} turn - Turn number
+     * @returns {Array} Intent names
+     */
+    getIntents(turn) {
+        const payloads = [...this.getSentPayloads(turn), ...this.getReceivedPayloads(turn)];
+        const intents = [];
+
+        for (const payload of payloads) {
+            for (const intentPath of this.intentPaths) {
+                const value = this.getField(payload, intentPath);
+                if (typeof value === 'string' && value && !intents.includes(value)) {
+                    intents.push(value);
+                }
+            }
+        }
+        return intents;
+    }
+
+    /**
+     * Read a field from a payload by dot path ("messages.0.text")
+     * @param {any} payload - Parsed payload
+     * @param {string} fieldPath - Dot-separated path
+     * @returns {any} Field value, or undefined when missing
+     */
+    getField(payload, fieldPath) {
+        return fieldPath.split('.').reduce(
+            (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+            payload
+        );
+    }
+
+    /**
+     * Check whether anything was captured
+     * @returns {boolean} True if traffic was recorded
+     */
+    hasContent() {
+        return this.entries.length > 0;
+    }
+
+    /**
+     * Build the traffic report
+     * @returns {Object} Summary and entries
+     */
+    toJSON() {
+        const turns = [...new Set(this.entries.map(entry => entry.turn))].sort((a, b) => a - b);
+
+        return {
+            summary: {
+                entries: this.entries.length,
+                requests: this.entries.filter(entry => entry.kind === 'http').length,
+                frames: this.entries.filter(entry => entry.kind === 'websocket').length,
+                failed: this.entries.filter(entry => entry.error || entry.status >= 400).length,
+                turns: turns.map(turn => ({ turn, entries: this.getEntries(turn).length, intents: this.getIntents(turn) }))
+            },
+            entries: this.entries
+        };
+    }
+
+    /**
+     * Export the captured traffic as JSON
+     * @param {string} outputDir - Output directory (defaults to allure-results/traffic)
+     * @param {string} baseName - File name without extension (defaults to suite and test name)
+     * @returns {string} Path of the written file
+     */
+    export(outputDir = null, baseName = null) {
+        try {
+            const dir = outputDir || this.outputDir;
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const name = baseName || this._sanitizeName(this.testName) || `traffic_${Date.now()}`;
+            const filePath = path.join(dir, `${name}.json`);
+            fs.writeFileSync(filePath, JSON.stringify(this.toJSON(), null, 2));
+            console.log(`🛰️ Traffic saved: ${filePath}`);
+            return filePath;
+        } catch (error) {
+            console.error('❌ Error exporting traffic:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Route a network monitor event to the entry it starts, updates or completes
+     * @param {Object} event - Network event ({ type, requestId, url, at, ... })
+     */
+    _handle(event) {
+        switch (event.type) {
+            case 'request':
+                if (!this.paused) {
+                    this._recordRequest(event);
+                }
+                break;
+            case 'response': {
+                const entry = this.requests.get(event.requestId);
+                if (entry) {
+                    entry.status = event.status;
+                    entry.mimeType = event.mimeType;
+                }
+                break;
+            }
+            case 'finished':
+            case 'failed':
+                this._recordCompletion(event);
+                break;
+            case 'websocket-sent':
+            case 'websocket-received':
+                if (!this.paused && this._isChatTraffic(event.url)) {
+                    this.entries.push({
+                        id: event.requestId,
+                        turn: this.currentTurn,
+                        kind: 'websocket',
+                        direction: event.type === 'websocket-sent' ? 'sent' : 'received',
+                        url: event.url,
+                        payload: this._parse(event.payload),
+                        at: new Date(event.at).toISOString()
+                    });
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Add an entry for a chat API request of the current turn
+     * @param {Object} event - 'request' network event
+     */
+    _recordRequest(event) {
+        if (!this.resourceTypes.includes(event.resourceType) || !this._isChatTraffic(event.url)) {
+            return;
+        }
+
+        const entry = {
+            id: event.requestId,
+            turn: this.currentTurn,
+            kind: 'http',
+            method: event.method,
+            url: event.url,
+            resourceType: event.resourceType,
+            requestBody: this._parse(event.postData),
+            status: null,
+            mimeType: null,
+            responseBody: null,
+            error: null,
+            startedAt: new Date(event.at).toISOString(),
+            duration: null
+        };
+        this.entries.push(entry);
+        this.requests.set(event.requestId, entry);
+    }
+
+    /**
+     * Complete a request entry: its duration, and the error or the response
+     * body (read asynchronously; flush() waits for the read)
+     * @param {Object} event - 'finished' or 'failed' network event
+     */
+    _recordCompletion(event) {
+        const entry = this.requests.get(event.requestId);
+        if (!entry) {
+            return;
+        }
+
+        this.requests.delete(event.requestId);
+        entry.duration = event.at - Date.parse(entry.startedAt);
+
+        if (event.type === 'failed') {
+            entry.error = event.errorText || 'Request failed';
+            return;
+        }
+
+        const pendingBodies = this.pendingBodies;
+        const read = networkMonitor.send('Network.getResponseBody', { requestId: event.requestId })
+            .then(result => {
+                const body = result.base64Encoded ? Buffer.from(result.body, 'base64').toString('utf8') : result.body;
+                entry.responseBody = this._parse(body);
+            })
+            .catch(error => {
+                entry.responseBody = null;
+                console.log(`⚠️ Could not read response body of ${entry.url}: ${error.message}`);
+            })
+            .finally(() => pendingBodies.delete(read));
+        pendingBodies.add(read);
+    }
+
+    /**
+     * Check a URL against the include and ignore patterns
+     * @param {string} url - Request or WebSocket URL
+     * @returns {boolean} True if the URL belongs to the chat backend
+     */
+    _isChatTraffic(url) {
+        const matches = pattern => (pattern instanceof RegExp ? pattern.test(url) : url.includes(pattern));
+
+        if (this.include && this.include.length > 0 && !this.include.some(matches)) {
+            return false;
+        }
+        return !this.ignore.some(matches) && !networkMonitor.defaults.ignore.some(matches);
+    }
+
+    /**
+     * Turn a test name into a file name
+     * @param {string} name - Test name
+     * @returns {string} File-safe name (at most 120 characters)
+     */
+    _sanitizeName(name) {
+        return name.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 120);
+    }
+
+    /**
+     * Parse a body or frame payload as JSON when possible
+     * @param {string} body - Raw payload
+     * @returns {any} Parsed JSON, the raw text, or null when empty
+     */
+    _parse(body) {
+        if (body === undefined || body === null || body === '') {
+            return null;
+        }
+        try {
+            return JSON.parse(body);
+        } catch (error) {
+            return body;
+        }
+    }
+}
+
+// Create singleton instance
+const trafficRecorder = new TrafficRecorder();
+
+// Export both class and singleton instance
+module.exports = {
+    TrafficRecorder,
+    trafficRecorder
+};
@@ -0,0 +1,329 @@
+/**
+ * Transcript Recorder Utility
+ *
+ * Records every message sent to and received from the chatbot with the
+ * real send/receive times, per-turn latency, screenshots and errors.
+ * Transcripts can be exported as JSON, Markdown and a standalone HTML
+ * chat-bubble view, and are saved next to the Allure results per test.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class TranscriptRecorder {
+    constructor() {
+        this.outputDir = path.join(__dirname, '../../allure-results/transcripts');
+        this.enabled = process.env.TRANSCRIPTS !== 'false';
+        this.screenshotEachTurn = process.env.TRANSCRIPT_SCREENSHOTS === 'true';
+        this.reset();
+    }
+
+    /**
+     * Start a new transcript for a test
+     * @param {string} suiteName - Test suite name
+     * @param {string} testName - Test name
+     */
+    startTest(suiteName, testName) {
+        this.reset();
+        this.suiteName = suiteName || '';
+        this.testName = testName || '';
+        this.startedAt = new Date().toISOString();
+    }
+
+    /**
+     * Clear the current transcript
+     */
+    reset() {
+        this.suiteName = '';
+        this.testName = '';
+        this.startedAt = new Date().toISOString();
+        this.turns = [];
+        this.events = [];
+    }
+
+    /**
+     * Record a message sent by the user; starts a new turn
+     * @param {string} text - Message text
+     * @param {Object} details - Extra details
+     * @param {string} details.via - 'typed' or 'button'
+     * @param {number} details.sentAt - Send time in epoch milliseconds
+     * @returns {Object} The new turn
+     */
+    recordSent(text, details = {}) {
+        const sentAt = details.sentAt || Date.now();
+        const turn = {
+            index: this.turns.length,
+            sent: {
+                text,
+                via: details.via || 'typed',
+                at: new Date(sentAt).toISOString()
+            },
+            received: [],
+            firstResponseAt: null,
+            completedAt: null,
+            latency: null,
+            completionTime: null,
+            screenshots: [],
+            errors: []
+        };
+
+        this.turns.push(turn);
+        this._addEvent({ type: 'sent', turn: turn.index, sender: 'user', text, at: turn.sent.at });
+        return turn;
+    }
+
+    /**
+     * Record the bot messages received for the current turn
+     * @param {Array} messages - Bot message texts (or objects with a text property)
+     * @param {Object} timing - Observed timing
+     * @param {number} timing.firstResponseAt - When the first bot message appeared (epoch ms)
+     * @param {number} timing.completedAt - When the reply was complete (epoch ms)
+     * @param {Array} timing.arrivals - When each message appeared (epoch ms, same order as messages)
+     */
+    recordReceived(messages, timing = {}) {
+        const turn = this._currentTurn();
+        const completedAt = timing.completedAt || Date.now();
+        const firstResponseAt = timing.firstResponseAt || completedAt;
+        const sentAt = turn ? Date.parse(turn.sent.at) : null;
+
+        // Each bubble is stamped when it appeared; without arrival times the
+        // first one gets the first response time and the rest the completion time
+        const arrivals = timing.arrivals || [];
+        const received = messages.map((message, index) => ({
+            text: typeof message === 'string' ? message : message.text,
+            at: new Date(arrivals[index] || (index === 0 ? firstResponseAt : completedAt)).toISOString()
+        }));
+
+        if (!turn) {
+            // Messages before the first user message (e.g. welcome message)
+            received.forEach(message => this._addEvent({ type: 'received', turn: null, sender: 'bot', ...message }));
+            return;
+        }
+
+        turn.received.push(...received);
+        turn.firstResponseAt = turn.firstResponseAt || new Date(firstResponseAt).toISOString();
+        turn.completedAt = new Date(completedAt).toISOString();
+        turn.latency = turn.latency !== null ? turn.latency : firstResponseAt - sentAt;
+        turn.completionTime = completedAt - sentAt;
+
+        received.forEach(message => this._addEvent({ type: 'received', turn: turn.index, sender: 'bot', ...message }));
+    }
+
+    /**
+     * Attach a screenshot to the current turn
+     * @param {string} screenshotPath - Screenshot file path
+     * @param {string} description - Screenshot description
+     */
+    attachScreenshot(screenshotPath, description = '') {
+        const turn = this._currentTurn();
+        const screenshot = { path: screenshotPath, description, at: new Date().toISOString() };
+
+        if (turn) {
+            turn.screenshots.push(screenshot);
+        }
+        this._addEvent({ type: 'screenshot', turn: turn ? turn.index : null, ...screenshot });
+    }
+
+    /**
+     * Attach an error to the current turn
+     * @param {Error|string} error - Error or message
+     */
+    recordError(error) {
+        const turn = this._currentTurn();
+        const entry = {
+            message: error && error.message ? error.message : String(error),
+            name: error && error.name ? error.name : 'Error',
+            at: new Date().toISOString()
+        };
+
+        if (turn) {
+            turn.errors.push(entry);
+        }
+        this._addEvent({ type: 'error', turn: turn ? turn.index : null, ...entry });
+    }
+
+    /**
+     * Check whether anything was recorded
+     * @returns {boolean} True if the transcript has turns or events
+     */
+    hasContent() {
+        return this.events.length > 0;
+    }
+
+    /**
+     * Build the transcript object
+     * @returns {Object} Transcript with summary, turns and chronological events
+     */
+    toJSON() {
+        const latencies = this.turns.map(turn => turn.latency).filter(latency => latency !== null);
+
+        return {
+            suite: this.suiteName,
+            test: this.testName,
+            startedAt: this.startedAt,
+            summary: {
+                turns: this.turns.length,
+                errors: this.turns.reduce((sum, turn) => sum + turn.errors.length, 0),
+                averageLatency: latencies.length > 0
+                    ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+                    : null,
+                maxLatency: latencies.length > 0 ? Math.max(...latencies) : null
+            },
+            turns: this.turns,
+            events: this.events
+        };
+    }
+
+    /**
+     * Render the transcript as Markdown
+     * @returns {string} Markdown transcript
+     */
+    toMarkdown() {
+        const data = this.toJSON();
+        const lines = [
+            `# Transcript: ${data.suite ? `${data.suite} > ` : ''}${data.test || 'Conversation'}`,
+            '',
+            `- Started: ${data.startedAt}`,
+            `- Turns: ${data.summary.turns}`,
+            `- Average latency: ${data.summary.averageLatency !== null ? `${data.summary.averageLatency}ms` : 'n/a'}`,
+            `- Errors: ${data.summary.errors}`,
+            ''
+        ];
+
+        const preamble = data.events.filter(event => event.turn === null && event.type === 'received');
+        preamble.forEach(event => lines.push(`**Bot** _(before first message)_: ${event.text}`, ''));
+
+        for (const turn of data.turns) {
+            lines.push(`## Turn ${turn.index + 1}`, '');
+            lines.push(`**User** (${turn.sent.at}${turn.sent.via === 'button' ? ', button' : ''}): ${turn.sent.text}`, '');
+
+            turn.received.forEach(message => lines.push(`**Bot** (${message.at}): ${message.text}`, ''));
+
+            if (turn.latency !== null) {
+                lines.push(`_Latency: ${turn.latency}ms, complete after ${turn.completionTime}ms_`, '');
+            }
+            turn.screenshots.forEach(screenshot => lines.push(`![${screenshot.description || 'screenshot'}](${screenshot.path})`, ''));
+            turn.errors.forEach(error => lines.push(`> ❌ ${error.name}: ${error.message}`, ''));
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render the transcript as a standalone HTML chat-bubble view
+     * @returns {string} HTML document
+     */
+    toHTML() {
+        const data = this.toJSON();
+        const escape = value => String(value === undefined || value === null ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const time = iso => escape(iso ? iso.substring(11, 23) : '');
+        const bubble = (sender, text, meta) =>
+            `<div class="row ${sender}"><div class="bubble"><div class="text">${escape(text)}</div><div class="meta">${meta}</div></div></div>`;
+
+        const body = [];
+        data.events
+            .filter(event => event.turn === null && event.type === 'received')
+            .forEach(event => body.push(bubble('bot', event.text, time(event.at))));
+
+        for (const turn of data.turns) {
+            body.push(`<div class="turn">Turn ${turn.index + 1}</div>`);
+            body.push(bubble('user', turn.sent.text, `${time(turn.sent.at)}${turn.sent.via === 'button' ? ' · button' : ''}`));
+            turn.received.forEach((message, i) => {
+                const latency = i === 0 && turn.latency !== null ? ` · ${turn.latency}ms` : '';
+                body.push(bubble('bot', message.text, `${time(message.at)}${latency}`));
+            });
+            turn.errors.forEach(error => body.push(`<div class="error">${escape(error.name)}: ${escape(error.message)}</div>`));
+            turn.screenshots.forEach(screenshot => body.push(
+                `<div class="screenshot"><a href="${escape(screenshot.path)}">📸 ${escape(screenshot.description || 'screenshot')}</a></div>`
+            ));
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Transcript - ${escape(data.test)}</title>
+<style>
+    body { font-family: Arial, sans-serif; background: #f4f5f9; margin: 0; padding: 24px; }
+    .chat { max-width: 720px; margin: 0 auto; }
+    h1 { font-size: 18px; }
+    .summary { color: #555; font-size: 13px; margin-bottom: 16px; }
+    .turn { text-align: center; color: #888; font-size: 12px; margin: 16px 0 8px; }
+    .row { display: flex; margin: 4px 0; }
+    .row.user { justify-content: flex-end; }
+    .bubble { max-width: 70%; padding: 8px 12px; border-radius: 14px; }
+    .bot .bubble { background: #e8ebf7; }
+    .user .bubble { background: #0019a5; color: #fff; }
+    .meta { font-size: 11px; opacity: 0.7; margin-top: 4px; }
+    .error { margin: 6px 0; padding: 8px; border-radius: 4px; background: #fde8e8; color: #a00; font-size: 13px; }
+    .screenshot { font-size: 12px; margin: 4px 0; }
+</style>
+</head>
+<body>
+<div class="chat">
+<h1>${escape(data.suite ? `${data.suite} > ` : '')}${escape(data.test || 'Conversation')}</h1>
+<div class="summary">${data.summary.turns} turns · average latency ${data.summary.averageLatency !== null ? `${data.summary.averageLatency}ms` : 'n/a'} · ${data.summary.errors} errors · started ${escape(data.startedAt)}</div>
+${body.join('\n')}
+</div>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Export the transcript as JSON, Markdown and HTML
+     * @param {string} outputDir - Output directory (defaults to allure-results/transcripts)
+     * @param {string} baseName - File name without extension (defaults to suite and test name)
+     * @returns {Object} Paths of the written files
+     */
+    export(outputDir = null, baseName = null) {
+        try {
+            const dir = outputDir || this.outputDir;
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            const name = baseName || this._sanitizeName(`${this.suiteName}_${this.testName}`) || `transcript_${Date.now()}`;
+            const paths = {
+                json: path.join(dir, `${name}.json`),
+                markdown: path.join(dir, `${name}.md`),
+                html: path.join(dir, `${name}.html`)
+            };
+
+            fs.writeFileSync(paths.json, JSON.stringify(this.toJSON(), null, 2));
+            fs.writeFileSync(paths.markdown, this.toMarkdown());
+            fs.writeFileSync(paths.html, this.toHTML());
+
+            console.log(`💬 Transcript saved: ${paths.html}`);
+            return paths;
+        } catch (error) {
+            console.error('❌ Error exporting transcript:', error.message);
+            throw error;
+        }
+    }
+
+    _currentTurn() {
+        return this.turns.length > 0 ? this.turns[this.turns.length - 1] : null;
+    }
+
+    _addEvent(event) {
+        this.events.push(event);
+    }
+
+    _sanitizeName(name) {
+        return name.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 120);
+    }
+}
+
+// Create singleton instance
+const transcriptRecorder = new TranscriptRecorder();
+
+// Export both class and singleton instance
+module.exports = {
+    TranscriptRecorder,
+    transcriptRecorder
+};
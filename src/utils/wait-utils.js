@@ -5,6 +5,8 @@
  * and timeouts across different test files.
  */
 
+const { networkMonitor } = require('./network-monitor');
+
 class WaitUtils {
     constructor() {
         this.defaultTimeout = 10000;
@@ -286,30 +288,31 @@ class WaitUtils {
     }
 
     /**
-     * Wait for network idle (no pending requests)
+     * Wait for network idle: no more than maxInflight pending requests and
+     * no request, XHR/fetch or WebSocket activity for the idle window.
+     * Uses the Chrome DevTools Protocol; browsers without CDP fall back to
+     * waiting until no new resource timing entries appear.
      * @param {number} timeout - Timeout in milliseconds
      * @param {Object} browser - WebdriverIO browser instance
+     * @param {Object} options - Idle options
+     * @param {number} options.idleTime - Required quiet window in milliseconds (default 500)
+     * @param {number} options.maxInflight - Pending requests still treated as idle (default 0)
+     * @param {Array} options.ignore - URL substrings or RegExps to ignore (defaults to analytics beacons)
+     * @param {Array} options.include - Only track URLs matching these
      */
-    async waitForNetworkIdle(timeout = this.defaultTimeout, browser = null) {
+    async waitForNetworkIdle(timeout = this.defaultTimeout, browser = null, options = {}) {
         const browserInstance = browser || global.browser;
         console.log('⏳ Waiting for network to be idle');
         
         try {
-            await browserInstance.waitUntil(
-                async () => {
-                    const performanceEntries = await browserInstance.execute(() => 
-                        performance.getEntriesByType('resource')
-                    );
-                    return performanceEntries.length > 0;
-                },
-                { 
-                    timeout, 
-                    timeoutMsg: 'Network did not become idle within the specified timeout' 
-                }
-            );
+            if (await networkMonitor.start(browserInstance)) {
+                await networkMonitor.waitForIdle({ ...options, timeout }, browserInstance);
+            } else {
+                await this._waitForResourceEntriesIdle(timeout, browserInstance, options.idleTime || networkMonitor.defaults.idleTime);
+            }
             console.log('✅ Network is idle');
         } catch (error) {
-            console.error('❌ Network did not become idle');
+            console.error('❌ Network did not become idle:', error.message);
             throw error;
         }
     }
@@ -545,6 +548,34 @@ class WaitUtils {
         });
     }
 
+    /**
+     * Fallback for browsers without CDP: wait until no new resource timing
+     * entries were added for the idle window
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} browserInstance - WebdriverIO browser instance
+     * @param {number} idleTime - Required quiet window in milliseconds
+     */
+    async _waitForResourceEntriesIdle(timeout, browserInstance, idleTime) {
+        let lastCount = -1;
+        let lastChange = Date.now();
+        
+        await browserInstance.waitUntil(
+            async () => {
+                const count = await browserInstance.execute(() => performance.getEntriesByType('resource').length);
+                if (count !== lastCount) {
+                    lastCount = count;
+                    lastChange = Date.now();
+                }
+                return Date.now() - lastChange >= idleTime;
+            },
+            { 
+                timeout, 
+                interval: Math.min(this.retryInterval, idleTime),
+                timeoutMsg: 'Network did not become idle within the specified timeout' 
+            }
+        );
+    }
+
     /**
      * Get current timeout configuration
      * @returns {Object} Current timeout configuration